@@ -4,15 +4,29 @@
  */
 
 class BatchProcessor {
-    constructor(imageProcessor, aiProcessor) {
+    constructor(imageProcessor, aiProcessor, options = {}) {
         this.imageProcessor = imageProcessor;
         this.aiProcessor = aiProcessor;
+        
+        // Edge detection for each file runs on a pool of workers
+        this.workerPool = options.workerPool || (typeof WorkerPool !== 'undefined' ? new WorkerPool() : null);
+        
+        // Camera metadata: turns photos upright and goes into the outputs and the batch report
+        this.exifMetadata = options.exifMetadata || (typeof ExifMetadata !== 'undefined' ? new ExifMetadata() : null);
+        
+        // The studio's trained materials, recognized alongside the built-in ones
+        this.materialLibrary = options.materialLibrary || null;
+        
         this.queue = [];
-        this.currentIndex = 0;
         this.isProcessing = false;
         this.isPaused = false;
         this.results = [];
-        this.maxConcurrent = 1; // Process one at a time to avoid memory issues
+        this.abortController = null;
+        // One file per worker in parallel; one at a time on the main thread to avoid memory issues
+        this.maxConcurrent = this.workerPool && this.workerPool.useWorkers ? this.workerPool.size : 1;
+        
+        // Files are drawn at full resolution, so strokes are drawn for one file at a time
+        this.drawing = Promise.resolve();
         this.maxFileSize = 10 * 1024 * 1024; // 10MB per file
         this.maxBatchSize = 20;
         this.supportedFormats = ['image/jpeg', 'image/png', 'image/webp', 'image/bmp'];
@@ -122,7 +136,6 @@ class BatchProcessor {
      */
     async createBatchQueue(files) {
         this.queue = [];
-        this.currentIndex = 0;
         this.results = [];
 
         const applyToAll = document.getElementById('applyToAll')?.checked || false;
@@ -138,16 +151,18 @@ class BatchProcessor {
                 status: 'pending', // pending, processing, completed, error, skipped
                 progress: 0,
                 result: null,
+                vectorData: null,
                 error: null,
                 startTime: null,
                 endTime: null,
                 settings: currentSettings ? { ...currentSettings } : null,
-                thumbnail: null
+                thumbnail: null,
+                metadata: this.exifMetadata ? await this.exifMetadata.readFile(file) : null
             };
 
             // Generate thumbnail
             try {
-                queueItem.thumbnail = await this.generateThumbnail(file);
+                queueItem.thumbnail = await this.generateThumbnail(file, queueItem.metadata ? queueItem.metadata.orientation : 1);
             } catch (error) {
                 console.warn('Failed to generate thumbnail for', file.name, error);
             }
@@ -166,7 +181,7 @@ class BatchProcessor {
         
         // Get form controls
         const controls = [
-            'stylePreset', 'edgeThreshold', 'lineVariation', 'lineThickness',
+            'stylePreset', 'edgeThreshold', 'lineVariation', 'lineThickness', 'sketchSeed', 'washColorSource', 'shadingMode', 'constructionLines', 'paperType',
             'processingMode', 'aiProvider', 'enableMaterialDetection',
             'enableFurnitureDetection', 'enableRoomAnalysis'
         ];
@@ -190,15 +205,16 @@ class BatchProcessor {
     }
 
     /**
-     * Generate thumbnail for file
+     * Generate thumbnail for file, upright for its EXIF orientation
      */
-    async generateThumbnail(file) {
+    async generateThumbnail(file, orientation = 1) {
         return new Promise((resolve, reject) => {
-            const img = new Image();
+            const image = new Image();
             const canvas = document.createElement('canvas');
             const ctx = canvas.getContext('2d');
             
-            img.onload = () => {
+            image.onload = async () => {
+                const img = this.exifMetadata ? await this.exifMetadata.createUprightImage(image, orientation) : image;
                 const maxSize = 150;
                 let { width, height } = img;
                 
@@ -222,8 +238,8 @@ class BatchProcessor {
                 resolve(canvas.toDataURL('image/jpeg', 0.7));
             };
             
-            img.onerror = reject;
-            img.src = URL.createObjectURL(file);
+            image.onerror = reject;
+            image.src = URL.createObjectURL(file);
         });
     }
 
@@ -258,25 +274,35 @@ class BatchProcessor {
      */
     async processBatch() {
         const startTime = Date.now();
+        this.abortController = typeof AbortController !== 'undefined' ? new AbortController() : null;
         
-        for (let i = this.currentIndex; i < this.queue.length; i++) {
-            if (!this.isProcessing) break; // Stopped
-            
-            while (this.isPaused) {
-                await this.sleep(100);
-                if (!this.isProcessing) break; // Stopped while paused
-            }
-            
-            this.currentIndex = i;
-            const item = this.queue[i];
-            
-            if (item.status === 'completed' || item.status === 'skipped') {
-                continue; // Skip already processed items
-            }
+        // Each lane takes the next file in the queue until none are left; after a
+        // Stop the run starts over from the top and skips files already done
+        let next = 0;
+        const runLane = async () => {
+            while (next < this.queue.length) {
+                if (!this.isProcessing) return; // Stopped
+                
+                while (this.isPaused) {
+                    await this.sleep(100);
+                    if (!this.isProcessing) return; // Stopped while paused
+                }
+                
+                const item = this.queue[next++];
+                
+                if (item.status === 'completed' || item.status === 'skipped') {
+                    continue; // Skip already processed items
+                }
 
-            await this.processQueueItem(item);
-            this.updateBatchDisplay();
-        }
+                await this.processQueueItem(item);
+                this.updateBatchDisplay();
+            }
+        };
+        
+        const remaining = this.queue.filter(item => item.status !== 'completed' && item.status !== 'skipped').length;
+        const lanes = Math.max(1, Math.min(this.maxConcurrent, remaining));
+        await Promise.all(Array.from({ length: lanes }, runLane));
+        this.abortController = null;
 
         const endTime = Date.now();
         const totalTime = endTime - startTime;
@@ -296,7 +322,7 @@ class BatchProcessor {
 
         try {
             // Load image
-            const imageData = await this.loadImageData(item.file);
+            const imageData = await this.loadImageData(item.file, item.metadata ? item.metadata.orientation : 1);
             item.progress = 20;
             this.updateItemDisplay(item);
 
@@ -320,14 +346,22 @@ class BatchProcessor {
                 id: item.id,
                 name: item.name,
                 result: result,
+                vectorData: item.vectorData || null,
+                metadata: item.metadata,
                 processingTime: item.endTime - item.startTime
             });
 
         } catch (error) {
-            console.error(`Failed to process ${item.name}:`, error);
-            item.status = 'error';
-            item.error = error.message;
-            item.endTime = Date.now();
+            if (error.name === 'AbortError') {
+                // Stopped: leave the file queued for the next run
+                item.status = 'pending';
+                item.progress = 0;
+            } else {
+                console.error(`Failed to process ${item.name}:`, error);
+                item.status = 'error';
+                item.error = error.message;
+                item.endTime = Date.now();
+            }
         }
 
         this.updateItemDisplay(item);
@@ -335,15 +369,16 @@ class BatchProcessor {
     }
 
     /**
-     * Load image data from file
+     * Load image data from file, upright for its EXIF orientation
      */
-    async loadImageData(file) {
+    async loadImageData(file, orientation = 1) {
         return new Promise((resolve, reject) => {
-            const img = new Image();
+            const image = new Image();
             const canvas = document.createElement('canvas');
             const ctx = canvas.getContext('2d');
             
-            img.onload = () => {
+            image.onload = async () => {
+                const img = this.exifMetadata ? await this.exifMetadata.createUprightImage(image, orientation) : image;
                 canvas.width = img.width;
                 canvas.height = img.height;
                 ctx.drawImage(img, 0, 0);
@@ -352,8 +387,8 @@ class BatchProcessor {
                 resolve(imageData);
             };
             
-            img.onerror = () => reject(new Error('Failed to load image'));
-            img.src = URL.createObjectURL(file);
+            image.onerror = () => reject(new Error('Failed to load image'));
+            image.src = URL.createObjectURL(file);
         });
     }
 
@@ -375,28 +410,99 @@ class BatchProcessor {
             });
         } else {
             // Use traditional processing
-            return await this.processTraditional(imageData, progressCallback);
+            return await this.processTraditional(imageData, progressCallback, this.abortController ? this.abortController.signal : null, item);
         }
     }
 
     /**
      * Traditional processing fallback
+     * The drawn strokes are kept on item.vectorData for vector batch exports.
      */
-    async processTraditional(imageData, progressCallback) {
-        // Simulate processing steps
-        progressCallback(25);
-        await this.sleep(200);
+    async processTraditional(imageData, progressCallback, signal = null, item = null) {
+        if (!this.workerPool) {
+            progressCallback(100);
+            return imageData;
+        }
         
-        progressCallback(50);
-        await this.sleep(300);
+        const setting = (id, fallback) => document.getElementById(id)?.value || fallback;
         
-        progressCallback(75);
-        await this.sleep(200);
+        // Grayscale, blur and edge detection in a worker; files in other lanes run alongside
+        const { imageData: edges, lineSegments } = await this.workerPool.run('edgePipeline', {
+            imageData,
+            blurRadius: 1,
+            settings: {
+                threshold: parseInt(setting('edgeThreshold', 30)),
+                blur: true,
+                thinning: true,
+                detectLines: true
+            }
+        }, {
+            signal,
+            onProgress: (progress) => progressCallback(progress * 70)
+        });
+        if (lineSegments) edges.lineSegments = lineSegments;
+        
+        // Material regions style the strokes that lie on them
+        const materialData = document.getElementById('enableMaterialDetection')?.checked ?
+            await this.workerPool.run('segmentMaterials', {
+                imageData,
+                options: {
+                    minConfidence: parseInt(setting('materialConfidence', 70)) / 100,
+                    library: this.materialLibrary && this.materialLibrary.isTrained() ? this.materialLibrary.toJSON() : undefined
+                }
+            }, { signal }) : null;
+        
+        if (typeof HandDrawnEffects === 'undefined') {
+            progressCallback(100);
+            return edges;
+        }
+        
+        // Strokes need a DOM canvas, so they are drawn on the main thread, one file at a time
+        const paper = setting('paperType', 'auto');
+        const result = await this.whenDrawingFree(signal, async () => {
+            const canvas = document.createElement('canvas');
+            canvas.width = edges.width;
+            canvas.height = edges.height;
+            const handDrawnEffects = new HandDrawnEffects(canvas, { interiorMode: true });
+            
+            const sketch = await handDrawnEffects.applyHandDrawnEffect(edges, {
+                style: setting('stylePreset', 'pencil'),
+                lineVariation: parseInt(setting('lineVariation', 50)),
+                lineThickness: parseFloat(setting('lineThickness', 2)),
+                texture: true,
+                sourceImageData: imageData,
+                shading: setting('shadingMode', 'none'),
+                construction: setting('constructionLines', 'none'),
+                paper: paper !== 'auto' ? paper : null,
+                ...(materialData ? { materialEnhancement: true, materialData } : {})
+            });
+            if (item) {
+                item.vectorData = handDrawnEffects.getVectorData();
+            }
+            return sketch;
+        });
         
         progressCallback(100);
+        return result;
+    }
+
+    /**
+     * Run draw once the drawing of every earlier file has finished
+     * Lanes share one queue so only one file's canvases are alive at a time.
+     * Rejects with an AbortError if the batch is stopped while waiting.
+     */
+    whenDrawingFree(signal, draw) {
+        const run = this.drawing.then(() => {
+            if (signal && signal.aborted) {
+                const error = new Error('Batch processing stopped');
+                error.name = 'AbortError';
+                throw error;
+            }
+            return draw();
+        });
         
-        // Return processed image data (simplified)
-        return imageData;
+        this.drawing = run.catch(() => {});
+        return run;
     }
 
     /**
@@ -431,6 +537,9 @@ class BatchProcessor {
         if (confirm('Are you sure you want to stop batch processing?')) {
             this.isProcessing = false;
             this.isPaused = false;
+            if (this.abortController) {
+                this.abortController.abort();
+            }
             this.updateBatchControls();
             console.log('Batch processing stopped');
         }
@@ -480,6 +589,29 @@ class BatchProcessor {
         }
     }
 
+    /**
+     * Whether any file has finished processing
+     */
+    hasProcessedImages() {
+        return this.results.length > 0;
+    }
+
+    /**
+     * Finished files for DownloadManager.downloadBatch: { canvas, vectorData, metadata }
+     */
+    getProcessedImages() {
+        return this.results
+            .filter(result => result.result instanceof ImageData)
+            .map(result => {
+                const canvas = document.createElement('canvas');
+                canvas.width = result.result.width;
+                canvas.height = result.result.height;
+                canvas.getContext('2d').putImageData(result.result, 0, 0);
+                
+                return { canvas, vectorData: result.vectorData, metadata: result.metadata };
+            });
+    }
+
     /**
      * Download results as ZIP file
      */
@@ -489,22 +621,12 @@ class BatchProcessor {
         
         // Add each result to zip
         for (const result of this.results) {
-            const canvas = document.createElement('canvas');
-            const ctx = canvas.getContext('2d');
-            
-            // Convert result to canvas if needed
-            if (result.result instanceof ImageData) {
-                canvas.width = result.result.width;
-                canvas.height = result.result.height;
-                ctx.putImageData(result.result, 0, 0);
-            }
-            
-            // Get blob data
-            const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+            const blob = await this.createResultBlob(result.result, result.metadata);
             const filename = `${result.name.replace(/\.[^/.]+$/, '')}_processed.png`;
             
             zip.file(filename, blob);
         }
+        zip.file('batch_report.csv', this.createReport());
 
         // Generate and download zip
         const zipBlob = await zip.generateAsync({ type: 'blob' });
@@ -526,34 +648,104 @@ class BatchProcessor {
      */
     async downloadIndividual() {
         for (const result of this.results) {
-            const canvas = document.createElement('canvas');
-            const ctx = canvas.getContext('2d');
-            
-            if (result.result instanceof ImageData) {
-                canvas.width = result.result.width;
-                canvas.height = result.result.height;
-                ctx.putImageData(result.result, 0, 0);
-            }
-            
-            const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
-            const url = URL.createObjectURL(blob);
-            
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = `${result.name.replace(/\.[^/.]+$/, '')}_processed.png`;
-            document.body.appendChild(a);
-            a.click();
-            document.body.removeChild(a);
-            
-            URL.revokeObjectURL(url);
+            const blob = await this.createResultBlob(result.result, result.metadata);
+            this.saveBlob(blob, `${result.name.replace(/\.[^/.]+$/, '')}_processed.png`);
             
             // Brief delay between downloads
             await this.sleep(500);
         }
         
+        this.saveBlob(new Blob([this.createReport()], { type: 'text/csv' }), 'batch_report.csv');
         console.log('Batch downloaded as individual files');
     }
 
+    /**
+     * PNG of a result carrying its photo's metadata; GPS is left out in privacy mode
+     */
+    async createResultBlob(imageData, metadata) {
+        const canvas = document.createElement('canvas');
+        const ctx = canvas.getContext('2d');
+        
+        if (imageData instanceof ImageData) {
+            canvas.width = imageData.width;
+            canvas.height = imageData.height;
+            ctx.putImageData(imageData, 0, 0);
+        }
+        
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+        if (!this.exifMetadata || !metadata) return blob;
+        
+        try {
+            return await this.exifMetadata.embed(blob, this.exifMetadata.forExport(metadata, { stripGPS: this.isPrivacyMode() }));
+        } catch (error) {
+            console.warn('Failed to write photo metadata:', error);
+            return blob;
+        }
+    }
+
+    /**
+     * Save a blob as a download
+     */
+    saveBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Whether GPS is stripped from outputs; on unless the privacy checkbox is cleared
+     */
+    isPrivacyMode() {
+        const privacyMode = document.getElementById('privacyMode');
+        return !privacyMode || privacyMode.checked;
+    }
+
+    /**
+     * CSV report of the batch: one row per file with its camera metadata and processing time
+     * Location columns are only included with privacy mode off.
+     */
+    createReport() {
+        const includeGPS = !this.isPrivacyMode();
+        const columns = ['File', 'Status', 'Date taken', 'Camera', 'Lens', 'Width', 'Height', 'Orientation', 'Color profile', 'Processing time (s)'];
+        if (includeGPS) {
+            columns.push('Latitude', 'Longitude');
+        }
+        
+        const rows = this.queue.map(item => {
+            const metadata = item.metadata || {};
+            const result = item.result instanceof ImageData ? item.result : null;
+            const row = [
+                item.name,
+                item.status,
+                metadata.dateTaken ? metadata.dateTaken.replace('T', ' ') : '',
+                [metadata.make, metadata.model].filter(Boolean).join(' '),
+                metadata.lens || '',
+                result ? result.width : (metadata.width || ''),
+                result ? result.height : (metadata.height || ''),
+                metadata.orientation || 1,
+                metadata.colorProfile || metadata.colorSpace || '',
+                item.startTime && item.endTime ? ((item.endTime - item.startTime) / 1000).toFixed(1) : ''
+            ];
+            if (includeGPS) {
+                row.push(metadata.gps ? metadata.gps.latitude.toFixed(6) : '', metadata.gps ? metadata.gps.longitude.toFixed(6) : '');
+            }
+            return row;
+        });
+        
+        const escape = (value) => {
+            const text = String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        return [columns, ...rows].map(row => row.map(escape).join(',')).join('\r\n') + '\r\n';
+    }
+
     /**
      * Update batch display
      */
@@ -594,6 +786,8 @@ class BatchProcessor {
                 <div class="batch-info">
                     <div class="batch-name">${item.name}</div>
                     <div class="batch-size">${this.formatFileSize(item.size)}</div>
+                    ${item.metadata && this.exifMetadata && this.exifMetadata.describe(item.metadata) ?
+                        `<div class="batch-meta">${this.escapeHTML(this.exifMetadata.describe(item.metadata))}</div>` : ''}
                     ${item.error ? `<div class="batch-error">${item.error}</div>` : ''}
                 </div>
                 <div class="batch-status">
@@ -637,6 +831,13 @@ class BatchProcessor {
         return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
     }
 
+    /**
+     * Text safe to put in HTML; camera strings come from the file
+     */
+    escapeHTML(text) {
+        return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+    }
+
     /**
      * Update batch progress
      */
@@ -801,26 +1002,8 @@ class BatchProcessor {
         const item = this.queue.find(item => item.id === itemId);
         if (!item || !item.result) return;
 
-        const canvas = document.createElement('canvas');
-        const ctx = canvas.getContext('2d');
-        
-        if (item.result instanceof ImageData) {
-            canvas.width = item.result.width;
-            canvas.height = item.result.height;
-            ctx.putImageData(item.result, 0, 0);
-        }
-        
-        const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
-        const url = URL.createObjectURL(blob);
-        
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `${item.name.replace(/\.[^/.]+$/, '')}_processed.png`;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        
-        URL.revokeObjectURL(url);
+        const blob = await this.createResultBlob(item.result, item.metadata);
+        this.saveBlob(blob, `${item.name.replace(/\.[^/.]+$/, '')}_processed.png`);
     }
 
     /**
@@ -834,7 +1017,6 @@ class BatchProcessor {
 
         if (confirm('Clear all items from batch queue?')) {
             this.queue = [];
-            this.currentIndex = 0;
             this.results = [];
             this.updateBatchDisplay();
             this.updateBatchControls();
@@ -896,7 +1078,12 @@ document.addEventListener('DOMContentLoaded', () => {
     // Initialize after other modules
     setTimeout(() => {
         if (typeof ImageProcessor !== 'undefined' && typeof AIProcessor !== 'undefined') {
-            batchProcessor = new BatchProcessor(imageProcessor, aiProcessor);
+            // Share the page's worker pool rather than starting a second one
+            batchProcessor = new BatchProcessor(imageProcessor, aiProcessor, {
+                workerPool: typeof workerPool !== 'undefined' ? workerPool : undefined,
+                exifMetadata: typeof exifMetadata !== 'undefined' && exifMetadata ? exifMetadata : undefined,
+                materialLibrary: typeof materialLibrary !== 'undefined' && materialLibrary ? materialLibrary : undefined
+            });
             console.log('Batch Processor initialized');
         }
     }, 1000);
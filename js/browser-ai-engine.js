@@ -979,6 +979,25 @@ class BrowserAIEngine {
      * Traditional Canny edge detection fallback
      */
     traditionalCannyEdges(imageData, options = {}) {
+        if (typeof EdgeDetection !== 'undefined') {
+            const edges = new EdgeDetection().detectCannyEdges(imageData, {
+                sigma: options.sigma || 1.4,
+                low: options.low || 20,
+                high: options.high || 50
+            });
+            
+            // ControlNet expects white edges on a black background
+            const pixels = edges.data;
+            for (let i = 0; i < pixels.length; i += 4) {
+                pixels[i] = 255 - pixels[i];
+                pixels[i + 1] = 255 - pixels[i + 1];
+                pixels[i + 2] = 255 - pixels[i + 2];
+            }
+            
+            return edges;
+        }
+        
+        // Approximation when the edge detection module is not loaded
         const canvas = document.createElement('canvas');
         const ctx = canvas.getContext('2d');
         canvas.width = imageData.width;
@@ -0,0 +1,341 @@
+/**
+ * Comparison View Module
+ * Before/after review of the sketch against the photo: side by side, a
+ * draggable wipe, or an onion-skin blend, with zoom and pan kept in sync on
+ * every canvas
+ */
+
+class ComparisonView {
+    constructor(options = {}) {
+        this.originalCanvas = options.originalCanvas || null;
+        this.resultCanvas = options.resultCanvas || null;
+        
+        // Further canvases that follow the same zoom and pan, e.g. the previous version
+        this.linkedCanvases = options.linkedCanvases || [];
+        
+        // The stage holds both canvases stacked in the overlay modes
+        this.stage = options.stage || null;
+        this.container = options.container || null;
+        this.onChange = options.onChange || (() => {});
+        
+        this.modes = ['side-by-side', 'wipe', 'onion-skin'];
+        this.mode = 'side-by-side';
+        
+        // Wipe: fraction of the width showing the photo. Onion skin: opacity of the sketch.
+        this.split = 0.5;
+        this.opacity = 0.5;
+        
+        this.minZoom = 1;
+        this.maxZoom = options.maxZoom || 8;
+        this.zoom = 1;
+        this.panX = 0;
+        this.panY = 0;
+        
+        this.panes = null;
+        this.drag = null;
+        this.homes = new Map();
+    }
+
+    /**
+     * Build the overlay stage and attach the zoom, pan and wipe controls
+     */
+    init() {
+        if (!this.stage) return;
+        
+        const original = document.createElement('div');
+        original.className = 'comparison-pane comparison-original';
+        const result = document.createElement('div');
+        result.className = 'comparison-pane comparison-result';
+        
+        const divider = document.createElement('div');
+        divider.className = 'comparison-divider';
+        divider.tabIndex = 0;
+        divider.setAttribute('role', 'slider');
+        divider.setAttribute('aria-label', 'Wipe position');
+        divider.addEventListener('pointerdown', (e) => this.startDrag(e, 'wipe'));
+        divider.addEventListener('keydown', (e) => {
+            const step = e.key === 'ArrowLeft' ? -0.05 : e.key === 'ArrowRight' ? 0.05 : 0;
+            if (step) {
+                e.preventDefault();
+                this.setSplit(this.split + step);
+            }
+        });
+        
+        this.stage.innerHTML = '';
+        this.stage.append(original, result, divider);
+        this.panes = { original, result, divider };
+        
+        this.getViewCanvases().forEach(canvas => {
+            canvas.addEventListener('wheel', (e) => this.handleWheel(e), { passive: false });
+            canvas.addEventListener('pointerdown', (e) => this.startDrag(e, 'pan'));
+            canvas.addEventListener('dblclick', () => this.resetView());
+        });
+        
+        window.addEventListener('pointermove', (e) => this.moveDrag(e));
+        window.addEventListener('pointerup', () => { this.drag = null; });
+        window.addEventListener('pointercancel', () => { this.drag = null; });
+        
+        this.applyView();
+    }
+
+    /**
+     * Canvases that zoom and pan together
+     */
+    getViewCanvases() {
+        return [this.originalCanvas, this.resultCanvas, ...this.linkedCanvases].filter(Boolean);
+    }
+
+    /**
+     * Switch between 'side-by-side', 'wipe' and 'onion-skin'
+     */
+    setMode(mode) {
+        if (!this.modes.includes(mode)) {
+            throw new Error(`Unknown comparison mode: ${mode}`);
+        }
+        
+        const overlay = mode !== 'side-by-side';
+        if (this.panes && overlay !== this.isOverlay()) {
+            if (overlay) {
+                this.mountCanvases();
+            } else {
+                this.restoreCanvases();
+            }
+        }
+        
+        this.mode = mode;
+        if (this.container) {
+            this.container.classList.toggle('comparison-overlay', overlay);
+        }
+        if (this.stage) {
+            this.stage.style.display = overlay ? '' : 'none';
+        }
+        
+        this.applyView();
+    }
+
+    /**
+     * Whether the photo and sketch are stacked on the stage
+     */
+    isOverlay() {
+        return this.mode !== 'side-by-side';
+    }
+
+    /**
+     * Wipe position in [0, 1], measured from the left
+     */
+    setSplit(split) {
+        this.split = Math.max(0, Math.min(1, Number(split)));
+        this.applyView();
+    }
+
+    /**
+     * Onion-skin opacity of the sketch over the photo, in [0, 1]
+     */
+    setOpacity(opacity) {
+        this.opacity = Math.max(0, Math.min(1, Number(opacity)));
+        this.applyView();
+    }
+    
+    // ===== ZOOM AND PAN METHODS =====
+
+    /**
+     * Zoom by a factor keeping the point (x, y) of the canvas box in place
+     */
+    zoomAt(factor, x, y) {
+        const zoom = Math.max(this.minZoom, Math.min(this.maxZoom, this.zoom * factor));
+        const scale = zoom / this.zoom;
+        
+        this.panX = x - (x - this.panX) * scale;
+        this.panY = y - (y - this.panY) * scale;
+        this.zoom = zoom;
+        
+        this.clampPan();
+        this.applyView();
+    }
+
+    /**
+     * Zoom about the centre of the canvases
+     */
+    zoomBy(factor) {
+        const { width, height } = this.getViewSize();
+        this.zoomAt(factor, width / 2, height / 2);
+    }
+
+    /**
+     * Move the zoomed view by a screen offset
+     */
+    panBy(dx, dy) {
+        this.panX += dx;
+        this.panY += dy;
+        this.clampPan();
+        this.applyView();
+    }
+
+    /**
+     * Back to the whole picture at 1:1 with the layout
+     */
+    resetView() {
+        this.zoom = 1;
+        this.panX = 0;
+        this.panY = 0;
+        this.applyView();
+    }
+
+    /**
+     * Keep the zoomed canvas covering its box
+     */
+    clampPan() {
+        const { width, height } = this.getViewSize();
+        this.panX = Math.max(width * (1 - this.zoom), Math.min(0, this.panX));
+        this.panY = Math.max(height * (1 - this.zoom), Math.min(0, this.panY));
+    }
+
+    /**
+     * Laid-out size of the canvases before zooming
+     */
+    getViewSize() {
+        const canvas = this.resultCanvas || this.originalCanvas;
+        if (!canvas) return { width: 0, height: 0 };
+        
+        return {
+            width: canvas.offsetWidth || canvas.width,
+            height: canvas.offsetHeight || canvas.height
+        };
+    }
+    
+    // ===== POINTER METHODS =====
+
+    /**
+     * Wheel zooms about the pointer
+     * At 1x the wheel scrolls the page unless Ctrl or Cmd is held (trackpad
+     * pinches arrive with Ctrl); once zoomed in it zooms until back at 1x.
+     */
+    handleWheel(e) {
+        if (this.zoom <= 1 && !e.ctrlKey && !e.metaKey) return;
+        
+        e.preventDefault();
+        const point = this.getBoxPoint(e, e.currentTarget);
+        this.zoomAt(Math.exp(-e.deltaY * 0.0015), point.x, point.y);
+    }
+
+    /**
+     * Start panning a canvas or dragging the wipe divider
+     */
+    startDrag(e, type) {
+        if (e.button !== 0) return;
+        if (type === 'pan' && this.zoom <= 1) return;
+        
+        e.preventDefault();
+        this.drag = { type, x: e.clientX, y: e.clientY, panX: this.panX, panY: this.panY };
+        if (type === 'wipe') {
+            this.moveDrag(e);
+        }
+    }
+
+    /**
+     * Follow the pointer while dragging
+     */
+    moveDrag(e) {
+        if (!this.drag) return;
+        
+        if (this.drag.type === 'wipe') {
+            const rect = this.stage.getBoundingClientRect();
+            this.setSplit(rect.width > 0 ? (e.clientX - rect.left) / rect.width : 0.5);
+        } else {
+            this.panX = this.drag.panX + e.clientX - this.drag.x;
+            this.panY = this.drag.panY + e.clientY - this.drag.y;
+            this.clampPan();
+            this.applyView();
+        }
+    }
+
+    /**
+     * Pointer position relative to the canvas box before its zoom transform
+     */
+    getBoxPoint(e, canvas) {
+        const rect = canvas.parentElement.getBoundingClientRect();
+        return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    }
+    
+    // ===== RENDERING METHODS =====
+
+    /**
+     * CSS transform shared by every canvas
+     */
+    getViewTransform() {
+        if (this.zoom === 1 && this.panX === 0 && this.panY === 0) return '';
+        return `translate(${this.panX}px, ${this.panY}px) scale(${this.zoom})`;
+    }
+
+    /**
+     * Clip on the sketch pane so the photo shows left of the divider
+     */
+    getWipeClip() {
+        return `inset(0 0 0 ${(this.split * 100).toFixed(2)}%)`;
+    }
+
+    /**
+     * Current mode, wipe, opacity and view
+     */
+    getState() {
+        return {
+            mode: this.mode,
+            split: this.split,
+            opacity: this.opacity,
+            zoom: this.zoom,
+            panX: this.panX,
+            panY: this.panY
+        };
+    }
+
+    /**
+     * Push the current state to the canvases and stage
+     */
+    applyView() {
+        const transform = this.getViewTransform();
+        this.getViewCanvases().forEach(canvas => {
+            if (!canvas.style) return;
+            canvas.style.transformOrigin = '0 0';
+            canvas.style.transform = transform;
+            canvas.style.cursor = this.zoom > 1 ? 'grab' : '';
+        });
+        
+        if (this.panes) {
+            this.panes.result.style.clipPath = this.mode === 'wipe' ? this.getWipeClip() : '';
+            this.panes.result.style.opacity = this.mode === 'onion-skin' ? String(this.opacity) : '';
+            this.panes.divider.style.display = this.mode === 'wipe' ? '' : 'none';
+            this.panes.divider.style.left = `${this.split * 100}%`;
+            this.panes.divider.setAttribute('aria-valuenow', Math.round(this.split * 100));
+        }
+        
+        this.onChange(this.getState());
+    }
+
+    /**
+     * Move the photo and sketch canvases onto the stage, remembering where they were
+     */
+    mountCanvases() {
+        [[this.originalCanvas, this.panes.original], [this.resultCanvas, this.panes.result]].forEach(([canvas, pane]) => {
+            if (!canvas) return;
+            this.homes.set(canvas, { parent: canvas.parentNode, next: canvas.nextSibling });
+            pane.appendChild(canvas);
+        });
+    }
+
+    /**
+     * Put the canvases back in their side-by-side places
+     */
+    restoreCanvases() {
+        this.homes.forEach(({ parent, next }, canvas) => {
+            parent.insertBefore(canvas, next);
+        });
+        this.homes.clear();
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ComparisonView;
+} else {
+    window.ComparisonView = ComparisonView;
+}
\ No newline at end of file
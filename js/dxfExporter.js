@@ -0,0 +1,506 @@
+/**
+ * DXF Exporter Module
+ * Writes vectorized sketch strokes as ASCII DXF for CAD handoff: LINE entities
+ * for straight strokes and polylines for everything else, on one layer per
+ * stroke context, optionally scaled to real-world units
+ */
+
+class DXFExporter {
+    constructor(options = {}) {
+        // 'R2000' writes LWPOLYLINE; 'R12' writes POLYLINE/VERTEX for older tools
+        this.version = options.version || 'R2000';
+        this.precision = options.precision !== undefined ? options.precision : 4;
+        
+        // Curves are flattened into segments about this long (pixels), at most maxCurveSegments each
+        this.flattenStep = options.flattenStep || 4;
+        this.maxCurveSegments = options.maxCurveSegments || 8;
+        
+        // Layers per stroke context from HandDrawnEffects.classifyStrokesByContext
+        // Colors are AutoCAD Color Index values
+        this.contextLayers = {
+            structure: { name: 'STRUCTURE', color: 7 },
+            ceiling: { name: 'CEILING', color: 4 },
+            floor: { name: 'FLOOR', color: 3 },
+            furniture: { name: 'FURNITURE', color: 1 },
+            shading: { name: 'SHADING', color: 9 },
+            materials: { name: 'MATERIALS', color: 30 },
+            general: { name: 'DETAIL', color: 8 }
+        };
+        
+        // $INSUNITS codes
+        this.unitCodes = {
+            unitless: 0,
+            in: 1,
+            ft: 2,
+            mm: 4,
+            cm: 5,
+            m: 6
+        };
+    }
+
+    /**
+     * Layer for a stroke context
+     */
+    getLayerForContext(context) {
+        return this.contextLayers[context] || this.contextLayers.general;
+    }
+
+    /**
+     * Build a DXF document from vector data
+     * vectorData is the structure produced by HandDrawnEffects.getVectorData.
+     * Options: scale (drawing units per pixel), units, version
+     */
+    createDXF(vectorData, options = {}) {
+        const {
+            scale = 1,
+            units = 'unitless',
+            version = this.version
+        } = options;
+        
+        if (!(scale > 0)) {
+            throw new Error('DXF scale must be a positive number');
+        }
+        if (!(units in this.unitCodes)) {
+            throw new Error(`Unsupported DXF units: ${units}`);
+        }
+        if (version !== 'R12' && version !== 'R2000') {
+            throw new Error(`Unsupported DXF version: ${version}`);
+        }
+        
+        const { height, strokes = [] } = vectorData;
+        
+        // Pixel space is y-down; CAD space is y-up
+        const transform = (point) => ({ x: point.x * scale, y: (height - point.y) * scale });
+        
+        const entities = [];
+        strokes.forEach(stroke => {
+            const points = this.getStrokePoints(stroke).map(transform);
+            if (points.length < 2) return;
+            
+            const layer = this.getLayerForContext(stroke.context).name;
+            if (points.length === 2 && !stroke.closed) {
+                entities.push({ type: 'line', layer, points });
+            } else {
+                entities.push({ type: 'polyline', layer, points, closed: !!stroke.closed });
+            }
+        });
+        
+        const extents = this.getExtents(entities, vectorData, scale);
+        const layers = this.getUsedLayers(entities);
+        
+        const drawing = { entities, layers, extents, insUnits: this.unitCodes[units] };
+        return version === 'R12' ? this.writeR12(drawing) : this.writeR2000(drawing);
+    }
+
+    /**
+     * Create a DXF Blob from vector data
+     */
+    createBlob(vectorData, options = {}) {
+        return new Blob([this.createDXF(vectorData, options)], { type: 'application/dxf' });
+    }
+
+    /**
+     * Polyline points for a stroke, flattening Bézier curves
+     */
+    getStrokePoints(stroke) {
+        const curves = stroke.beziers;
+        if (!curves || curves.length === 0) {
+            const points = (stroke.points || []).slice();
+            
+            // Closed point lists repeat their first point; DXF closes with a flag instead
+            if (stroke.closed && points.length > 2) {
+                const first = points[0];
+                const last = points[points.length - 1];
+                if (first.x === last.x && first.y === last.y) points.pop();
+            }
+            return points;
+        }
+        
+        const points = [{ x: curves[0].x0, y: curves[0].y0 }];
+        curves.forEach(curve => {
+            // Straight spans need no intermediate vertices
+            const length = Math.hypot(curve.x - curve.x0, curve.y - curve.y0);
+            const steps = this.isStraightCurve(curve) ? 1 :
+                Math.max(2, Math.min(this.maxCurveSegments, Math.ceil(length / this.flattenStep)));
+            
+            for (let i = 1; i <= steps; i++) {
+                points.push(this.evaluateBezier(curve, i / steps));
+            }
+        });
+        
+        if (stroke.closed && points.length > 2) {
+            points.pop();
+        }
+        
+        return points;
+    }
+
+    /**
+     * Whether a cubic's control points lie on its chord
+     */
+    isStraightCurve(curve) {
+        const dx = curve.x - curve.x0;
+        const dy = curve.y - curve.y0;
+        const length = Math.hypot(dx, dy);
+        if (length === 0) return true;
+        
+        const distance = (x, y) => Math.abs((x - curve.x0) * dy - (y - curve.y0) * dx) / length;
+        return distance(curve.cp1x, curve.cp1y) < 0.01 && distance(curve.cp2x, curve.cp2y) < 0.01;
+    }
+
+    /**
+     * Point on a cubic Bézier at parameter t
+     */
+    evaluateBezier(curve, t) {
+        const mt = 1 - t;
+        const a = mt * mt * mt;
+        const b = 3 * mt * mt * t;
+        const c = 3 * mt * t * t;
+        const d = t * t * t;
+        
+        return {
+            x: a * curve.x0 + b * curve.cp1x + c * curve.cp2x + d * curve.x,
+            y: a * curve.y0 + b * curve.cp1y + c * curve.cp2y + d * curve.y
+        };
+    }
+
+    /**
+     * Drawing extents in output units
+     */
+    getExtents(entities, vectorData, scale) {
+        if (entities.length === 0) {
+            return { minX: 0, minY: 0, maxX: vectorData.width * scale, maxY: vectorData.height * scale };
+        }
+        
+        const extents = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+        entities.forEach(entity => {
+            entity.points.forEach(point => {
+                extents.minX = Math.min(extents.minX, point.x);
+                extents.minY = Math.min(extents.minY, point.y);
+                extents.maxX = Math.max(extents.maxX, point.x);
+                extents.maxY = Math.max(extents.maxY, point.y);
+            });
+        });
+        
+        return extents;
+    }
+
+    /**
+     * Layer definitions referenced by the entities, in context order
+     */
+    getUsedLayers(entities) {
+        const used = new Set(entities.map(entity => entity.layer));
+        const layers = [];
+        
+        Object.values(this.contextLayers).forEach(layer => {
+            if (used.has(layer.name) && !layers.includes(layer)) {
+                layers.push(layer);
+            }
+        });
+        
+        return layers;
+    }
+
+    /**
+     * Group code / value writer
+     * Returns { pair, point, lines }; point writes a 10/20/30 triple shifted by codeOffset.
+     */
+    createOutput() {
+        const lines = [];
+        const pair = (code, value) => {
+            lines.push(String(code), String(value));
+        };
+        const point = (x, y, codeOffset = 0) => {
+            pair(10 + codeOffset, this.num(x));
+            pair(20 + codeOffset, this.num(y));
+            pair(30 + codeOffset, 0);
+        };
+        
+        return { pair, point, lines };
+    }
+
+    /**
+     * AutoCAD R12 (AC1009): no handles, polylines as POLYLINE/VERTEX/SEQEND
+     */
+    writeR12({ entities, layers, extents }) {
+        const { pair, point, lines } = this.createOutput();
+        
+        pair(0, 'SECTION');
+        pair(2, 'HEADER');
+        pair(9, '$ACADVER');
+        pair(1, 'AC1009');
+        pair(9, '$EXTMIN');
+        point(extents.minX, extents.minY);
+        pair(9, '$EXTMAX');
+        point(extents.maxX, extents.maxY);
+        pair(0, 'ENDSEC');
+        
+        pair(0, 'SECTION');
+        pair(2, 'TABLES');
+        
+        pair(0, 'TABLE');
+        pair(2, 'LTYPE');
+        pair(70, 1);
+        pair(0, 'LTYPE');
+        pair(2, 'CONTINUOUS');
+        pair(70, 0);
+        pair(3, 'Solid line');
+        pair(72, 65);
+        pair(73, 0);
+        pair(40, 0);
+        pair(0, 'ENDTAB');
+        
+        pair(0, 'TABLE');
+        pair(2, 'LAYER');
+        pair(70, layers.length + 1);
+        [{ name: '0', color: 7 }].concat(layers).forEach(layer => {
+            pair(0, 'LAYER');
+            pair(2, layer.name);
+            pair(70, 0);
+            pair(62, layer.color);
+            pair(6, 'CONTINUOUS');
+        });
+        pair(0, 'ENDTAB');
+        
+        pair(0, 'ENDSEC');
+        
+        pair(0, 'SECTION');
+        pair(2, 'ENTITIES');
+        entities.forEach(entity => {
+            if (entity.type === 'line') {
+                pair(0, 'LINE');
+                pair(8, entity.layer);
+                point(entity.points[0].x, entity.points[0].y);
+                point(entity.points[1].x, entity.points[1].y, 1);
+                return;
+            }
+            
+            pair(0, 'POLYLINE');
+            pair(8, entity.layer);
+            pair(66, 1);
+            point(0, 0);
+            pair(70, entity.closed ? 1 : 0);
+            entity.points.forEach(vertex => {
+                pair(0, 'VERTEX');
+                pair(8, entity.layer);
+                point(vertex.x, vertex.y);
+            });
+            pair(0, 'SEQEND');
+            pair(8, entity.layer);
+        });
+        pair(0, 'ENDSEC');
+        
+        pair(0, 'EOF');
+        return `${lines.join('\r\n')}\r\n`;
+    }
+
+    /**
+     * AutoCAD R2000 (AC1015) with LWPOLYLINE entities
+     * Includes the handles, owner pointers, symbol tables, block records and
+     * root dictionary that AutoCAD insists on for R13 and later files.
+     */
+    writeR2000({ entities, layers, extents, insUnits }) {
+        const { pair, point, lines } = this.createOutput();
+        let nextHandle = 1;
+        const handle = () => (nextHandle++).toString(16).toUpperCase();
+        
+        // Owners are referenced before they are written, so reserve their handles first
+        const tableNames = ['VPORT', 'LTYPE', 'LAYER', 'STYLE', 'VIEW', 'UCS', 'APPID', 'DIMSTYLE', 'BLOCK_RECORD'];
+        const tables = {};
+        tableNames.forEach(name => {
+            tables[name] = handle();
+        });
+        const blockRecords = [['*Model_Space', handle()], ['*Paper_Space', handle()]];
+        const modelSpace = blockRecords[0][1];
+        const rootDictionary = handle();
+        const groupDictionary = handle();
+        
+        const beginTable = (name, count) => {
+            pair(0, 'TABLE');
+            pair(2, name);
+            pair(5, tables[name]);
+            pair(330, 0);
+            pair(100, 'AcDbSymbolTable');
+            pair(70, count);
+            if (name === 'DIMSTYLE') pair(100, 'AcDbDimStyleTable');
+        };
+        const beginRecord = (type, subclass, recordHandle = handle()) => {
+            pair(0, type);
+            pair(type === 'DIMSTYLE' ? 105 : 5, recordHandle);
+            pair(330, tables[type]);
+            pair(100, 'AcDbSymbolTableRecord');
+            pair(100, subclass);
+        };
+        
+        pair(0, 'SECTION');
+        pair(2, 'TABLES');
+        
+        beginTable('VPORT', 0);
+        pair(0, 'ENDTAB');
+        
+        beginTable('LTYPE', 3);
+        [['ByBlock', ''], ['ByLayer', ''], ['Continuous', 'Solid line']].forEach(([name, description]) => {
+            beginRecord('LTYPE', 'AcDbLinetypeTableRecord');
+            pair(2, name);
+            pair(70, 0);
+            pair(3, description);
+            pair(72, 65);
+            pair(73, 0);
+            pair(40, 0);
+        });
+        pair(0, 'ENDTAB');
+        
+        beginTable('LAYER', layers.length + 1);
+        [{ name: '0', color: 7 }].concat(layers).forEach(layer => {
+            beginRecord('LAYER', 'AcDbLayerTableRecord');
+            pair(2, layer.name);
+            pair(70, 0);
+            pair(62, layer.color);
+            pair(6, 'Continuous');
+        });
+        pair(0, 'ENDTAB');
+        
+        beginTable('STYLE', 1);
+        beginRecord('STYLE', 'AcDbTextStyleTableRecord');
+        pair(2, 'Standard');
+        pair(70, 0);
+        pair(40, 0);
+        pair(41, 1);
+        pair(50, 0);
+        pair(71, 0);
+        pair(42, 2.5);
+        pair(3, 'txt');
+        pair(4, '');
+        pair(0, 'ENDTAB');
+        
+        beginTable('VIEW', 0);
+        pair(0, 'ENDTAB');
+        
+        beginTable('UCS', 0);
+        pair(0, 'ENDTAB');
+        
+        beginTable('APPID', 1);
+        beginRecord('APPID', 'AcDbRegAppTableRecord');
+        pair(2, 'ACAD');
+        pair(70, 0);
+        pair(0, 'ENDTAB');
+        
+        beginTable('DIMSTYLE', 1);
+        beginRecord('DIMSTYLE', 'AcDbDimStyleTableRecord');
+        pair(2, 'Standard');
+        pair(70, 0);
+        pair(0, 'ENDTAB');
+        
+        beginTable('BLOCK_RECORD', blockRecords.length);
+        blockRecords.forEach(([name, recordHandle]) => {
+            beginRecord('BLOCK_RECORD', 'AcDbBlockTableRecord', recordHandle);
+            pair(2, name);
+        });
+        pair(0, 'ENDTAB');
+        
+        pair(0, 'ENDSEC');
+        
+        pair(0, 'SECTION');
+        pair(2, 'BLOCKS');
+        blockRecords.forEach(([name, owner]) => {
+            pair(0, 'BLOCK');
+            pair(5, handle());
+            pair(330, owner);
+            pair(100, 'AcDbEntity');
+            pair(8, '0');
+            pair(100, 'AcDbBlockBegin');
+            pair(2, name);
+            pair(70, 0);
+            point(0, 0);
+            pair(3, name);
+            pair(1, '');
+            
+            pair(0, 'ENDBLK');
+            pair(5, handle());
+            pair(330, owner);
+            pair(100, 'AcDbEntity');
+            pair(8, '0');
+            pair(100, 'AcDbBlockEnd');
+        });
+        pair(0, 'ENDSEC');
+        
+        pair(0, 'SECTION');
+        pair(2, 'ENTITIES');
+        entities.forEach(entity => {
+            pair(0, entity.type === 'line' ? 'LINE' : 'LWPOLYLINE');
+            pair(5, handle());
+            pair(330, modelSpace);
+            pair(100, 'AcDbEntity');
+            pair(8, entity.layer);
+            
+            if (entity.type === 'line') {
+                pair(100, 'AcDbLine');
+                point(entity.points[0].x, entity.points[0].y);
+                point(entity.points[1].x, entity.points[1].y, 1);
+                return;
+            }
+            
+            pair(100, 'AcDbPolyline');
+            pair(90, entity.points.length);
+            pair(70, entity.closed ? 1 : 0);
+            pair(43, 0);
+            entity.points.forEach(vertex => {
+                pair(10, this.num(vertex.x));
+                pair(20, this.num(vertex.y));
+            });
+        });
+        pair(0, 'ENDSEC');
+        
+        pair(0, 'SECTION');
+        pair(2, 'OBJECTS');
+        pair(0, 'DICTIONARY');
+        pair(5, rootDictionary);
+        pair(330, 0);
+        pair(100, 'AcDbDictionary');
+        pair(281, 1);
+        pair(3, 'ACAD_GROUP');
+        pair(350, groupDictionary);
+        pair(0, 'DICTIONARY');
+        pair(5, groupDictionary);
+        pair(330, rootDictionary);
+        pair(100, 'AcDbDictionary');
+        pair(281, 1);
+        pair(0, 'ENDSEC');
+        pair(0, 'EOF');
+        
+        // The header is written last so $HANDSEED can exceed every handle used
+        const header = this.createOutput();
+        header.pair(0, 'SECTION');
+        header.pair(2, 'HEADER');
+        header.pair(9, '$ACADVER');
+        header.pair(1, 'AC1015');
+        header.pair(9, '$HANDSEED');
+        header.pair(5, handle());
+        header.pair(9, '$INSUNITS');
+        header.pair(70, insUnits);
+        header.pair(9, '$EXTMIN');
+        header.point(extents.minX, extents.minY);
+        header.pair(9, '$EXTMAX');
+        header.point(extents.maxX, extents.maxY);
+        header.pair(0, 'ENDSEC');
+        header.pair(0, 'SECTION');
+        header.pair(2, 'CLASSES');
+        header.pair(0, 'ENDSEC');
+        
+        return `${header.lines.concat(lines).join('\r\n')}\r\n`;
+    }
+
+    /**
+     * Format a coordinate
+     */
+    num(value) {
+        return Number(value.toFixed(this.precision)).toString();
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DXFExporter;
+} else {
+    window.DXFExporter = DXFExporter;
+}
\ No newline at end of file
@@ -89,17 +89,490 @@ class EdgeDetection {
         const {
             threshold = 30,
             blur = true,
-            thinning = true
+            thinning = true,
+            method = 'canny',
+            sigma = 1.4,
+            detectLines = false,
+            lineOptions = {}
         } = settings;
         
-        // Get edges using Sobel
-        let edges = this.detectEdges(imageData, threshold);
+        let edges;
+        if (method === 'sobel') {
+            // Single-threshold Sobel (legacy behaviour)
+            edges = this.detectEdges(imageData, threshold);
+        } else {
+            // Canny with hysteresis; the threshold slider drives the strong edge level
+            edges = this.detectCannyEdges(imageData, {
+                sigma: blur ? sigma : 0,
+                low: threshold * 0.4,
+                high: threshold
+            });
+        }
         
         // Apply morphological thinning if requested
         if (thinning) {
             edges = this.morphologicalThinning(edges);
         }
         
+        // Attach straight segments so they travel with the edge data through the pipeline
+        if (detectLines) {
+            edges.lineSegments = this.detectLineSegments(edges, lineOptions);
+        }
+        
+        return edges;
+    }
+
+    /**
+     * Detect straight line segments in a black-on-white edge image
+     * Progressive Hough transform: each accepted line consumes its pixels so
+     * they cannot vote again, then collinear pieces are merged across gaps.
+     * Returns [{x1, y1, x2, y2, strength}] where strength is pixel coverage (0-1).
+     */
+    detectLineSegments(edgeData, options = {}) {
+        const {
+            thetaSteps = 180,
+            voteThreshold = 30,
+            minLength = 25,
+            maxGap = 4,
+            maxLines = 400,
+            angleTolerance = 3,
+            distanceTolerance = 2,
+            mergeGap = 12
+        } = options;
+        
+        const width = edgeData.width;
+        const height = edgeData.height;
+        const src = edgeData.data;
+        
+        // Collect edge pixels into a mask
+        const mask = new Uint8Array(width * height);
+        const points = [];
+        for (let i = 0, p = 0; i < src.length; i += 4, p++) {
+            if (src[i] < 128) {
+                mask[p] = 1;
+                points.push(p);
+            }
+        }
+        
+        if (points.length === 0) return [];
+        
+        // Precompute trig tables
+        const cosTable = new Float32Array(thetaSteps);
+        const sinTable = new Float32Array(thetaSteps);
+        for (let t = 0; t < thetaSteps; t++) {
+            const theta = (t * Math.PI) / thetaSteps;
+            cosTable[t] = Math.cos(theta);
+            sinTable[t] = Math.sin(theta);
+        }
+        
+        const maxRho = Math.ceil(Math.sqrt(width * width + height * height));
+        const rhoSize = maxRho * 2 + 1;
+        const accumulator = new Int32Array(thetaSteps * rhoSize);
+        
+        const vote = (p, delta) => {
+            const x = p % width;
+            const y = (p - x) / width;
+            for (let t = 0; t < thetaSteps; t++) {
+                const rho = Math.round(x * cosTable[t] + y * sinTable[t]) + maxRho;
+                accumulator[t * rhoSize + rho] += delta;
+            }
+        };
+        
+        points.forEach(p => vote(p, 1));
+        
+        // Candidate peaks: local maxima above the vote threshold, strongest first
+        const peaks = [];
+        for (let t = 0; t < thetaSteps; t++) {
+            for (let r = 1; r < rhoSize - 1; r++) {
+                const idx = t * rhoSize + r;
+                const votes = accumulator[idx];
+                if (votes < voteThreshold) continue;
+                if (votes >= accumulator[idx - 1] && votes >= accumulator[idx + 1]) {
+                    peaks.push({ t, r, votes });
+                }
+            }
+        }
+        peaks.sort((a, b) => b.votes - a.votes);
+        
+        const segments = [];
+        
+        for (const peak of peaks) {
+            if (segments.length >= maxLines) break;
+            
+            // Earlier lines may have consumed this peak's support
+            if (accumulator[peak.t * rhoSize + peak.r] < voteThreshold) continue;
+            
+            const found = this.traceHoughLine(
+                mask, width, height,
+                cosTable[peak.t], sinTable[peak.t], peak.r - maxRho,
+                minLength, maxGap
+            );
+            
+            found.forEach(segment => {
+                segment.pixels.forEach(p => {
+                    if (mask[p]) {
+                        mask[p] = 0;
+                        vote(p, -1);
+                    }
+                });
+                delete segment.pixels;
+                segments.push(segment);
+            });
+        }
+        
+        return this.mergeCollinearSegments(segments, {
+            angleTolerance,
+            distanceTolerance,
+            maxGap: mergeGap
+        });
+    }
+
+    /**
+     * Walk along a Hough line and split it into supported runs
+     */
+    traceHoughLine(mask, width, height, cos, sin, rho, minLength, maxGap) {
+        // Point on the line closest to the origin, and the line direction
+        const x0 = rho * cos;
+        const y0 = rho * sin;
+        const dx = -sin;
+        const dy = cos;
+        
+        // Parameter range that keeps the walk inside the image
+        const limit = Math.ceil(Math.sqrt(width * width + height * height));
+        const segments = [];
+        let run = null;
+        let gap = 0;
+        
+        const closeRun = () => {
+            if (run && run.pixels.length > 1) {
+                const length = Math.hypot(run.x2 - run.x1, run.y2 - run.y1);
+                if (length >= minLength) {
+                    segments.push({
+                        x1: run.x1,
+                        y1: run.y1,
+                        x2: run.x2,
+                        y2: run.y2,
+                        strength: Math.min(1, run.pixels.length / (length + 1)),
+                        pixels: run.pixels
+                    });
+                }
+            }
+            run = null;
+            gap = 0;
+        };
+        
+        for (let s = -limit; s <= limit; s++) {
+            const fx = x0 + dx * s;
+            const fy = y0 + dy * s;
+            const x = Math.round(fx);
+            const y = Math.round(fy);
+            
+            if (x < 0 || x >= width || y < 0 || y >= height) {
+                if (run) closeRun();
+                continue;
+            }
+            
+            // Accept a pixel on the line or one step either side of it
+            let hit = -1;
+            for (const offset of [0, -1, 1]) {
+                const px = Math.round(fx + cos * offset);
+                const py = Math.round(fy + sin * offset);
+                if (px < 0 || px >= width || py < 0 || py >= height) continue;
+                const p = py * width + px;
+                if (mask[p]) {
+                    hit = p;
+                    break;
+                }
+            }
+            
+            if (hit >= 0) {
+                if (!run) {
+                    run = { x1: x, y1: y, x2: x, y2: y, pixels: [] };
+                }
+                run.x2 = x;
+                run.y2 = y;
+                run.pixels.push(hit);
+                gap = 0;
+            } else if (run) {
+                gap++;
+                if (gap > maxGap) closeRun();
+            }
+        }
+        
+        closeRun();
+        return segments;
+    }
+
+    /**
+     * Merge collinear segments and bridge small gaps between them
+     */
+    mergeCollinearSegments(segments, options = {}) {
+        const {
+            angleTolerance = 3,
+            distanceTolerance = 2,
+            maxGap = 12
+        } = options;
+        
+        const angleOf = (seg) => {
+            let angle = Math.atan2(seg.y2 - seg.y1, seg.x2 - seg.x1) * 180 / Math.PI;
+            if (angle < 0) angle += 180;
+            if (angle >= 180) angle -= 180;
+            return angle;
+        };
+        
+        const lengthOf = (seg) => Math.hypot(seg.x2 - seg.x1, seg.y2 - seg.y1);
+        
+        // Longest first so short pieces fold into the dominant line
+        let pending = segments.slice().sort((a, b) => lengthOf(b) - lengthOf(a));
+        let merged = true;
+        
+        while (merged) {
+            merged = false;
+            const result = [];
+            
+            while (pending.length > 0) {
+                let base = pending.shift();
+                
+                for (let i = 0; i < pending.length; i++) {
+                    const other = pending[i];
+                    const candidate = this.tryMergeSegments(base, other, angleOf, lengthOf, angleTolerance, distanceTolerance, maxGap);
+                    if (candidate) {
+                        base = candidate;
+                        pending.splice(i, 1);
+                        i--;
+                        merged = true;
+                    }
+                }
+                
+                result.push(base);
+            }
+            
+            pending = result;
+        }
+        
+        return pending;
+    }
+
+    /**
+     * Merge two segments if they are collinear and close, otherwise null
+     */
+    tryMergeSegments(a, b, angleOf, lengthOf, angleTolerance, distanceTolerance, maxGap) {
+        let angleDiff = Math.abs(angleOf(a) - angleOf(b));
+        angleDiff = Math.min(angleDiff, 180 - angleDiff);
+        if (angleDiff > angleTolerance) return null;
+        
+        const lengthA = lengthOf(a);
+        if (lengthA === 0) return null;
+        
+        // Unit direction and normal of the longer segment
+        const ux = (a.x2 - a.x1) / lengthA;
+        const uy = (a.y2 - a.y1) / lengthA;
+        
+        // Perpendicular distance of b's endpoints from a's line
+        const dist1 = Math.abs((b.x1 - a.x1) * uy - (b.y1 - a.y1) * ux);
+        const dist2 = Math.abs((b.x2 - a.x1) * uy - (b.y2 - a.y1) * ux);
+        if (Math.max(dist1, dist2) > distanceTolerance) return null;
+        
+        // Projections along a's direction
+        const tb1 = (b.x1 - a.x1) * ux + (b.y1 - a.y1) * uy;
+        const tb2 = (b.x2 - a.x1) * ux + (b.y2 - a.y1) * uy;
+        const bMin = Math.min(tb1, tb2);
+        const bMax = Math.max(tb1, tb2);
+        
+        // Gap between the two intervals [0, lengthA] and [bMin, bMax]
+        const gap = Math.max(0, bMin - lengthA, -bMax);
+        if (gap > maxGap) return null;
+        
+        const tMin = Math.min(0, bMin);
+        const tMax = Math.max(lengthA, bMax);
+        const lengthB = lengthOf(b);
+        
+        // Overlapping pieces would count their shared pixels twice
+        return {
+            x1: a.x1 + ux * tMin,
+            y1: a.y1 + uy * tMin,
+            x2: a.x1 + ux * tMax,
+            y2: a.y1 + uy * tMax,
+            strength: Math.min(1, (a.strength * lengthA + b.strength * lengthB) / (tMax - tMin))
+        };
+    }
+
+    /**
+     * Full Canny edge detection
+     * Gaussian smoothing, Sobel gradients, non-maximum suppression and
+     * double-threshold hysteresis linking. Thresholds are gradient magnitudes.
+     */
+    detectCannyEdges(imageData, options = {}) {
+        const {
+            sigma = 1.4,
+            low = 12,
+            high = 30
+        } = options;
+        
+        const width = imageData.width;
+        const height = imageData.height;
+        
+        let gray = this.toLuminance(imageData);
+        if (sigma > 0) {
+            gray = this.gaussianSmooth(gray, width, height, sigma);
+        }
+        
+        const { magnitudes, directions } = this.computeGradients(gray, width, height);
+        const suppressed = this.nonMaximumSuppression(magnitudes, directions, width, height);
+        const mask = this.hysteresisThreshold(suppressed, width, height, Math.min(low, high), high);
+        
+        return this.maskToImageData(mask, width, height);
+    }
+
+    /**
+     * Convert RGBA image data to a luminance buffer
+     */
+    toLuminance(imageData) {
+        const src = imageData.data;
+        const gray = new Float32Array(imageData.width * imageData.height);
+        
+        for (let i = 0, p = 0; i < src.length; i += 4, p++) {
+            gray[p] = 0.299 * src[i] + 0.587 * src[i + 1] + 0.114 * src[i + 2];
+        }
+        
+        return gray;
+    }
+
+    /**
+     * Separable Gaussian blur on a single-channel buffer
+     */
+    gaussianSmooth(gray, width, height, sigma) {
+        const radius = Math.max(1, Math.ceil(sigma * 3));
+        const kernel = new Float32Array(radius * 2 + 1);
+        let sum = 0;
+        
+        for (let i = -radius; i <= radius; i++) {
+            const value = Math.exp(-(i * i) / (2 * sigma * sigma));
+            kernel[i + radius] = value;
+            sum += value;
+        }
+        for (let i = 0; i < kernel.length; i++) {
+            kernel[i] /= sum;
+        }
+        
+        const temp = new Float32Array(width * height);
+        const result = new Float32Array(width * height);
+        
+        // Horizontal pass (clamped borders)
+        for (let y = 0; y < height; y++) {
+            const row = y * width;
+            for (let x = 0; x < width; x++) {
+                let acc = 0;
+                for (let k = -radius; k <= radius; k++) {
+                    const px = Math.min(Math.max(x + k, 0), width - 1);
+                    acc += gray[row + px] * kernel[k + radius];
+                }
+                temp[row + x] = acc;
+            }
+        }
+        
+        // Vertical pass
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                let acc = 0;
+                for (let k = -radius; k <= radius; k++) {
+                    const py = Math.min(Math.max(y + k, 0), height - 1);
+                    acc += temp[py * width + x] * kernel[k + radius];
+                }
+                result[y * width + x] = acc;
+            }
+        }
+        
+        return result;
+    }
+
+    /**
+     * Sobel gradient magnitude and direction for a single-channel buffer
+     * Directions are in degrees with the y axis pointing up, which is the
+     * convention nonMaximumSuppression expects.
+     */
+    computeGradients(gray, width, height) {
+        const magnitudes = new Float32Array(width * height);
+        const directions = new Float32Array(width * height);
+        
+        for (let y = 1; y < height - 1; y++) {
+            for (let x = 1; x < width - 1; x++) {
+                let gx = 0;
+                let gy = 0;
+                
+                for (let ky = -1; ky <= 1; ky++) {
+                    for (let kx = -1; kx <= 1; kx++) {
+                        const pixel = gray[(y + ky) * width + (x + kx)];
+                        gx += pixel * this.sobelX[ky + 1][kx + 1];
+                        gy += pixel * this.sobelY[ky + 1][kx + 1];
+                    }
+                }
+                
+                const idx = y * width + x;
+                magnitudes[idx] = Math.sqrt(gx * gx + gy * gy);
+                directions[idx] = Math.atan2(-gy, gx) * 180 / Math.PI;
+            }
+        }
+        
+        return { magnitudes, directions };
+    }
+
+    /**
+     * Double-threshold hysteresis
+     * Strong pixels seed edges; weak pixels survive only when 8-connected to a strong one.
+     */
+    hysteresisThreshold(magnitudes, width, height, low, high) {
+        const mask = new Uint8Array(width * height);
+        const stack = [];
+        
+        for (let i = 0; i < magnitudes.length; i++) {
+            if (magnitudes[i] >= high) {
+                mask[i] = 1;
+                stack.push(i);
+            }
+        }
+        
+        while (stack.length > 0) {
+            const idx = stack.pop();
+            const x = idx % width;
+            const y = (idx - x) / width;
+            
+            for (let dy = -1; dy <= 1; dy++) {
+                const ny = y + dy;
+                if (ny < 0 || ny >= height) continue;
+                
+                for (let dx = -1; dx <= 1; dx++) {
+                    const nx = x + dx;
+                    if ((dx === 0 && dy === 0) || nx < 0 || nx >= width) continue;
+                    
+                    const nIdx = ny * width + nx;
+                    if (!mask[nIdx] && magnitudes[nIdx] >= low) {
+                        mask[nIdx] = 1;
+                        stack.push(nIdx);
+                    }
+                }
+            }
+        }
+        
+        return mask;
+    }
+
+    /**
+     * Render a binary edge mask as black-on-white image data
+     */
+    maskToImageData(mask, width, height) {
+        const edges = new ImageData(width, height);
+        const dst = edges.data;
+        
+        for (let i = 0; i < mask.length; i++) {
+            const value = mask[i] ? 0 : 255;
+            const idx = i * 4;
+            dst[idx] = value;
+            dst[idx + 1] = value;
+            dst[idx + 2] = value;
+            dst[idx + 3] = 255;
+        }
+        
         return edges;
     }
 
@@ -259,4 +732,11 @@ class EdgeDetection {
         
         return suppressed;
     }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EdgeDetection;
+} else {
+    window.EdgeDetection = EdgeDetection;
 }
\ No newline at end of file
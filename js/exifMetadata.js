@@ -0,0 +1,775 @@
+/**
+ * EXIF Metadata Module
+ * Reads camera metadata (orientation, capture date, camera, exposure, GPS and
+ * the ICC color profile) from JPEG and PNG files, turns sideways phone photos
+ * upright, and writes the metadata back into exported JPEG and PNG files,
+ * optionally without the location
+ */
+
+class ExifMetadata {
+    constructor(options = {}) {
+        // Only the start of a file is read; EXIF and ICC data sit before the pixels
+        this.maxHeaderBytes = options.maxHeaderBytes || 512 * 1024;
+        this.software = options.software || 'AI Interior Design Converter';
+        
+        // TIFF field types: byte size of one value
+        this.typeSizes = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+        
+        this.orientationSupport = null;
+        this.crcTable = null;
+    }
+
+    /**
+     * Metadata with nothing known
+     */
+    createEmptyMetadata() {
+        return {
+            format: null,
+            width: null,
+            height: null,
+            orientation: 1,
+            dateTaken: null,
+            make: null,
+            model: null,
+            lens: null,
+            software: null,
+            exposure: null,
+            gps: null,
+            colorSpace: null,
+            colorProfile: null
+        };
+    }
+    
+    // ===== READING METHODS =====
+
+    /**
+     * Metadata of an image file; unreadable files give empty metadata
+     */
+    async readFile(file) {
+        try {
+            const blob = file.size > this.maxHeaderBytes ? file.slice(0, this.maxHeaderBytes) : file;
+            return this.parse(await this.readArrayBuffer(blob));
+        } catch (error) {
+            console.warn('Failed to read photo metadata:', error);
+            return this.createEmptyMetadata();
+        }
+    }
+
+    /**
+     * Contents of a blob
+     */
+    readArrayBuffer(blob) {
+        if (blob.arrayBuffer) {
+            return blob.arrayBuffer();
+        }
+        
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(new Error('Failed to read file'));
+            reader.readAsArrayBuffer(blob);
+        });
+    }
+
+    /**
+     * Metadata from the bytes of a JPEG or PNG file
+     * dateTaken is local camera time as 'YYYY-MM-DDTHH:MM:SS'; gps is
+     * { latitude, longitude, altitude } in degrees and metres, or null.
+     */
+    parse(buffer) {
+        const view = new DataView(buffer);
+        const metadata = this.createEmptyMetadata();
+        
+        if (view.byteLength >= 2 && view.getUint16(0) === 0xFFD8) {
+            metadata.format = 'jpeg';
+            this.parseJPEG(view, metadata);
+        } else if (view.byteLength >= 8 && view.getUint32(0) === 0x89504E47 && view.getUint32(4) === 0x0D0A1A0A) {
+            metadata.format = 'png';
+            this.parsePNG(view, metadata);
+        }
+        
+        return metadata;
+    }
+
+    /**
+     * Walk JPEG segments up to the image data: Exif (APP1), ICC profile (APP2) and frame size (SOF)
+     */
+    parseJPEG(view, metadata) {
+        const iccChunks = [];
+        let offset = 2;
+        
+        while (offset + 4 <= view.byteLength) {
+            if (view.getUint8(offset) !== 0xFF) break;
+            
+            const marker = view.getUint8(offset + 1);
+            if (marker === 0xFF) {
+                offset++; // Fill byte
+                continue;
+            }
+            if (marker === 0xDA || marker === 0xD9) break; // Start of scan, end of image
+            
+            const length = view.getUint16(offset + 2);
+            const start = offset + 4;
+            const end = Math.min(view.byteLength, offset + 2 + length);
+            
+            if (marker === 0xE1 && this.readASCII(view, start, 6) === 'Exif\0\0') {
+                this.parseTiff(view, start + 6, end, metadata);
+            } else if (marker === 0xE2 && this.readASCII(view, start, 12) === 'ICC_PROFILE\0') {
+                iccChunks[view.getUint8(start + 12)] = new Uint8Array(view.buffer, view.byteOffset + start + 14, end - start - 14);
+            } else if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+                metadata.height = view.getUint16(start + 1);
+                metadata.width = view.getUint16(start + 3);
+            }
+            
+            offset += 2 + length;
+        }
+        
+        const chunks = iccChunks.filter(Boolean);
+        if (chunks.length > 0) {
+            const profile = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+            chunks.reduce((position, chunk) => {
+                profile.set(chunk, position);
+                return position + chunk.length;
+            }, 0);
+            metadata.colorProfile = this.parseICCDescription(profile);
+        }
+    }
+
+    /**
+     * Walk PNG chunks: size (IHDR), Exif (eXIf) and color profile (iCCP, sRGB)
+     */
+    parsePNG(view, metadata) {
+        let offset = 8;
+        
+        while (offset + 8 <= view.byteLength) {
+            const length = view.getUint32(offset);
+            const type = this.readASCII(view, offset + 4, 4);
+            const start = offset + 8;
+            const end = Math.min(view.byteLength, start + length);
+            
+            if (type === 'IHDR') {
+                metadata.width = view.getUint32(start);
+                metadata.height = view.getUint32(start + 4);
+            } else if (type === 'eXIf') {
+                this.parseTiff(view, start, end, metadata);
+            } else if (type === 'iCCP') {
+                // The chunk starts with the profile name
+                metadata.colorProfile = this.readASCII(view, start, Math.min(79, end - start)).split('\0')[0] || null;
+            } else if (type === 'sRGB') {
+                metadata.colorProfile = 'sRGB';
+            } else if (type === 'IEND') {
+                break;
+            }
+            
+            offset = start + length + 4;
+        }
+    }
+
+    /**
+     * Read the TIFF structure inside an Exif block into metadata
+     */
+    parseTiff(view, tiffStart, end, metadata) {
+        if (tiffStart + 8 > end) return;
+        
+        const byteOrder = view.getUint16(tiffStart);
+        if (byteOrder !== 0x4949 && byteOrder !== 0x4D4D) return;
+        const little = byteOrder === 0x4949;
+        
+        const tiff = { view, start: tiffStart, end, little };
+        const ifd0 = this.readIFD(tiff, view.getUint32(tiffStart + 4, little));
+        const exif = ifd0[0x8769] ? this.readIFD(tiff, ifd0[0x8769]) : {};
+        const gps = ifd0[0x8825] ? this.readIFD(tiff, ifd0[0x8825]) : {};
+        
+        if (ifd0[0x0112] >= 1 && ifd0[0x0112] <= 8) metadata.orientation = ifd0[0x0112];
+        metadata.make = this.cleanText(ifd0[0x010F]);
+        metadata.model = this.cleanText(ifd0[0x0110]);
+        metadata.software = this.cleanText(ifd0[0x0131]);
+        metadata.dateTaken = this.parseExifDate(exif[0x9003] || exif[0x9004] || ifd0[0x0132]);
+        metadata.lens = this.cleanText(exif[0xA434]);
+        
+        if (exif[0xA001] === 1) metadata.colorSpace = 'sRGB';
+        else if (exif[0xA001] === 0xFFFF) metadata.colorSpace = 'uncalibrated';
+        
+        const exposure = {
+            exposureTime: typeof exif[0x829A] === 'number' ? exif[0x829A] : null,
+            fNumber: typeof exif[0x829D] === 'number' ? exif[0x829D] : null,
+            iso: typeof exif[0x8827] === 'number' ? exif[0x8827] : null,
+            focalLength: typeof exif[0x920A] === 'number' ? exif[0x920A] : null
+        };
+        metadata.exposure = Object.values(exposure).some(value => value !== null) ? exposure : null;
+        
+        metadata.gps = this.parseGPS(gps);
+    }
+
+    /**
+     * Entries of one IFD as { tag: value }
+     */
+    readIFD(tiff, offset) {
+        const { view, start, end, little } = tiff;
+        const entries = {};
+        const base = start + offset;
+        if (offset <= 0 || base + 2 > end) return entries;
+        
+        const count = view.getUint16(base, little);
+        for (let i = 0; i < count; i++) {
+            const entry = base + 2 + i * 12;
+            if (entry + 12 > end) break;
+            
+            const tag = view.getUint16(entry, little);
+            const type = view.getUint16(entry + 2, little);
+            const valueCount = view.getUint32(entry + 4, little);
+            const size = (this.typeSizes[type] || 0) * valueCount;
+            if (size === 0) continue;
+            
+            // Values of up to four bytes are stored in the entry itself
+            const valueOffset = size <= 4 ? entry + 8 : start + view.getUint32(entry + 8, little);
+            if (valueOffset + size > end) continue;
+            
+            entries[tag] = this.readValue(view, type, valueCount, valueOffset, little);
+        }
+        
+        return entries;
+    }
+
+    /**
+     * One IFD value: strings for ASCII, a number for single values, otherwise an array
+     */
+    readValue(view, type, count, offset, little) {
+        if (type === 2) {
+            return this.readASCII(view, offset, count).replace(/\0+$/, '');
+        }
+        
+        const values = [];
+        for (let i = 0; i < count; i++) {
+            const position = offset + i * this.typeSizes[type];
+            switch (type) {
+                case 3:
+                    values.push(view.getUint16(position, little));
+                    break;
+                case 4:
+                    values.push(view.getUint32(position, little));
+                    break;
+                case 9:
+                    values.push(view.getInt32(position, little));
+                    break;
+                case 5: {
+                    const denominator = view.getUint32(position + 4, little);
+                    values.push(denominator ? view.getUint32(position, little) / denominator : 0);
+                    break;
+                }
+                case 10: {
+                    const denominator = view.getInt32(position + 4, little);
+                    values.push(denominator ? view.getInt32(position, little) / denominator : 0);
+                    break;
+                }
+                default:
+                    values.push(view.getUint8(position));
+            }
+        }
+        
+        return values.length === 1 ? values[0] : values;
+    }
+
+    /**
+     * Decimal coordinates from the GPS IFD, or null without a position
+     */
+    parseGPS(gps) {
+        const toDegrees = (value) => Array.isArray(value) && value.length === 3 ?
+            value[0] + value[1] / 60 + value[2] / 3600 : null;
+        
+        const latitude = toDegrees(gps[2]);
+        const longitude = toDegrees(gps[4]);
+        if (latitude === null || longitude === null) return null;
+        
+        return {
+            latitude: gps[1] === 'S' ? -latitude : latitude,
+            longitude: gps[3] === 'W' ? -longitude : longitude,
+            altitude: typeof gps[6] === 'number' ? (gps[5] === 1 ? -gps[6] : gps[6]) : null
+        };
+    }
+
+    /**
+     * Profile description ('desc' tag) of an ICC profile
+     */
+    parseICCDescription(profile) {
+        const view = new DataView(profile.buffer, profile.byteOffset, profile.byteLength);
+        if (view.byteLength < 132) return null;
+        
+        const tagCount = view.getUint32(128);
+        for (let i = 0; i < tagCount; i++) {
+            const entry = 132 + i * 12;
+            if (entry + 12 > view.byteLength) break;
+            if (this.readASCII(view, entry, 4) !== 'desc') continue;
+            
+            const offset = view.getUint32(entry + 4);
+            const type = this.readASCII(view, offset, 4);
+            
+            if (type === 'desc') {
+                // ICC v2: ASCII description
+                const length = view.getUint32(offset + 8);
+                return this.readASCII(view, offset + 12, Math.min(length, view.byteLength - offset - 12)).replace(/\0+$/, '') || null;
+            }
+            if (type === 'mluc') {
+                // ICC v4: first localized UTF-16 record
+                const length = view.getUint32(offset + 20);
+                const start = offset + view.getUint32(offset + 24);
+                let text = '';
+                for (let p = start; p + 1 < Math.min(start + length, view.byteLength); p += 2) {
+                    text += String.fromCharCode(view.getUint16(p));
+                }
+                return text.replace(/\0+$/, '') || null;
+            }
+        }
+        
+        return null;
+    }
+
+    /**
+     * 'YYYY:MM:DD HH:MM:SS' to 'YYYY-MM-DDTHH:MM:SS', or null
+     */
+    parseExifDate(value) {
+        const match = typeof value === 'string' && value.match(/^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/);
+        if (!match || match[1] === '0000') return null;
+        
+        return `${match[1]}-${match[2]}-${match[3]}T${match[4]}:${match[5]}:${match[6]}`;
+    }
+
+    /**
+     * Trimmed text, or null when empty
+     */
+    cleanText(value) {
+        return typeof value === 'string' && value.trim() ? value.trim() : null;
+    }
+
+    /**
+     * Latin-1 text from bytes
+     */
+    readASCII(view, offset, length) {
+        let text = '';
+        for (let i = 0; i < length && offset + i < view.byteLength; i++) {
+            text += String.fromCharCode(view.getUint8(offset + i));
+        }
+        return text;
+    }
+
+    /**
+     * One-line summary for the photo info and batch report, e.g. "Apple iPhone 13 · 2024-05-12 14:03 · Display P3"
+     */
+    describe(metadata) {
+        if (!metadata) return '';
+        
+        const parts = [];
+        const { make, model } = metadata;
+        if (make || model) {
+            parts.push(model && make && model.toLowerCase().startsWith(make.toLowerCase()) ? model : [make, model].filter(Boolean).join(' '));
+        }
+        if (metadata.dateTaken) {
+            parts.push(metadata.dateTaken.replace('T', ' ').slice(0, 16));
+        }
+        if (metadata.colorProfile) {
+            parts.push(metadata.colorProfile);
+        }
+        if (metadata.gps) {
+            parts.push('has location');
+        }
+        
+        return parts.join(' · ');
+    }
+    
+    // ===== ORIENTATION METHODS =====
+
+    /**
+     * Canvas size and transform that draw a stored image upright for an EXIF orientation
+     * matrix is [a, b, c, d, e, f] for CanvasRenderingContext2D.setTransform.
+     */
+    getOrientationTransform(orientation, width, height) {
+        const matrices = {
+            1: [1, 0, 0, 1, 0, 0],
+            2: [-1, 0, 0, 1, width, 0],
+            3: [-1, 0, 0, -1, width, height],
+            4: [1, 0, 0, -1, 0, height],
+            5: [0, 1, 1, 0, 0, 0],
+            6: [0, 1, -1, 0, height, 0],
+            7: [0, -1, -1, 0, height, width],
+            8: [0, -1, 1, 0, 0, width]
+        };
+        const swapped = orientation >= 5 && orientation <= 8;
+        
+        return {
+            width: swapped ? height : width,
+            height: swapped ? width : height,
+            matrix: matrices[orientation] || matrices[1]
+        };
+    }
+
+    /**
+     * The image turned upright: a canvas when it had to be turned, otherwise the image itself
+     * Browsers that already apply EXIF orientation when decoding are left alone.
+     */
+    async createUprightImage(image, orientation = 1) {
+        if (!orientation || orientation === 1 || await this.browserAppliesOrientation()) {
+            return image;
+        }
+        
+        const width = image.naturalWidth || image.width;
+        const height = image.naturalHeight || image.height;
+        const { width: uprightWidth, height: uprightHeight, matrix } = this.getOrientationTransform(orientation, width, height);
+        
+        const canvas = document.createElement('canvas');
+        canvas.width = uprightWidth;
+        canvas.height = uprightHeight;
+        const ctx = canvas.getContext('2d');
+        ctx.setTransform(...matrix);
+        ctx.drawImage(image, 0, 0, width, height);
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        
+        return canvas;
+    }
+
+    /**
+     * Whether decoded images come out already turned by their EXIF orientation
+     * Checked once by decoding a 2×1 JPEG tagged as rotated 90°.
+     */
+    browserAppliesOrientation() {
+        if (!this.orientationSupport) {
+            this.orientationSupport = this.testOrientationSupport().catch(() => false);
+        }
+        return this.orientationSupport;
+    }
+
+    /**
+     * Decode the orientation test image
+     */
+    async testOrientationSupport() {
+        if (typeof document === 'undefined' || typeof Image === 'undefined') return false;
+        
+        const canvas = document.createElement('canvas');
+        canvas.width = 2;
+        canvas.height = 1;
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, 2, 1);
+        
+        const jpeg = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg'));
+        if (!jpeg) return false;
+        
+        const tagged = await this.embed(jpeg, { orientation: 6 });
+        const url = URL.createObjectURL(tagged);
+        
+        try {
+            const img = await new Promise((resolve, reject) => {
+                const element = new Image();
+                element.onload = () => resolve(element);
+                element.onerror = () => reject(new Error('Orientation test image failed to load'));
+                element.src = url;
+            });
+            return img.naturalWidth === 1 && img.naturalHeight === 2;
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    }
+    
+    // ===== WRITING METHODS =====
+
+    /**
+     * Metadata to write into an export of the processed image
+     * Exports are drawn upright from an sRGB canvas, so the orientation is reset
+     * and the color space is sRGB; options.stripGPS (privacy mode) drops the location.
+     */
+    forExport(metadata, options = {}) {
+        if (!metadata) return null;
+        
+        const { stripGPS = true } = options;
+        return {
+            ...metadata,
+            orientation: 1,
+            colorSpace: 'sRGB',
+            software: this.software,
+            gps: stripGPS ? null : metadata.gps
+        };
+    }
+
+    /**
+     * A copy of a JPEG or PNG blob carrying the metadata; other types are returned as they are
+     */
+    async embed(blob, metadata) {
+        if (!blob || !metadata) return blob;
+        
+        const bytes = new Uint8Array(await this.readArrayBuffer(blob));
+        const tiff = this.createTiff(metadata);
+        
+        if (bytes[0] === 0xFF && bytes[1] === 0xD8) {
+            return new Blob([this.insertJPEGExif(bytes, tiff)], { type: 'image/jpeg' });
+        }
+        if (bytes[0] === 0x89 && bytes[1] === 0x50 && bytes[2] === 0x4E && bytes[3] === 0x47) {
+            return new Blob([this.insertPNGExif(bytes, tiff)], { type: 'image/png' });
+        }
+        
+        return blob;
+    }
+
+    /**
+     * JPEG bytes with an Exif APP1 segment after SOI and any JFIF header, replacing existing Exif
+     */
+    insertJPEGExif(bytes, tiff) {
+        const header = [0x45, 0x78, 0x69, 0x66, 0, 0]; // 'Exif\0\0'
+        const length = 2 + header.length + tiff.length;
+        if (length > 0xFFFF) {
+            throw new Error('Metadata is too large for a JPEG segment');
+        }
+        
+        const segment = new Uint8Array(2 + length);
+        segment.set([0xFF, 0xE1, length >> 8, length & 0xFF, ...header]);
+        segment.set(tiff, 4 + header.length);
+        
+        // Keep APP0 first as JFIF readers expect; drop any old Exif
+        const parts = [bytes.subarray(0, 2)];
+        let offset = 2;
+        let inserted = false;
+        
+        while (offset + 4 <= bytes.length && bytes[offset] === 0xFF && bytes[offset + 1] >= 0xE0 && bytes[offset + 1] <= 0xEF) {
+            const marker = bytes[offset + 1];
+            const end = offset + 2 + ((bytes[offset + 2] << 8) | bytes[offset + 3]);
+            
+            if (marker !== 0xE0 && !inserted) {
+                parts.push(segment);
+                inserted = true;
+            }
+            const isExif = marker === 0xE1 && String.fromCharCode(...bytes.subarray(offset + 4, offset + 8)) === 'Exif';
+            if (!isExif) {
+                parts.push(bytes.subarray(offset, end));
+            }
+            offset = end;
+        }
+        
+        if (!inserted) parts.push(segment);
+        parts.push(bytes.subarray(offset));
+        
+        return this.concatBytes(parts);
+    }
+
+    /**
+     * PNG bytes with an eXIf chunk before the image data, replacing existing eXIf
+     */
+    insertPNGExif(bytes, tiff) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const parts = [bytes.subarray(0, 8)];
+        let offset = 8;
+        let inserted = false;
+        
+        while (offset + 8 <= bytes.length) {
+            const length = view.getUint32(offset);
+            const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+            const end = offset + 12 + length;
+            
+            if (!inserted && (type === 'IDAT' || type === 'IEND')) {
+                parts.push(this.createPNGChunk('eXIf', tiff));
+                inserted = true;
+            }
+            if (type !== 'eXIf') {
+                parts.push(bytes.subarray(offset, end));
+            }
+            offset = end;
+        }
+        
+        return this.concatBytes(parts);
+    }
+
+    /**
+     * A PNG chunk with its length and CRC
+     */
+    createPNGChunk(type, data) {
+        const chunk = new Uint8Array(12 + data.length);
+        const view = new DataView(chunk.buffer);
+        view.setUint32(0, data.length);
+        for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+        chunk.set(data, 8);
+        view.setUint32(8 + data.length, this.crc32(chunk.subarray(4, 8 + data.length)));
+        return chunk;
+    }
+
+    /**
+     * Big-endian TIFF block with IFD0, the Exif IFD and, when there is a position, the GPS IFD
+     */
+    createTiff(metadata) {
+        const ascii = (tag, value) => value ? { tag, type: 2, values: this.toASCIIBytes(value) } : null;
+        const short = (tag, value) => typeof value === 'number' ? { tag, type: 3, values: [value] } : null;
+        const rational = (tag, values) => values.every(value => typeof value === 'number') ?
+            { tag, type: 5, values: values.map(value => this.toRational(Math.abs(value))) } : null;
+        const exifDate = metadata.dateTaken ? metadata.dateTaken.replace(/-/g, ':').replace('T', ' ') : null;
+        
+        const ifd0 = [
+            ascii(0x010F, metadata.make),
+            ascii(0x0110, metadata.model),
+            short(0x0112, metadata.orientation || 1),
+            ascii(0x0131, metadata.software),
+            ascii(0x0132, exifDate)
+        ].filter(Boolean);
+        
+        const exposure = metadata.exposure || {};
+        const exif = [
+            exposure.exposureTime ? rational(0x829A, [exposure.exposureTime]) : null,
+            exposure.fNumber ? rational(0x829D, [exposure.fNumber]) : null,
+            short(0x8827, exposure.iso),
+            ascii(0x9003, exifDate),
+            exposure.focalLength ? rational(0x920A, [exposure.focalLength]) : null,
+            metadata.colorSpace === 'sRGB' ? short(0xA001, 1) : null,
+            ascii(0xA434, metadata.lens)
+        ].filter(Boolean);
+        
+        const gps = [];
+        if (metadata.gps) {
+            const { latitude, longitude, altitude } = metadata.gps;
+            const toDMS = (value) => {
+                const degrees = Math.floor(Math.abs(value));
+                const minutes = Math.floor((Math.abs(value) - degrees) * 60);
+                return [degrees, minutes, (Math.abs(value) - degrees - minutes / 60) * 3600];
+            };
+            gps.push(
+                { tag: 0x0000, type: 1, values: [2, 3, 0, 0] },
+                ascii(0x0001, latitude < 0 ? 'S' : 'N'),
+                rational(0x0002, toDMS(latitude)),
+                ascii(0x0003, longitude < 0 ? 'W' : 'E'),
+                rational(0x0004, toDMS(longitude))
+            );
+            if (typeof altitude === 'number') {
+                gps.push({ tag: 0x0005, type: 1, values: [altitude < 0 ? 1 : 0] }, rational(0x0006, [altitude]));
+            }
+        }
+        
+        // Sub-IFD pointers are filled in once the layout is known
+        const exifPointer = exif.length > 0 ? { tag: 0x8769, type: 4, values: [0] } : null;
+        const gpsPointer = gps.length > 0 ? { tag: 0x8825, type: 4, values: [0] } : null;
+        [exifPointer, gpsPointer].filter(Boolean).forEach(pointer => ifd0.push(pointer));
+        
+        const ifds = [ifd0, exif, gps].filter(ifd => ifd.length > 0);
+        ifds.forEach(ifd => ifd.sort((a, b) => a.tag - b.tag));
+        
+        const offsets = [];
+        let size = 8;
+        ifds.forEach(ifd => {
+            offsets.push(size);
+            size += this.getIFDSize(ifd);
+        });
+        if (exifPointer) exifPointer.values = [offsets[ifds.indexOf(exif)]];
+        if (gpsPointer) gpsPointer.values = [offsets[ifds.indexOf(gps)]];
+        
+        const bytes = new Uint8Array(size);
+        const view = new DataView(bytes.buffer);
+        view.setUint16(0, 0x4D4D);
+        view.setUint16(2, 42);
+        view.setUint32(4, 8);
+        ifds.forEach((ifd, index) => this.writeIFD(view, offsets[index], ifd));
+        
+        return bytes;
+    }
+
+    /**
+     * Bytes an IFD takes with its out-of-line values
+     */
+    getIFDSize(ifd) {
+        return 2 + ifd.length * 12 + 4 + ifd.reduce((sum, entry) => {
+            const size = this.typeSizes[entry.type] * entry.values.length;
+            return sum + (size > 4 ? size + (size % 2) : 0);
+        }, 0);
+    }
+
+    /**
+     * Write an IFD at offset, its long values right after it
+     */
+    writeIFD(view, offset, ifd) {
+        let dataOffset = offset + 2 + ifd.length * 12 + 4;
+        view.setUint16(offset, ifd.length);
+        
+        ifd.forEach((entry, index) => {
+            const position = offset + 2 + index * 12;
+            const size = this.typeSizes[entry.type] * entry.values.length;
+            view.setUint16(position, entry.tag);
+            view.setUint16(position + 2, entry.type);
+            view.setUint32(position + 4, entry.values.length);
+            
+            let target = position + 8;
+            if (size > 4) {
+                view.setUint32(position + 8, dataOffset);
+                target = dataOffset;
+                dataOffset += size + (size % 2);
+            }
+            
+            entry.values.forEach((value, i) => {
+                switch (entry.type) {
+                    case 3:
+                        view.setUint16(target + i * 2, value);
+                        break;
+                    case 4:
+                        view.setUint32(target + i * 4, value);
+                        break;
+                    case 5:
+                        view.setUint32(target + i * 8, value[0]);
+                        view.setUint32(target + i * 8 + 4, value[1]);
+                        break;
+                    default:
+                        view.setUint8(target + i, value);
+                }
+            });
+        });
+        
+        view.setUint32(offset + 2 + ifd.length * 12, 0);
+    }
+
+    /**
+     * Unsigned rational close to a value
+     */
+    toRational(value) {
+        const denominator = value >= 1 ? 10000 : 1000000;
+        return [Math.round(value * denominator), denominator];
+    }
+
+    /**
+     * NUL-terminated ASCII bytes; other characters become '?'
+     */
+    toASCIIBytes(text) {
+        return Array.from(String(text)).map(char => char.charCodeAt(0) < 128 ? char.charCodeAt(0) : 63).concat(0);
+    }
+
+    /**
+     * Join byte arrays
+     */
+    concatBytes(parts) {
+        const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let offset = 0;
+        parts.forEach(part => {
+            result.set(part, offset);
+            offset += part.length;
+        });
+        return result;
+    }
+
+    /**
+     * CRC-32 as used by PNG chunks
+     */
+    crc32(bytes) {
+        if (!this.crcTable) {
+            this.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                this.crcTable[n] = c >>> 0;
+            }
+        }
+        
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = this.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ExifMetadata;
+} else {
+    window.ExifMetadata = ExifMetadata;
+}
\ No newline at end of file
@@ -0,0 +1,250 @@
+/**
+ * GIF Encoder Module
+ * Minimal animated GIF89a writer: fixed 256-color palette, LZW compression and
+ * changed-rectangle frames so mostly static animations stay small
+ */
+
+class GIFEncoder {
+    constructor(width, height, options = {}) {
+        this.width = width;
+        this.height = height;
+        
+        // Netscape loop count; 0 loops forever
+        this.loop = options.loop !== undefined ? options.loop : 0;
+        
+        this.palette = this.buildPalette();
+        this.colorCache = new Int16Array(32768).fill(-1);
+        this.bytes = [];
+        this.previous = null;
+        this.pending = null;
+        
+        this.writeHeader();
+    }
+
+    /**
+     * 6x6x6 color cube plus 40 grays; sketches are mostly gray, so the extra
+     * gray ramp keeps pencil tones smooth
+     */
+    buildPalette() {
+        const palette = [];
+        for (let r = 0; r < 6; r++) {
+            for (let g = 0; g < 6; g++) {
+                for (let b = 0; b < 6; b++) {
+                    palette.push([r * 51, g * 51, b * 51]);
+                }
+            }
+        }
+        for (let i = 0; i < 40; i++) {
+            const value = Math.round(i * 255 / 39);
+            palette.push([value, value, value]);
+        }
+        return palette;
+    }
+
+    /**
+     * Palette index for a color, cached on 15-bit RGB
+     */
+    colorIndex(r, g, b) {
+        const key = ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+        const cached = this.colorCache[key];
+        if (cached >= 0) return cached;
+        
+        const cubeIndex = Math.round(r / 51) * 36 + Math.round(g / 51) * 6 + Math.round(b / 51);
+        const gray = Math.round((0.299 * r + 0.587 * g + 0.114 * b) / 255 * 39);
+        const error = (color) => (color[0] - r) ** 2 + (color[1] - g) ** 2 + (color[2] - b) ** 2;
+        
+        const index = error(this.palette[216 + gray]) < error(this.palette[cubeIndex]) ? 216 + gray : cubeIndex;
+        this.colorCache[key] = index;
+        return index;
+    }
+
+    /**
+     * Add a frame shown for `delay` milliseconds
+     * Only the rectangle that changed since the previous frame is stored; an
+     * unchanged frame just extends how long the previous one is shown.
+     */
+    addFrame(imageData, delay = 100) {
+        const { width, height } = this;
+        const data = imageData.data;
+        const indices = new Uint8Array(width * height);
+        
+        for (let i = 0, p = 0; p < indices.length; i += 4, p++) {
+            indices[p] = this.colorIndex(data[i], data[i + 1], data[i + 2]);
+        }
+        
+        let left = 0;
+        let top = 0;
+        let right = width - 1;
+        let bottom = height - 1;
+        
+        if (this.previous) {
+            left = width;
+            top = height;
+            right = -1;
+            bottom = -1;
+            
+            for (let y = 0; y < height; y++) {
+                for (let x = 0; x < width; x++) {
+                    const p = y * width + x;
+                    if (indices[p] === this.previous[p]) continue;
+                    if (x < left) left = x;
+                    if (x > right) right = x;
+                    if (y < top) top = y;
+                    if (y > bottom) bottom = y;
+                }
+            }
+            
+            if (right < 0) {
+                if (this.pending) this.pending.delay += delay;
+                return;
+            }
+        }
+        
+        this.flushPending();
+        this.pending = { indices, left, top, width: right - left + 1, height: bottom - top + 1, delay };
+        this.previous = indices;
+    }
+
+    /**
+     * Finish the file and return its bytes
+     */
+    finish() {
+        this.flushPending();
+        this.bytes.push(0x3B);
+        return new Uint8Array(this.bytes);
+    }
+
+    /**
+     * Finish the file as an image/gif Blob
+     */
+    toBlob() {
+        return new Blob([this.finish()], { type: 'image/gif' });
+    }
+    
+    writeHeader() {
+        this.writeString('GIF89a');
+        this.writeShort(this.width);
+        this.writeShort(this.height);
+        
+        // Global color table of 256 entries, 8 bits per channel
+        this.bytes.push(0xF7, 0, 0);
+        this.palette.forEach(color => this.bytes.push(color[0], color[1], color[2]));
+        
+        // Netscape looping extension
+        this.bytes.push(0x21, 0xFF, 0x0B);
+        this.writeString('NETSCAPE2.0');
+        this.bytes.push(0x03, 0x01);
+        this.writeShort(this.loop);
+        this.bytes.push(0x00);
+    }
+    
+    flushPending() {
+        const frame = this.pending;
+        if (!frame) return;
+        this.pending = null;
+        
+        // Graphic control: keep the previous frame underneath (disposal 1)
+        this.bytes.push(0x21, 0xF9, 0x04, 0x04);
+        this.writeShort(Math.max(2, Math.round(frame.delay / 10)));
+        this.bytes.push(0x00, 0x00);
+        
+        // Image descriptor for the changed rectangle
+        this.bytes.push(0x2C);
+        this.writeShort(frame.left);
+        this.writeShort(frame.top);
+        this.writeShort(frame.width);
+        this.writeShort(frame.height);
+        this.bytes.push(0x00);
+        
+        const pixels = new Uint8Array(frame.width * frame.height);
+        for (let y = 0; y < frame.height; y++) {
+            const start = (frame.top + y) * this.width + frame.left;
+            pixels.set(frame.indices.subarray(start, start + frame.width), y * frame.width);
+        }
+        
+        this.bytes.push(8);
+        const compressed = this.lzwEncode(pixels, 8);
+        for (let i = 0; i < compressed.length; i += 255) {
+            const block = compressed.subarray(i, i + 255);
+            this.bytes.push(block.length);
+            for (let j = 0; j < block.length; j++) this.bytes.push(block[j]);
+        }
+        this.bytes.push(0x00);
+    }
+
+    /**
+     * Variable-width LZW as used by GIF (codes up to 12 bits)
+     */
+    lzwEncode(pixels, minCodeSize) {
+        const clearCode = 1 << minCodeSize;
+        const endCode = clearCode + 1;
+        const output = [];
+        let codeSize = minCodeSize + 1;
+        let nextCode = endCode + 1;
+        let dictionary = new Map();
+        let bitBuffer = 0;
+        let bitCount = 0;
+        
+        const emit = (code) => {
+            bitBuffer |= code << bitCount;
+            bitCount += codeSize;
+            while (bitCount >= 8) {
+                output.push(bitBuffer & 0xFF);
+                bitBuffer >>>= 8;
+                bitCount -= 8;
+            }
+        };
+        
+        emit(clearCode);
+        
+        let prefix = pixels[0];
+        for (let i = 1; i < pixels.length; i++) {
+            const pixel = pixels[i];
+            const key = (prefix << 8) | pixel;
+            const code = dictionary.get(key);
+            
+            if (code !== undefined) {
+                prefix = code;
+                continue;
+            }
+            
+            emit(prefix);
+            
+            if (nextCode < 4096) {
+                dictionary.set(key, nextCode++);
+                if (nextCode > (1 << codeSize) && codeSize < 12) codeSize++;
+            } else {
+                // Table full: start over
+                emit(clearCode);
+                dictionary = new Map();
+                codeSize = minCodeSize + 1;
+                nextCode = endCode + 1;
+            }
+            
+            prefix = pixel;
+        }
+        
+        emit(prefix);
+        emit(endCode);
+        if (bitCount > 0) output.push(bitBuffer & 0xFF);
+        
+        return new Uint8Array(output);
+    }
+    
+    writeShort(value) {
+        this.bytes.push(value & 0xFF, (value >> 8) & 0xFF);
+    }
+    
+    writeString(text) {
+        for (let i = 0; i < text.length; i++) {
+            this.bytes.push(text.charCodeAt(i));
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GIFEncoder;
+} else {
+    window.GIFEncoder = GIFEncoder;
+}
\ No newline at end of file
@@ -8,6 +8,9 @@ class HandDrawnEffects {
     constructor(canvas, options = {}) {
         this.canvas = canvas;
         this.ctx = canvas.getContext('2d');
+        
+        // this.ctx points at the current layer while drawing; the output canvas keeps its own
+        this.outputCtx = this.ctx;
         this.width = canvas.width;
         this.height = canvas.height;
         
@@ -15,6 +18,41 @@ class HandDrawnEffects {
         this.aiProcessor = options.aiProcessor || (typeof AIProcessor !== 'undefined' ? new AIProcessor() : null);
         this.useAI = options.useAI !== false && this.aiProcessor !== null;
         
+        // Vanishing point estimation for perspective-aware strokes
+        this.perspectiveAnalysis = options.perspectiveAnalysis ||
+            (typeof PerspectiveAnalysis !== 'undefined' ? new PerspectiveAnalysis() : null);
+        this.lastPerspective = null;
+        
+        // Ordered polylines and Bézier curves instead of flood-filled pixel sets
+        this.strokeVectorizer = options.strokeVectorizer ||
+            (typeof StrokeVectorizer !== 'undefined' ? new StrokeVectorizer() : null);
+        this.vectorData = null;
+        
+        // Layered document of the last render (paper, color, shading, line work, ...)
+        this.layered = options.layered !== false && typeof SketchDocument !== 'undefined';
+        this.sketchDocument = null;
+        this.inkLayers = ['color', 'shading', 'linework', 'materials'];
+        
+        // Procedural paper surfaces the drawing is laid onto
+        this.paperTexture = options.paperTexture ||
+            (typeof PaperTexture !== 'undefined' ? new PaperTexture() : null);
+        
+        // Hatching and stippling driven by the photo's tone
+        this.toneShading = options.toneShading ||
+            (typeof ToneShading !== 'undefined' ? new ToneShading() : null);
+        
+        // Seeded randomness: the same edges, settings and seed reproduce the same drawing
+        this.rng = options.rng || (typeof SeededRandom !== 'undefined' ? new SeededRandom(options.seed) : null);
+        this.seed = this.rng ? this.rng.seed : null;
+        
+        // Position of the canvas in the full image when it draws one tile of a larger render
+        this.offsetX = 0;
+        this.offsetY = 0;
+        
+        // Size of that full image; grids and nib widths are sized from it
+        this.imageWidth = this.width;
+        this.imageHeight = this.height;
+        
         // Interior design specific settings
         this.interiorMode = options.interiorMode !== false;
         this.materialAwareness = options.materialAwareness !== false;
@@ -29,7 +67,8 @@ class HandDrawnEffects {
                 materialEnhancement: true,
                 furnitureDetail: 'high',
                 perspectiveAwareness: true,
-                annotations: true
+                annotations: true,
+                construction: { guides: 0.6, overshoot: 0.8 }
             },
             'concept-exploration': {
                 baseStyle: 'pencil',
@@ -38,7 +77,8 @@ class HandDrawnEffects {
                 materialEnhancement: false,
                 furnitureDetail: 'medium',
                 perspectiveAwareness: false,
-                sketchy: true
+                sketchy: true,
+                construction: { guides: 0.8, overshoot: 1 }
             },
             'technical-documentation': {
                 baseStyle: 'technical',
@@ -48,7 +88,8 @@ class HandDrawnEffects {
                 furnitureDetail: 'high',
                 perspectiveAwareness: true,
                 annotations: true,
-                precise: true
+                precise: true,
+                construction: { guides: 0.3, overshoot: 0.4 }
             },
             'artistic-mood': {
                 baseStyle: 'charcoal',
@@ -61,6 +102,12 @@ class HandDrawnEffects {
             }
         };
         
+        // Named construction line strengths for settings.construction
+        this.constructionLevels = {
+            light: { guides: 0.4, overshoot: 0.5 },
+            strong: { guides: 0.9, overshoot: 1 }
+        };
+        
         // Material-specific line styles
         this.materialStyles = {
             wood: {
@@ -92,6 +139,12 @@ class HandDrawnEffects {
                 pattern: 'textured',
                 roughness: 1.2,
                 opacity: 0.8
+            },
+            leather: {
+                strokeStyle: '#5C4033',
+                pattern: 'soft',
+                roughness: 0.5,
+                opacity: 0.75
             }
         };
         
@@ -128,6 +181,8 @@ class HandDrawnEffects {
             try {
                 const aiResult = await this.processWithAI(edgeData, stylePreset, settings);
                 if (aiResult.success) {
+                    this.clearVectorData();
+                    this.clearDocument();
                     return aiResult.imageData;
                 }
             } catch (error) {
@@ -156,7 +211,7 @@ class HandDrawnEffects {
         
         // Use style preset if provided
         const effectiveSettings = stylePreset && this.stylePresets[stylePreset] ? 
-            { ...this.stylePresets[stylePreset], ...settings } : settings;
+            { ...this.stylePresets[stylePreset], ...settings } : { ...settings };
         
         const {
             baseStyle = style,
@@ -165,7 +220,23 @@ class HandDrawnEffects {
             perspectiveAwareness = false
         } = effectiveSettings;
         
+        // Restart the random sequence so this render depends only on its inputs
+        effectiveSettings.seed = this.setSeed(effectiveSettings.seed);
+        this.offsetX = effectiveSettings.offsetX || 0;
+        this.offsetY = effectiveSettings.offsetY || 0;
+        this.imageWidth = effectiveSettings.imageWidth || this.width;
+        this.imageHeight = effectiveSettings.imageHeight || this.height;
+        
+        // Straight segments from EdgeDetection.detectArchitecturalEdges ride along on the edge data
+        if (!effectiveSettings.lineSegments && edgeData && edgeData.lineSegments) {
+            effectiveSettings.lineSegments = edgeData.lineSegments;
+        }
+        
+        // Each part of the drawing goes to its own layer
+        this.beginDocument();
+        
         // Clear canvas with appropriate background
+        this.useLayer('background');
         this.clearCanvasWithBackground(effectiveSettings);
         
         // Convert edge data to strokes with interior design enhancements
@@ -183,12 +254,58 @@ class HandDrawnEffects {
         
         // Apply perspective-aware adjustments
         if (perspectiveAwareness) {
-            this.adjustStrokesPerspective(strokes);
+            const perspective = this.analyzePerspective(effectiveSettings.lineSegments);
+            
+            if (perspective && perspective.type !== 'none') {
+                this.perspectiveAnalysis.snapStrokes(strokes, perspective);
+                effectiveSettings.lineSegments = this.perspectiveAnalysis.snapSegments(
+                    effectiveSettings.lineSegments, perspective
+                );
+            }
+            
+            this.adjustStrokesPerspective(strokes, perspective);
+        }
+        
+        // Overshoot corners and lay in guides like a hand-drafted sketch
+        const construction = this.resolveConstructionSettings(effectiveSettings.construction);
+        effectiveSettings.constructionGuides = null;
+        if (construction) {
+            if (construction.overshoot > 0) {
+                this.applyCornerOvershoot(strokes, effectiveSettings, construction.overshoot);
+            }
+            if (construction.guides > 0) {
+                const perspective = perspectiveAwareness ?
+                    this.lastPerspective : this.analyzePerspective(effectiveSettings.lineSegments);
+                effectiveSettings.constructionGuides = this.buildConstructionGuides(
+                    perspective, effectiveSettings.lineSegments, construction.guides
+                );
+            }
+        }
+        
+        // Fit curves last so they follow any snapped points
+        if (this.strokeVectorizer) {
+            strokes.forEach(stroke => {
+                stroke.beziers = this.strokeVectorizer.fitBeziers(stroke);
+            });
+        }
+        
+        // Guides go down first so the line work sits over them
+        this.useLayer('linework');
+        if (effectiveSettings.constructionGuides) {
+            this.drawConstructionGuides(baseStyle, effectiveSettings.constructionGuides, effectiveSettings, construction.guides);
         }
         
         // Apply style-specific rendering
         this.drawStyleSpecificStrokes(baseStyle, strokes, effectiveSettings);
         
+        // Material texture marks go on their own layer
+        this.useLayer('materials');
+        effectiveSettings.materialStrokes = this.drawMaterialOverlays(strokes, effectiveSettings);
+        
+        // Shade by tone so the sketch doesn't read as outline-only
+        this.useLayer('shading');
+        effectiveSettings.shadingStrokes = this.drawToneShading(baseStyle, effectiveSettings);
+        
         // Add style-specific post-processing
         this.applyPostProcessing(effectiveSettings);
         
@@ -202,6 +319,11 @@ class HandDrawnEffects {
             this.storeBatchConsistencyData(effectiveSettings);
         }
         
+        // Keep the vector form of this drawing for SVG export
+        this.vectorData = this.buildVectorData(strokes, baseStyle, effectiveSettings);
+        
+        this.finishDocument();
+        
         return this.ctx.getImageData(0, 0, this.width, this.height);
     }
     
@@ -231,6 +353,11 @@ class HandDrawnEffects {
      * Extract continuous strokes from edge data
      */
     extractStrokes(edgeData) {
+        // Vectorized strokes are ordered and simplified; fall back to flood tracing
+        if (this.strokeVectorizer) {
+            return this.strokeVectorizer.vectorize(edgeData);
+        }
+        
         const data = edgeData.data;
         const visited = new Set();
         const strokes = [];
@@ -311,24 +438,26 @@ class HandDrawnEffects {
             
             // Multiple passes for pencil texture
             for (let pass = 0; pass < 2; pass++) {
+                this.reseedForStroke(stroke, pass);
                 this.ctx.beginPath();
-                this.ctx.globalAlpha = 0.4 + Math.random() * 0.3;
-                this.ctx.strokeStyle = `rgba(60, 60, 60, ${0.6 + Math.random() * 0.2})`;
-                this.ctx.lineWidth = thickness + Math.random() * 0.5;
+                this.ctx.globalAlpha = 0.4 + this.random() * 0.3;
+                this.ctx.strokeStyle = `rgba(60, 60, 60, ${0.6 + this.random() * 0.2})`;
+                this.ctx.lineWidth = thickness + this.random() * 0.5;
                 
                 // Draw stroke with slight variations
                 stroke.forEach((point, i) => {
                     const wobble = variation / 100;
-                    const x = point.x + (Math.random() - 0.5) * wobble;
-                    const y = point.y + (Math.random() - 0.5) * wobble;
+                    this.reseedAt(point.x, point.y, pass);
+                    const x = point.x + (this.random() - 0.5) * wobble;
+                    const y = point.y + (this.random() - 0.5) * wobble;
                     
                     if (i === 0) {
                         this.ctx.moveTo(x, y);
                     } else {
                         // Add slight curve for more natural look
                         const prevPoint = stroke[i - 1];
-                        const cpx = (prevPoint.x + x) / 2 + (Math.random() - 0.5) * wobble;
-                        const cpy = (prevPoint.y + y) / 2 + (Math.random() - 0.5) * wobble;
+                        const cpx = (prevPoint.x + x) / 2 + (this.random() - 0.5) * wobble;
+                        const cpy = (prevPoint.y + y) / 2 + (this.random() - 0.5) * wobble;
                         this.ctx.quadraticCurveTo(cpx, cpy, x, y);
                     }
                 });
@@ -357,8 +486,9 @@ class HandDrawnEffects {
             // Draw stroke with slight variations
             stroke.forEach((point, i) => {
                 const wobble = variation / 200; // Less wobble for pen
-                const x = point.x + (Math.random() - 0.5) * wobble;
-                const y = point.y + (Math.random() - 0.5) * wobble;
+                this.reseedAt(point.x, point.y);
+                const x = point.x + (this.random() - 0.5) * wobble;
+                const y = point.y + (this.random() - 0.5) * wobble;
                 
                 if (i === 0) {
                     this.ctx.moveTo(x, y);
@@ -386,16 +516,18 @@ class HandDrawnEffects {
             
             // Multiple rough passes
             for (let pass = 0; pass < 3; pass++) {
+                this.reseedForStroke(stroke, pass);
                 this.ctx.beginPath();
-                this.ctx.globalAlpha = 0.2 + Math.random() * 0.2;
+                this.ctx.globalAlpha = 0.2 + this.random() * 0.2;
                 this.ctx.strokeStyle = '#2a2a2a';
-                this.ctx.lineWidth = thickness * (1.5 + Math.random());
+                this.ctx.lineWidth = thickness * (1.5 + this.random());
                 this.ctx.lineCap = 'square';
                 
                 stroke.forEach((point, i) => {
                     const wobble = variation / 50;
-                    const x = point.x + (Math.random() - 0.5) * wobble * 2;
-                    const y = point.y + (Math.random() - 0.5) * wobble * 2;
+                    this.reseedAt(point.x, point.y, pass);
+                    const x = point.x + (this.random() - 0.5) * wobble * 2;
+                    const y = point.y + (this.random() - 0.5) * wobble * 2;
                     
                     if (i === 0) {
                         this.ctx.moveTo(x, y);
@@ -414,10 +546,17 @@ class HandDrawnEffects {
     /**
      * Draw technical pen-style strokes (minimal variation)
      */
-    drawTechnicalStrokes(strokes, variation, thickness) {
+    drawTechnicalStrokes(strokes, variation, thickness, lineSegments = null) {
         this.ctx.lineCap = 'square';
         this.ctx.lineJoin = 'miter';
         
+        // Ruler-straight lines replace the pixel chains they cover
+        if (lineSegments && lineSegments.length > 0) {
+            this.ctx.strokeStyle = '#000000';
+            this.drawRulerSegments(lineSegments, thickness, variation / 500);
+            strokes = this.filterStrokesCoveredBySegments(strokes, lineSegments);
+        }
+        
         strokes.forEach(stroke => {
             if (stroke.length < 2) return;
             
@@ -428,8 +567,9 @@ class HandDrawnEffects {
             // Very minimal variation for technical drawings
             stroke.forEach((point, i) => {
                 const wobble = variation / 500;
-                const x = point.x + (Math.random() - 0.5) * wobble;
-                const y = point.y + (Math.random() - 0.5) * wobble;
+                this.reseedAt(point.x, point.y);
+                const x = point.x + (this.random() - 0.5) * wobble;
+                const y = point.y + (this.random() - 0.5) * wobble;
                 
                 if (i === 0) {
                     this.ctx.moveTo(x, y);
@@ -442,46 +582,6 @@ class HandDrawnEffects {
         });
     }
 
-    /**
-     * Add subtle paper texture
-     */
-    addPaperTexture(settings = {}) {
-        const imageData = this.ctx.getImageData(0, 0, this.width, this.height);
-        const data = imageData.data;
-        
-        // Determine noise intensity based on style
-        const { stylePreset } = settings;
-        let noiseIntensity = 10;
-        if (stylePreset === 'technical-documentation') {
-            noiseIntensity = 3; // Minimal noise for technical
-        } else if (stylePreset === 'artistic-mood') {
-            noiseIntensity = 15; // More texture for artistic
-        }
-        
-        // Add subtle noise for paper texture
-        for (let i = 0; i < data.length; i += 4) {
-            const noise = (Math.random() - 0.5) * noiseIntensity;
-            data[i] = Math.max(0, Math.min(255, data[i] + noise));
-            data[i + 1] = Math.max(0, Math.min(255, data[i + 1] + noise));
-            data[i + 2] = Math.max(0, Math.min(255, data[i + 2] + noise));
-        }
-        
-        this.ctx.putImageData(imageData, 0, 0);
-        
-        if (stylePreset) {
-            this.addStyleSpecificOverlay(stylePreset);
-        } else {
-            const gradient = this.ctx.createRadialGradient(
-            this.width / 2, this.height / 2, 0,
-            this.width / 2, this.height / 2, Math.max(this.width, this.height) / 2
-        );
-        gradient.addColorStop(0, 'rgba(255, 251, 240, 0)');
-        gradient.addColorStop(1, 'rgba(240, 220, 190, 0.1)');
-        
-        this.ctx.fillStyle = gradient;
-        this.ctx.fillRect(0, 0, this.width, this.height);
-        }    }
-
     /**
      * Add cross-hatching effect for shaded areas
      */
@@ -543,7 +643,15 @@ class HandDrawnEffects {
      * Clear canvas with style-appropriate background
      */
     clearCanvasWithBackground(settings) {
-        const { baseStyle = 'pencil', stylePreset = null } = settings;
+        this.ctx.fillStyle = this.getBackgroundColor(settings);
+        this.ctx.fillRect(0, 0, this.width, this.height);
+    }
+
+    /**
+     * Style-appropriate paper color
+     */
+    getBackgroundColor(settings) {
+        const { style = 'pencil', baseStyle = style, stylePreset = null } = settings;
         
         let backgroundColor = '#faf8f5'; // Default off-white
         
@@ -554,10 +662,13 @@ class HandDrawnEffects {
             backgroundColor = '#f5f5dc'; // Beige for artistic
         } else if (baseStyle === 'charcoal') {
             backgroundColor = '#f8f8f8'; // Light gray for charcoal
+        } else if (baseStyle === 'watercolor') {
+            backgroundColor = '#fdfbf6'; // Cold-press watercolor paper
+        } else if (baseStyle === 'marker') {
+            backgroundColor = '#ffffff'; // Bleedproof marker paper
         }
         
-        this.ctx.fillStyle = backgroundColor;
-        this.ctx.fillRect(0, 0, this.width, this.height);
+        return backgroundColor;
     }
     
     /**
@@ -566,12 +677,12 @@ class HandDrawnEffects {
     classifyStrokesByContext(strokes, settings) {
         return strokes.map(stroke => {
             const classification = this.analyzeStrokeContext(stroke);
-            return {
-                ...stroke,
+            // Annotate in place so strokes stay point arrays
+            return Object.assign(stroke, {
                 context: classification.context,
                 material: classification.material,
                 importance: classification.importance
-            };
+            });
         });
     }
     
@@ -616,11 +727,26 @@ class HandDrawnEffects {
     
     /**
      * Enhance strokes with material-specific styling
+     * Given a segmentation from MaterialDetection.segmentMaterials, each stroke
+     * takes the material most of its points lie on; strokes off any material
+     * keep the guess from their shape. A studio material from the segmentation's
+     * customMaterials is drawn in the style of its base material.
      */
     enhanceStrokesWithMaterials(strokes, materialData) {
+        const baseMaterials = {};
+        (materialData.customMaterials || []).forEach(material => {
+            baseMaterials[material.name] = material.baseMaterial;
+        });
+        
         strokes.forEach(stroke => {
-            if (stroke.material && this.materialStyles[stroke.material]) {
-                const materialStyle = this.materialStyles[stroke.material];
+            const sampled = this.sampleStrokeMaterial(stroke, materialData);
+            if (sampled) {
+                stroke.material = sampled;
+            }
+            
+            const materialStyle = stroke.material &&
+                (this.materialStyles[stroke.material] || this.materialStyles[baseMaterials[stroke.material]]);
+            if (materialStyle) {
                 stroke.enhanced = {
                     strokeStyle: materialStyle.strokeStyle,
                     pattern: materialStyle.pattern,
@@ -631,6 +757,32 @@ class HandDrawnEffects {
         });
     }
     
+    /**
+     * Material under most of a stroke's points in a segmentation's material map, or null
+     * The map may be at another resolution or cover a larger image: materialData.scale
+     * maps canvas to map pixels (default: map width over canvas width) after adding
+     * materialData.offsetX/offsetY, the canvas's position in the full image.
+     */
+    sampleStrokeMaterial(stroke, materialData) {
+        if (!materialData || !materialData.materialMap || !materialData.materials) return null;
+        
+        const { width, height, materialMap, materials, offsetX = 0, offsetY = 0 } = materialData;
+        const scale = materialData.scale || width / this.width;
+        const votes = new Array(materials.length).fill(0);
+        
+        stroke.forEach(point => {
+            const x = Math.floor((point.x + offsetX) * scale);
+            const y = Math.floor((point.y + offsetY) * scale);
+            if (x < 0 || y < 0 || x >= width || y >= height) return;
+            
+            const index = materialMap[y * width + x];
+            if (index < materials.length) votes[index]++;
+        });
+        
+        const best = votes.indexOf(Math.max(...votes));
+        return votes[best] > 0 ? materials[best] : null;
+    }
+
     /**
      * Preserve furniture details based on importance
      */
@@ -655,10 +807,10 @@ class HandDrawnEffects {
     /**
      * Adjust strokes based on perspective
      */
-    adjustStrokesPerspective(strokes) {
+    adjustStrokesPerspective(strokes, perspective = null) {
         strokes.forEach(stroke => {
             const position = this.getStrokePosition(stroke);
-            const perspectiveWeight = this.calculatePerspectiveWeight(position);
+            const perspectiveWeight = this.calculatePerspectiveWeight(position, perspective);
             
             stroke.perspectiveAdjustment = {
                 weight: perspectiveWeight,
@@ -668,6 +820,23 @@ class HandDrawnEffects {
         });
     }
     
+    /**
+     * Estimate the room's vanishing points from detected line segments
+     */
+    analyzePerspective(lineSegments) {
+        this.lastPerspective = null;
+        
+        if (!this.perspectiveAnalysis || !lineSegments || lineSegments.length < 2) {
+            return null;
+        }
+        
+        this.lastPerspective = this.perspectiveAnalysis.estimateVanishingPoints(
+            lineSegments, this.width, this.height
+        );
+        
+        return this.lastPerspective;
+    }
+
     /**
      * Draw strokes with style-specific enhancements
      */
@@ -687,6 +856,12 @@ class HandDrawnEffects {
             case 'technical':
                 this.drawEnhancedTechnicalStrokes(strokes, lineVariation, lineThickness, settings);
                 break;
+            case 'watercolor':
+                this.drawWatercolorStrokes(strokes, lineVariation, lineThickness, settings);
+                break;
+            case 'marker':
+                this.drawMarkerStrokes(strokes, lineVariation, lineThickness, settings);
+                break;
             default:
                 this.drawEnhancedPencilStrokes(strokes, lineVariation, lineThickness, settings);
         }
@@ -714,12 +889,13 @@ class HandDrawnEffects {
             // Multiple passes for pencil texture
             const passes = furnitureDetail.enhanced ? 3 : 2;
             for (let pass = 0; pass < passes; pass++) {
+                this.reseedForStroke(stroke, pass);
                 this.ctx.beginPath();
-                this.ctx.globalAlpha = effectiveOpacity * (0.4 + Math.random() * 0.3);
-                this.ctx.strokeStyle = materialStyle.strokeStyle || `rgba(60, 60, 60, ${0.6 + Math.random() * 0.2})`;
-                this.ctx.lineWidth = effectiveThickness + Math.random() * 0.5;
+                this.ctx.globalAlpha = effectiveOpacity * (0.4 + this.random() * 0.3);
+                this.ctx.strokeStyle = materialStyle.strokeStyle || `rgba(60, 60, 60, ${0.6 + this.random() * 0.2})`;
+                this.ctx.lineWidth = effectiveThickness + this.random() * 0.5;
                 
-                this.drawStrokeWithVariation(stroke, effectiveRoughness / 100);
+                this.drawStrokeWithVariation(stroke, effectiveRoughness / 100, pass);
                 this.ctx.stroke();
             }
         });
@@ -764,14 +940,15 @@ class HandDrawnEffects {
             
             // Multiple rough passes
             for (let pass = 0; pass < 3; pass++) {
+                this.reseedForStroke(stroke, pass);
                 this.ctx.beginPath();
-                this.ctx.globalAlpha = (materialStyle.opacity || 0.3) * (0.2 + Math.random() * 0.2);
+                this.ctx.globalAlpha = (materialStyle.opacity || 0.3) * (0.2 + this.random() * 0.2);
                 this.ctx.strokeStyle = materialStyle.strokeStyle || '#2a2a2a';
-                this.ctx.lineWidth = thickness * (1.5 + Math.random()) * roughnessMultiplier;
+                this.ctx.lineWidth = thickness * (1.5 + this.random()) * roughnessMultiplier;
                 this.ctx.lineCap = 'square';
                 
                 const wobble = variation * roughnessMultiplier / 50;
-                this.drawStrokeWithVariation(stroke, wobble);
+                this.drawStrokeWithVariation(stroke, wobble, pass);
                 this.ctx.stroke();
             }
         });
@@ -786,6 +963,14 @@ class HandDrawnEffects {
         this.ctx.lineCap = 'square';
         this.ctx.lineJoin = 'miter';
         
+        const { lineSegments = null } = settings;
+        if (lineSegments && lineSegments.length > 0) {
+            this.ctx.strokeStyle = '#000000';
+            this.ctx.globalAlpha = 1;
+            this.drawRulerSegments(lineSegments, thickness, variation / 500);
+            strokes = this.filterStrokesCoveredBySegments(strokes, lineSegments);
+        }
+        
         strokes.forEach(stroke => {
             if (stroke.length < 2) return;
             
@@ -813,9 +998,12 @@ class HandDrawnEffects {
         const { stylePreset, expressive = false, precise = false, annotations = false } = settings;
         
         if (expressive) {
+            this.useLayer('linework');
             this.addExpressiveEffects();
         }
         
+        this.useLayer('annotations');
+        
         if (precise) {
             this.addPrecisionEffects();
         }
@@ -826,22 +1014,78 @@ class HandDrawnEffects {
         
         // Style-specific post-processing
         if (stylePreset === 'artistic-mood') {
+            this.useLayer('background');
             this.addArtisticEffects();
         }
     }
     
     /**
-     * Enhanced paper texture with style awareness
+     * Paper texture with style awareness
+     * settings.paper picks a PaperTexture surface (defaulting to one that suits the
+     * style); the drawing is re-laid onto it so the grain breaks up dry media.
+     * The grain is laid out in full-image coordinates so tiles of a render line up.
      */
     addPaperTexture(settings = {}) {
-        const { stylePreset } = settings;
+        const { style = 'pencil', baseStyle = style, stylePreset, paper = null } = settings;
+        
+        if (this.paperTexture) {
+            const paperId = paper || this.paperTexture.getDefaultPaperFor(baseStyle, stylePreset);
+            const surface = this.paperTexture.generateSurface(paperId, this.width, this.height, () => this.random(), {
+                x: this.offsetX,
+                y: this.offsetY,
+                // Leading key keeps the paper apart from stroke positions
+                valueAt: (...keys) => this.randomAt(-1, ...keys)
+            });
+            
+            if (this.sketchDocument) {
+                this.applyPaperToLayers(surface, baseStyle);
+            } else {
+                const imageData = this.ctx.getImageData(0, 0, this.width, this.height);
+                this.paperTexture.applyToImageData(imageData, surface, {
+                    style: baseStyle,
+                    background: this.getBackgroundColor(settings)
+                });
+                this.ctx.putImageData(imageData, 0, 0);
+            }
+        } else {
+            this.useLayer('background');
+            this.addNoiseTexture(stylePreset);
+        }
+        
+        // Style-specific gradient overlays
+        this.useLayer('background');
+        this.addStyleSpecificOverlay(stylePreset);
+    }
+
+    /**
+     * Lay the paper surface on the background layer and let its grain break up
+     * every ink layer; annotations stay crisp
+     */
+    applyPaperToLayers(surface, style) {
+        const layerIds = ['background', ...this.inkLayers];
         
-        // Base paper texture
+        layerIds.forEach(id => {
+            const layer = this.sketchDocument.getLayer(id);
+            const imageData = layer.ctx.getImageData(0, 0, this.width, this.height);
+            
+            if (id === 'background') {
+                this.paperTexture.paintSurface(imageData, surface);
+            } else {
+                this.paperTexture.applyToLayer(imageData, surface, { style });
+                this.sketchDocument.setLayerBlendMode(id, this.paperTexture.getLayerBlendMode(surface.paperId));
+            }
+            layer.ctx.putImageData(imageData, 0, 0);
+        });
+    }
+
+    /**
+     * Plain noise grain, used when PaperTexture isn't loaded
+     */
+    addNoiseTexture(stylePreset) {
         const imageData = this.ctx.getImageData(0, 0, this.width, this.height);
         const data = imageData.data;
         
         // Determine noise intensity based on style
-        // Add subtle noise for paper texture
         let noiseIntensity = 10;
         if (stylePreset === 'technical-documentation') {
             noiseIntensity = 3; // Minimal noise for technical
@@ -850,139 +1094,1471 @@ class HandDrawnEffects {
         }
         
         for (let i = 0; i < data.length; i += 4) {
-            const noise = (Math.random() - 0.5) * noiseIntensity;
+            const pixel = i / 4;
+            const x = pixel % this.width + this.offsetX;
+            const y = Math.floor(pixel / this.width) + this.offsetY;
+            const noise = (this.randomAt(-1, x, y) - 0.5) * noiseIntensity;
             data[i] = Math.max(0, Math.min(255, data[i] + noise));
             data[i + 1] = Math.max(0, Math.min(255, data[i + 1] + noise));
             data[i + 2] = Math.max(0, Math.min(255, data[i + 2] + noise));
         }
         
         this.ctx.putImageData(imageData, 0, 0);
-        
-        // Style-specific gradient overlays
-        this.addStyleSpecificOverlay(stylePreset);
     }
     
-    // ===== BATCH PROCESSING METHODS =====
+    // ===== WATERCOLOR METHODS =====
     
     /**
-     * Process multiple images with consistent styling
+     * Watercolor: soft washes per enclosed region under a light ink line layer
+     * Wash colors come from settings.sourceImageData (the photo) and/or settings.palette
+     * (an array of hex colors or a StyleManager palette), see getFillColorInputs;
+     * settings.watercolor tunes bleed, granulation, edgeDarkening and opacity.
      */
-    async processBatch(imageDataArray, stylePreset, options = {}) {
-        this.batchState.isProcessing = true;
-        this.batchState.totalImages = imageDataArray.length;
-        this.batchState.processedImages = 0;
-        this.batchState.consistencyMap.clear();
+    drawWatercolorStrokes(strokes, variation, thickness, settings) {
+        const {
+            bleed = 1,
+            granulation = 0.35,
+            edgeDarkening = 0.6,
+            opacity = 0.55
+        } = settings.watercolor || {};
+        
+        // Regions are found on a coarse grid; washes don't need pixel-accurate borders
+        const cellSize = Math.max(2, Math.round(Math.min(this.imageWidth, this.imageHeight) / 160));
+        const regionMap = this.findWashRegions(strokes, cellSize);
+        const { palette, sourceImageData } = this.getFillColorInputs(settings);
+        
+        this.assignWashColors(regionMap, palette, sourceImageData);
+        this.useLayer('color');
+        this.paintWashes(regionMap, { bleed, granulation, edgeDarkening, opacity });
+        
+        // Light ink over the washes
+        this.useLayer('linework');
+        this.ctx.lineCap = 'round';
+        this.ctx.lineJoin = 'round';
+        this.ctx.strokeStyle = '#4a4440';
         
-        // Generate style signature for consistency
-        this.batchState.styleSignature = this.generateStyleSignature(stylePreset, options);
+        strokes.forEach(stroke => {
+            if (stroke.length < 2) return;
+            
+            const perspectiveAdjust = stroke.perspectiveAdjustment || { weight: 1, thickness: 1, opacity: 1 };
+            
+            this.ctx.beginPath();
+            this.ctx.globalAlpha = 0.55 * perspectiveAdjust.opacity;
+            this.ctx.lineWidth = thickness * 0.6;
+            this.drawStrokeWithVariation(stroke, variation / 150);
+            this.ctx.stroke();
+        });
         
-        const results = [];
+        this.ctx.globalAlpha = 1;
+    }
+
+    /**
+     * Label the areas enclosed by strokes on a grid of cellSize pixels
+     * Stroke cells are given to a neighbouring region so washes run under the ink.
+     * Returns { labels, gridWidth, gridHeight, cellSize, regions }.
+     */
+    findWashRegions(strokes, cellSize, minCells = 6) {
+        const gridWidth = Math.ceil(this.width / cellSize);
+        const gridHeight = Math.ceil(this.height / cellSize);
+        const labels = new Int32Array(gridWidth * gridHeight);
+        const WALL = -1;
         
-        for (let i = 0; i < imageDataArray.length; i++) {
-            const batchOptions = {
-                ...options,
-                batchConsistency: true,
-                batchIndex: i,
-                batchTotal: imageDataArray.length
-            };
-            
-            try {
-                const result = await this.applyHandDrawnEffect(imageDataArray[i], {
-                    stylePreset,
-                    ...batchOptions
-                });
-                
-                results.push({
-                    success: true,
-                    imageData: result,
-                    index: i
-                });
-                
-                this.batchState.processedImages++;
+        // Rasterize strokes as walls
+        strokes.forEach(stroke => {
+            for (let i = 1; i < stroke.length; i++) {
+                const a = stroke[i - 1];
+                const b = stroke[i];
+                const steps = Math.max(1, Math.ceil(Math.hypot(b.x - a.x, b.y - a.y) / (cellSize * 0.5)));
                 
-                // Report progress
-                if (options.onProgress) {
-                    options.onProgress({
-                        completed: this.batchState.processedImages,
-                        total: this.batchState.totalImages,
-                        percentage: (this.batchState.processedImages / this.batchState.totalImages) * 100
-                    });
+                for (let step = 0; step <= steps; step++) {
+                    const t = step / steps;
+                    const gx = Math.min(gridWidth - 1, Math.max(0, Math.floor((a.x + (b.x - a.x) * t) / cellSize)));
+                    const gy = Math.min(gridHeight - 1, Math.max(0, Math.floor((a.y + (b.y - a.y) * t) / cellSize)));
+                    labels[gy * gridWidth + gx] = WALL;
                 }
+            }
+        });
+        
+        // Flood fill the open cells
+        const regions = [];
+        const queue = new Int32Array(gridWidth * gridHeight);
+        
+        for (let start = 0; start < labels.length; start++) {
+            if (labels[start] !== 0) continue;
+            
+            const id = regions.length + 1;
+            const cells = [];
+            let head = 0;
+            let tail = 0;
+            queue[tail++] = start;
+            labels[start] = id;
+            
+            while (head < tail) {
+                const cell = queue[head++];
+                cells.push(cell);
                 
-            } catch (error) {
-                results.push({
-                    success: false,
-                    error: error.message,
-                    index: i
-                });
+                const x = cell % gridWidth;
+                const y = (cell - x) / gridWidth;
+                if (x > 0 && labels[cell - 1] === 0) { labels[cell - 1] = id; queue[tail++] = cell - 1; }
+                if (x < gridWidth - 1 && labels[cell + 1] === 0) { labels[cell + 1] = id; queue[tail++] = cell + 1; }
+                if (y > 0 && labels[cell - gridWidth] === 0) { labels[cell - gridWidth] = id; queue[tail++] = cell - gridWidth; }
+                if (y < gridHeight - 1 && labels[cell + gridWidth] === 0) { labels[cell + gridWidth] = id; queue[tail++] = cell + gridWidth; }
             }
+            
+            regions.push({ id, cells, color: null, skip: cells.length < minCells });
         }
         
-        this.batchState.isProcessing = false;
-        return results;
-    }
-    
-    /**
-     * Store consistency data for batch processing
-     */
-    storeBatchConsistencyData(settings) {
-        const key = `${settings.stylePreset || 'default'}_${settings.baseStyle || 'pencil'}`;
-        
-        if (!this.batchState.consistencyMap.has(key)) {
-            this.batchState.consistencyMap.set(key, {
-                lineVariations: [],
-                thicknesses: [],
-                opacities: [],
-                colors: []
-            });
+        // Let regions grow into the wall cells, a ring at a time
+        for (let pass = 0; pass < 3; pass++) {
+            const previous = labels.slice();
+            for (let cell = 0; cell < labels.length; cell++) {
+                if (previous[cell] !== WALL) continue;
+                
+                const x = cell % gridWidth;
+                const y = (cell - x) / gridWidth;
+                const neighbor = (x > 0 && previous[cell - 1] > 0) ? previous[cell - 1] :
+                    (y > 0 && previous[cell - gridWidth] > 0) ? previous[cell - gridWidth] :
+                    (x < gridWidth - 1 && previous[cell + 1] > 0) ? previous[cell + 1] :
+                    (y < gridHeight - 1 && previous[cell + gridWidth] > 0) ? previous[cell + gridWidth] : 0;
+                
+                if (neighbor > 0) labels[cell] = neighbor;
+            }
         }
         
-        // Store current parameters for consistency
-        const data = this.batchState.consistencyMap.get(key);
-        data.lineVariations.push(settings.lineVariation || 50);
-        data.thicknesses.push(settings.lineThickness || 2);
-        // Add more consistency tracking as needed
+        return { labels, gridWidth, gridHeight, cellSize, regions };
     }
-    
+
     /**
-     * Generate style signature for batch consistency
+     * Photo and palette inputs for color-filled styles
+     * settings.fillColorSource picks 'photo', 'palette' or 'both' (the default uses whatever is given).
      */
-    generateStyleSignature(stylePreset, options) {
+    getFillColorInputs(settings) {
+        const { fillColorSource = 'both', sourceImageData = null, palette = null } = settings;
+        
         return {
-            preset: stylePreset,
-            timestamp: Date.now(),
-            seed: options.seed || Math.random(),
-            parameters: {
-                lineVariation: options.lineVariation,
-                lineThickness: options.lineThickness,
-                materialAwareness: this.materialAwareness,
-                furniturePreservation: this.furniturePreservation
-            }
+            sourceImageData: fillColorSource !== 'palette' ? sourceImageData : null,
+            palette: this.resolveWashPalette(fillColorSource !== 'photo' ? palette : null)
         };
     }
-    
-    // ===== UTILITY METHODS =====
-    
+
     /**
-     * Convert edge data to ImageData format
+     * Normalize a palette to RGB triples
+     * Accepts an array of hex colors or a StyleManager palette ({ colors: { ... } }).
      */
-    edgeDataToImageData(edgeData) {
-        if (edgeData instanceof ImageData) {
-            return edgeData;
+    resolveWashPalette(palette) {
+        let colors = [];
+        if (Array.isArray(palette)) {
+            colors = palette;
+        } else if (palette && palette.colors) {
+            colors = Object.values(palette.colors);
         }
         
-        // Create ImageData from edge data
-        const canvas = document.createElement('canvas');
-        canvas.width = this.width;
-        canvas.height = this.height;
-        const ctx = canvas.getContext('2d');
-        ctx.putImageData(edgeData, 0, 0);
+        const parsed = colors
+            .map(color => /^#?([0-9a-f]{6})$/i.exec(String(color).trim()))
+            .filter(Boolean)
+            .map(match => [0, 2, 4].map(i => parseInt(match[1].substr(i, 2), 16)));
         
-        return canvas;
+        return parsed.length > 0 ? parsed : null;
     }
-    
+
     /**
-     * Calculate stroke length
+     * Pick a wash color for every region
+     * Photo colors are averaged per region and pulled toward the nearest palette color
+     * when a palette is also given; without a photo, palette colors are dealt out.
+     */
+    assignWashColors(regionMap, palette, sourceImageData = null) {
+        const { gridWidth, cellSize, regions } = regionMap;
+        const fallbackPalette = palette || [[168, 190, 204], [214, 186, 150], [196, 174, 160], [170, 190, 160], [226, 214, 190]];
+        const nearestPaletteColor = (color) => palette.reduce((best, candidate) => {
+            const distance = Math.hypot(candidate[0] - color[0], candidate[1] - color[1], candidate[2] - color[2]);
+            return distance < best.distance ? { color: candidate, distance } : best;
+        }, { color: palette[0], distance: Infinity }).color;
+        
+        regions.forEach(region => {
+            if (region.skip) return;
+            
+            let color;
+            if (sourceImageData) {
+                const scaleX = sourceImageData.width / this.width;
+                const scaleY = sourceImageData.height / this.height;
+                const stride = Math.max(1, Math.floor(region.cells.length / 200));
+                const sum = [0, 0, 0];
+                let count = 0;
+                
+                for (let i = 0; i < region.cells.length; i += stride) {
+                    const cell = region.cells[i];
+                    const x = Math.min(sourceImageData.width - 1, Math.floor(((cell % gridWidth) + 0.5) * cellSize * scaleX));
+                    const y = Math.min(sourceImageData.height - 1, Math.floor((Math.floor(cell / gridWidth) + 0.5) * cellSize * scaleY));
+                    const idx = (y * sourceImageData.width + x) * 4;
+                    sum[0] += sourceImageData.data[idx];
+                    sum[1] += sourceImageData.data[idx + 1];
+                    sum[2] += sourceImageData.data[idx + 2];
+                    count++;
+                }
+                
+                color = sum.map(value => value / count);
+                if (palette) {
+                    const target = nearestPaletteColor(color);
+                    color = color.map((value, i) => value * 0.5 + target[i] * 0.5);
+                }
+            } else {
+                color = fallbackPalette[Math.floor(this.random() * fallbackPalette.length)];
+            }
+            
+            // Leave some areas as bare paper, as a painter reserves highlights
+            const luminance = 0.299 * color[0] + 0.587 * color[1] + 0.114 * color[2];
+            if (luminance > 240 || (regions.length > 4 && this.random() < 0.12)) {
+                region.skip = true;
+                return;
+            }
+            
+            // Watercolor pigment reads lighter than the photo
+            region.color = color.map(value => value + (255 - value) * 0.2);
+        });
+    }
+
+    /**
+     * Composite the region washes onto the paper
+     * Bleed displaces region borders with smooth noise, pigment pools along the borders
+     * (edge darkening) and settles unevenly in darker colors (granulation).
+     */
+    paintWashes(regionMap, options) {
+        const { labels, gridWidth, gridHeight, cellSize, regions } = regionMap;
+        const { bleed, granulation, edgeDarkening, opacity } = options;
+        
+        const regionById = new Array(regions.length + 1);
+        regions.forEach(region => {
+            regionById[region.id] = region;
+        });
+        
+        // Distance (in cells) to the nearest region border, capped
+        const maxDistance = 4;
+        const distance = new Uint8Array(labels.length).fill(maxDistance);
+        const queue = [];
+        for (let cell = 0; cell < labels.length; cell++) {
+            const x = cell % gridWidth;
+            const y = (cell - x) / gridWidth;
+            const label = labels[cell];
+            const border = (x > 0 && labels[cell - 1] !== label) ||
+                (x < gridWidth - 1 && labels[cell + 1] !== label) ||
+                (y > 0 && labels[cell - gridWidth] !== label) ||
+                (y < gridHeight - 1 && labels[cell + gridWidth] !== label);
+            if (border) {
+                distance[cell] = 0;
+                queue.push(cell);
+            }
+        }
+        for (let head = 0; head < queue.length; head++) {
+            const cell = queue[head];
+            const x = cell % gridWidth;
+            const next = distance[cell] + 1;
+            if (next >= maxDistance) continue;
+            
+            [x > 0 ? cell - 1 : -1, x < gridWidth - 1 ? cell + 1 : -1, cell - gridWidth, cell + gridWidth].forEach(neighbor => {
+                if (neighbor >= 0 && neighbor < labels.length && labels[neighbor] === labels[cell] && distance[neighbor] > next) {
+                    distance[neighbor] = next;
+                    queue.push(neighbor);
+                }
+            });
+        }
+        
+        const bleedAmount = cellSize * 1.5 * bleed;
+        const noiseSpacing = cellSize * 6;
+        const bleedX = this.createValueNoise(noiseSpacing);
+        const bleedY = this.createValueNoise(noiseSpacing);
+        const flow = this.createValueNoise(noiseSpacing * 3);
+        
+        const imageData = this.ctx.getImageData(0, 0, this.width, this.height);
+        const data = imageData.data;
+        
+        for (let y = 0; y < this.height; y++) {
+            for (let x = 0; x < this.width; x++) {
+                // Displaced lookup makes borders wander and bleed over the lines
+                const sx = x + (bleedX(x, y) - 0.5) * 2 * bleedAmount;
+                const sy = y + (bleedY(x, y) - 0.5) * 2 * bleedAmount;
+                const gx = Math.min(gridWidth - 1, Math.max(0, Math.floor(sx / cellSize)));
+                const gy = Math.min(gridHeight - 1, Math.max(0, Math.floor(sy / cellSize)));
+                const cell = gy * gridWidth + gx;
+                
+                const region = regionById[labels[cell]];
+                if (!region || region.skip) continue;
+                
+                const color = region.color;
+                const darkness = 1 - (0.299 * color[0] + 0.587 * color[1] + 0.114 * color[2]) / 255;
+                const edge = 1 - distance[cell] / maxDistance;
+                
+                let density = opacity * (0.7 + 0.6 * flow(x, y));
+                density *= 1 + edgeDarkening * edge * edge;
+                density *= 1 + granulation * (this.random() - 0.5) * (0.5 + darkness);
+                density = Math.max(0, Math.min(1, density));
+                
+                // Multiply blend: pigment filters the paper color. On a transparent
+                // layer this leaves the pigment itself, to be multiplied on compositing.
+                const idx = (y * this.width + x) * 4;
+                const backdrop = data[idx + 3] / 255;
+                const alpha = density + backdrop * (1 - density);
+                if (alpha === 0) continue;
+                for (let c = 0; c < 3; c++) {
+                    const source = color[c] * (1 - backdrop + backdrop * data[idx + c] / 255);
+                    data[idx + c] = (density * source + backdrop * data[idx + c] * (1 - density)) / alpha;
+                }
+                data[idx + 3] = alpha * 255;
+            }
+        }
+        
+        this.ctx.putImageData(imageData, 0, 0);
+    }
+
+    /**
+     * Smooth 2D value noise in [0, 1] with lattice points every `spacing` pixels
+     */
+    createValueNoise(spacing) {
+        const columns = Math.ceil(this.width / spacing) + 2;
+        const rows = Math.ceil(this.height / spacing) + 2;
+        const lattice = new Float32Array(columns * rows);
+        for (let i = 0; i < lattice.length; i++) {
+            lattice[i] = this.random();
+        }
+        
+        const smooth = (t) => t * t * (3 - 2 * t);
+        
+        return (x, y) => {
+            const fx = x / spacing;
+            const fy = y / spacing;
+            const ix = Math.floor(fx);
+            const iy = Math.floor(fy);
+            const tx = smooth(fx - ix);
+            const ty = smooth(fy - iy);
+            const i = iy * columns + ix;
+            
+            const top = lattice[i] + (lattice[i + 1] - lattice[i]) * tx;
+            const bottom = lattice[i + columns] + (lattice[i + columns + 1] - lattice[i + columns]) * tx;
+            return top + (bottom - top) * ty;
+        };
+    }
+    
+    // ===== MARKER METHODS =====
+    
+    /**
+     * Marker: layered alcohol-marker fills under a fine-liner outline with white gel highlights
+     * Fill colors are chosen as for watercolor washes (settings.sourceImageData / settings.palette);
+     * settings.marker tunes nibWidth, angle (radians), opacity and highlights.
+     */
+    drawMarkerStrokes(strokes, variation, thickness, settings) {
+        const {
+            nibWidth = Math.max(6, Math.min(this.imageWidth, this.imageHeight) / 40),
+            angle = null,
+            opacity = 0.35,
+            highlights = true
+        } = settings.marker || {};
+        
+        const cellSize = Math.max(2, Math.round(Math.min(this.imageWidth, this.imageHeight) / 160));
+        const regionMap = this.findWashRegions(strokes, cellSize);
+        const { palette, sourceImageData } = this.getFillColorInputs(settings);
+        this.assignWashColors(regionMap, palette, sourceImageData);
+        
+        // One stroke direction for the whole drawing, as a designer keeps a consistent hand
+        const direction = angle !== null ? angle : -Math.PI / 4 + (this.random() - 0.5) * 0.3;
+        const runs = this.collectRegionRuns(regionMap);
+        
+        this.useLayer('color');
+        this.ctx.save();
+        this.ctx.globalCompositeOperation = 'multiply';
+        this.ctx.lineCap = 'butt';
+        
+        regionMap.regions.forEach(region => {
+            if (region.skip || !runs.has(region.id)) return;
+            this.drawMarkerFill(region.color, runs.get(region.id), direction, nibWidth, opacity);
+        });
+        
+        this.ctx.restore();
+        
+        // Fine-liner outline
+        this.useLayer('linework');
+        this.ctx.lineCap = 'round';
+        this.ctx.lineJoin = 'round';
+        this.ctx.strokeStyle = '#1f1f1f';
+        
+        strokes.forEach(stroke => {
+            if (stroke.length < 2) return;
+            
+            const perspectiveAdjust = stroke.perspectiveAdjustment || { weight: 1, thickness: 1, opacity: 1 };
+            
+            this.ctx.beginPath();
+            this.ctx.globalAlpha = 0.9 * perspectiveAdjust.opacity;
+            this.ctx.lineWidth = Math.max(0.75, thickness * 0.5 * perspectiveAdjust.thickness);
+            this.drawStrokeWithVariation(stroke, variation / 300);
+            this.ctx.stroke();
+        });
+        
+        // Glints lift the marker color, so they belong with it
+        if (highlights) {
+            this.useLayer('color');
+            this.addGelHighlights(strokes, thickness);
+            this.useLayer('linework');
+        }
+        
+        this.ctx.globalAlpha = 1;
+    }
+
+    /**
+     * Horizontal pixel runs covered by each region, keyed by region id
+     */
+    collectRegionRuns(regionMap) {
+        const { labels, gridWidth, gridHeight, cellSize } = regionMap;
+        const runs = new Map();
+        
+        for (let gy = 0; gy < gridHeight; gy++) {
+            let gx = 0;
+            while (gx < gridWidth) {
+                const label = labels[gy * gridWidth + gx];
+                const start = gx;
+                while (gx < gridWidth && labels[gy * gridWidth + gx] === label) gx++;
+                
+                if (label <= 0) continue;
+                if (!runs.has(label)) runs.set(label, []);
+                runs.get(label).push({ x: start * cellSize, y: gy * cellSize, width: (gx - start) * cellSize, height: cellSize });
+            }
+        }
+        
+        return runs;
+    }
+
+    /**
+     * Fill one region with parallel chisel-nib strokes
+     * Multiply blending darkens every overlap, so the 25% overlap between neighbouring
+     * strokes leaves streaks and the extra passes build up a shadow side.
+     */
+    drawMarkerFill(color, runs, direction, nibWidth, opacity) {
+        const dx = Math.cos(direction);
+        const dy = Math.sin(direction);
+        
+        // Extent of the region along and across the stroke direction
+        let alongMin = Infinity, alongMax = -Infinity, acrossMin = Infinity, acrossMax = -Infinity;
+        runs.forEach(run => {
+            [[run.x, run.y], [run.x + run.width, run.y], [run.x, run.y + run.height], [run.x + run.width, run.y + run.height]].forEach(([x, y]) => {
+                const along = x * dx + y * dy;
+                const across = -x * dy + y * dx;
+                alongMin = Math.min(alongMin, along);
+                alongMax = Math.max(alongMax, along);
+                acrossMin = Math.min(acrossMin, across);
+                acrossMax = Math.max(acrossMax, across);
+            });
+        });
+        
+        this.ctx.save();
+        this.ctx.beginPath();
+        runs.forEach(run => this.ctx.rect(run.x, run.y, run.width, run.height));
+        this.ctx.clip();
+        
+        this.ctx.strokeStyle = `rgb(${color.map(Math.round).join(', ')})`;
+        this.ctx.lineWidth = nibWidth;
+        
+        // Base layer over the whole region, then two passes toward the shadow side
+        const layers = [
+            { from: 0, alpha: opacity },
+            { from: 0.55, alpha: opacity },
+            { from: 0.8, alpha: opacity * 0.8 }
+        ];
+        const span = acrossMax - acrossMin;
+        
+        layers.forEach(layer => {
+            for (let across = acrossMin + span * layer.from + nibWidth / 2; across < acrossMax + nibWidth / 2; across += nibWidth * 0.75) {
+                const offset = across + (this.random() - 0.5) * nibWidth * 0.15;
+                // Strokes overshoot the region a little and sometimes lift early
+                const start = alongMin - nibWidth * this.random();
+                const end = alongMax + nibWidth - (this.random() < 0.2 ? this.random() * (alongMax - alongMin) * 0.3 : 0);
+                
+                this.ctx.globalAlpha = layer.alpha * (0.85 + this.random() * 0.3);
+                this.ctx.beginPath();
+                this.ctx.moveTo(start * dx - offset * dy, start * dy + offset * dx);
+                this.ctx.lineTo(end * dx - offset * dy, end * dy + offset * dx);
+                this.ctx.stroke();
+            }
+        });
+        
+        this.ctx.restore();
+    }
+
+    /**
+     * White gel pen glints along roughly one stroke in four
+     * Glints sit just above-left of the line, on the side facing the light.
+     */
+    addGelHighlights(strokes, thickness) {
+        const lineWidth = Math.max(1, thickness * 0.7);
+        const offset = thickness * 1.2;
+        
+        this.ctx.strokeStyle = '#ffffff';
+        this.ctx.fillStyle = '#ffffff';
+        this.ctx.lineCap = 'round';
+        this.ctx.lineWidth = lineWidth;
+        this.ctx.globalAlpha = 0.85;
+        
+        strokes.forEach(stroke => {
+            if (stroke.length < 2) return;
+            
+            this.reseedForStroke(stroke);
+            if (this.random() > 0.25) return;
+            
+            const index = Math.floor(this.random() * (stroke.length - 1));
+            const a = stroke[index];
+            const b = stroke[index + 1];
+            const segmentLength = Math.hypot(b.x - a.x, b.y - a.y);
+            if (segmentLength < 4) return;
+            
+            const glintLength = Math.min(segmentLength, 10 + this.random() * 20);
+            const t0 = this.random() * (1 - glintLength / segmentLength);
+            const t1 = t0 + glintLength / segmentLength;
+            
+            this.ctx.beginPath();
+            this.ctx.moveTo(a.x + (b.x - a.x) * t0 - offset, a.y + (b.y - a.y) * t0 - offset);
+            this.ctx.lineTo(a.x + (b.x - a.x) * t1 - offset, a.y + (b.y - a.y) * t1 - offset);
+            this.ctx.stroke();
+            
+            // Occasional dot just past the glint
+            if (this.random() < 0.5) {
+                const t = Math.min(1, t1 + 4 / segmentLength);
+                this.ctx.beginPath();
+                this.ctx.arc(a.x + (b.x - a.x) * t - offset, a.y + (b.y - a.y) * t - offset, lineWidth * 0.9, 0, Math.PI * 2);
+                this.ctx.fill();
+            }
+        });
+    }
+    
+    // ===== MATERIAL OVERLAY METHODS =====
+
+    /**
+     * Texture marks along strokes that lie on a material, for the materials layer
+     * Each material style's pattern adds its own marks: wood grain runs a second
+     * line beside the edge, stone gets speckles, fabric and leather soft dashes,
+     * metal a tight parallel line and glass reflection ticks. Returns the marks
+     * as vector strokes with context 'materials', followed by the outlines of the
+     * segmentation's regions when material enhancement is on.
+     */
+    drawMaterialOverlays(strokes, settings) {
+        const { lineThickness = 2, lineVariation = 50 } = settings;
+        const jitter = lineVariation / 100;
+        const marks = [];
+        
+        strokes.forEach(stroke => {
+            const pattern = stroke.enhanced && stroke.enhanced.pattern;
+            if (!pattern || stroke.length < 2) return;
+            
+            this.reseedForStroke(stroke);
+            
+            const add = (points, weight) => marks.push({
+                points,
+                closed: false,
+                context: 'materials',
+                material: stroke.material || null,
+                color: stroke.enhanced.strokeStyle,
+                width: Math.max(0.4, lineThickness * weight),
+                opacity: (stroke.enhanced.opacity || 0.7) * 0.6
+            });
+            
+            switch (pattern) {
+                case 'grain':
+                    add(this.offsetStroke(stroke, 2.5 * lineThickness, jitter), 0.4);
+                    break;
+                case 'sharp':
+                    add(this.offsetStroke(stroke, 1.5 * lineThickness, 0), 0.3);
+                    break;
+                case 'soft':
+                    this.samplePointsAlong(stroke, 4).forEach((point, i) => {
+                        if (i % 2 === 1) return;
+                        this.reseedAt(point.x, point.y);
+                        const offset = 2 * lineThickness + (this.random() - 0.5) * jitter;
+                        const x = point.x + point.nx * offset;
+                        const y = point.y + point.ny * offset;
+                        add([{ x, y }, { x: x + point.tx * 3, y: y + point.ty * 3 }], 0.35);
+                    });
+                    break;
+                case 'textured':
+                    this.samplePointsAlong(stroke, 6).forEach(point => {
+                        this.reseedAt(point.x, point.y);
+                        const offset = (this.random() - 0.5) * 6 * lineThickness;
+                        const x = point.x + point.nx * offset + (this.random() - 0.5) * 2;
+                        const y = point.y + point.ny * offset + (this.random() - 0.5) * 2;
+                        add([{ x, y }, { x: x + 0.8, y: y + 0.6 }], 0.5);
+                    });
+                    break;
+                case 'clean':
+                    this.samplePointsAlong(stroke, 28).forEach(point => {
+                        [3, 6].forEach(distance => {
+                            const x = point.x + point.nx * distance * lineThickness / 2;
+                            const y = point.y + point.ny * distance * lineThickness / 2;
+                            add([{ x, y }, { x: x + 4, y: y - 4 }], 0.3);
+                        });
+                    });
+                    break;
+            }
+        });
+        
+        // Outline the segmented regions so each material's extent reads in the sketch
+        const { materialEnhancement = false, materialData = null } = settings;
+        if (materialEnhancement && materialData && materialData.regions) {
+            this.materialRegionOutlines(materialData, lineThickness).forEach(outline => marks.push(outline));
+        }
+        
+        this.ctx.save();
+        this.ctx.lineCap = 'round';
+        this.ctx.lineJoin = 'round';
+        marks.forEach(mark => {
+            this.ctx.strokeStyle = mark.color;
+            this.ctx.globalAlpha = mark.opacity;
+            this.ctx.lineWidth = mark.width;
+            this.ctx.beginPath();
+            mark.points.forEach((point, i) => i === 0 ? this.ctx.moveTo(point.x, point.y) : this.ctx.lineTo(point.x, point.y));
+            if (mark.closed) this.ctx.closePath();
+            this.ctx.stroke();
+        });
+        this.ctx.restore();
+        
+        return marks;
+    }
+
+    /**
+     * Region polygons from a segmentation as closed strokes on the canvas
+     * Polygons are in material map pixels and are mapped back with the same scale
+     * and offset as sampleStrokeMaterial; regions wholly off the canvas are left out.
+     */
+    materialRegionOutlines(materialData, lineThickness) {
+        const { width, offsetX = 0, offsetY = 0 } = materialData;
+        const scale = materialData.scale || width / this.width;
+        const baseMaterials = {};
+        (materialData.customMaterials || []).forEach(material => {
+            baseMaterials[material.name] = material.baseMaterial;
+        });
+        
+        const outlines = [];
+        materialData.regions.forEach(region => {
+            if (!region.polygon || region.polygon.length < 3) return;
+            
+            const points = region.polygon.map(point => ({
+                x: point.x / scale - offsetX,
+                y: point.y / scale - offsetY
+            }));
+            const xs = points.map(point => point.x);
+            const ys = points.map(point => point.y);
+            if (Math.max(...xs) < 0 || Math.max(...ys) < 0 ||
+                Math.min(...xs) > this.width || Math.min(...ys) > this.height) return;
+            
+            const style = this.materialStyles[region.material] || this.materialStyles[baseMaterials[region.material]];
+            const { r, g, b } = region.color || { r: 90, g: 90, b: 90 };
+            outlines.push({
+                points,
+                closed: true,
+                context: 'materials',
+                material: region.material,
+                color: style ? style.strokeStyle : `rgb(${r}, ${g}, ${b})`,
+                width: Math.max(0.4, lineThickness * 0.5),
+                opacity: 0.5
+            });
+        });
+        
+        return outlines;
+    }
+
+    /**
+     * Copy of a stroke moved sideways by distance, wavering by up to jitter
+     */
+    offsetStroke(stroke, distance, jitter) {
+        return stroke.map((point, i) => {
+            const prev = stroke[Math.max(0, i - 1)];
+            const next = stroke[Math.min(stroke.length - 1, i + 1)];
+            const length = Math.hypot(next.x - prev.x, next.y - prev.y) || 1;
+            this.reseedAt(point.x, point.y);
+            const offset = distance + (this.random() - 0.5) * jitter;
+            
+            return {
+                x: point.x - (next.y - prev.y) / length * offset,
+                y: point.y + (next.x - prev.x) / length * offset
+            };
+        });
+    }
+
+    /**
+     * Points every spacing pixels along a stroke with their unit tangent (tx, ty) and normal (nx, ny)
+     */
+    samplePointsAlong(stroke, spacing) {
+        const samples = [];
+        let carried = 0;
+        
+        for (let i = 1; i < stroke.length; i++) {
+            const a = stroke[i - 1];
+            const b = stroke[i];
+            const length = Math.hypot(b.x - a.x, b.y - a.y);
+            if (length === 0) continue;
+            
+            const tx = (b.x - a.x) / length;
+            const ty = (b.y - a.y) / length;
+            let t = carried;
+            for (; t < length; t += spacing) {
+                samples.push({ x: a.x + tx * t, y: a.y + ty * t, tx, ty, nx: -ty, ny: tx });
+            }
+            carried = t - length;
+        }
+        
+        return samples;
+    }
+    
+    // ===== TONE SHADING METHODS =====
+    
+    /**
+     * Hatching, cross-hatching or stippling whose density follows the photo's tone
+     * Needs settings.sourceImageData; settings.shading is 'none', 'hatching',
+     * 'crosshatch' or 'stipple'. Hatches follow settings.lineSegments where present.
+     * settings.scale sizes the marks for drawings larger than the preview and
+     * settings.toneRange, when set, is the tone stretch of the whole photo.
+     * Returns the marks as drawn, as vector strokes with context 'shading'.
+     */
+    drawToneShading(style, settings) {
+        const { shading = 'none', sourceImageData = null, lineThickness = 2, lineVariation = 50 } = settings;
+        if (shading === 'none' || !sourceImageData || !this.toneShading) return [];
+        
+        const marks = this.toneShading.generate(sourceImageData, this.width, this.height, {
+            mode: shading,
+            segments: settings.lineSegments,
+            random: () => this.random(),
+            scale: settings.scale || 1,
+            toneRange: settings.toneRange || null
+        });
+        const ink = this.getShadingInk(style);
+        const wobble = lineVariation / 100;
+        const lineWidth = Math.max(0.5, lineThickness * ink.weight);
+        const vectorStrokes = [];
+        
+        this.ctx.save();
+        this.ctx.strokeStyle = ink.color;
+        this.ctx.fillStyle = ink.color;
+        this.ctx.lineCap = 'round';
+        this.ctx.lineWidth = lineWidth;
+        
+        // One path per layer keeps thousands of hatches cheap to stroke
+        const layers = new Map();
+        marks.lines.forEach(line => {
+            if (!layers.has(line.layer)) layers.set(line.layer, []);
+            layers.get(line.layer).push(line);
+        });
+        
+        layers.forEach((lines, layer) => {
+            const opacity = ink.opacity * (layer === 0 ? 1 : 0.85);
+            this.ctx.globalAlpha = opacity;
+            this.ctx.beginPath();
+            lines.forEach(line => {
+                this.reseedAt(line.x1, line.y1);
+                const start = { x: line.x1 + (this.random() - 0.5) * wobble, y: line.y1 + (this.random() - 0.5) * wobble };
+                const end = { x: line.x2 + (this.random() - 0.5) * wobble, y: line.y2 + (this.random() - 0.5) * wobble };
+                this.ctx.moveTo(start.x, start.y);
+                this.ctx.lineTo(end.x, end.y);
+                vectorStrokes.push({ points: [start, end], closed: false, context: 'shading', color: ink.color, width: lineWidth, opacity });
+            });
+            this.ctx.stroke();
+        });
+        
+        if (marks.dots.length > 0) {
+            const dotScale = Math.max(0.6, lineThickness * 0.5);
+            
+            this.ctx.globalAlpha = ink.opacity;
+            this.ctx.beginPath();
+            marks.dots.forEach(dot => {
+                const radius = dot.r * dotScale;
+                this.ctx.moveTo(dot.x + radius, dot.y);
+                this.ctx.arc(dot.x, dot.y, radius, 0, Math.PI * 2);
+                
+                // Vector outputs only stroke paths: a ring half the radius across, drawn a radius wide, covers the dot
+                const ring = [0, 1, 2, 3, 4, 5, 0].map(k => ({
+                    x: dot.x + Math.cos(k * Math.PI / 3) * radius / 2,
+                    y: dot.y + Math.sin(k * Math.PI / 3) * radius / 2
+                }));
+                vectorStrokes.push({ points: ring, closed: true, context: 'shading', color: ink.color, width: radius, opacity: ink.opacity });
+            });
+            this.ctx.fill();
+        }
+        
+        this.ctx.restore();
+        return vectorStrokes;
+    }
+
+    /**
+     * Shading ink per drawing style; weight scales the line thickness
+     */
+    getShadingInk(style) {
+        const inks = {
+            pencil: { color: '#3c3c3c', weight: 0.35, opacity: 0.55 },
+            pen: { color: '#1a1a1a', weight: 0.3, opacity: 0.8 },
+            charcoal: { color: '#2b2b2b', weight: 0.8, opacity: 0.45 },
+            technical: { color: '#000000', weight: 0.25, opacity: 0.8 },
+            watercolor: { color: '#4a4440', weight: 0.3, opacity: 0.45 },
+            marker: { color: '#1f1f1f', weight: 0.3, opacity: 0.7 }
+        };
+        
+        return inks[style] || inks.pencil;
+    }
+    
+    // ===== CONSTRUCTION LINE METHODS =====
+
+    /**
+     * Guide and overshoot intensities in [0, 1], or null when construction is off
+     * Accepts true, a level name from this.constructionLevels or { guides, overshoot }.
+     */
+    resolveConstructionSettings(construction) {
+        if (!construction || construction === 'none') return null;
+        
+        const levels = this.constructionLevels;
+        const resolved = construction === true ? levels.light :
+            typeof construction === 'string' ? levels[construction] : construction;
+        if (!resolved) return null;
+        
+        const guides = Math.max(0, Math.min(1, resolved.guides || 0));
+        const overshoot = Math.max(0, Math.min(1, resolved.overshoot || 0));
+        return guides > 0 || overshoot > 0 ? { guides, overshoot } : null;
+    }
+
+    /**
+     * Let strokes and ruled segments run past the corners they meet at
+     * Strokes are extended in place; settings.lineSegments is replaced with
+     * extended copies so the edge data is left untouched.
+     */
+    applyCornerOvershoot(strokes, settings, intensity) {
+        const { lineThickness = 2 } = settings;
+        const radius = 4 + lineThickness;
+        const overshootLength = (length, x, y) => {
+            this.reseedAt(x, y);
+            return intensity * Math.max(3, Math.min(14, length * 0.08)) * (0.6 + this.random() * 0.8);
+        };
+        
+        // Bucket stroke samples so each endpoint only checks its neighbourhood
+        const grid = new Map();
+        const cellKey = (x, y) => `${Math.floor(x / radius)},${Math.floor(y / radius)}`;
+        strokes.forEach((stroke, index) => {
+            for (let i = 1; i < stroke.length; i++) {
+                const a = stroke[i - 1];
+                const b = stroke[i];
+                const steps = Math.max(1, Math.ceil(Math.hypot(b.x - a.x, b.y - a.y) / (radius / 2)));
+                for (let s = 0; s <= steps; s++) {
+                    const x = a.x + (b.x - a.x) * s / steps;
+                    const y = a.y + (b.y - a.y) * s / steps;
+                    const key = cellKey(x, y);
+                    if (!grid.has(key)) grid.set(key, []);
+                    grid.get(key).push({ index, x, y });
+                }
+            }
+        });
+        
+        const isJunction = (point, index) => {
+            const cx = Math.floor(point.x / radius);
+            const cy = Math.floor(point.y / radius);
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dx = -1; dx <= 1; dx++) {
+                    const samples = grid.get(`${cx + dx},${cy + dy}`);
+                    if (samples && samples.some(sample => sample.index !== index &&
+                        Math.hypot(sample.x - point.x, sample.y - point.y) <= radius)) {
+                        return true;
+                    }
+                }
+            }
+            return false;
+        };
+        
+        // Direction the pen was travelling when it reached an end, over the last few pixels
+        const endDirection = (stroke, fromEnd) => {
+            const end = fromEnd ? stroke[stroke.length - 1] : stroke[0];
+            for (let step = 1; step < stroke.length; step++) {
+                const point = fromEnd ? stroke[stroke.length - 1 - step] : stroke[step];
+                const distance = Math.hypot(end.x - point.x, end.y - point.y);
+                if (distance >= 8 || step === stroke.length - 1) {
+                    return distance > 0 ? { x: (end.x - point.x) / distance, y: (end.y - point.y) / distance } : null;
+                }
+            }
+            return null;
+        };
+        
+        const extensions = [];
+        strokes.forEach((stroke, index) => {
+            if (stroke.length < 2 || stroke.closed) return;
+            
+            const length = this.calculateStrokeLength(stroke);
+            if (length < 12) return;
+            
+            [false, true].forEach(fromEnd => {
+                const end = fromEnd ? stroke[stroke.length - 1] : stroke[0];
+                const direction = endDirection(stroke, fromEnd);
+                if (!direction || !isJunction(end, index)) return;
+                
+                const extra = overshootLength(length, end.x, end.y);
+                extensions.push({
+                    stroke,
+                    fromEnd,
+                    point: { x: end.x + direction.x * extra, y: end.y + direction.y * extra }
+                });
+            });
+        });
+        
+        // Extend only after every junction was found against the original ends
+        extensions.forEach(({ stroke, fromEnd, point }) => {
+            if (fromEnd) {
+                stroke.push(point);
+            } else {
+                stroke.unshift(point);
+            }
+        });
+        
+        const segments = settings.lineSegments;
+        if (segments && segments.length > 0) {
+            const meetsOther = (x, y, index) => segments.some((other, j) =>
+                j !== index && this.pointToSegmentDistance(x, y, other) <= radius);
+            
+            settings.lineSegments = segments.map((segment, index) => {
+                const length = Math.hypot(segment.x2 - segment.x1, segment.y2 - segment.y1);
+                if (length < 12) return segment;
+                
+                const ux = (segment.x2 - segment.x1) / length;
+                const uy = (segment.y2 - segment.y1) / length;
+                const start = meetsOther(segment.x1, segment.y1, index) ? overshootLength(length, segment.x1, segment.y1) : 0;
+                const end = meetsOther(segment.x2, segment.y2, index) ? overshootLength(length, segment.x2, segment.y2) : 0;
+                
+                return {
+                    ...segment,
+                    x1: segment.x1 - ux * start,
+                    y1: segment.y1 - uy * start,
+                    x2: segment.x2 + ux * end,
+                    y2: segment.y2 + uy * end
+                };
+            });
+        }
+        
+        return extensions.length;
+    }
+
+    /**
+     * Faint guide lines an architect would lay in first
+     * A horizon and rays from each vanishing point through the strongest
+     * convergent lines; without perspective the longest lines are carried
+     * across the sheet instead. Returns [{ x1, y1, x2, y2, kind }].
+     */
+    buildConstructionGuides(perspective, lineSegments, intensity) {
+        const guides = [];
+        const segments = (lineSegments || []).slice()
+            .sort((a, b) => Math.hypot(b.x2 - b.x1, b.y2 - b.y1) - Math.hypot(a.x2 - a.x1, a.y2 - a.y1));
+        const maxGuides = Math.round(3 + 9 * intensity);
+        
+        const finite = perspective ?
+            perspective.vanishingPoints.filter(vp => !vp.infinite && vp.role === 'horizon') : [];
+        
+        if (perspective && perspective.horizonY !== null && perspective.horizonY >= 0 && perspective.horizonY <= this.height) {
+            guides.push({ x1: 0, y1: perspective.horizonY, x2: this.width, y2: perspective.horizonY, kind: 'horizon' });
+        }
+        
+        if (finite.length > 0) {
+            const perPoint = Math.max(2, Math.floor(maxGuides / finite.length));
+            
+            finite.forEach(vp => {
+                const angles = [];
+                
+                for (const segment of segments) {
+                    if (angles.length >= perPoint) break;
+                    if (this.perspectiveAnalysis && !this.perspectiveAnalysis.findConvergence(segment, { vanishingPoints: [vp] })) continue;
+                    
+                    // Aim through the end of the segment farther from the vanishing point
+                    const d1 = Math.hypot(segment.x1 - vp.x, segment.y1 - vp.y);
+                    const d2 = Math.hypot(segment.x2 - vp.x, segment.y2 - vp.y);
+                    const far = d1 > d2 ? { x: segment.x1, y: segment.y1 } : { x: segment.x2, y: segment.y2 };
+                    const angle = Math.atan2(far.y - vp.y, far.x - vp.x);
+                    
+                    // Fan the rays out rather than doubling up on parallel edges
+                    if (angles.some(other => Math.abs(Math.atan2(Math.sin(angle - other), Math.cos(angle - other))) < 0.05)) continue;
+                    angles.push(angle);
+                    
+                    const ray = this.clipRayToCanvas(vp, { x: Math.cos(angle), y: Math.sin(angle) });
+                    if (ray) guides.push({ ...ray, kind: 'ray' });
+                }
+            });
+        } else {
+            segments.slice(0, maxGuides).forEach(segment => {
+                const length = Math.hypot(segment.x2 - segment.x1, segment.y2 - segment.y1);
+                if (length < Math.min(this.imageWidth, this.imageHeight) * 0.1) return;
+                
+                const direction = { x: (segment.x2 - segment.x1) / length, y: (segment.y2 - segment.y1) / length };
+                const forward = this.clipRayToCanvas({ x: segment.x1, y: segment.y1 }, direction);
+                const backward = this.clipRayToCanvas({ x: segment.x1, y: segment.y1 }, { x: -direction.x, y: -direction.y });
+                if (forward && backward) {
+                    guides.push({ x1: backward.x2, y1: backward.y2, x2: forward.x2, y2: forward.y2, kind: 'extension' });
+                }
+            });
+        }
+        
+        return guides;
+    }
+
+    /**
+     * Part of the ray from `origin` along `direction` that lies on the canvas
+     */
+    clipRayToCanvas(origin, direction) {
+        let tMin = 0;
+        let tMax = Infinity;
+        const bounds = [[origin.x, direction.x, this.width], [origin.y, direction.y, this.height]];
+        
+        for (const [position, delta, size] of bounds) {
+            if (Math.abs(delta) < 1e-9) {
+                if (position < 0 || position > size) return null;
+                continue;
+            }
+            const t1 = (0 - position) / delta;
+            const t2 = (size - position) / delta;
+            tMin = Math.max(tMin, Math.min(t1, t2));
+            tMax = Math.min(tMax, Math.max(t1, t2));
+        }
+        
+        if (tMax <= tMin) return null;
+        return {
+            x1: origin.x + direction.x * tMin,
+            y1: origin.y + direction.y * tMin,
+            x2: origin.x + direction.x * tMax,
+            y2: origin.y + direction.y * tMax
+        };
+    }
+
+    /**
+     * Draw construction guides lightly, with the slight drift of a freehand ruler
+     */
+    drawConstructionGuides(style, guides, settings, intensity) {
+        const { lineThickness = 2 } = settings;
+        const ink = this.getConstructionInk(style);
+        
+        this.ctx.save();
+        this.ctx.strokeStyle = ink.color;
+        this.ctx.lineCap = 'round';
+        this.ctx.lineWidth = Math.max(0.4, lineThickness * 0.35);
+        
+        guides.forEach(guide => {
+            this.ctx.globalAlpha = ink.opacity * (0.5 + 0.5 * intensity) * (guide.kind === 'horizon' ? 1.3 : 1);
+            this.reseedAt(guide.x1, guide.y1);
+            this.ctx.beginPath();
+            this.ctx.moveTo(guide.x1 + this.random() * 2 - 1, guide.y1 + this.random() * 2 - 1);
+            this.ctx.lineTo(guide.x2 + this.random() * 2 - 1, guide.y2 + this.random() * 2 - 1);
+            this.ctx.stroke();
+        });
+        
+        this.ctx.restore();
+    }
+
+    /**
+     * Construction line color per style: graphite for dry media,
+     * non-photo blue under ink
+     */
+    getConstructionInk(style) {
+        switch (style) {
+            case 'pen':
+            case 'technical':
+            case 'marker':
+                return { color: '#6fa8dc', opacity: 0.35 };
+            case 'charcoal':
+                return { color: '#555555', opacity: 0.18 };
+            default:
+                return { color: '#777777', opacity: 0.25 };
+        }
+    }
+    
+    // ===== LAYER METHODS =====
+
+    /**
+     * Start a fresh layered document for a render
+     */
+    beginDocument() {
+        this.sketchDocument = this.layered ? new SketchDocument(this.width, this.height) : null;
+        this.ctx = this.outputCtx;
+    }
+
+    /**
+     * Send the following drawing calls to a layer
+     * Without a document everything keeps drawing onto the output canvas.
+     */
+    useLayer(id) {
+        this.ctx = this.sketchDocument ? this.sketchDocument.getContext(id) : this.outputCtx;
+    }
+
+    /**
+     * Composite the layers onto the output canvas and draw there again
+     */
+    finishDocument() {
+        this.ctx = this.outputCtx;
+        if (this.sketchDocument) {
+            this.sketchDocument.composite(this.canvas);
+        }
+    }
+
+    /**
+     * Layered document of the last traditional render, or null if the result came from AI
+     */
+    getDocument() {
+        return this.sketchDocument;
+    }
+
+    /**
+     * Forget the layers when the canvas no longer matches them
+     */
+    clearDocument() {
+        this.sketchDocument = null;
+    }
+
+    /**
+     * Restore the layered document of an earlier render, e.g. when undoing
+     */
+    setDocument(sketchDocument) {
+        this.sketchDocument = sketchDocument || null;
+    }
+
+    /**
+     * Re-composite the document onto the output canvas, e.g. after toggling a layer
+     */
+    compositeDocument(targetCanvas = this.canvas, options = {}) {
+        if (!this.sketchDocument) return null;
+        return this.sketchDocument.composite(targetCanvas, options);
+    }
+    
+    // ===== VECTOR EXPORT METHODS =====
+
+    /**
+     * Nominal color, width and opacity of a stroke as the draw methods render it
+     */
+    getStrokeStyle(stroke, baseStyle, settings = {}) {
+        const { lineThickness = 2 } = settings;
+        const materialStyle = stroke.enhanced || {};
+        const furnitureDetail = stroke.furnitureDetail || {};
+        const perspectiveAdjust = stroke.perspectiveAdjustment || { weight: 1, thickness: 1, opacity: 1 };
+        const multiplier = furnitureDetail.multiplier || 1;
+        
+        switch (baseStyle) {
+            case 'pen':
+                return {
+                    color: materialStyle.strokeStyle || '#1a1a1a',
+                    width: lineThickness,
+                    opacity: (materialStyle.opacity || 1) * perspectiveAdjust.opacity
+                };
+            case 'charcoal':
+                return {
+                    color: materialStyle.strokeStyle || '#2a2a2a',
+                    width: lineThickness * 2 * (materialStyle.roughness || 1),
+                    opacity: Math.min(1, (materialStyle.opacity || 0.3) * 0.9)
+                };
+            case 'technical':
+                return {
+                    color: materialStyle.strokeStyle || '#000000',
+                    width: lineThickness * multiplier,
+                    opacity: materialStyle.opacity || 1
+                };
+            case 'watercolor':
+                return {
+                    color: '#4a4440',
+                    width: lineThickness * 0.6,
+                    opacity: 0.55 * perspectiveAdjust.opacity
+                };
+            case 'marker':
+                return {
+                    color: '#1f1f1f',
+                    width: Math.max(0.75, lineThickness * 0.5),
+                    opacity: 0.9 * perspectiveAdjust.opacity
+                };
+            case 'pencil':
+            default:
+                return {
+                    color: materialStyle.strokeStyle || '#3c3c3c',
+                    width: lineThickness * perspectiveAdjust.thickness * multiplier,
+                    opacity: Math.min(1, (materialStyle.opacity || 0.7) * perspectiveAdjust.opacity * 0.85)
+                };
+        }
+    }
+
+    /**
+     * Describe the last traditional render as resolution-independent strokes
+     */
+    buildVectorData(strokes, baseStyle, settings = {}) {
+        const vectorStrokes = [];
+        const { lineSegments = null, lineThickness = 2, constructionGuides = null, shadingStrokes = null, materialStrokes = null } = settings;
+        let drawnStrokes = strokes;
+        
+        // Shading sits under the line work, as its layer does
+        if (shadingStrokes) {
+            shadingStrokes.forEach(stroke => vectorStrokes.push(stroke));
+        }
+        
+        if (constructionGuides) {
+            const ink = this.getConstructionInk(baseStyle);
+            constructionGuides.forEach(guide => {
+                vectorStrokes.push({
+                    points: [{ x: guide.x1, y: guide.y1 }, { x: guide.x2, y: guide.y2 }],
+                    closed: false,
+                    context: 'construction',
+                    color: ink.color,
+                    width: Math.max(0.4, lineThickness * 0.35),
+                    opacity: ink.opacity
+                });
+            });
+        }
+        
+        // Technical drawings replace covered pixel chains with ruled lines
+        if (baseStyle === 'technical' && lineSegments && lineSegments.length > 0) {
+            lineSegments.forEach(segment => {
+                const strength = segment.strength !== undefined ? segment.strength : 1;
+                vectorStrokes.push({
+                    points: [{ x: segment.x1, y: segment.y1 }, { x: segment.x2, y: segment.y2 }],
+                    closed: false,
+                    context: 'structure',
+                    color: '#000000',
+                    width: lineThickness * (0.6 + 0.4 * strength),
+                    opacity: 1
+                });
+            });
+            drawnStrokes = this.filterStrokesCoveredBySegments(strokes, lineSegments);
+        }
+        
+        drawnStrokes.forEach(stroke => {
+            if (stroke.length < 2) return;
+            
+            vectorStrokes.push({
+                points: stroke.map(point => ({ x: point.x, y: point.y })),
+                beziers: stroke.beziers || null,
+                closed: !!stroke.closed,
+                context: stroke.context || 'general',
+                material: stroke.material || null,
+                ...this.getStrokeStyle(stroke, baseStyle, settings)
+            });
+        });
+        
+        if (materialStrokes) {
+            materialStrokes.forEach(stroke => vectorStrokes.push(stroke));
+        }
+        
+        return {
+            width: this.width,
+            height: this.height,
+            background: this.getBackgroundColor({ ...settings, baseStyle }),
+            baseStyle,
+            stylePreset: settings.stylePreset || null,
+            seed: this.seed,
+            strokes: vectorStrokes
+        };
+    }
+
+    /**
+     * Vector form of the last traditional render, or null if the result came from AI
+     */
+    getVectorData() {
+        return this.vectorData || null;
+    }
+
+    /**
+     * Forget vector data when the canvas no longer matches it
+     */
+    clearVectorData() {
+        this.vectorData = null;
+    }
+
+    /**
+     * Restore the vector data of an earlier render, e.g. when undoing
+     */
+    setVectorData(vectorData) {
+        this.vectorData = vectorData || null;
+    }
+    
+    // ===== BATCH PROCESSING METHODS =====
+    
+    /**
+     * Process multiple images with consistent styling
+     */
+    async processBatch(imageDataArray, stylePreset, options = {}) {
+        this.batchState.isProcessing = true;
+        this.batchState.totalImages = imageDataArray.length;
+        this.batchState.processedImages = 0;
+        this.batchState.consistencyMap.clear();
+        
+        // Generate style signature for consistency
+        this.batchState.styleSignature = this.generateStyleSignature(stylePreset, options);
+        
+        const results = [];
+        
+        for (let i = 0; i < imageDataArray.length; i++) {
+            const batchOptions = {
+                ...options,
+                // Each image gets its own reproducible seed derived from the batch signature
+                seed: (this.batchState.styleSignature.seed + i) >>> 0,
+                batchConsistency: true,
+                batchIndex: i,
+                batchTotal: imageDataArray.length
+            };
+            
+            try {
+                const result = await this.applyHandDrawnEffect(imageDataArray[i], {
+                    stylePreset,
+                    ...batchOptions
+                });
+                
+                results.push({
+                    success: true,
+                    imageData: result,
+                    index: i
+                });
+                
+                this.batchState.processedImages++;
+                
+                // Report progress
+                if (options.onProgress) {
+                    options.onProgress({
+                        completed: this.batchState.processedImages,
+                        total: this.batchState.totalImages,
+                        percentage: (this.batchState.processedImages / this.batchState.totalImages) * 100
+                    });
+                }
+                
+            } catch (error) {
+                results.push({
+                    success: false,
+                    error: error.message,
+                    index: i
+                });
+            }
+        }
+        
+        this.batchState.isProcessing = false;
+        return results;
+    }
+    
+    /**
+     * Store consistency data for batch processing
+     */
+    storeBatchConsistencyData(settings) {
+        const key = `${settings.stylePreset || 'default'}_${settings.baseStyle || 'pencil'}`;
+        
+        if (!this.batchState.consistencyMap.has(key)) {
+            this.batchState.consistencyMap.set(key, {
+                lineVariations: [],
+                thicknesses: [],
+                opacities: [],
+                colors: []
+            });
+        }
+        
+        // Store current parameters for consistency
+        const data = this.batchState.consistencyMap.get(key);
+        data.lineVariations.push(settings.lineVariation || 50);
+        data.thicknesses.push(settings.lineThickness || 2);
+        // Add more consistency tracking as needed
+    }
+    
+    /**
+     * Generate style signature for batch consistency
+     */
+    generateStyleSignature(stylePreset, options) {
+        return {
+            preset: stylePreset,
+            timestamp: Date.now(),
+            seed: options.seed !== undefined ? this.normalizeSeed(options.seed) : this.generateSeed(),
+            parameters: {
+                lineVariation: options.lineVariation,
+                lineThickness: options.lineThickness,
+                materialAwareness: this.materialAwareness,
+                furniturePreservation: this.furniturePreservation
+            }
+        };
+    }
+    
+    // ===== UTILITY METHODS =====
+    
+    /**
+     * Restart effect randomness from a seed, drawing a new one when none is given
+     * Returns the seed in use so the render can be reproduced later.
+     */
+    setSeed(seed) {
+        const effectiveSeed = seed !== undefined && seed !== null && seed !== '' ?
+            this.normalizeSeed(seed) : this.generateSeed();
+        
+        if (this.rng) {
+            this.rng.setSeed(effectiveSeed);
+        }
+        this.seed = effectiveSeed;
+        return effectiveSeed;
+    }
+
+    /**
+     * Seed used by the last traditional render
+     */
+    getSeed() {
+        return this.seed;
+    }
+
+    /**
+     * Next value in [0, 1) from the seeded generator
+     * Every hand-drawn effect draws from this instead of Math.random().
+     */
+    random() {
+        return this.rng ? this.rng.next() : Math.random();
+    }
+
+    /**
+     * Restart the random sequence from a canvas position
+     * The position is taken in full-image coordinates (settings.offsetX/offsetY),
+     * so tiles of one render that both draw a point give it the same wobble;
+     * further keys tell apart sequences started at the same place.
+     */
+    reseedAt(x, y, ...keys) {
+        if (!this.rng || typeof SeededRandom === 'undefined') return;
+        
+        this.rng.setSeed(SeededRandom.hash(this.seed, Math.round(x + this.offsetX), Math.round(y + this.offsetY), ...keys));
+    }
+
+    /**
+     * Restart the random sequence for one pass over a whole stroke, from where it starts
+     */
+    reseedForStroke(stroke, pass = 0) {
+        this.reseedAt(stroke[0].x, stroke[0].y, pass, -1);
+    }
+
+    /**
+     * Value in [0, 1) fixed by the seed and integer keys, such as a full-image position
+     */
+    randomAt(...keys) {
+        if (typeof SeededRandom === 'undefined') return Math.random();
+        
+        return SeededRandom.hash(this.seed, ...keys) / 4294967296;
+    }
+
+    /**
+     * New random seed
+     */
+    generateSeed() {
+        return typeof SeededRandom !== 'undefined' ?
+            SeededRandom.generateSeed() : Math.floor(Math.random() * 4294967296);
+    }
+
+    /**
+     * Coerce a user-supplied seed (number or string) to an unsigned 32-bit integer
+     */
+    normalizeSeed(seed) {
+        return typeof SeededRandom !== 'undefined' ?
+            SeededRandom.normalizeSeed(seed) : Math.floor(Math.abs(Number(seed)) || 0) >>> 0;
+    }
+
+    /**
+     * Convert edge data to ImageData format
+     */
+    edgeDataToImageData(edgeData) {
+        if (edgeData instanceof ImageData) {
+            return edgeData;
+        }
+        
+        // Create ImageData from edge data
+        const canvas = document.createElement('canvas');
+        canvas.width = this.width;
+        canvas.height = this.height;
+        const ctx = canvas.getContext('2d');
+        ctx.putImageData(edgeData, 0, 0);
+        
+        return canvas;
+    }
+    
+    /**
+     * Calculate stroke length
      */
     calculateStrokeLength(stroke) {
         let length = 0;
@@ -993,7 +2569,19 @@ class HandDrawnEffects {
         }
         return length;
     }
-    
+
+    /**
+     * Distance from a point to a { x1, y1, x2, y2 } segment
+     */
+    pointToSegmentDistance(x, y, segment) {
+        const dx = segment.x2 - segment.x1;
+        const dy = segment.y2 - segment.y1;
+        const lengthSq = dx * dx + dy * dy;
+        const t = lengthSq > 0 ?
+            Math.max(0, Math.min(1, ((x - segment.x1) * dx + (y - segment.y1) * dy) / lengthSq)) : 0;
+        return Math.hypot(x - (segment.x1 + dx * t), y - (segment.y1 + dy * t));
+    }
+
     /**
      * Calculate stroke straightness (0 = curved, 1 = straight)
      */
@@ -1038,7 +2626,15 @@ class HandDrawnEffects {
     /**
      * Calculate perspective weight based on position
      */
-    calculatePerspectiveWeight(position) {
+    calculatePerspectiveWeight(position, perspective = null) {
+        // Distance from the vanishing point gives depth when perspective is known
+        if (perspective && this.perspectiveAnalysis) {
+            const depthWeight = this.perspectiveAnalysis.depthWeight(position, perspective);
+            if (depthWeight !== null) {
+                return depthWeight;
+            }
+        }
+        
         // Simple perspective model - closer to bottom = closer to viewer
         const verticalWeight = position.y / this.height;
         const distanceFromCenter = Math.abs((position.x / this.width) - 0.5) * 2;
@@ -1048,24 +2644,114 @@ class HandDrawnEffects {
     
     /**
      * Draw stroke with variation
+     * The wobble at each point comes from its position, so overlapping tiles
+     * trace the same line; pass tells apart repeated passes over one stroke.
      */
-    drawStrokeWithVariation(stroke, wobble) {
+    drawStrokeWithVariation(stroke, wobble, pass = 0) {
+        if (stroke.beziers && stroke.beziers.length > 0) {
+            this.drawBezierStrokeWithVariation(stroke.beziers, wobble, pass);
+            return;
+        }
+        
         stroke.forEach((point, i) => {
-            const x = point.x + (Math.random() - 0.5) * wobble;
-            const y = point.y + (Math.random() - 0.5) * wobble;
+            this.reseedAt(point.x, point.y, pass);
+            const x = point.x + (this.random() - 0.5) * wobble;
+            const y = point.y + (this.random() - 0.5) * wobble;
             
             if (i === 0) {
                 this.ctx.moveTo(x, y);
             } else {
                 // Add slight curve for more natural look
                 const prevPoint = stroke[i - 1];
-                const cpx = (prevPoint.x + x) / 2 + (Math.random() - 0.5) * wobble;
-                const cpy = (prevPoint.y + y) / 2 + (Math.random() - 0.5) * wobble;
+                const cpx = (prevPoint.x + x) / 2 + (this.random() - 0.5) * wobble;
+                const cpy = (prevPoint.y + y) / 2 + (this.random() - 0.5) * wobble;
                 this.ctx.quadraticCurveTo(cpx, cpy, x, y);
             }
         });
     }
     
+    /**
+     * Draw fitted Bézier curves with jittered anchors and control points
+     */
+    drawBezierStrokeWithVariation(curves, wobble, pass = 0) {
+        const jitter = () => (this.random() - 0.5) * wobble;
+        
+        this.reseedAt(curves[0].x0, curves[0].y0, pass);
+        this.ctx.moveTo(curves[0].x0 + jitter(), curves[0].y0 + jitter());
+        
+        curves.forEach(curve => {
+            this.reseedAt(curve.x, curve.y, pass);
+            this.ctx.bezierCurveTo(
+                curve.cp1x + jitter(), curve.cp1y + jitter(),
+                curve.cp2x + jitter(), curve.cp2y + jitter(),
+                curve.x + jitter(), curve.y + jitter()
+            );
+        });
+    }
+
+    /**
+     * Draw detected line segments as straight ruled lines
+     * Strength scales the line weight so faint lines stay secondary.
+     */
+    drawRulerSegments(segments, thickness, wobble = 0) {
+        segments.forEach(segment => {
+            const strength = segment.strength !== undefined ? segment.strength : 1;
+            
+            this.reseedAt(segment.x1, segment.y1);
+            this.ctx.beginPath();
+            this.ctx.lineWidth = thickness * (0.6 + 0.4 * strength);
+            this.ctx.moveTo(
+                segment.x1 + (this.random() - 0.5) * wobble,
+                segment.y1 + (this.random() - 0.5) * wobble
+            );
+            this.ctx.lineTo(
+                segment.x2 + (this.random() - 0.5) * wobble,
+                segment.y2 + (this.random() - 0.5) * wobble
+            );
+            this.ctx.stroke();
+        });
+    }
+
+    /**
+     * Drop strokes that mostly lie on already-drawn line segments
+     */
+    filterStrokesCoveredBySegments(strokes, segments, tolerance = 2) {
+        const covered = new Uint8Array(this.width * this.height);
+        
+        // Rasterize segments with a small tolerance band
+        segments.forEach(segment => {
+            const length = Math.hypot(segment.x2 - segment.x1, segment.y2 - segment.y1);
+            const steps = Math.max(1, Math.ceil(length));
+            
+            for (let i = 0; i <= steps; i++) {
+                const cx = Math.round(segment.x1 + (segment.x2 - segment.x1) * i / steps);
+                const cy = Math.round(segment.y1 + (segment.y2 - segment.y1) * i / steps);
+                
+                for (let dy = -tolerance; dy <= tolerance; dy++) {
+                    for (let dx = -tolerance; dx <= tolerance; dx++) {
+                        const x = cx + dx;
+                        const y = cy + dy;
+                        if (x >= 0 && x < this.width && y >= 0 && y < this.height) {
+                            covered[y * this.width + x] = 1;
+                        }
+                    }
+                }
+            }
+        });
+        
+        return strokes.filter(stroke => {
+            let hits = 0;
+            for (let i = 0; i < stroke.length; i++) {
+                const x = Math.round(stroke[i].x);
+                const y = Math.round(stroke[i].y);
+                if (x >= 0 && x < this.width && y >= 0 && y < this.height && covered[y * this.width + x]) {
+                    hits++;
+                }
+            }
+            return hits < stroke.length * 0.7;
+        });
+    }
+
     /**
      * Get stroke bounding box
      */
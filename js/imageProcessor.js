@@ -4,48 +4,66 @@
  */
 
 class ImageProcessor {
-    constructor(originalCanvas, resultCanvas) {
+    constructor(originalCanvas, resultCanvas, options = {}) {
         this.originalCanvas = originalCanvas;
         this.resultCanvas = resultCanvas;
         this.originalCtx = originalCanvas.getContext('2d');
         this.resultCtx = resultCanvas.getContext('2d');
         this.imageData = null;
         this.originalImage = null;
+        
+        // The canvases show a preview; TiledRenderer renders the final at full resolution
+        this.previewMaxWidth = 1200;
+        this.previewMaxHeight = 800;
+        
+        // Camera metadata of the loaded photo; also used to turn it upright
+        this.exifMetadata = options.exifMetadata || (typeof ExifMetadata !== 'undefined' ? new ExifMetadata() : null);
+        this.metadata = null;
     }
 
     /**
      * Load and display image on canvas
+     * Photos stored sideways with an EXIF orientation are turned upright.
      */
     async loadImage(file) {
-        return new Promise((resolve, reject) => {
+        this.metadata = this.exifMetadata ? await this.exifMetadata.readFile(file) : null;
+        
+        const img = await new Promise((resolve, reject) => {
             const reader = new FileReader();
             
             reader.onload = (e) => {
-                const img = new Image();
-                
-                img.onload = () => {
-                    this.originalImage = img;
-                    this.setupCanvas(img);
-                    this.drawOriginal();
-                    resolve(img);
-                };
-                
-                img.onerror = () => reject(new Error('Failed to load image'));
-                img.src = e.target.result;
+                const image = new Image();
+                image.onload = () => resolve(image);
+                image.onerror = () => reject(new Error('Failed to load image'));
+                image.src = e.target.result;
             };
             
             reader.onerror = () => reject(new Error('Failed to read file'));
             reader.readAsDataURL(file);
         });
+        
+        this.originalImage = this.exifMetadata && this.metadata ?
+            await this.exifMetadata.createUprightImage(img, this.metadata.orientation) : img;
+        this.setupCanvas(this.originalImage);
+        this.drawOriginal();
+        return img;
+    }
+
+    /**
+     * Camera metadata of the loaded photo, or null
+     */
+    getMetadata() {
+        return this.metadata;
     }
 
     /**
      * Setup canvas dimensions based on image
+     * The canvases hold a preview-sized copy; the photo itself is kept for getFullResolutionImageData.
      */
     setupCanvas(img) {
         // Set maximum dimensions to prevent performance issues
-        const maxWidth = 1200;
-        const maxHeight = 800;
+        const maxWidth = this.previewMaxWidth;
+        const maxHeight = this.previewMaxHeight;
         
         let width = img.width;
         let height = img.height;
@@ -89,6 +107,40 @@ class ImageProcessor {
         return this.imageData;
     }
 
+    /**
+     * Pixel size of the loaded photo, before the preview scale-down
+     */
+    getSourceSize() {
+        if (!this.originalImage) return null;
+        
+        return {
+            width: this.originalImage.naturalWidth || this.originalImage.width,
+            height: this.originalImage.naturalHeight || this.originalImage.height
+        };
+    }
+
+    /**
+     * Photo pixels at full resolution, or scaled so the long edge is at most maxLongEdge
+     */
+    getFullResolutionImageData(maxLongEdge = Infinity) {
+        const source = this.getSourceSize();
+        if (!source) {
+            throw new Error('No image loaded');
+        }
+        
+        const scale = Math.min(1, maxLongEdge / Math.max(source.width, source.height));
+        const width = Math.max(1, Math.round(source.width * scale));
+        const height = Math.max(1, Math.round(source.height * scale));
+        
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(this.originalImage, 0, 0, width, height);
+        
+        return ctx.getImageData(0, 0, width, height);
+    }
+
     /**
      * Convert image to grayscale
      */
@@ -80,6 +80,20 @@ class InteriorDesignAI {
             lighting: ['table lamp', 'floor lamp', 'pendant light', 'chandelier', 'sconce'],
             decorative: ['artwork', 'mirror', 'plant', 'vase', 'sculpture']
         };
+        
+        // CIELAB hue of red, orange, yellow, yellow-green, green, blue-green,
+        // blue and violet paired with their place on the painter's
+        // red-yellow-blue wheel
+        this.designWheel = [
+            { lab: 35, wheel: 0 },
+            { lab: 65, wheel: 60 },
+            { lab: 100, wheel: 120 },
+            { lab: 123, wheel: 150 },
+            { lab: 145, wheel: 180 },
+            { lab: 200, wheel: 210 },
+            { lab: 295, wheel: 240 },
+            { lab: 320, wheel: 300 }
+        ];
     }
 
     /**
@@ -557,31 +571,572 @@ class InteriorDesignAI {
 
     /**
      * Analyze color harmony and suggest improvements
+     * The palette is found by k-means in CIELAB, so clusters follow perceived
+     * color rather than RGB distance. Returns the dominant colors, the palette's
+     * temperature, its harmony scheme (analogous, complementary, triadic, ...),
+     * how close it comes to a 60-30-10 split, and suggestions drawn from those
+     * measurements. Near-identical clusters are merged, so fewer than
+     * options.colors may come back. detectedMaterials is the materials object of
+     * MaterialDetection.detectMaterials.
      */
-    analyzeColorHarmony(imageData, detectedMaterials) {
+    analyzeColorHarmony(imageData, detectedMaterials = {}, options = {}) {
+        const palette = this.extractPalette(imageData, options);
+        const temperature = this.measureColorTemperature(palette);
+        const scheme = this.detectHarmonyScheme(palette);
+        const balance = this.measureColorBalance(palette);
+        
         const colorAnalysis = {
-            dominantColors: [],
-            colorTemperature: 'neutral',
+            dominantColors: palette.map(color => ({
+                color: color.color,
+                percentage: Math.round(color.share * 100),
+                name: this.nameColor(color.lab),
+                temperature: this.classifyTemperature(color.lch),
+                lab: color.lab.map(value => Math.round(value)),
+                lch: { l: Math.round(color.lch.l), c: Math.round(color.lch.c), h: Math.round(color.lch.h) }
+            })),
+            colorTemperature: temperature.temperature,
+            temperatureScore: temperature.score,
+            scheme: scheme.scheme,
+            hues: scheme.hues,
+            balance,
             harmony: 'good',
+            suggestedAccent: this.suggestAccent(scheme, temperature),
             suggestions: []
         };
         
-        // Mock color analysis
-        colorAnalysis.dominantColors = [
-            { color: '#f0f0f0', percentage: 35, name: 'Light Gray' },
-            { color: '#8b4513', percentage: 20, name: 'Saddle Brown' },
-            { color: '#2f4f4f', percentage: 15, name: 'Dark Slate Gray' }
-        ];
+        // A recognised scheme and a near 60-30-10 split both count
+        const schemeFits = scheme.scheme !== 'mixed';
+        if (!schemeFits || balance.score < 0.6) {
+            colorAnalysis.harmony = schemeFits || balance.score >= 0.6 ? 'fair' : 'poor';
+        }
         
-        colorAnalysis.suggestions = [
-            'Consider adding warm accent colors to balance the cool tones',
-            'The wood tones work well with the neutral palette',
-            'Adding plants would introduce natural color variety'
-        ];
+        colorAnalysis.suggestions = this.generateColorSuggestions(colorAnalysis, temperature, scheme, detectedMaterials);
         
         return colorAnalysis;
     }
 
+    /**
+     * Dominant colors of an image by weighted k-means in CIELAB
+     * Pixels are sampled to about maxSamples and pooled into small Lab bins,
+     * which k-means then clusters by weight. Seeding is deterministic (each new
+     * centre is the bin that adds most weight × squared distance), so one photo
+     * always gives one palette. Returns clusters sorted by share.
+     */
+    extractPalette(imageData, options = {}) {
+        const { colors = 6, maxSamples = 20000, iterations = 12 } = options;
+        const { data, width, height } = imageData;
+        const step = Math.max(1, Math.floor(Math.sqrt(width * height / maxSamples)));
+        const bins = new Map();
+        
+        for (let y = 0; y < height; y += step) {
+            for (let x = 0; x < width; x += step) {
+                const i = (y * width + x) * 4;
+                if (data[i + 3] < 128) continue;
+                
+                const lab = this.rgbToLab(data[i], data[i + 1], data[i + 2]);
+                const key = lab.map(value => Math.round(value / 3)).join();
+                let bin = bins.get(key);
+                if (!bin) {
+                    bin = { lab: [0, 0, 0], rgb: [0, 0, 0], weight: 0 };
+                    bins.set(key, bin);
+                }
+                for (let c = 0; c < 3; c++) {
+                    bin.lab[c] += lab[c];
+                    bin.rgb[c] += data[i + c];
+                }
+                bin.weight++;
+            }
+        }
+        
+        const points = Array.from(bins.values()).map(bin => ({
+            lab: bin.lab.map(value => value / bin.weight),
+            rgb: bin.rgb,
+            weight: bin.weight
+        }));
+        if (points.length === 0) return [];
+        
+        const total = points.reduce((sum, point) => sum + point.weight, 0);
+        const centres = [points.reduce((best, point) => point.weight > best.weight ? point : best).lab];
+        const nearest = points.map(point => this.labDistanceSq(point.lab, centres[0]));
+        
+        while (centres.length < colors) {
+            let best = -1;
+            let bestScore = 0;
+            points.forEach((point, p) => {
+                const score = point.weight * nearest[p];
+                if (score > bestScore) {
+                    bestScore = score;
+                    best = p;
+                }
+            });
+            if (best < 0) break;
+            
+            centres.push(points[best].lab);
+            points.forEach((point, p) => {
+                nearest[p] = Math.min(nearest[p], this.labDistanceSq(point.lab, points[best].lab));
+            });
+        }
+        
+        const assignment = new Array(points.length).fill(-1);
+        let clusters = [];
+        for (let iteration = 0; iteration < iterations; iteration++) {
+            let moved = false;
+            points.forEach((point, p) => {
+                let closest = 0;
+                centres.forEach((centre, k) => {
+                    if (this.labDistanceSq(point.lab, centre) < this.labDistanceSq(point.lab, centres[closest])) {
+                        closest = k;
+                    }
+                });
+                if (assignment[p] !== closest) {
+                    assignment[p] = closest;
+                    moved = true;
+                }
+            });
+            
+            clusters = centres.map(() => ({ lab: [0, 0, 0], rgb: [0, 0, 0], weight: 0 }));
+            points.forEach((point, p) => {
+                const cluster = clusters[assignment[p]];
+                for (let c = 0; c < 3; c++) {
+                    cluster.lab[c] += point.lab[c] * point.weight;
+                    cluster.rgb[c] += point.rgb[c];
+                }
+                cluster.weight += point.weight;
+            });
+            clusters.forEach((cluster, k) => {
+                if (cluster.weight > 0) {
+                    centres[k] = cluster.lab.map(value => value / cluster.weight);
+                }
+            });
+            
+            if (!moved) break;
+        }
+        
+        // k-means splits a large flat area when asked for more colors than it has
+        const merged = [];
+        clusters
+            .map((cluster, k) => ({ ...cluster, lab: centres[k] }))
+            .filter(cluster => cluster.weight > 0)
+            .sort((a, b) => b.weight - a.weight)
+            .forEach(cluster => {
+                const same = merged.find(other => this.labDistanceSq(other.lab, cluster.lab) < 64);
+                if (!same) {
+                    merged.push(cluster);
+                    return;
+                }
+                for (let c = 0; c < 3; c++) {
+                    same.rgb[c] += cluster.rgb[c];
+                }
+                same.weight += cluster.weight;
+            });
+        
+        return merged
+            .map(cluster => {
+                const rgb = cluster.rgb.map(value => Math.round(value / cluster.weight));
+                return {
+                    color: this.rgbToHex(rgb[0], rgb[1], rgb[2]),
+                    rgb,
+                    lab: cluster.lab,
+                    lch: this.labToLch(cluster.lab),
+                    share: cluster.weight / total
+                };
+            });
+    }
+
+    /**
+     * Warm, cool or neutral for one color
+     * Low chroma reads as neutral; in CIELAB, hues from magenta-red through
+     * yellow (330° to 115°) read warm.
+     */
+    classifyTemperature(lch) {
+        if (lch.c < 10) return 'neutral';
+        return lch.h < 115 || lch.h >= 330 ? 'warm' : 'cool';
+    }
+
+    /**
+     * Overall temperature of a palette
+     * score runs from -1 (cool) to 1 (warm); each color counts by its share and,
+     * up to chroma 30, by how colorful it is.
+     */
+    measureColorTemperature(palette) {
+        let score = 0;
+        let chromatic = 0;
+        
+        palette.forEach(color => {
+            const temperature = this.classifyTemperature(color.lch);
+            if (temperature === 'neutral') return;
+            
+            chromatic += color.share;
+            score += color.share * Math.min(1, color.lch.c / 30) * (temperature === 'warm' ? 1 : -1);
+        });
+        
+        return {
+            temperature: score > 0.1 ? 'warm' : score < -0.1 ? 'cool' : 'neutral',
+            score: Math.round(score * 100) / 100,
+            chromaticShare: Math.round(chromatic * 100)
+        };
+    }
+
+    /**
+     * Harmony scheme from the hues of a palette
+     * Colorful clusters with Lab hues within 30° are grouped; the three largest
+     * groups decide the scheme by their spacing on the red-yellow-blue design
+     * wheel, where yellow faces violet and blue faces orange. The hues returned
+     * are design wheel angles.
+     */
+    detectHarmonyScheme(palette) {
+        const groups = [];
+        
+        palette
+            .filter(color => color.lch.c >= 15 && color.share >= 0.03)
+            .forEach(color => {
+                const group = groups.find(g => this.hueDistance(g.hue, color.lch.h) <= 30);
+                if (group) {
+                    group.hue = this.mixHues(group.hue, group.share, color.lch.h, color.share);
+                    group.share += color.share;
+                    group.colors.push(color);
+                } else {
+                    groups.push({ hue: color.lch.h, share: color.share, colors: [color] });
+                }
+            });
+        
+        const main = groups
+            .sort((a, b) => b.share - a.share)
+            .slice(0, 3)
+            .map(group => ({ ...group, hue: this.labHueToWheel(group.hue) }));
+        const hues = main.map(group => ({
+            hue: Math.round(group.hue),
+            percentage: Math.round(group.share * 100),
+            name: this.nameColor(group.colors[0].lab)
+        }));
+        const near = (angle, target) => Math.abs(angle - target) <= 40;
+        let scheme = 'mixed';
+        
+        if (main.length === 0) {
+            scheme = 'neutral';
+        } else if (main.length === 1) {
+            scheme = 'monochromatic';
+        } else if (this.hueSpread(main.map(group => group.hue)) <= 75) {
+            scheme = 'analogous';
+        } else if (main.length === 2) {
+            if (near(this.hueDistance(main[0].hue, main[1].hue), 180)) scheme = 'complementary';
+        } else {
+            const distances = [[0, 1], [1, 2], [0, 2]].map(([a, b]) => this.hueDistance(main[a].hue, main[b].hue));
+            if (distances.every(distance => near(distance, 120))) {
+                scheme = 'triadic';
+            } else {
+                // One hue opposite the midpoint of two close neighbours
+                const split = [0, 1, 2].some(k => {
+                    const [a, b] = [0, 1, 2].filter(other => other !== k).map(other => main[other].hue);
+                    return this.hueDistance(a, b) <= 90 &&
+                        near(this.hueDistance(main[k].hue, this.mixHues(a, 1, b, 1)), 180);
+                });
+                if (split) scheme = 'split-complementary';
+            }
+        }
+        
+        return { scheme, hues, spread: main.length > 1 ? Math.round(this.hueSpread(main.map(group => group.hue))) : 0 };
+    }
+
+    /**
+     * How close a palette comes to the 60-30-10 rule
+     * Shades within ΔE 20 of each other count as one color. The largest color is
+     * the dominant, the next the secondary and everything else the accent; score
+     * is 1 for an exact 60-30-10 split and 0 for a single color.
+     */
+    measureColorBalance(palette) {
+        const groups = [];
+        
+        palette.forEach(color => {
+            const group = groups.find(g => Math.sqrt(this.labDistanceSq(g.lab, color.lab)) < 20);
+            if (group) {
+                group.share += color.share;
+            } else {
+                groups.push({ ...color });
+            }
+        });
+        groups.sort((a, b) => b.share - a.share);
+        
+        const dominant = groups[0] ? groups[0].share : 0;
+        const secondary = groups[1] ? groups[1].share : 0;
+        const accent = Math.max(0, 1 - dominant - secondary);
+        const deviation = Math.abs(dominant - 0.6) + Math.abs(secondary - 0.3) + Math.abs(accent - 0.1);
+        
+        // The most colorful of the remaining groups stands for the accent
+        const accentGroup = groups.slice(2).sort((a, b) => b.lch.c - a.lch.c)[0] || null;
+        
+        return {
+            dominant: Math.round(dominant * 100),
+            secondary: Math.round(secondary * 100),
+            accent: Math.round(accent * 100),
+            score: Math.round(Math.max(0, 1 - deviation / 0.8) * 100) / 100,
+            colors: {
+                dominant: groups[0] ? groups[0].color : null,
+                secondary: groups[1] ? groups[1].color : null,
+                accent: accentGroup ? accentGroup.color : null
+            }
+        };
+    }
+
+    /**
+     * Accent color for the palette
+     * The complement of the largest hue group on the design wheel; a palette
+     * with no hue of its own gets an accent opposite its temperature.
+     */
+    suggestAccent(scheme, temperature) {
+        const hue = scheme.hues.length > 0 ? this.wheelToLabHue(scheme.hues[0].hue + 180) :
+            (temperature.temperature === 'warm' ? 230 : 50);
+        const lab = this.lchToLab({ l: 60, c: 45, h: hue });
+        const rgb = this.labToRgb(lab);
+        
+        return { color: this.rgbToHex(rgb[0], rgb[1], rgb[2]), name: this.nameColor(lab) };
+    }
+
+    /**
+     * Suggestions from the measured balance, temperature, scheme and materials
+     */
+    generateColorSuggestions(colorAnalysis, temperature, scheme, detectedMaterials = {}) {
+        const suggestions = [];
+        const { balance, suggestedAccent, dominantColors } = colorAnalysis;
+        const dominantName = dominantColors.length > 0 ? dominantColors[0].name : 'The main color';
+        const materials = Object.keys(detectedMaterials || {});
+        
+        if (balance.dominant > 75) {
+            suggestions.push(`${dominantName} covers ${balance.dominant}% of the view; a secondary color at about 30% (textiles, a feature wall) would bring it closer to 60-30-10`);
+        } else if (balance.dominant < 45) {
+            suggestions.push(`No color leads: the largest covers only ${balance.dominant}%. Letting one color take about 60% would make the room read calmer`);
+        }
+        if (balance.accent < 5) {
+            suggestions.push(`Accents make up ${balance.accent}% of the view; about 10% in ${suggestedAccent.name} (${suggestedAccent.color}) would give the eye a focal point`);
+        } else if (balance.accent > 20) {
+            suggestions.push(`Accent colors take ${balance.accent}% of the view; trimming them toward 10% would keep them special`);
+        } else if (balance.score >= 0.75) {
+            suggestions.push(`The main, secondary and accent colors split ${balance.dominant}/${balance.secondary}/${balance.accent}, close to the 60-30-10 rule`);
+        }
+        
+        if (temperature.score > 0.4) {
+            suggestions.push(`The palette is strongly warm; a cool accent such as ${suggestedAccent.name} would keep it from feeling heavy`);
+        } else if (temperature.score < -0.4) {
+            suggestions.push(materials.includes('wood') ?
+                'The palette is strongly cool; repeating the wood tones in accessories would add warmth' :
+                'The palette is strongly cool; wood, brass or terracotta accents would add warmth');
+        } else if (temperature.chromaticShare < 10) {
+            suggestions.push(`The room is almost colorless (${temperature.chromaticShare}% colorful); one accent color would add character`);
+        }
+        
+        const names = scheme.hues.map(hue => hue.name);
+        switch (scheme.scheme) {
+            case 'monochromatic':
+                suggestions.push(`One hue family (${names[0]}) runs through the room; vary lightness and texture to keep it from looking flat`);
+                break;
+            case 'analogous':
+                suggestions.push(`The colors are analogous (within ${scheme.spread}° of hue), which feels cohesive; contrast can come from texture and value`);
+                break;
+            case 'complementary':
+                suggestions.push(`${names[0]} and ${names[1]} are complementary; keep one dominant and use the other sparingly`);
+                break;
+            case 'split-complementary':
+                suggestions.push(`${names.join(', ')} form a split-complementary scheme; keep the lone hue as the accent`);
+                break;
+            case 'triadic':
+                suggestions.push(`${names.join(', ')} form a triad; let one lead and mute the other two`);
+                break;
+            case 'mixed':
+                suggestions.push(`The hues ${names.join(', ')} don't follow a common scheme; muting ${names[names.length - 1]} would tie the palette together`);
+                break;
+        }
+        
+        if (materials.includes('metal') && temperature.temperature === 'warm') {
+            suggestions.push('Brass or bronze finishes on the metal would suit the warm palette better than chrome');
+        }
+        
+        return suggestions;
+    }
+
+    /**
+     * Palette data for StyleManager.createCustomPalette from a color analysis
+     */
+    createPaletteData(colorAnalysis, name = 'Photo Palette') {
+        const colors = colorAnalysis.dominantColors;
+        if (colors.length === 0) {
+            throw new Error('The analysis found no colors');
+        }
+        
+        const { balance, suggestedAccent } = colorAnalysis;
+        const byLightness = colors.slice().sort((a, b) => b.lch.l - a.lch.l);
+        const neutral = colors.filter(color => color.lch.c < 12).sort((a, b) => b.lch.l - a.lch.l)[0] || byLightness[0];
+        
+        return {
+            name,
+            description: `${Array.from(new Set([colorAnalysis.scheme, colorAnalysis.colorTemperature])).join(' ')} palette, ` +
+                `${balance.dominant}/${balance.secondary}/${balance.accent} balance`,
+            colors: {
+                primary: balance.colors.dominant || colors[0].color,
+                secondary: balance.colors.secondary || (colors[1] || colors[0]).color,
+                accent: balance.colors.accent || suggestedAccent.color,
+                neutral: neutral.color,
+                highlight: byLightness[0].color,
+                shadow: byLightness[byLightness.length - 1].color
+            }
+        };
+    }
+
+    /**
+     * Nearest named color by Lab distance
+     */
+    nameColor(lab) {
+        if (!this.colorNames) {
+            this.colorNames = Object.entries({
+                'White': '#ffffff', 'Off White': '#f5f2ea', 'Cream': '#f3e5c0', 'Beige': '#d8c8a8',
+                'Light Gray': '#d3d3d3', 'Gray': '#808080', 'Charcoal': '#36454f', 'Black': '#111111',
+                'Tan': '#d2b48c', 'Saddle Brown': '#8b4513', 'Walnut': '#5c4033', 'Terracotta': '#c8643b',
+                'Rust': '#b7410e', 'Brick Red': '#9c2a24', 'Burgundy': '#800020', 'Blush': '#e8b4b8',
+                'Mustard': '#d4a72c', 'Gold': '#c9a227', 'Olive': '#708238', 'Sage': '#9caf88',
+                'Forest Green': '#228b22', 'Teal': '#008080', 'Dark Slate Gray': '#2f4f4f', 'Sky Blue': '#87ceeb',
+                'Steel Blue': '#4682b4', 'Cobalt': '#0047ab', 'Navy': '#1f2a44', 'Lavender': '#b57edc',
+                'Plum': '#8e4585'
+            }).map(([name, hex]) => {
+                const value = parseInt(hex.slice(1), 16);
+                return { name, lab: this.rgbToLab(value >> 16, (value >> 8) & 255, value & 255) };
+            });
+        }
+        
+        return this.colorNames.reduce((best, entry) =>
+            this.labDistanceSq(entry.lab, lab) < this.labDistanceSq(best.lab, lab) ? entry : best).name;
+    }
+
+    /**
+     * sRGB (0-255) to CIELAB under D65
+     */
+    rgbToLab(r, g, b) {
+        const linear = [r, g, b].map(value => {
+            const v = value / 255;
+            return v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+        });
+        const xyz = [
+            (linear[0] * 0.4124 + linear[1] * 0.3576 + linear[2] * 0.1805) / 0.95047,
+            linear[0] * 0.2126 + linear[1] * 0.7152 + linear[2] * 0.0722,
+            (linear[0] * 0.0193 + linear[1] * 0.1192 + linear[2] * 0.9505) / 1.08883
+        ].map(value => value > 0.008856 ? Math.cbrt(value) : 7.787 * value + 16 / 116);
+        
+        return [116 * xyz[1] - 16, 500 * (xyz[0] - xyz[1]), 200 * (xyz[1] - xyz[2])];
+    }
+
+    /**
+     * CIELAB under D65 to sRGB (0-255), clipped to the gamut
+     */
+    labToRgb(lab) {
+        const fy = (lab[0] + 16) / 116;
+        const [x, y, z] = [fy + lab[1] / 500, fy, fy - lab[2] / 200]
+            .map(value => value > 0.206893 ? value * value * value : (value - 16 / 116) / 7.787);
+        const xyz = [x * 0.95047, y, z * 1.08883];
+        
+        return [
+            xyz[0] * 3.2406 - xyz[1] * 1.5372 - xyz[2] * 0.4986,
+            -xyz[0] * 0.9689 + xyz[1] * 1.8758 + xyz[2] * 0.0415,
+            xyz[0] * 0.0557 - xyz[1] * 0.2040 + xyz[2] * 1.0570
+        ].map(value => {
+            const v = value <= 0.0031308 ? value * 12.92 : 1.055 * Math.pow(Math.max(0, value), 1 / 2.4) - 0.055;
+            return Math.round(Math.max(0, Math.min(1, v)) * 255);
+        });
+    }
+
+    /**
+     * Lab to lightness, chroma and hue angle (degrees)
+     */
+    labToLch(lab) {
+        const h = Math.atan2(lab[2], lab[1]) * 180 / Math.PI;
+        return { l: lab[0], c: Math.sqrt(lab[1] * lab[1] + lab[2] * lab[2]), h: h < 0 ? h + 360 : h };
+    }
+
+    /**
+     * Lightness, chroma and hue angle to Lab
+     */
+    lchToLab(lch) {
+        const angle = lch.h * Math.PI / 180;
+        return [lch.l, lch.c * Math.cos(angle), lch.c * Math.sin(angle)];
+    }
+
+    /**
+     * Squared Euclidean distance in Lab (ΔE76 squared)
+     */
+    labDistanceSq(a, b) {
+        return (a[0] - b[0]) * (a[0] - b[0]) + (a[1] - b[1]) * (a[1] - b[1]) + (a[2] - b[2]) * (a[2] - b[2]);
+    }
+
+    /**
+     * Angle between two hues, 0-180
+     */
+    hueDistance(a, b) {
+        const distance = Math.abs(a - b) % 360;
+        return distance > 180 ? 360 - distance : distance;
+    }
+
+    /**
+     * CIELAB hue angle to its angle on the red-yellow-blue design wheel
+     * Lab crowds red, orange and yellow into 65° and spreads greens and blues
+     * over 150°, so complements a designer would pair sit far from 180° apart.
+     */
+    labHueToWheel(h) {
+        return this.interpolateHue(h, 'lab', 'wheel');
+    }
+
+    /**
+     * Design wheel angle back to a CIELAB hue angle
+     */
+    wheelToLabHue(h) {
+        return this.interpolateHue(h, 'wheel', 'lab');
+    }
+
+    /**
+     * Piecewise-linear lookup between the two columns of designWheel
+     */
+    interpolateHue(h, from, to) {
+        const anchors = this.designWheel;
+        const first = anchors[0];
+        let angle = ((h % 360) + 360) % 360;
+        if (angle < first[from]) angle += 360;
+        
+        for (let i = 0; i < anchors.length; i++) {
+            const start = anchors[i];
+            const end = anchors[i + 1] || { lab: first.lab + 360, wheel: first.wheel + 360 };
+            if (angle <= end[from]) {
+                const t = (angle - start[from]) / (end[from] - start[from]);
+                return (start[to] + t * (end[to] - start[to])) % 360;
+            }
+        }
+        return angle % 360;
+    }
+
+    /**
+     * Weighted circular mean of two hues
+     */
+    mixHues(a, weightA, b, weightB) {
+        const x = Math.cos(a * Math.PI / 180) * weightA + Math.cos(b * Math.PI / 180) * weightB;
+        const y = Math.sin(a * Math.PI / 180) * weightA + Math.sin(b * Math.PI / 180) * weightB;
+        const h = Math.atan2(y, x) * 180 / Math.PI;
+        return h < 0 ? h + 360 : h;
+    }
+
+    /**
+     * Smallest arc of the hue wheel holding every hue
+     */
+    hueSpread(hues) {
+        const sorted = hues.slice().sort((a, b) => a - b);
+        let largestGap = 360 - sorted[sorted.length - 1] + sorted[0];
+        for (let i = 1; i < sorted.length; i++) {
+            largestGap = Math.max(largestGap, sorted[i] - sorted[i - 1]);
+        }
+        return 360 - largestGap;
+    }
+
+    /**
+     * Hex string of an RGB color
+     */
+    rgbToHex(r, g, b) {
+        return '#' + [r, g, b].map(value => value.toString(16).padStart(2, '0')).join('');
+    }
+
     /**
      * Generate style-specific processing recommendations
      */
@@ -19,12 +19,33 @@ let edgeDetector;
 let handDrawnEffects;
 let aiProcessor;
 let styleManager;
+let interiorDesignAI; // Room and color analysis of the photo
 let downloadManager;
+let presentationBoard;
+let strokeReplay;
+let processingHistory;
+let comparisonView;
 let unifiedAIManager; // New 2025 AI system
 let progressiveEnhancement; // Progressive enhancement manager
 let currentImageData = null;
+let layerSettings = {}; // Layer panel changes, re-applied to each new render
 let isProcessing = false;
 let isDownloading = false;
+let compareVisible = false;
+let workerPool; // Runs the pixel pipelines off the main thread
+let processingController = null; // Aborts the running pipeline
+let tiledRenderer; // Full-resolution renders for print
+let finalRender = null; // Full-resolution render of the current result, if made
+let exifMetadata; // Reads and writes photo metadata
+let currentMetadata = null; // Camera metadata of the loaded photo
+let materialSegmentation = null; // Material regions of the current photo, when material detection is on
+let materialSegmentationKey = null; // Photo, threshold and library revision the segmentation was made for
+let materialLibrary; // The studio's own materials, trained from labeled patches
+let labelingSamples = false; // Clicks on the photo add samples to the library
+let sampleClickStart = null; // Where the pointer went down, to tell clicks from pans
+let materialAnnotations; // Finish callouts and schedule drawn over the sketch
+let calloutsSource = null; // Segmentation the callouts were generated from
+let calloutDrag = null; // Callout, leader end or schedule being dragged
 
 // DOM elements
 const fileInput = document.getElementById('fileInput');
@@ -36,17 +57,74 @@ const processBtn = document.getElementById('processBtn');
 const resetBtn = document.getElementById('resetBtn');
 const downloadBtn = document.getElementById('downloadBtn');
 const processingOverlay = document.getElementById('processingOverlay');
+const processingStatus = document.getElementById('processingStatus');
+const cancelProcessingBtn = document.getElementById('cancelProcessingBtn');
+const renderFinalBtn = document.getElementById('renderFinalBtn');
+const finalRenderSize = document.getElementById('finalRenderSize');
+const finalRenderStatus = document.getElementById('finalRenderStatus');
+const photoInfo = document.getElementById('photoInfo');
+const privacyMode = document.getElementById('privacyMode');
 
 // Control elements
 const stylePreset = document.getElementById('stylePreset');
 const edgeThreshold = document.getElementById('edgeThreshold');
 const lineVariation = document.getElementById('lineVariation');
 const lineThickness = document.getElementById('lineThickness');
+const sketchSeed = document.getElementById('sketchSeed');
+const reuseSeedBtn = document.getElementById('reuseSeedBtn');
+const washColorSource = document.getElementById('washColorSource');
+const shadingMode = document.getElementById('shadingMode');
+const constructionLines = document.getElementById('constructionLines');
+const paperType = document.getElementById('paperType');
+const layerList = document.getElementById('layerList');
+const photoPaletteBtn = document.getElementById('photoPaletteBtn');
+const colorHarmony = document.getElementById('colorHarmony');
+const enableMaterialDetection = document.getElementById('enableMaterialDetection');
+const materialConfidence = document.getElementById('materialConfidence');
+const materialPanel = document.getElementById('materialPanel');
+const materialList = document.getElementById('materialList');
+const trainingMaterial = document.getElementById('trainingMaterial');
+const newMaterialBtn = document.getElementById('newMaterialBtn');
+const labelSampleBtn = document.getElementById('labelSampleBtn');
+const materialLibraryList = document.getElementById('materialLibraryList');
+const exportMaterialLibraryBtn = document.getElementById('exportMaterialLibraryBtn');
+const importMaterialLibraryBtn = document.getElementById('importMaterialLibraryBtn');
+const materialLibraryFileInput = document.getElementById('materialLibraryFileInput');
+const enableCallouts = document.getElementById('enableCallouts');
+const tagScheme = document.getElementById('tagScheme');
+const tagFormat = document.getElementById('tagFormat');
+const annotationFont = document.getElementById('annotationFont');
+const resetCalloutsBtn = document.getElementById('resetCalloutsBtn');
+
+// History control elements
+const undoBtn = document.getElementById('undoBtn');
+const redoBtn = document.getElementById('redoBtn');
+const compareBtn = document.getElementById('compareBtn');
+const historyList = document.getElementById('historyList');
+const previousWrapper = document.getElementById('previousWrapper');
+const previousCanvas = document.getElementById('previousCanvas');
+const originalWrapper = document.getElementById('originalWrapper');
+
+// Comparison control elements
+const comparisonMode = document.getElementById('comparisonMode');
+const comparisonAmount = document.getElementById('comparisonAmount');
+const comparisonAmountGroup = document.getElementById('comparisonAmountGroup');
+const comparisonAmountLabel = document.getElementById('comparisonAmountLabel');
+const zoomInBtn = document.getElementById('zoomInBtn');
+const zoomOutBtn = document.getElementById('zoomOutBtn');
+const zoomResetBtn = document.getElementById('zoomResetBtn');
+const zoomLevel = document.getElementById('zoomLevel');
 
 // Export control elements
 const exportFormat = document.getElementById('exportFormat');
 const exportQuality = document.getElementById('exportQuality');
 const downloadBatchBtn = document.getElementById('downloadBatchBtn');
+const downloadBoardBtn = document.getElementById('downloadBoardBtn');
+const replaySpeed = document.getElementById('replaySpeed');
+const replayDuration = document.getElementById('replayDuration');
+const animationFormat = document.getElementById('animationFormat');
+const replayBtn = document.getElementById('replayBtn');
+const downloadAnimationBtn = document.getElementById('downloadAnimationBtn');
 
 /**
  * Enhanced Download Manager Class
@@ -56,6 +134,15 @@ const downloadBatchBtn = document.getElementById('downloadBatchBtn');
 class DownloadManager {
     constructor(options = {}) {
         this.canvas = options.canvas;
+        // Returns vector data for the current result, or null when it is raster only
+        this.getVectorData = options.getVectorData || (() => null);
+        // Returns the ids of the visible layers, or null when the result has no layers
+        this.getVisibleLayers = options.getVisibleLayers || (() => null);
+        // Returns the canvas raster formats are written from, e.g. a full-resolution render
+        this.getRasterCanvas = options.getRasterCanvas || (() => this.canvas);
+        // Returns the photo metadata to write into exports, already privacy filtered, or null
+        this.getMetadata = options.getMetadata || (() => null);
+        this.exifMetadata = options.exifMetadata || (typeof ExifMetadata !== 'undefined' ? new ExifMetadata() : null);
         this.onProgress = options.onProgress || (() => {});
         this.onError = options.onError || (() => {});
         this.onComplete = options.onComplete || (() => {});
@@ -92,7 +179,7 @@ class DownloadManager {
     /**
      * Download canvas as specified format
      */
-    async downloadCanvas(filename, format = 'png', quality = 0.9) {
+    async downloadCanvas(filename, format = 'png', quality = 0.9, options = {}) {
         if (!this.canvas) {
             throw new Error('No canvas element provided');
         }
@@ -106,19 +193,19 @@ class DownloadManager {
             // Handle different formats
             switch (format.toLowerCase()) {
                 case 'png':
-                    dataUrl = this.canvas.toDataURL('image/png');
-                    blob = await this.dataURLToBlob(dataUrl);
+                    dataUrl = this.getRasterCanvas().toDataURL('image/png');
+                    blob = await this.embedMetadata(await this.dataURLToBlob(dataUrl));
                     break;
                     
                 case 'jpg':
                 case 'jpeg':
-                    dataUrl = this.canvas.toDataURL('image/jpeg', quality);
-                    blob = await this.dataURLToBlob(dataUrl);
+                    dataUrl = this.getRasterCanvas().toDataURL('image/jpeg', quality);
+                    blob = await this.embedMetadata(await this.dataURLToBlob(dataUrl));
                     break;
                     
                 case 'webp':
                     if (this.browserSupport.webp) {
-                        dataUrl = this.canvas.toDataURL('image/webp', quality);
+                        dataUrl = this.getRasterCanvas().toDataURL('image/webp', quality);
                         blob = await this.dataURLToBlob(dataUrl);
                     } else {
                         throw new Error('WebP format not supported in this browser');
@@ -130,9 +217,13 @@ class DownloadManager {
                     break;
                     
                 case 'pdf':
-                    blob = await this.canvasToPDF();
+                    blob = await this.canvasToPDF({ ...options, quality });
                     break;
                     
+                case 'dxf':
+                    blob = await this.canvasToDXF(options);
+                    break;
+                
                 default:
                     throw new Error(`Unsupported format: ${format}`);
             }
@@ -173,12 +264,43 @@ class DownloadManager {
         });
     }
     
+    /**
+     * Write the photo metadata into a PNG or JPEG blob
+     * A failure only loses the metadata, never the export.
+     */
+    async embedMetadata(blob) {
+        const metadata = this.getMetadata();
+        if (!metadata || !this.exifMetadata) return blob;
+        
+        try {
+            return await this.exifMetadata.embed(blob, metadata);
+        } catch (error) {
+            console.warn('Failed to write photo metadata:', error);
+            return blob;
+        }
+    }
+
     /**
      * Convert canvas to SVG format
+     * Writes real <path> strokes when vector data is available, otherwise embeds the raster
      */
     async canvasToSVG() {
+        const vectorData = this.getVectorData();
+        const visibleLayers = this.getVisibleLayers();
+        
+        // Vector paths are the line work; with it hidden the visible layers are embedded as a raster
+        if (vectorData && typeof SVGExporter !== 'undefined' && (!visibleLayers || visibleLayers.includes('linework'))) {
+            try {
+                return new SVGExporter().createBlob(vectorData, {
+                    includeBackground: !visibleLayers || visibleLayers.includes('background')
+                });
+            } catch (error) {
+                console.warn('Vector SVG export failed, embedding raster instead:', error);
+            }
+        }
+        
         try {
-            const canvas = this.canvas;
+            const canvas = this.getRasterCanvas();
             const dataURL = canvas.toDataURL('image/png');
             
             const svgContent = `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${canvas.width}" height="${canvas.height}"><image x="0" y="0" width="${canvas.width}" height="${canvas.height}" xlink:href="${dataURL}"/></svg>`;
@@ -190,50 +312,76 @@ class DownloadManager {
     }
     
     /**
-     * Convert canvas to PDF format (basic implementation)
+     * Convert canvas to PDF format
+     * Places the image on a standard page at print resolution, centred within the margins
      */
-    async canvasToPDF() {
-        try {
-            // For a complete PDF implementation, you would typically use a library like jsPDF
-            // This is a simplified version that creates a basic PDF with embedded image
-            const canvas = this.canvas;
-            const dataURL = canvas.toDataURL('image/jpeg', 0.9);
-            
-            // Note: This is a very basic PDF implementation
-            // For production use, consider integrating jsPDF library
-            const pdfContent = this.createBasicPDF(dataURL, canvas.width, canvas.height);
-            
-            return new Blob([pdfContent], { type: 'application/pdf' });
-        } catch (error) {
-            throw new Error('Failed to convert canvas to PDF. Consider using PNG or JPEG format instead.');
+    async canvasToPDF(options = {}) {
+        if (typeof PDFWriter === 'undefined') {
+            throw new Error('PDF writer not available. Consider using PNG or JPEG format instead.');
+        }
+        
+        const {
+            pageSize = 'a4',
+            orientation = 'auto',
+            marginMm = 10,
+            dpi = 150,
+            imageEncoding = 'jpeg',
+            quality = 0.9,
+            title
+        } = options;
+        
+        const canvas = this.getRasterCanvas();
+        const metadata = this.getMetadata();
+        const writer = new PDFWriter({
+            title,
+            subject: metadata && this.exifMetadata ? this.exifMetadata.describe(metadata) : ''
+        });
+        
+        // Auto orientation follows the image aspect ratio
+        const pageOrientation = orientation === 'auto' ?
+            (canvas.width > canvas.height ? 'landscape' : 'portrait') : orientation;
+        const page = writer.addPage({ pageSize, orientation: pageOrientation });
+        
+        let image;
+        if (imageEncoding === 'png') {
+            // Lossless: raw pixels compressed with Flate
+            const imageData = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+            image = await writer.addPixelImage(imageData);
+        } else {
+            // JPEG bytes are embedded as-is with DCTDecode
+            const bytes = writer.dataURLToBytes(canvas.toDataURL('image/jpeg', quality));
+            image = writer.addJPEGImage(bytes, canvas.width, canvas.height);
         }
+        
+        this.onProgress(50);
+        
+        const layout = writer.layoutImage(page, canvas.width, canvas.height, {
+            margin: marginMm * 72 / 25.4,
+            dpi
+        });
+        writer.drawImage(page, image, layout.x, layout.y, layout.width, layout.height);
+        
+        return writer.toBlob();
     }
     
     /**
-     * Create a basic PDF structure (simplified - for demonstration)
+     * Convert the vectorized sketch to DXF for CAD software
+     * There is no raster fallback: DXF needs the strokes from the traditional pipeline.
      */
-    createBasicPDF(imageDataURL, width, height) {
-        // This creates a very basic PDF that embeds the image
-        // In production, use a proper PDF library like jsPDF
-        const pdfContent = `%PDF-1.4
-1 0 obj
-<< /Type /Catalog /Pages 2 0 R >>
-endobj
-2 0 obj
-<< /Type /Pages /Kids [3 0 R] /Count 1 >>
-endobj
-3 0 obj
-<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] >>
-endobj
-trailer
-<< /Size 4 /Root 1 0 R >>
-startxref
-0
-%%EOF`;
-        
-        return pdfContent;
+    async canvasToDXF(options = {}) {
+        if (typeof DXFExporter === 'undefined') {
+            throw new Error('DXF exporter not available. Consider using SVG or PNG format instead.');
+        }
+        
+        const vectorData = this.getVectorData();
+        if (!vectorData) {
+            throw new Error('DXF export needs a vectorized sketch. Process the image with the traditional pipeline, or choose another format.');
+        }
+        
+        const { scale = 1, units = 'unitless', version = 'R2000' } = options;
+        return new DXFExporter().createBlob(vectorData, { scale, units, version });
     }
-    
+
     /**
      * Download blob with cross-browser compatibility
      */
@@ -307,6 +455,7 @@ startxref
         const {
             format = 'png',
             quality = 0.9,
+            formatOptions = {},
             onProgress = () => {},
             onFileComplete = () => {}
         } = options;
@@ -319,15 +468,26 @@ startxref
             const filename = `batch-${i + 1}-${this.generateTimestamp()}.${format}`;
             
             try {
-                // Temporarily set canvas for this image
+                // Temporarily set canvas and vector data for this image
                 const originalCanvas = this.canvas;
+                const originalGetVectorData = this.getVectorData;
+                const originalGetRasterCanvas = this.getRasterCanvas;
+                const originalGetMetadata = this.getMetadata;
                 this.canvas = image.canvas || image;
+                this.getVectorData = () => image.vectorData || null;
+                this.getRasterCanvas = () => this.canvas;
+                this.getMetadata = () => image.metadata || null;
                 
                 // Download individual file
-                await this.downloadCanvas(filename, format, quality);
-                
-                // Restore original canvas
-                this.canvas = originalCanvas;
+                try {
+                    await this.downloadCanvas(filename, format, quality, formatOptions);
+                } finally {
+                    // Restore original canvas
+                    this.canvas = originalCanvas;
+                    this.getVectorData = originalGetVectorData;
+                    this.getRasterCanvas = originalGetRasterCanvas;
+                    this.getMetadata = originalGetMetadata;
+                }
                 
                 completedFiles++;
                 const progress = (completedFiles / totalFiles) * 100;
@@ -415,10 +575,20 @@ async function init() {
         aiProcessor = null;
     }
     
+    // Initialize photo metadata handling
+    exifMetadata = typeof ExifMetadata !== 'undefined' ? new ExifMetadata() : null;
+    
+    // Initialize the studio material library
+    materialLibrary = typeof MaterialLibrary !== 'undefined' ? new MaterialLibrary() : null;
+    updateMaterialLibrary();
+    
+    // Initialize finish callouts
+    materialAnnotations = typeof MaterialAnnotations !== 'undefined' ? new MaterialAnnotations({ scheme: getTagScheme() }) : null;
+    
     // Initialize core modules with error handling
     try {
         if (typeof ImageProcessor !== 'undefined') {
-            imageProcessor = new ImageProcessor(originalCanvas, resultCanvas);
+            imageProcessor = new ImageProcessor(originalCanvas, resultCanvas, { exifMetadata });
             console.log('Image Processor initialized');
         } else {
             console.error('ImageProcessor class not available');
@@ -475,10 +645,27 @@ async function init() {
         styleManager = null;
     }
     
+    // Initialize interior design analysis
+    interiorDesignAI = typeof InteriorDesignAI !== 'undefined' ? new InteriorDesignAI(aiProcessor) : null;
+    
     // Initialize download manager
     try {
         downloadManager = new DownloadManager({
             canvas: resultCanvas,
+            getRasterCanvas: () => finalRender ? finalRender.canvas : resultCanvas,
+            getMetadata: getExportMetadata,
+            exifMetadata,
+            getVectorData: () => {
+                const vectorData = handDrawnEffects ? handDrawnEffects.getVectorData() : null;
+                
+                // Callouts go into SVG as real text
+                return vectorData && calloutsShown() ?
+                    { ...vectorData, annotations: materialAnnotations.layout(vectorData.width, vectorData.height) } : vectorData;
+            },
+            getVisibleLayers: () => {
+                const sketchDocument = handDrawnEffects ? handDrawnEffects.getDocument() : null;
+                return sketchDocument ? sketchDocument.getLayers().filter(layer => layer.visible).map(layer => layer.id) : null;
+            },
             onProgress: updateDownloadProgress,
             onError: handleDownloadError,
             onComplete: handleDownloadComplete
@@ -489,6 +676,49 @@ async function init() {
         downloadManager = null;
     }
     
+    // Initialize the worker pool for the pixel pipelines
+    workerPool = typeof WorkerPool !== 'undefined' ? new WorkerPool() : null;
+    
+    // Initialize tiled full-resolution rendering
+    tiledRenderer = typeof TiledRenderer !== 'undefined' ? new TiledRenderer({ workerPool }) : null;
+    
+    // Initialize presentation board generator
+    try {
+        if (typeof PresentationBoard !== 'undefined') {
+            presentationBoard = new PresentationBoard({ aiProcessor: aiProcessor, interiorDesignAI, workerPool });
+            console.log('Presentation Board initialized');
+        } else {
+            console.warn('PresentationBoard class not available');
+            presentationBoard = null;
+        }
+    } catch (error) {
+        console.warn('Presentation Board not available:', error.message);
+        presentationBoard = null;
+    }
+    
+    // Initialize stroke replay
+    strokeReplay = typeof StrokeReplay !== 'undefined' ? new StrokeReplay() : null;
+    if (animationFormat && strokeReplay && !StrokeReplay.supportsWebM()) {
+        animationFormat.value = 'gif';
+        animationFormat.querySelector('option[value="webm"]').disabled = true;
+    }
+    
+    // Initialize undo/redo history
+    processingHistory = typeof ProcessingHistory !== 'undefined' ? new ProcessingHistory() : null;
+    
+    // Initialize before/after comparison
+    if (typeof ComparisonView !== 'undefined') {
+        comparisonView = new ComparisonView({
+            originalCanvas,
+            resultCanvas,
+            linkedCanvases: previousCanvas ? [previousCanvas] : [],
+            stage: document.getElementById('comparisonStage'),
+            container: document.getElementById('canvasContainer'),
+            onChange: updateComparisonControls
+        });
+        comparisonView.init();
+    }
+    
     setupEventListeners();
     
     // Display AI capabilities status
@@ -513,6 +743,107 @@ function setupEventListeners() {
     resetBtn.addEventListener('click', resetWorkspace);
     downloadBtn.addEventListener('click', downloadResult);
     downloadBatchBtn.addEventListener('click', downloadBatchResults);
+    if (downloadBoardBtn) {
+        downloadBoardBtn.addEventListener('click', downloadPresentationBoard);
+    }
+    if (reuseSeedBtn) {
+        reuseSeedBtn.addEventListener('click', reuseLastSeed);
+    }
+    if (replayBtn) {
+        replayBtn.addEventListener('click', replayStrokes);
+    }
+    if (downloadAnimationBtn) {
+        downloadAnimationBtn.addEventListener('click', downloadAnimation);
+    }
+    if (replaySpeed) {
+        replaySpeed.addEventListener('input', updateRangeDisplay);
+    }
+    if (cancelProcessingBtn) {
+        cancelProcessingBtn.addEventListener('click', cancelProcessing);
+    }
+    if (renderFinalBtn) {
+        renderFinalBtn.addEventListener('click', renderFinal);
+    }
+    if (finalRenderSize) {
+        finalRenderSize.addEventListener('change', clearFinalRender);
+    }
+    if (photoPaletteBtn) {
+        photoPaletteBtn.addEventListener('click', createPhotoPalette);
+    }
+    if (enableMaterialDetection) {
+        enableMaterialDetection.addEventListener('change', showDetectedMaterials);
+    }
+    if (materialConfidence) {
+        materialConfidence.addEventListener('input', updateRangeDisplay);
+    }
+    if (newMaterialBtn) {
+        newMaterialBtn.addEventListener('click', addStudioMaterial);
+    }
+    if (labelSampleBtn) {
+        labelSampleBtn.addEventListener('click', toggleSampleLabeling);
+    }
+    if (originalCanvas) {
+        originalCanvas.addEventListener('pointerdown', (e) => {
+            sampleClickStart = { x: e.clientX, y: e.clientY };
+        });
+        originalCanvas.addEventListener('click', addMaterialSample);
+    }
+    if (enableCallouts) {
+        enableCallouts.addEventListener('change', () => updateCallouts());
+    }
+    [tagScheme, tagFormat, annotationFont].forEach(control => {
+        if (control) {
+            control.addEventListener('change', updateCalloutScheme);
+        }
+    });
+    if (resetCalloutsBtn) {
+        resetCalloutsBtn.addEventListener('click', () => updateCallouts(true));
+    }
+    if (resultCanvas) {
+        // Captured on the window so a callout gets the pointer before the comparison view pans
+        window.addEventListener('pointerdown', startCalloutDrag, true);
+        window.addEventListener('dblclick', editCallout, true);
+        window.addEventListener('pointermove', moveCalloutDrag);
+        window.addEventListener('pointerup', endCalloutDrag);
+        window.addEventListener('pointercancel', endCalloutDrag);
+    }
+    if (exportMaterialLibraryBtn) {
+        exportMaterialLibraryBtn.addEventListener('click', exportMaterialLibrary);
+    }
+    if (importMaterialLibraryBtn && materialLibraryFileInput) {
+        importMaterialLibraryBtn.addEventListener('click', () => materialLibraryFileInput.click());
+        materialLibraryFileInput.addEventListener('change', importMaterialLibrary);
+    }
+    if (undoBtn) {
+        undoBtn.addEventListener('click', undoProcessing);
+    }
+    if (redoBtn) {
+        redoBtn.addEventListener('click', redoProcessing);
+    }
+    if (compareBtn) {
+        compareBtn.addEventListener('click', toggleCompareView);
+    }
+    document.addEventListener('keydown', handleHistoryShortcut);
+    
+    // Comparison events
+    if (comparisonMode) {
+        comparisonMode.addEventListener('change', handleComparisonModeChange);
+    }
+    if (comparisonAmount) {
+        comparisonAmount.addEventListener('input', handleComparisonAmountChange);
+    }
+    if (zoomInBtn) {
+        zoomInBtn.addEventListener('click', () => comparisonView && comparisonView.zoomBy(1.5));
+    }
+    if (zoomOutBtn) {
+        zoomOutBtn.addEventListener('click', () => comparisonView && comparisonView.zoomBy(1 / 1.5));
+    }
+    if (zoomResetBtn) {
+        zoomResetBtn.addEventListener('click', () => comparisonView && comparisonView.resetView());
+    }
+    
+    // Style-specific controls
+    stylePreset.addEventListener('change', handleStyleChange);
     
     // Range input events
     edgeThreshold.addEventListener('input', updateRangeDisplay);
@@ -521,9 +852,11 @@ function setupEventListeners() {
     
     // Export control events
     exportFormat.addEventListener('change', handleFormatChange);
+    document.getElementById('pdfEncoding')?.addEventListener('change', handleFormatChange);
     exportQuality.addEventListener('input', updateRangeDisplay);
     
-    // Initialize export controls
+    // Initialize style and export controls
+    handleStyleChange();
     handleFormatChange(); // Set initial state
     updateRangeDisplay({ target: exportQuality }); // Set initial quality display
 }
@@ -564,14 +897,24 @@ async function loadImage(file) {
     try {
         console.log('Loading image:', file.name);
         
+        // History belongs to one photo
+        if (processingHistory) {
+            await processingHistory.clear();
+            compareVisible = false;
+            updateHistoryControls();
+        }
+        clearFinalRender();
+        
         if (imageProcessor) {
             await imageProcessor.loadImage(file);
             currentImageData = imageProcessor.getImageData();
+            currentMetadata = imageProcessor.getMetadata();
         } else {
             // Fallback: load image manually
             console.warn('ImageProcessor not available, using fallback');
             await loadImageFallback(file);
         }
+        showPhotoInfo();
         
         // Show workspace and hide upload area
         if (workspace) {
@@ -598,13 +941,18 @@ async function loadImage(file) {
 
 // Fallback image loading when ImageProcessor is not available
 async function loadImageFallback(file) {
+    currentMetadata = exifMetadata ? await exifMetadata.readFile(file) : null;
+    
     return new Promise((resolve, reject) => {
         const reader = new FileReader();
         
         reader.onload = function(e) {
-            const img = new Image();
+            const image = new Image();
             
-            img.onload = function() {
+            image.onload = async function() {
+                // Turn photos stored sideways upright
+                const img = exifMetadata && currentMetadata ?
+                    await exifMetadata.createUprightImage(image, currentMetadata.orientation) : image;
                 console.log('Fallback image loaded:', img.width, 'x', img.height);
                 
                 // Set canvas size and draw image
@@ -627,11 +975,11 @@ async function loadImageFallback(file) {
                 resolve(img);
             };
             
-            img.onerror = function() {
+            image.onerror = function() {
                 reject(new Error('Failed to load image'));
             };
             
-            img.src = e.target.result;
+            image.src = e.target.result;
         };
         
         reader.onerror = function() {
@@ -642,109 +990,198 @@ async function loadImageFallback(file) {
     });
 }
 
+// Show the loaded photo's camera, date and color profile above the original
+function showPhotoInfo() {
+    if (!photoInfo) return;
+    
+    const description = exifMetadata && currentMetadata ? exifMetadata.describe(currentMetadata) : '';
+    const rotated = currentMetadata && currentMetadata.orientation > 1 ? 'orientation corrected' : '';
+    photoInfo.textContent = [description, rotated].filter(Boolean).join(' · ');
+}
+
+// Metadata written into exports; GPS is left out in privacy mode
+function getExportMetadata() {
+    if (!exifMetadata || !currentMetadata) return null;
+    
+    return exifMetadata.forExport(currentMetadata, { stripGPS: !privacyMode || privacyMode.checked });
+}
+
 // Process image with current settings
 async function processImage() {
     if (!currentImageData || isProcessing) return;
     
+    if (strokeReplay) strokeReplay.stop();
     isProcessing = true;
     processBtn.disabled = true;
     processingOverlay.style.display = 'flex';
+    processingController = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    const signal = processingController ? processingController.signal : null;
+    showProcessingProgress('Starting', 0);
     
-    // Use setTimeout to ensure UI updates before processing
-    setTimeout(async () => {
-        try {
-            console.log('🎨 Starting image processing with style:', stylePreset.value);
-            
-            // Get processing mode and determine if AI should be used
-            const processingMode = document.getElementById('processingMode')?.value || 'traditional';
-            const selectedStyle = stylePreset.value;
-            
-            let result;
-            
-            // Try AI processing first if available and enabled
-            if (unifiedAIManager && unifiedAIManager.isInitialized && processingMode !== 'traditional') {
-                try {
-                    console.log('🤖 Attempting AI processing with unified manager');
-                    
-                    // Map traditional styles to AI styles
-                    const aiStyleMapping = {
-                        'pencil': 'ai_sketch',
-                        'pen': 'ai_edge_enhanced',
-                        'charcoal': 'ai_artistic',
-                        'technical': 'ai_technical',
-                        'modern': 'interior_presentation',
-                        'scandinavian': 'furniture_focus',
-                        'industrial': 'architectural_lines',
-                        'contemporary': 'interior_presentation'
-                    };
-                    
-                    const aiStyle = aiStyleMapping[selectedStyle] || 'ai_sketch';
-                    
-                    const aiOptions = {
-                        threshold: parseInt(edgeThreshold.value),
-                        lineVariation: parseInt(lineVariation.value),
-                        lineThickness: parseFloat(lineThickness.value),
-                        quality: processingMode === 'cloud' ? 'desktop' : 'auto'
-                    };
-                    
-                    const aiResult = await unifiedAIManager.processImage(currentImageData, aiStyle, aiOptions);
+    // Let the overlay paint before anything runs on this thread
+    await waitForPaint();
+    
+    try {
+        console.log('🎨 Starting image processing with style:', stylePreset.value);
+        
+        // Get processing mode and determine if AI should be used
+        const processingMode = document.getElementById('processingMode')?.value || 'traditional';
+        const selectedStyle = stylePreset.value;
+        
+        // Styles the AI engines have no counterpart for always run traditionally
+        const traditionalOnlyStyles = ['watercolor', 'marker'];
+        
+        let result;
+        
+        // Try AI processing first if available and enabled
+        if (unifiedAIManager && unifiedAIManager.isInitialized && processingMode !== 'traditional' &&
+            !traditionalOnlyStyles.includes(selectedStyle)) {
+            try {
+                console.log('🤖 Attempting AI processing with unified manager');
+                
+                // Map traditional styles to AI styles
+                const aiStyleMapping = {
+                    'pencil': 'ai_sketch',
+                    'pen': 'ai_edge_enhanced',
+                    'charcoal': 'ai_artistic',
+                    'technical': 'ai_technical',
+                    'modern': 'interior_presentation',
+                    'scandinavian': 'furniture_focus',
+                    'industrial': 'architectural_lines',
+                    'contemporary': 'interior_presentation'
+                };
+                
+                const aiStyle = aiStyleMapping[selectedStyle] || 'ai_sketch';
+                
+                const aiOptions = {
+                    threshold: parseInt(edgeThreshold.value),
+                    lineVariation: parseInt(lineVariation.value),
+                    lineThickness: parseFloat(lineThickness.value),
+                    quality: processingMode === 'cloud' ? 'desktop' : 'auto'
+                };
+                
+                setProcessingCancellable(false);
+                showProcessingProgress('Running AI model', 0);
+                const aiResult = await unifiedAIManager.processImage(currentImageData, aiStyle, aiOptions);
+                
+                if (aiResult && aiResult.success) {
+                    console.log('✅ AI processing successful:', aiResult.method || aiResult.engine);
+                    result = aiResult.imageData;
                     
-                    if (aiResult && aiResult.success) {
-                        console.log('✅ AI processing successful:', aiResult.method || aiResult.engine);
-                        result = aiResult.imageData;
-                        
-                        // Show AI processing info if fallback was used
-                        if (aiResult.usedFallback) {
-                            console.log('ℹ️ AI fallback used:', aiResult.originalStyle, '→', aiResult.method);
-                        }
-                    } else {
-                        throw new Error('AI processing failed or returned invalid result');
+                    // The AI result has no strokes to export as vectors, nor layers
+                    if (handDrawnEffects) {
+                        handDrawnEffects.clearVectorData();
+                        handDrawnEffects.clearDocument();
                     }
                     
-                } catch (aiError) {
-                    console.warn('⚠️ AI processing failed, falling back to traditional:', aiError.message);
-                    result = await traditionalProcessing();
-                }
-            } else {
-                console.log('🖊️ Using traditional processing (AI not available or disabled)');
-                result = await traditionalProcessing();
-            }
-            
-            // Display result
-            if (result) {
-                if (result instanceof ImageData) {
-                    imageProcessor.drawResult(result);
-                } else if (result.data) {
-                    // Handle different result formats
-                    const resultCtx = resultCanvas.getContext('2d');
-                    resultCtx.putImageData(result.data, 0, 0);
+                    // Show AI processing info if fallback was used
+                    if (aiResult.usedFallback) {
+                        console.log('ℹ️ AI fallback used:', aiResult.originalStyle, '→', aiResult.method);
+                    }
                 } else {
-                    console.warn('Unknown result format, attempting direct display');
-                    imageProcessor.drawResult(result);
+                    throw new Error('AI processing failed or returned invalid result');
                 }
                 
-                // Enable download button
-                downloadBtn.disabled = false;
-                console.log('✅ Image processing completed successfully');
+            } catch (aiError) {
+                console.warn('⚠️ AI processing failed, falling back to traditional:', aiError.message);
+                result = await traditionalProcessing(signal);
+            }
+        } else {
+            console.log('🖊️ Using traditional processing (AI not available or disabled)');
+            result = await traditionalProcessing(signal);
+        }
+        
+        // Display result
+        if (result) {
+            if (result instanceof ImageData) {
+                imageProcessor.drawResult(result);
+            } else if (result.data) {
+                // Handle different result formats
+                const resultCtx = resultCanvas.getContext('2d');
+                resultCtx.putImageData(result.data, 0, 0);
             } else {
-                throw new Error('Processing returned no result');
+                console.warn('Unknown result format, attempting direct display');
+                imageProcessor.drawResult(result);
             }
             
-        } catch (error) {
+            // Enable download buttons
+            downloadBtn.disabled = false;
+            if (downloadBoardBtn) downloadBoardBtn.disabled = !presentationBoard;
+            updateReplayButtons();
+            updateCallouts();
+            renderLayerControls();
+            recordHistory();
+            clearFinalRender();
+            console.log('✅ Image processing completed successfully');
+        } else {
+            throw new Error('Processing returned no result');
+        }
+    
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            console.log('⏹️ Image processing cancelled');
+        } else {
             console.error('❌ Error processing image:', error);
             alert('Failed to process image. Please try adjusting the settings.');
-        } finally {
-            isProcessing = false;
-            processBtn.disabled = false;
-            processingOverlay.style.display = 'none';
         }
-    }, 100);
+    } finally {
+        isProcessing = false;
+        processingController = null;
+        setProcessingCancellable(false);
+        processBtn.disabled = false;
+        processingOverlay.style.display = 'none';
+        updateFinalRenderControls();
+    }
 }
 
 // Traditional processing fallback function
-async function traditionalProcessing() {
+async function traditionalProcessing(signal = null) {
     console.log('🖊️ Executing traditional processing pipeline');
     
+    const edges = await detectPhotoEdges(signal);
+    await segmentPhotoMaterials(signal);
+    
+    // Strokes are drawn on this thread, which can't be interrupted
+    setProcessingCancellable(false);
+    showProcessingProgress('Drawing', 0.7);
+    await waitForPaint();
+    
+    // Apply hand-drawn effect; an empty seed field draws a fresh seed
+    const seed = sketchSeed && sketchSeed.value.trim() !== '' ? sketchSeed.value.trim() : undefined;
+    const result = handDrawnEffects ? await handDrawnEffects.applyHandDrawnEffect(edges, {
+        ...getSketchSettings(),
+        ...getMaterialSettings(),
+        seed,
+        sourceImageData: currentImageData
+    }) : edges;
+    
+    if (handDrawnEffects) {
+        showLastSeed(handDrawnEffects.getSeed());
+    }
+    
+    return result;
+}
+
+// Grayscale, blur and edge detection, in a worker when the pool is available
+async function detectPhotoEdges(signal = null) {
+    const settings = getEdgeSettings();
+    
+    if (workerPool && edgeDetector) {
+        setProcessingCancellable(!!signal);
+        const { imageData, lineSegments } = await workerPool.run('edgePipeline', {
+            imageData: currentImageData,
+            blurRadius: 1,
+            settings
+        }, {
+            signal,
+            onProgress: (progress, stage) => showProcessingProgress(processingStageLabels[stage] || 'Detecting edges', progress * 0.7)
+        });
+        
+        // Segments ride along on the edge data, as detectArchitecturalEdges returns them
+        if (lineSegments) imageData.lineSegments = lineSegments;
+        return imageData;
+    }
+    
     // Convert to grayscale
     const grayscaleData = imageProcessor.toGrayscale(currentImageData);
     
@@ -752,21 +1189,584 @@ async function traditionalProcessing() {
     const blurredData = imageProcessor.gaussianBlur(grayscaleData, 1);
     
     // Detect edges
-    const edges = edgeDetector ? edgeDetector.detectArchitecturalEdges(blurredData, {
+    return edgeDetector ? edgeDetector.detectArchitecturalEdges(blurredData, settings) : blurredData;
+}
+
+// Segment the photo into materials when material detection is on, in a worker when the pool is available
+async function segmentPhotoMaterials(signal = null) {
+    if (!enableMaterialDetection || !enableMaterialDetection.checked) {
+        materialSegmentation = null;
+        materialSegmentationKey = null;
+        showDetectedMaterials();
+        return null;
+    }
+    
+    // Settings changes redraw the same photo: reuse its segmentation
+    const minConfidence = materialConfidence ? parseInt(materialConfidence.value) / 100 : undefined;
+    const libraryRevision = materialLibrary ? materialLibrary.revision : null;
+    if (materialSegmentation && materialSegmentationKey &&
+        materialSegmentationKey.imageData === currentImageData && materialSegmentationKey.minConfidence === minConfidence &&
+        materialSegmentationKey.libraryRevision === libraryRevision) {
+        return materialSegmentation;
+    }
+    
+    // Workers get the library as plain data
+    const library = materialLibrary && materialLibrary.isTrained() ? materialLibrary.toJSON() : undefined;
+    
+    showProcessingProgress('Finding materials', 0.7);
+    materialSegmentation = null;
+    materialSegmentationKey = null;
+    
+    try {
+        if (workerPool) {
+            materialSegmentation = await workerPool.run('segmentMaterials', {
+                imageData: currentImageData,
+                options: { minConfidence, library }
+            }, { signal });
+        } else if (typeof MaterialDetection !== 'undefined') {
+            await waitForPaint();
+            materialSegmentation = new MaterialDetection().segmentMaterials(currentImageData, { minConfidence, library });
+        }
+        materialSegmentationKey = materialSegmentation ? { imageData: currentImageData, minConfidence, libraryRevision } : null;
+    } catch (error) {
+        if (error.name === 'AbortError') throw error;
+        console.warn('Material segmentation failed, drawing without materials:', error);
+    }
+    
+    showDetectedMaterials();
+    return materialSegmentation;
+}
+
+// Material styling settings from the current segmentation, if there is one
+function getMaterialSettings() {
+    return materialSegmentation ? { materialEnhancement: true, materialData: materialSegmentation } : {};
+}
+
+// List the segmented materials by coverage in the material panel
+function showDetectedMaterials() {
+    if (!materialPanel || !materialList) return;
+    
+    materialPanel.style.display = enableMaterialDetection && enableMaterialDetection.checked ? 'block' : 'none';
+    materialList.innerHTML = '';
+    if (!materialSegmentation) return;
+    
+    const detected = Object.entries(materialSegmentation.coverage)
+        .filter(([, coverage]) => coverage >= 0.01)
+        .sort((a, b) => b[1] - a[1]);
+    if (detected.length === 0) {
+        materialList.textContent = 'No materials recognized';
+        return;
+    }
+    
+    detected.forEach(([material, coverage]) => {
+        // Area-weighted confidence of the material's regions
+        const regions = materialSegmentation.regions.filter(region => region.material === material);
+        const area = regions.reduce((sum, region) => sum + region.area, 0);
+        const confidence = area > 0 ? regions.reduce((sum, region) => sum + region.confidence * region.area, 0) / area : 0;
+        
+        const item = document.createElement('div');
+        item.className = 'material-item';
+        const name = document.createElement('span');
+        name.className = 'material-name';
+        name.textContent = `${material.charAt(0).toUpperCase()}${material.slice(1)} · ${Math.round(coverage * 100)}% of photo`;
+        const badge = document.createElement('span');
+        badge.className = `material-confidence-badge ${confidence >= 0.75 ? 'high' : confidence >= 0.55 ? 'medium' : 'low'}`;
+        badge.textContent = `${Math.round(confidence * 100)}%`;
+        
+        item.append(name, badge);
+        materialList.appendChild(item);
+    });
+}
+
+// Fill the library's material picker and sample counts
+function updateMaterialLibrary() {
+    if (!trainingMaterial || !materialLibraryList) return;
+    
+    const selected = trainingMaterial.value;
+    const studioMaterials = materialLibrary ? materialLibrary.getMaterials() : [];
+    const builtIn = typeof MaterialDetection !== 'undefined' ? Object.keys(new MaterialDetection().materials) : [];
+    const names = builtIn.concat(studioMaterials.map(material => material.name).filter(name => !builtIn.includes(name)));
+    
+    trainingMaterial.innerHTML = '';
+    names.forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name;
+        trainingMaterial.appendChild(option);
+    });
+    if (names.includes(selected)) trainingMaterial.value = selected;
+    
+    materialLibraryList.innerHTML = '';
+    if (studioMaterials.length === 0) {
+        materialLibraryList.textContent = 'No samples yet';
+        return;
+    }
+    studioMaterials.forEach(material => {
+        const item = document.createElement('div');
+        item.className = 'material-item';
+        const name = document.createElement('span');
+        name.className = 'material-name';
+        name.textContent = `${material.name} · ${material.samples} sample${material.samples === 1 ? '' : 's'}`;
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'secondary-btn';
+        removeBtn.textContent = 'Remove';
+        removeBtn.addEventListener('click', () => {
+            if (!confirm(`Remove "${material.name}" and its samples from the library?`)) return;
+            materialLibrary.removeMaterial(material.name);
+            updateMaterialLibrary();
+        });
+        
+        item.append(name, removeBtn);
+        materialLibraryList.appendChild(item);
+    });
+}
+
+// Register a studio material, drawn in the style of a built-in one
+function addStudioMaterial() {
+    if (!materialLibrary) return;
+    
+    const name = prompt('Enter material name (e.g. Smoked oak):');
+    if (!name || !name.trim()) return;
+    
+    const builtIn = typeof MaterialDetection !== 'undefined' ? Object.keys(new MaterialDetection().materials) : [];
+    const baseMaterial = (prompt(`Draw it like which material? (${builtIn.join('/')})`, builtIn[0] || '') || '').trim().toLowerCase();
+    
+    try {
+        const material = materialLibrary.addMaterial(name, { baseMaterial: builtIn.includes(baseMaterial) ? baseMaterial : null });
+        updateMaterialLibrary();
+        trainingMaterial.value = material.name;
+    } catch (error) {
+        alert(`Failed to add material: ${error.message}`);
+    }
+}
+
+// Turn labeling clicks on the photo on or off
+function toggleSampleLabeling() {
+    labelingSamples = !labelingSamples && !!materialLibrary;
+    labelSampleBtn.classList.toggle('active', labelingSamples);
+    labelSampleBtn.textContent = labelingSamples ? 'Done Labeling' : 'Label Samples on Photo';
+    originalCanvas.style.cursor = labelingSamples ? 'crosshair' : '';
+}
+
+// Add the patch under a click on the photo as a sample of the chosen material
+function addMaterialSample(e) {
+    if (!labelingSamples || !materialLibrary || !currentImageData || !trainingMaterial.value) return;
+    
+    // Dragging pans the comparison view: only a still click labels
+    if (sampleClickStart && Math.hypot(e.clientX - sampleClickStart.x, e.clientY - sampleClickStart.y) > 4) return;
+    
+    // The canvas may be scaled by CSS and the comparison zoom
+    const rect = originalCanvas.getBoundingClientRect();
+    const x = (e.clientX - rect.left) * currentImageData.width / rect.width;
+    const y = (e.clientY - rect.top) * currentImageData.height / rect.height;
+    
+    try {
+        materialLibrary.addSampleFromImage(currentImageData, x, y, trainingMaterial.value);
+        updateMaterialLibrary();
+        showDownloadNotification(`Sample added to ${trainingMaterial.value}`);
+    } catch (error) {
+        alert(`Failed to add sample: ${error.message}`);
+    }
+}
+
+// Download the material library as JSON
+async function exportMaterialLibrary() {
+    if (!materialLibrary || !downloadManager) return;
+    
+    try {
+        await downloadManager.downloadBlob(materialLibrary.createExportBlob(), 'material-library.json');
+    } catch (error) {
+        handleDownloadError(error);
+    }
+}
+
+// Merge an exported material library into this one
+function importMaterialLibrary(e) {
+    const file = e.target.files[0];
+    if (!file || !materialLibrary) return;
+    
+    const reader = new FileReader();
+    reader.onload = (event) => {
+        try {
+            const materials = materialLibrary.importJSON(event.target.result);
+            updateMaterialLibrary();
+            alert(`Material library imported: ${materials.length} materials`);
+        } catch (error) {
+            alert(`Failed to import material library: ${error.message}`);
+        }
+    };
+    reader.readAsText(file);
+    
+    // Let the same file be picked again
+    e.target.value = '';
+}
+
+// Tag scheme and lettering from the callout controls
+function getTagScheme() {
+    return {
+        prefixes: tagScheme ? tagScheme.value : undefined,
+        format: tagFormat ? tagFormat.value : undefined,
+        font: annotationFont ? annotationFont.value : undefined
+    };
+}
+
+// Show finish callouts over the current sketch, or take them off
+// The same segmentation keeps its callouts so drags and edits survive redraws; regenerate starts over.
+function updateCallouts(regenerate = false) {
+    const sketchDocument = handDrawnEffects ? handDrawnEffects.getDocument() : null;
+    if (!sketchDocument || !materialAnnotations) return;
+    
+    const active = !!(enableCallouts && enableCallouts.checked && materialSegmentation);
+    if (active && (regenerate || calloutsSource !== materialSegmentation)) {
+        materialAnnotations.setScheme(getTagScheme());
+        materialAnnotations.generate(materialSegmentation, {
+            annotations: aiProcessor ? aiProcessor.generateAnnotations(currentImageData, materialSegmentation.coverage) : []
+        });
+        calloutsSource = materialSegmentation;
+    }
+    
+    sketchDocument.setLayerOverlay('annotations', active ? (ctx, width, height) => materialAnnotations.draw(ctx, width, height) : null);
+    redrawCallouts();
+}
+
+// Re-letter the callouts after a scheme or font change; only new prefixes or formats re-tag them
+function updateCalloutScheme() {
+    if (!materialAnnotations) return;
+    
+    materialAnnotations.setScheme(getTagScheme());
+    redrawCallouts();
+}
+
+// Composite the sketch again after the callouts changed
+function redrawCallouts() {
+    if (!handDrawnEffects || !handDrawnEffects.getDocument()) return;
+    
+    handDrawnEffects.compositeDocument();
+    clearFinalRender();
+}
+
+// Whether callouts are drawn over the current sketch
+function calloutsShown() {
+    const sketchDocument = handDrawnEffects ? handDrawnEffects.getDocument() : null;
+    if (!sketchDocument || !materialAnnotations) return false;
+    
+    const layer = sketchDocument.getLayer('annotations');
+    return !!layer.overlay && layer.visible;
+}
+
+// Draw the callouts over a full-resolution render, as the annotations layer shows them
+function drawCalloutsOnto(canvas) {
+    if (!calloutsShown()) return;
+    
+    const ctx = canvas.getContext('2d');
+    ctx.save();
+    ctx.globalAlpha = handDrawnEffects.getDocument().getLayer('annotations').opacity;
+    materialAnnotations.draw(ctx, canvas.width, canvas.height);
+    ctx.restore();
+}
+
+// Sketch pixel under a pointer on the result canvas, through CSS scaling and comparison zoom
+function getResultCanvasPoint(e) {
+    const rect = resultCanvas.getBoundingClientRect();
+    return {
+        x: (e.clientX - rect.left) * resultCanvas.width / rect.width,
+        y: (e.clientY - rect.top) * resultCanvas.height / rect.height
+    };
+}
+
+// Callout part or schedule under a pointer on the result canvas, or null
+function getCalloutAt(e) {
+    if (e.target !== resultCanvas || !calloutsShown()) return null;
+    
+    const point = getResultCanvasPoint(e);
+    const hit = materialAnnotations.hitTest(point.x, point.y, resultCanvas.width, resultCanvas.height);
+    return hit ? { ...hit, point } : null;
+}
+
+// Start dragging a callout label, its leader end or the schedule
+function startCalloutDrag(e) {
+    const hit = getCalloutAt(e);
+    if (!hit) return;
+    
+    e.stopPropagation();
+    e.preventDefault();
+    calloutDrag = {
+        ...hit,
+        origin: materialAnnotations.getPosition(hit.id, hit.part, resultCanvas.width, resultCanvas.height)
+    };
+}
+
+// Follow the pointer with the dragged callout
+function moveCalloutDrag(e) {
+    if (!calloutDrag) return;
+    
+    const point = getResultCanvasPoint(e);
+    materialAnnotations.move(calloutDrag.id, calloutDrag.part,
+        calloutDrag.origin.x + (point.x - calloutDrag.point.x) / resultCanvas.width,
+        calloutDrag.origin.y + (point.y - calloutDrag.point.y) / resultCanvas.height);
+    handDrawnEffects.compositeDocument();
+}
+
+// Finish a callout drag
+function endCalloutDrag() {
+    if (!calloutDrag) return;
+    
+    calloutDrag = null;
+    clearFinalRender();
+}
+
+// Edit a double-clicked callout's tag, finish name and note; clearing the text removes it
+function editCallout(e) {
+    const hit = getCalloutAt(e);
+    if (!hit || hit.id === 'legend') return;
+    
+    e.stopPropagation();
+    const callout = materialAnnotations.getCallout(hit.id);
+    const text = prompt('Edit callout ("TAG Finish name", then " · " and a note; empty removes it):',
+        materialAnnotations.getCalloutText(callout));
+    if (text === null) return;
+    
+    try {
+        materialAnnotations.editCallout(hit.id, text);
+        redrawCallouts();
+    } catch (error) {
+        alert(`Failed to edit callout: ${error.message}`);
+    }
+}
+
+// Edge detection settings from the controls
+function getEdgeSettings() {
+    return {
         threshold: parseInt(edgeThreshold.value),
         blur: true,
-        thinning: true
-    }) : blurredData;
-    
-    // Apply hand-drawn effect
-    const result = handDrawnEffects ? await handDrawnEffects.applyHandDrawnEffect(edges, {
+        thinning: true,
+        detectLines: true
+    };
+}
+
+// Hand-drawn effect settings from the controls, without the seed and photo
+function getSketchSettings() {
+    return {
         style: stylePreset.value,
         lineVariation: parseInt(lineVariation.value),
         lineThickness: parseFloat(lineThickness.value),
-        texture: true
-    }) : edges;
+        texture: true,
+        shading: shadingMode ? shadingMode.value : 'none',
+        construction: constructionLines ? constructionLines.value : 'none',
+        paper: paperType && paperType.value !== 'auto' ? paperType.value : null,
+        ...getColorFillSettings()
+    };
+}
+
+// Render the current result again at print resolution, tile by tile
+async function renderFinal() {
+    if (!tiledRenderer || !currentImageData || isProcessing) return;
     
-    return result;
+    isProcessing = true;
+    processBtn.disabled = true;
+    updateFinalRenderControls();
+    processingOverlay.style.display = 'flex';
+    processingController = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    setProcessingCancellable(true);
+    showProcessingProgress('Loading full-resolution photo', 0);
+    await waitForPaint();
+    
+    try {
+        const size = finalRenderSize ? finalRenderSize.value : '5000';
+        const photo = imageProcessor.getFullResolutionImageData(size === 'full' ? Infinity : parseInt(size));
+        
+        // The shown result's seed, so the final is the same drawing as the preview
+        const lastSeed = sketchSeed ? sketchSeed.dataset.lastSeed : '';
+        
+        const canvas = await tiledRenderer.render(photo, {
+            scale: photo.width / currentImageData.width,
+            edgeSettings: getEdgeSettings(),
+            sketchSettings: { ...getSketchSettings(), ...getMaterialSettings(), seed: lastSeed !== '' ? lastSeed : undefined },
+            layerSettings,
+            signal: processingController ? processingController.signal : null,
+            onProgress: (progress, stage) => showProcessingProgress(stage === 'drawing' ? 'Drawing tiles' : 'Detecting edges in tiles', progress)
+        });
+        
+        // Callouts are vector overlays, drawn once at the final size
+        drawCalloutsOnto(canvas);
+        
+        finalRender = { canvas, width: canvas.width, height: canvas.height };
+        console.log(`✅ Final render completed at ${canvas.width} × ${canvas.height}`);
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            console.log('⏹️ Final render cancelled');
+        } else {
+            console.error('❌ Final render failed:', error);
+            alert('Failed to render at full resolution. Try a smaller final size.');
+        }
+    } finally {
+        isProcessing = false;
+        processingController = null;
+        setProcessingCancellable(false);
+        processBtn.disabled = false;
+        processingOverlay.style.display = 'none';
+        updateFinalRenderControls();
+    }
+}
+
+// Forget the full-resolution render once the result it was made from changes
+function clearFinalRender() {
+    finalRender = null;
+    updateFinalRenderControls();
+}
+
+// Final render button and status; only traditional results (which have strokes) can be re-rendered
+function updateFinalRenderControls() {
+    const traditional = handDrawnEffects && handDrawnEffects.getVectorData();
+    
+    if (renderFinalBtn) {
+        renderFinalBtn.disabled = !tiledRenderer || !currentImageData || !traditional || isProcessing;
+    }
+    if (finalRenderStatus) {
+        finalRenderStatus.textContent = finalRender ?
+            `Final render: ${finalRender.width} × ${finalRender.height} px, used for image, PDF and board downloads.` :
+            'Showing a screen-size preview.';
+    }
+}
+
+// Full-resolution photo matching the final render, for presentation boards
+function getFinalPhotoCanvas() {
+    const photo = imageProcessor.getFullResolutionImageData(Math.max(finalRender.width, finalRender.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = photo.width;
+    canvas.height = photo.height;
+    canvas.getContext('2d').putImageData(photo, 0, 0);
+    return canvas;
+}
+
+// Overlay text for the pipeline stages reported by the worker
+const processingStageLabels = {
+    grayscale: 'Preparing photo',
+    blur: 'Smoothing',
+    edges: 'Detecting edges',
+    thinning: 'Thinning edges',
+    edgePipeline: 'Finding lines'
+};
+
+// Show the current stage and progress on the processing overlay
+function showProcessingProgress(stage, progress) {
+    if (!processingStatus) return;
+    processingStatus.textContent = progress > 0 ? `${stage}... ${Math.round(progress * 100)}%` : `${stage}...`;
+}
+
+// Show the cancel button only while the work can be stopped
+function setProcessingCancellable(cancellable) {
+    if (cancelProcessingBtn) {
+        cancelProcessingBtn.style.display = cancellable && processingController ? '' : 'none';
+    }
+}
+
+// Stop the running pipeline; the previous result stays on the canvas
+function cancelProcessing() {
+    if (processingController) {
+        processingController.abort();
+    }
+}
+
+// Resolve once the browser has painted, so overlay updates show before blocking work
+function waitForPaint() {
+    return new Promise(resolve => requestAnimationFrame(() => setTimeout(resolve, 0)));
+}
+
+// Styles that fill regions with color rather than drawing lines only
+const colorFillStyles = ['watercolor', 'marker'];
+
+// Fill colors for watercolor and marker styles: sampled from the photo, the palette pickers, or both
+function getColorFillSettings() {
+    if (!colorFillStyles.includes(stylePreset.value)) return {};
+    
+    const palette = ['primaryColor', 'secondaryColor', 'accentColor', 'neutralColor']
+        .map(id => document.getElementById(id)?.value)
+        .filter(Boolean);
+    
+    return {
+        fillColorSource: washColorSource ? washColorSource.value : 'photo',
+        palette
+    };
+}
+
+// Measure the photo's colors, fill the palette pickers and save them as a custom palette
+function createPhotoPalette() {
+    if (!interiorDesignAI || !currentImageData) return;
+    
+    // Materials segmented from this photo make the suggestions material-aware
+    const segmented = materialSegmentation && materialSegmentationKey && materialSegmentationKey.imageData === currentImageData;
+    const materials = segmented ? Object.fromEntries(Object.entries(materialSegmentation.coverage)
+        .filter(([, coverage]) => coverage >= 0.05)
+        .map(([material, coverage]) => [material, { coverage: Math.round(coverage * 100) }])) : {};
+    
+    try {
+        const analysis = interiorDesignAI.analyzeColorHarmony(currentImageData, materials);
+        const paletteData = interiorDesignAI.createPaletteData(analysis, `Photo palette ${new Date().toLocaleString()}`);
+        
+        ['primary', 'secondary', 'accent', 'neutral'].forEach(role => {
+            const picker = document.getElementById(`${role}Color`);
+            if (picker) picker.value = paletteData.colors[role];
+        });
+        if (styleManager) {
+            styleManager.createCustomPalette(paletteData);
+        }
+        
+        showColorHarmony(analysis);
+        showDownloadNotification(styleManager ? `Palette saved: ${paletteData.name}` : 'Palette applied');
+    } catch (error) {
+        alert(`Failed to analyze colors: ${error.message}`);
+    }
+}
+
+// Show the measured palette, balance and suggestions under the palette pickers
+function showColorHarmony(analysis) {
+    if (!colorHarmony) return;
+    
+    colorHarmony.innerHTML = '';
+    
+    const swatches = document.createElement('div');
+    swatches.className = 'harmony-swatches';
+    analysis.dominantColors.forEach(color => {
+        const swatch = document.createElement('div');
+        swatch.className = 'harmony-swatch';
+        swatch.style.backgroundColor = color.color;
+        swatch.style.flex = `${Math.max(1, color.percentage)} 1 0`;
+        swatch.title = `${color.name} ${color.color} · ${color.percentage}%`;
+        swatches.appendChild(swatch);
+    });
+    
+    const { balance } = analysis;
+    const summary = document.createElement('div');
+    summary.textContent = `${analysis.scheme.charAt(0).toUpperCase()}${analysis.scheme.slice(1)} · ${analysis.colorTemperature} · ` +
+        `${balance.dominant}/${balance.secondary}/${balance.accent} balance (${analysis.harmony})`;
+    
+    const suggestions = document.createElement('ul');
+    analysis.suggestions.forEach(text => {
+        const item = document.createElement('li');
+        item.textContent = text;
+        suggestions.appendChild(item);
+    });
+    
+    colorHarmony.append(swatches, summary, suggestions);
+}
+
+// Show the seed of the last drawing so it can be reproduced
+function showLastSeed(seed) {
+    if (!sketchSeed) return;
+    
+    sketchSeed.placeholder = seed !== null && seed !== undefined ? `Last: ${seed}` : 'New seed each run';
+    sketchSeed.dataset.lastSeed = seed !== null && seed !== undefined ? seed : '';
+    if (reuseSeedBtn) {
+        reuseSeedBtn.disabled = seed === null || seed === undefined;
+    }
+}
+
+// Pin the seed of the last drawing so re-processing reproduces it
+function reuseLastSeed() {
+    if (sketchSeed && sketchSeed.dataset.lastSeed) {
+        sketchSeed.value = sketchSeed.dataset.lastSeed;
+    }
 }
 
 // Reset workspace
@@ -783,9 +1783,23 @@ function resetWorkspace() {
     
     // Reset controls to defaults
     stylePreset.value = 'pencil';
+    handleStyleChange();
     edgeThreshold.value = 30;
     lineVariation.value = 50;
     lineThickness.value = 2;
+    if (shadingMode) {
+        shadingMode.value = 'none';
+    }
+    if (constructionLines) {
+        constructionLines.value = 'none';
+    }
+    if (paperType) {
+        paperType.value = 'auto';
+    }
+    if (sketchSeed) {
+        sketchSeed.value = '';
+        showLastSeed(null);
+    }
     
     // Update displays
     updateRangeDisplay({ target: edgeThreshold });
@@ -795,8 +1809,35 @@ function resetWorkspace() {
     // Disable buttons
     processBtn.disabled = true;
     downloadBtn.disabled = true;
+    if (downloadBoardBtn) downloadBoardBtn.disabled = true;
+    if (strokeReplay) strokeReplay.stop();
+    if (handDrawnEffects) {
+        handDrawnEffects.clearVectorData();
+        handDrawnEffects.clearDocument();
+    }
+    updateReplayButtons();
+    layerSettings = {};
+    renderLayerControls();
+    if (processingHistory) {
+        processingHistory.clear();
+    }
+    compareVisible = false;
+    updateHistoryControls();
+    if (comparisonMode) {
+        comparisonMode.value = 'side-by-side';
+        handleComparisonModeChange();
+    }
+    if (comparisonView) comparisonView.resetView();
     
     currentImageData = null;
+    currentMetadata = null;
+    showPhotoInfo();
+    materialSegmentation = null;
+    materialSegmentationKey = null;
+    calloutsSource = null;
+    showDetectedMaterials();
+    if (colorHarmony) colorHarmony.innerHTML = '';
+    clearFinalRender();
 }
 
 // Enhanced download result with multiple format support
@@ -818,7 +1859,8 @@ async function downloadResult() {
         showDownloadProgress();
         
         // Download using the enhanced download manager
-        await downloadManager.downloadCanvas(filename, format, quality);
+        const formatOptions = getFormatOptions(format);
+        await downloadManager.downloadCanvas(filename, format, quality, formatOptions);
         
     } catch (error) {
         console.error('Download failed:', error);
@@ -830,6 +1872,417 @@ async function downloadResult() {
     }
 }
 
+// Download a client presentation board PDF
+async function downloadPresentationBoard() {
+    if (!downloadBoardBtn || downloadBoardBtn.disabled || isDownloading || !presentationBoard) return;
+    
+    try {
+        isDownloading = true;
+        downloadBoardBtn.disabled = true;
+        
+        showDownloadProgress('Analyzing materials and room...');
+        updateDownloadProgress(10);
+        
+        const field = (id) => {
+            const element = document.getElementById(id);
+            return element ? element.value.trim() : '';
+        };
+        
+        const project = {
+            name: field('boardProjectName'),
+            client: field('boardClient'),
+            designer: field('boardDesigner'),
+            date: field('boardDate')
+        };
+        
+        // A final render puts print-resolution images on the board
+        const blob = await presentationBoard.createBoard({
+            originalCanvas: finalRender ? getFinalPhotoCanvas() : originalCanvas,
+            sketchCanvas: finalRender ? finalRender.canvas : resultCanvas,
+            template: field('boardTemplate') || 'grid',
+            pageSize: field('boardPageSize') || 'a3',
+            project
+        });
+        
+        updateDownloadProgress(80);
+        
+        const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+        const slug = (project.name || 'project').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'project';
+        const filename = `presentation-board-${slug}-${timestamp}.pdf`;
+        
+        await downloadManager.downloadBlob(blob, filename);
+        updateDownloadProgress(100);
+        handleDownloadComplete(filename);
+    
+    } catch (error) {
+        console.error('Presentation board failed:', error);
+        handleDownloadError(error);
+    } finally {
+        isDownloading = false;
+        downloadBoardBtn.disabled = false;
+        hideDownloadProgress();
+    }
+}
+
+// Build the layer panel for the current result; earlier panel changes carry over
+function renderLayerControls() {
+    if (!layerList) return;
+    
+    const sketchDocument = handDrawnEffects ? handDrawnEffects.getDocument() : null;
+    layerList.innerHTML = '';
+    
+    if (!sketchDocument) {
+        const empty = document.createElement('p');
+        empty.className = 'layer-empty';
+        empty.textContent = 'Process an image with a traditional style to edit its layers.';
+        layerList.appendChild(empty);
+        return;
+    }
+    
+    const overrides = Object.entries(layerSettings);
+    overrides.forEach(([id, properties]) => sketchDocument.setLayerProperties(id, properties));
+    if (overrides.length > 0) {
+        handDrawnEffects.compositeDocument();
+    }
+    
+    const blendNames = { 'source-over': 'Normal' };
+    
+    // Top layer first, as in an image editor
+    sketchDocument.getLayers().reverse().forEach(layer => {
+        const row = document.createElement('div');
+        row.className = 'layer-item';
+        
+        const label = document.createElement('label');
+        const visible = document.createElement('input');
+        visible.type = 'checkbox';
+        visible.checked = layer.visible;
+        visible.addEventListener('change', () => updateLayer(layer.id, { visible: visible.checked }));
+        label.append(visible, ` ${layer.name}`);
+        
+        const opacity = document.createElement('input');
+        opacity.type = 'range';
+        opacity.min = 0;
+        opacity.max = 100;
+        opacity.value = Math.round(layer.opacity * 100);
+        opacity.title = 'Opacity';
+        opacity.addEventListener('input', () => updateLayer(layer.id, { opacity: opacity.value / 100 }));
+        
+        const blendMode = document.createElement('select');
+        blendMode.title = 'Blend mode';
+        sketchDocument.blendModes.forEach(mode => {
+            const option = document.createElement('option');
+            option.value = mode;
+            option.textContent = blendNames[mode] || mode.charAt(0).toUpperCase() + mode.slice(1);
+            blendMode.appendChild(option);
+        });
+        blendMode.value = layer.blendMode;
+        blendMode.addEventListener('change', () => updateLayer(layer.id, { blendMode: blendMode.value }));
+        
+        row.append(label, opacity, blendMode);
+        layerList.appendChild(row);
+    });
+}
+
+// Apply a layer panel change and redraw the result
+function updateLayer(id, properties) {
+    const sketchDocument = handDrawnEffects ? handDrawnEffects.getDocument() : null;
+    if (!sketchDocument) return;
+    
+    layerSettings[id] = { ...layerSettings[id], ...properties };
+    sketchDocument.setLayerProperties(id, properties);
+    handDrawnEffects.compositeDocument();
+    clearFinalRender();
+}
+
+// Controls saved with each history entry and restored on undo/redo
+const historyControls = [
+    'stylePreset', 'edgeThreshold', 'lineVariation', 'lineThickness', 'sketchSeed', 'washColorSource',
+    'shadingMode', 'constructionLines', 'paperType', 'processingMode',
+    'primaryColor', 'secondaryColor', 'accentColor', 'neutralColor'
+];
+
+// Current values of the history controls, as the controls hold them
+function getHistorySettings() {
+    const settings = {};
+    historyControls.forEach(id => {
+        const element = document.getElementById(id);
+        if (element) {
+            settings[id] = element.type === 'checkbox' ? element.checked : element.value;
+        }
+    });
+    return settings;
+}
+
+// Put the controls back the way they were for a history entry
+function applyHistorySettings(settings) {
+    Object.entries(settings).forEach(([id, value]) => {
+        const element = document.getElementById(id);
+        if (!element) return;
+        
+        if (element.type === 'checkbox') {
+            element.checked = value;
+        } else {
+            element.value = value;
+        }
+        if (element.type === 'range') {
+            updateRangeDisplay({ target: element });
+        }
+    });
+    handleStyleChange();
+}
+
+// Add the result on the canvas to the history
+function recordHistory() {
+    if (!processingHistory) return;
+    
+    const imageData = resultCanvas.getContext('2d').getImageData(0, 0, resultCanvas.width, resultCanvas.height);
+    processingHistory.push(imageData, getHistorySettings(), {
+        seed: handDrawnEffects && handDrawnEffects.getVectorData() ? handDrawnEffects.getSeed() : null,
+        vectorData: handDrawnEffects ? handDrawnEffects.getVectorData() : null,
+        sketchDocument: handDrawnEffects ? handDrawnEffects.getDocument() : null
+    });
+    updateHistoryControls();
+}
+
+// Show a history entry: its result, settings, strokes and layers
+async function restoreHistory(step) {
+    if (!processingHistory || isProcessing) return;
+    
+    try {
+        if (strokeReplay) strokeReplay.stop();
+        const restored = await step();
+        if (!restored) return;
+        
+        const { entry, imageData } = restored;
+        imageProcessor.drawResult(imageData);
+        applyHistorySettings(entry.settings);
+        showLastSeed(entry.seed);
+        
+        // Compressed entries come back as pixels only
+        if (handDrawnEffects) {
+            handDrawnEffects.setVectorData(entry.vectorData);
+            handDrawnEffects.setDocument(entry.sketchDocument);
+        }
+        updateReplayButtons();
+        renderLayerControls();
+        updateHistoryControls();
+        clearFinalRender();
+    } catch (error) {
+        console.error('Failed to restore history entry:', error);
+        alert('That version is no longer available.');
+    }
+}
+
+// Go back to the previous processing run
+function undoProcessing() {
+    return restoreHistory(() => processingHistory.undo());
+}
+
+// Go forward to a run that was undone
+function redoProcessing() {
+    return restoreHistory(() => processingHistory.redo());
+}
+
+// Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z or Ctrl+Y redoes; text fields keep their own undo
+function handleHistoryShortcut(e) {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey || !workspace || workspace.style.display === 'none') return;
+    
+    const target = e.target;
+    const textTypes = ['text', 'number', 'search', 'email', 'url', 'password'];
+    if (target && (target.isContentEditable || target.tagName === 'TEXTAREA' ||
+        (target.tagName === 'INPUT' && textTypes.includes(target.type)))) return;
+    
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undoProcessing();
+    } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redoProcessing();
+    }
+}
+
+// Sync the undo/redo buttons, the history strip and the compare view
+function updateHistoryControls() {
+    const canUndo = !!processingHistory && processingHistory.canUndo();
+    if (undoBtn) undoBtn.disabled = !canUndo;
+    if (redoBtn) redoBtn.disabled = !processingHistory || !processingHistory.canRedo();
+    if (compareBtn) compareBtn.disabled = !canUndo;
+    if (!canUndo) compareVisible = false;
+    
+    if (historyList) {
+        historyList.innerHTML = '';
+        (processingHistory ? processingHistory.getEntries() : []).forEach(item => {
+            const thumbnail = document.createElement('img');
+            thumbnail.className = 'history-item' + (item.current ? ' current' : '');
+            thumbnail.src = item.thumbnail;
+            thumbnail.alt = `Run ${item.index + 1}`;
+            thumbnail.title = `${item.settings.stylePreset || 'sketch'} · ${new Date(item.timestamp).toLocaleTimeString()}` +
+                (item.seed !== null ? ` · seed ${item.seed}` : '');
+            thumbnail.addEventListener('click', () => restoreHistory(() => processingHistory.goTo(item.index)));
+            historyList.appendChild(thumbnail);
+        });
+    }
+    
+    updateCompareView();
+}
+
+// Show or hide the previous run next to the current one
+function toggleCompareView() {
+    compareVisible = !compareVisible;
+    updateCompareView();
+}
+
+// Draw the previous run into the compare panel, in place of the original photo
+async function updateCompareView() {
+    if (!previousWrapper || !previousCanvas) return;
+    
+    const previous = compareVisible && processingHistory ? processingHistory.getPrevious() : null;
+    if (compareBtn) compareBtn.textContent = compareVisible ? 'Hide Comparison' : 'Compare with Previous';
+    
+    if (previous) {
+        try {
+            const imageData = await processingHistory.getImageData(previous);
+            previousCanvas.width = imageData.width;
+            previousCanvas.height = imageData.height;
+            previousCanvas.getContext('2d').putImageData(imageData, 0, 0);
+        } catch (error) {
+            console.warn('Failed to load previous result for comparison:', error);
+            compareVisible = false;
+        }
+    }
+    
+    const showPrevious = !!previous && compareVisible;
+    previousWrapper.style.display = showPrevious ? '' : 'none';
+    if (originalWrapper) originalWrapper.style.display = showPrevious ? 'none' : '';
+}
+
+// Switch between side by side, wipe and onion-skin comparison
+function handleComparisonModeChange() {
+    if (!comparisonView || !comparisonMode) return;
+    
+    comparisonView.setMode(comparisonMode.value);
+    
+    // The slider sets the wipe position or the onion-skin opacity
+    const mode = comparisonMode.value;
+    if (comparisonAmountGroup) comparisonAmountGroup.style.display = mode === 'side-by-side' ? 'none' : '';
+    if (comparisonAmountLabel) comparisonAmountLabel.textContent = mode === 'wipe' ? 'Wipe Position:' : 'Sketch Opacity:';
+    if (comparisonAmount) {
+        comparisonAmount.value = Math.round((mode === 'wipe' ? comparisonView.split : comparisonView.opacity) * 100);
+        updateRangeDisplay({ target: comparisonAmount });
+    }
+}
+
+// Apply the comparison slider
+function handleComparisonAmountChange() {
+    if (!comparisonView) return;
+    
+    const amount = parseInt(comparisonAmount.value) / 100;
+    if (comparisonView.mode === 'wipe') {
+        comparisonView.setSplit(amount);
+    } else {
+        comparisonView.setOpacity(amount);
+    }
+    updateRangeDisplay({ target: comparisonAmount });
+}
+
+// Reflect zoom and wipe changes made on the canvases
+function updateComparisonControls(state) {
+    if (zoomLevel) zoomLevel.textContent = `${Math.round(state.zoom * 100)}%`;
+    if (zoomOutBtn) zoomOutBtn.disabled = state.zoom <= 1;
+    if (comparisonAmount && state.mode === 'wipe' && comparisonAmount.value !== String(Math.round(state.split * 100))) {
+        comparisonAmount.value = Math.round(state.split * 100);
+        updateRangeDisplay({ target: comparisonAmount });
+    }
+}
+
+// Replay and time-lapse need the strokes of a traditional render
+function updateReplayButtons() {
+    const available = !!(strokeReplay && handDrawnEffects && handDrawnEffects.getVectorData());
+    if (replayBtn) replayBtn.disabled = !available;
+    if (downloadAnimationBtn) downloadAnimationBtn.disabled = !available;
+}
+
+// Speed and duration options for the replay controls
+function getReplayOptions() {
+    return {
+        speed: replaySpeed ? parseFloat(replaySpeed.value) || 1 : 1,
+        duration: replayDuration ? Math.max(0, parseFloat(replayDuration.value) || 0) : 0
+    };
+}
+
+// Snapshot of the finished result to fade in at the end of a replay
+function copyResultCanvas() {
+    const copy = document.createElement('canvas');
+    copy.width = resultCanvas.width;
+    copy.height = resultCanvas.height;
+    copy.getContext('2d').drawImage(resultCanvas, 0, 0);
+    return copy;
+}
+
+// Animate the strokes onto the result canvas
+async function replayStrokes() {
+    const vectorData = handDrawnEffects ? handDrawnEffects.getVectorData() : null;
+    if (!replayBtn || !strokeReplay || !vectorData) return;
+    
+    // A second click stops a replay in progress
+    if (replayBtn.dataset.playing === 'true') {
+        strokeReplay.stop();
+        return;
+    }
+    
+    replayBtn.dataset.playing = 'true';
+    replayBtn.textContent = 'Stop Replay';
+    
+    try {
+        await strokeReplay.play(resultCanvas, vectorData, {
+            ...getReplayOptions(),
+            finalImage: copyResultCanvas()
+        });
+    } finally {
+        replayBtn.dataset.playing = 'false';
+        replayBtn.textContent = 'Replay Strokes';
+    }
+}
+
+// Download the stroke replay as a WebM or GIF time-lapse
+async function downloadAnimation() {
+    const vectorData = handDrawnEffects ? handDrawnEffects.getVectorData() : null;
+    if (!downloadAnimationBtn || downloadAnimationBtn.disabled || isDownloading || !strokeReplay || !vectorData) return;
+    
+    try {
+        isDownloading = true;
+        downloadAnimationBtn.disabled = true;
+        
+        const format = animationFormat && animationFormat.value === 'webm' && StrokeReplay.supportsWebM() ? 'webm' : 'gif';
+        showDownloadProgress(format === 'webm' ? 'Recording time-lapse...' : 'Encoding animated GIF...');
+        
+        const options = {
+            ...getReplayOptions(),
+            finalImage: copyResultCanvas(),
+            onProgress: (progress) => updateDownloadProgress(Math.round(progress * 95))
+        };
+        const blob = format === 'webm' ?
+            await strokeReplay.recordWebM(vectorData, options) :
+            await strokeReplay.exportGIF(vectorData, options);
+        
+        const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+        const filename = `hand-drawn-${stylePreset.value}-timelapse-${timestamp}.${format}`;
+        
+        await downloadManager.downloadBlob(blob, filename);
+        updateDownloadProgress(100);
+        handleDownloadComplete(filename);
+    
+    } catch (error) {
+        console.error('Time-lapse export failed:', error);
+        handleDownloadError(error);
+    } finally {
+        isDownloading = false;
+        updateReplayButtons();
+        hideDownloadProgress();
+    }
+}
+
 // Download batch results
 async function downloadBatchResults() {
     if (downloadBatchBtn.disabled || isDownloading) return;
@@ -842,11 +2295,12 @@ async function downloadBatchResults() {
         showDownloadProgress('Preparing batch download...');
         
         // Integrate with batch processor for batch downloads
-        if (typeof BatchProcessor !== 'undefined' && BatchProcessor.hasProcessedImages()) {
-            const processedImages = BatchProcessor.getProcessedImages();
+        if (typeof batchProcessor !== 'undefined' && batchProcessor && batchProcessor.hasProcessedImages()) {
+            const processedImages = batchProcessor.getProcessedImages();
             await downloadManager.downloadBatch(processedImages, {
                 format: exportFormat.value,
                 quality: parseFloat(exportQuality.value) / 100,
+                formatOptions: getFormatOptions(exportFormat.value),
                 onProgress: updateDownloadProgress,
                 onFileComplete: (filename) => console.log(`Downloaded: ${filename}`)
             });
@@ -869,8 +2323,10 @@ function updateRangeDisplay(e) {
     const input = e.target;
     const display = input.nextElementSibling;
     if (display && display.classList.contains('value-display')) {
-        if (input.id === 'exportQuality') {
+        if (input.id === 'exportQuality' || input.id === 'comparisonAmount' || input.id === 'materialConfidence') {
             display.textContent = input.value + '%';
+        } else if (input.id === 'replaySpeed') {
+            display.textContent = input.value + 'x';
         } else {
             display.textContent = input.value;
         }
@@ -883,10 +2339,81 @@ function generateDownloadFilename() {
     const style = stylePreset.value;
     const format = exportFormat.value;
     
-    return `hand-drawn-${style}-${timestamp}.${format}`;\n}
+    return `hand-drawn-${style}-${timestamp}.${format}`;
+}
+
+// Show controls that only apply to the selected style
+function handleStyleChange() {
+    const colorFillOptions = document.getElementById('colorFillOptions');
+    if (colorFillOptions) {
+        colorFillOptions.style.display = colorFillStyles.includes(stylePreset.value) ? 'block' : 'none';
+    }
+}
 
 // Handle export format change
-function handleFormatChange() {\n    const format = exportFormat.value;\n    const qualityGroup = exportQuality.parentElement;\n    \n    // Show/hide quality control based on format\n    if (format === 'jpg' || format === 'jpeg') {\n        qualityGroup.style.display = 'block';\n    } else {\n        qualityGroup.style.display = 'none';\n    }\n}
+function handleFormatChange() {
+    const format = exportFormat.value;
+    const qualityGroup = exportQuality.parentElement;
+    const pdfOptions = document.getElementById('pdfOptions');
+    const pdfEncoding = document.getElementById('pdfEncoding');
+    const dxfOptions = document.getElementById('dxfOptions');
+    
+    // Show/hide quality control based on format
+    const usesJpeg = format === 'jpg' || format === 'jpeg' ||
+        (format === 'pdf' && (!pdfEncoding || pdfEncoding.value === 'jpeg'));
+    
+    if (usesJpeg) {
+        qualityGroup.style.display = 'block';
+    } else {
+        qualityGroup.style.display = 'none';
+    }
+    
+    // Page setup only applies to PDF, scale and units only to DXF
+    if (pdfOptions) {
+        pdfOptions.style.display = format === 'pdf' ? 'block' : 'none';
+    }
+    if (dxfOptions) {
+        dxfOptions.style.display = format === 'dxf' ? 'block' : 'none';
+    }
+}
+
+// Format-specific export options for the download manager
+function getFormatOptions(format) {
+    if (format === 'pdf') return getPdfOptions();
+    if (format === 'dxf') return getDxfOptions();
+    return {};
+}
+
+// Collect PDF page setup from the export controls
+function getPdfOptions() {
+    const value = (id, fallback) => {
+        const element = document.getElementById(id);
+        return element && element.value !== '' ? element.value : fallback;
+    };
+    
+    return {
+        pageSize: value('pdfPageSize', 'a4'),
+        orientation: value('pdfOrientation', 'auto'),
+        marginMm: parseFloat(value('pdfMargin', 10)),
+        dpi: parseInt(value('pdfDpi', 150)),
+        imageEncoding: value('pdfEncoding', 'jpeg'),
+        title: `Hand-drawn ${stylePreset.value} sketch`
+    };
+}
+
+// Collect DXF scale, units and version from the export controls
+function getDxfOptions() {
+    const scaleInput = document.getElementById('dxfScale');
+    const unitsSelect = document.getElementById('dxfUnits');
+    const versionSelect = document.getElementById('dxfVersion');
+    const scale = scaleInput ? parseFloat(scaleInput.value) : 1;
+    
+    return {
+        scale: scale > 0 ? scale : 1,
+        units: unitsSelect ? unitsSelect.value : 'unitless',
+        version: versionSelect ? versionSelect.value : 'R2000'
+    };
+}
 
 // Show download progress
 function showDownloadProgress(message = 'Preparing download...') {
@@ -0,0 +1,562 @@
+/**
+ * Material Annotations Module
+ * Finish callouts and a finish schedule for presentation sketches. Finishes come
+ * from MaterialDetection segmentation regions, items named by
+ * AIProcessor.generateAnnotations join the callouts on them, and each finish gets
+ * a project tag such as WD-1. Positions are kept in 0-1 image coordinates, so
+ * callouts can be dragged and edited and then drawn at any resolution, on a
+ * canvas or as SVG.
+ */
+
+class MaterialAnnotations {
+    constructor(options = {}) {
+        // Tag prefix per material; {n} in the format is the number, {n:2} zero-pads it
+        this.scheme = {
+            prefixes: { wood: 'WD', fabric: 'FB', metal: 'MT', glass: 'GL', stone: 'ST', leather: 'LT' },
+            format: '{prefix}-{n}',
+            font: 'hand',
+            legendTitle: 'Finish Schedule'
+        };
+        
+        // widthFactor estimates text width from its size, so layouts need no canvas
+        this.fonts = {
+            hand: { family: '"Segoe Print", "Bradley Hand", "Comic Sans MS", cursive', uppercase: false, widthFactor: 0.58 },
+            technical: { family: '"Helvetica Neue", Arial, sans-serif', uppercase: true, widthFactor: 0.64 }
+        };
+        
+        this.color = options.color || '#1a1a1a';
+        this.finishes = [];
+        this.callouts = [];
+        
+        // Top-left corner of the schedule; null places it in the bottom-right corner
+        this.legend = { visible: true, position: null };
+        this.nextId = 1;
+        
+        if (options.scheme) {
+            this.setScheme(options.scheme);
+        }
+    }
+    
+    // ===== SCHEME METHODS =====
+
+    /**
+     * Change the tag scheme and font
+     * Finishes are tagged again only when the prefixes or format change, and tags
+     * edited by hand are kept. scheme.prefixes may be an object or text like
+     * "wood=WD, stone=ST".
+     */
+    setScheme(scheme = {}) {
+        const prefixes = typeof scheme.prefixes === 'string' ? this.parsePrefixes(scheme.prefixes) : scheme.prefixes;
+        const given = Object.fromEntries(Object.entries(scheme).filter(([, value]) => value !== undefined && value !== ''));
+        const previous = this.scheme;
+        
+        this.scheme = {
+            ...this.scheme,
+            ...given,
+            prefixes: { ...this.scheme.prefixes, ...(prefixes || {}) },
+            format: scheme.format && scheme.format.includes('{n') ? scheme.format : this.scheme.format
+        };
+        
+        if (this.scheme.format !== previous.format || this.formatPrefixes() !== this.formatPrefixes(previous.prefixes)) {
+            this.retag();
+        }
+    }
+
+    /**
+     * Prefixes from text like "wood=WD, stone=ST"
+     */
+    parsePrefixes(text) {
+        const prefixes = {};
+        
+        text.split(/[,;\n]/).forEach(entry => {
+            const [material, prefix] = entry.split('=').map(part => (part || '').trim());
+            if (material && prefix) {
+                prefixes[material.toLowerCase()] = prefix;
+            }
+        });
+        
+        return prefixes;
+    }
+
+    /**
+     * Prefixes as text for the scheme field
+     */
+    formatPrefixes(prefixes = this.scheme.prefixes) {
+        return Object.entries(prefixes).map(([material, prefix]) => `${material}=${prefix}`).join(', ');
+    }
+
+    /**
+     * Tag prefix of a material: its own, its base material's, or its first letters
+     */
+    getPrefix(material, baseMaterial = null) {
+        const { prefixes } = this.scheme;
+        const key = (material || '').toLowerCase();
+        
+        return prefixes[key] || (baseMaterial && prefixes[baseMaterial]) ||
+            key.replace(/[^a-z]/g, '').slice(0, 2).toUpperCase() || 'MAT';
+    }
+
+    /**
+     * Tag from the scheme's format
+     */
+    formatTag(prefix, number) {
+        return this.scheme.format
+            .replace(/\{prefix\}/g, prefix)
+            .replace(/\{n(?::(\d+))?\}/g, (match, width) => String(number).padStart(parseInt(width || '0'), '0'));
+    }
+
+    /**
+     * Number the finishes per prefix, in schedule order
+     * Tags edited by hand stay, and numbers they use are skipped.
+     */
+    retag() {
+        const counts = {};
+        const taken = new Set(this.finishes.filter(finish => finish.tagEdited).map(finish => finish.tag));
+        
+        this.finishes.forEach(finish => {
+            if (finish.tagEdited) return;
+            
+            const prefix = this.getPrefix(finish.material, finish.baseMaterial);
+            do {
+                counts[prefix] = (counts[prefix] || 0) + 1;
+                finish.tag = this.formatTag(prefix, counts[prefix]);
+            } while (taken.has(finish.tag));
+        });
+    }
+    
+    // ===== CALLOUT METHODS =====
+
+    /**
+     * Build finishes and callouts from a segmentation
+     * Every material covering at least options.minCoverage becomes a finish with a
+     * callout on its largest region. options.annotations from
+     * AIProcessor.generateAnnotations name the items: an item lying on a region
+     * of its material becomes a note on that region's callout, or a new callout.
+     * Replaces any callouts and edits made before.
+     */
+    generate(segmentation, options = {}) {
+        const { annotations = [], minCoverage = 0.02, maxFinishes = 8 } = options;
+        const { width, height, regionMap } = segmentation;
+        const customMaterials = {};
+        (segmentation.customMaterials || []).forEach(material => {
+            customMaterials[material.name] = material;
+        });
+        
+        this.finishes = [];
+        this.callouts = [];
+        this.legend.position = null;
+        
+        Object.entries(segmentation.coverage)
+            .filter(([, coverage]) => coverage >= minCoverage)
+            .sort((a, b) => b[1] - a[1])
+            .forEach(([material, coverage]) => {
+                const regions = segmentation.regions
+                    .filter(region => region.material === material)
+                    .sort((a, b) => b.area - a.area);
+                if (regions.length === 0 || this.finishes.length >= maxFinishes) return;
+                
+                const custom = customMaterials[material];
+                const finish = {
+                    id: this.nextId++,
+                    material,
+                    baseMaterial: custom ? custom.baseMaterial : material,
+                    name: material.charAt(0).toUpperCase() + material.slice(1),
+                    color: custom && custom.color ? custom.color : this.toHex(regions[0].color),
+                    coverage,
+                    tag: '',
+                    tagEdited: false
+                };
+                this.finishes.push(finish);
+                this.callouts.push(this.createCallout(finish, this.findAnchor(segmentation, regions[0]), regions[0].id));
+            });
+        this.retag();
+        
+        annotations.forEach(annotation => {
+            if (!annotation.position || (annotation.confidence !== undefined && annotation.confidence < 0.5)) return;
+            
+            const x = Math.min(width - 1, Math.max(0, Math.floor(annotation.position.x * width)));
+            const y = Math.min(height - 1, Math.max(0, Math.floor(annotation.position.y * height)));
+            const region = segmentation.regions.find(candidate => candidate.id === regionMap[y * width + x]);
+            const finish = region && this.finishes.find(candidate => candidate.material === region.material);
+            
+            // Items placed on some other material are guesses the photo doesn't back up
+            if (!finish || (annotation.material && annotation.material !== finish.material && annotation.material !== finish.baseMaterial)) return;
+            
+            const note = (annotation.item || annotation.type || '').replace(/_/g, ' ');
+            const callout = this.callouts.find(candidate => candidate.regionId === region.id);
+            if (callout) {
+                callout.note = callout.note ? `${callout.note}, ${note}` : note;
+            } else {
+                this.callouts.push({ ...this.createCallout(finish, { x: (x + 0.5) / width, y: (y + 0.5) / height }, region.id), note });
+            }
+        });
+        
+        this.placeLabels();
+        return this.callouts;
+    }
+
+    /**
+     * New callout for a finish pointing at an anchor
+     */
+    createCallout(finish, anchor, regionId = null) {
+        return { id: this.nextId++, finishId: finish.id, regionId, anchor, label: null, align: 'left', note: '' };
+    }
+
+    /**
+     * Point inside a region near its centre, in 0-1 image coordinates
+     * The centroid of an L- or ring-shaped region can lie outside it; then the
+     * region pixel closest to the centroid is used.
+     */
+    findAnchor(segmentation, region) {
+        const { width, height, regionMap } = segmentation;
+        const { bounds } = region;
+        let sumX = 0;
+        let sumY = 0;
+        let count = 0;
+        
+        for (let y = bounds.y; y < bounds.y + bounds.height; y++) {
+            for (let x = bounds.x; x < bounds.x + bounds.width; x++) {
+                if (regionMap[y * width + x] !== region.id) continue;
+                sumX += x;
+                sumY += y;
+                count++;
+            }
+        }
+        
+        let anchorX = Math.round(sumX / Math.max(1, count));
+        let anchorY = Math.round(sumY / Math.max(1, count));
+        if (regionMap[anchorY * width + anchorX] !== region.id) {
+            let best = Infinity;
+            for (let y = bounds.y; y < bounds.y + bounds.height; y++) {
+                for (let x = bounds.x; x < bounds.x + bounds.width; x++) {
+                    const distance = (x - sumX / count) ** 2 + (y - sumY / count) ** 2;
+                    if (regionMap[y * width + x] === region.id && distance < best) {
+                        best = distance;
+                        anchorX = x;
+                        anchorY = y;
+                    }
+                }
+            }
+        }
+        
+        return { x: (anchorX + 0.5) / width, y: (anchorY + 0.5) / height };
+    }
+
+    /**
+     * Put each label in the margin on its anchor's side, spread so labels don't overlap
+     * Labels already placed (dragged) stay where they are.
+     */
+    placeLabels(minGap = 0.07) {
+        ['left', 'right'].forEach(side => {
+            const callouts = this.callouts
+                .filter(callout => !callout.label && (callout.anchor.x < 0.5) === (side === 'left'))
+                .sort((a, b) => a.anchor.y - b.anchor.y);
+            
+            let previous = -Infinity;
+            const positions = callouts.map(callout => {
+                previous = Math.max(callout.anchor.y, previous + minGap);
+                return previous;
+            });
+            
+            // Shift the column up when it runs off the bottom
+            const overflow = Math.max(0, (positions[positions.length - 1] || 0) - 0.94);
+            callouts.forEach((callout, i) => {
+                callout.label = { x: side === 'left' ? 0.03 : 0.97, y: Math.max(0.04, positions[i] - overflow) };
+                callout.align = side;
+            });
+        });
+    }
+
+    /**
+     * Finish by id
+     */
+    getFinish(id) {
+        return this.finishes.find(finish => finish.id === id) || null;
+    }
+
+    /**
+     * Callout by id
+     */
+    getCallout(id) {
+        return this.callouts.find(callout => callout.id === id) || null;
+    }
+
+    /**
+     * A callout's text as it is edited: "WD-1 White oak · sofa"
+     */
+    getCalloutText(callout) {
+        const finish = this.getFinish(callout.finishId);
+        if (!finish) return '';
+        
+        return `${finish.tag} ${finish.name}${callout.note ? ` · ${callout.note}` : ''}`;
+    }
+
+    /**
+     * Edit a callout from text like "WD-1 White oak · sofa"
+     * The tag and name belong to the finish, so every callout of the finish and
+     * the schedule follow; the note after " · " is the callout's own. Empty
+     * text removes the callout.
+     */
+    editCallout(id, text) {
+        const callout = this.getCallout(id);
+        if (!callout) return null;
+        
+        if (!text || !text.trim()) {
+            this.removeCallout(id);
+            return null;
+        }
+        
+        const [main, ...notes] = text.split(' · ');
+        const match = main.trim().match(/^(\S+)\s*(.*)$/);
+        if (!match) {
+            throw new Error('A callout starts with its tag');
+        }
+        
+        const finish = this.getFinish(callout.finishId);
+        const other = this.finishes.find(candidate => candidate !== finish && candidate.tag === match[1]);
+        if (other) {
+            throw new Error(`Tag ${match[1]} is already used by ${other.name}`);
+        }
+        
+        if (match[1] !== finish.tag) {
+            finish.tag = match[1];
+            finish.tagEdited = true;
+        }
+        finish.name = match[2].trim() || finish.name;
+        callout.note = notes.join(' · ').trim();
+        return callout;
+    }
+
+    /**
+     * Delete a callout; its finish stays in the schedule
+     */
+    removeCallout(id) {
+        this.callouts = this.callouts.filter(callout => callout.id !== id);
+    }
+
+    /**
+     * Move a callout's label or anchor, or the schedule, to 0-1 image coordinates
+     */
+    move(id, part, x, y) {
+        const point = { x: Math.max(0, Math.min(1, x)), y: Math.max(0, Math.min(1, y)) };
+        
+        if (id === 'legend') {
+            this.legend.position = point;
+            return;
+        }
+        
+        const callout = this.getCallout(id);
+        if (!callout) return;
+        
+        callout[part === 'anchor' ? 'anchor' : 'label'] = point;
+        if (part !== 'anchor') {
+            callout.align = point.x < callout.anchor.x ? 'right' : 'left';
+        }
+    }
+
+    /**
+     * Current 0-1 position of a callout's label or anchor, or of the schedule's corner
+     */
+    getPosition(id, part, width, height) {
+        if (id === 'legend') {
+            if (this.legend.position) return { ...this.legend.position };
+            
+            const area = this.layout(width, height).hitAreas.find(candidate => candidate.id === 'legend');
+            return area ? { x: area.x / width, y: area.y / height } : { x: 0, y: 0 };
+        }
+        
+        const callout = this.getCallout(id);
+        const point = callout ? callout[part === 'anchor' ? 'anchor' : 'label'] : null;
+        return point ? { ...point } : { x: 0, y: 0 };
+    }
+
+    /**
+     * Callout part or schedule under a point in image pixels, or null
+     * Returns { id, part } with part 'label', 'anchor' or 'legend'; the topmost wins.
+     */
+    hitTest(x, y, width, height) {
+        const { hitAreas } = this.layout(width, height);
+        
+        for (let i = hitAreas.length - 1; i >= 0; i--) {
+            const area = hitAreas[i];
+            if (x >= area.x && x <= area.x + area.width && y >= area.y && y <= area.y + area.height) {
+                return { id: area.id, part: area.part };
+            }
+        }
+        
+        return null;
+    }
+    
+    // ===== DRAWING METHODS =====
+
+    /**
+     * Shapes of the callouts and schedule for an image of the given size
+     * Returns { family, size, primitives, hitAreas }. Primitives are lines
+     * (points), curves (from, control, to), circles, rects and text, drawn in
+     * order by draw() here and by SVGExporter.
+     */
+    layout(width, height) {
+        const size = Math.max(10, Math.round(Math.min(width, height) * 0.022));
+        const font = this.fonts[this.scheme.font] || this.fonts.hand;
+        const text = value => font.uppercase ? value.toUpperCase() : value;
+        const measure = value => value.length * size * font.widthFactor;
+        const hand = this.scheme.font !== 'technical';
+        const primitives = [];
+        const hitAreas = [];
+        
+        this.callouts.forEach(callout => {
+            const finish = this.getFinish(callout.finishId);
+            if (!finish || !callout.label) return;
+            
+            const ax = callout.anchor.x * width;
+            const ay = callout.anchor.y * height;
+            const lx = callout.label.x * width;
+            const ly = callout.label.y * height;
+            
+            const tag = text(finish.tag);
+            const description = text(`${finish.name}${callout.note ? ` · ${callout.note}` : ''}`);
+            const tagWidth = measure(tag) + size * 0.8;
+            const boxHeight = size * 1.5;
+            const boxWidth = tagWidth + size * 0.4 + measure(description);
+            const left = callout.align === 'right' ? lx - boxWidth : lx;
+            const top = ly - boxHeight / 2;
+            
+            // The leader meets the label on the side facing the anchor, after a short shoulder
+            const attachX = ax < left + boxWidth / 2 ? left : left + boxWidth;
+            const shoulderX = attachX + (ax < attachX ? -size : size);
+            
+            if (hand) {
+                primitives.push({ type: 'curve', from: { x: ax, y: ay }, control: { x: shoulderX, y: ly }, to: { x: attachX, y: ly } });
+                primitives.push({ type: 'circle', x: ax, y: ay, r: size * 0.3, fill: false });
+            } else {
+                primitives.push({ type: 'line', points: [{ x: ax, y: ay }, { x: shoulderX, y: ly }, { x: attachX, y: ly }] });
+                primitives.push({ type: 'circle', x: ax, y: ay, r: size * 0.22, fill: true });
+            }
+            
+            primitives.push({ type: 'rect', x: left, y: top, width: boxWidth, height: boxHeight, fill: '#ffffff', opacity: 0.85, stroke: false });
+            primitives.push({ type: 'rect', x: left, y: top, width: tagWidth, height: boxHeight, fill: null, stroke: true });
+            primitives.push({ type: 'text', x: left + tagWidth / 2, y: ly, text: tag, size, bold: true, align: 'center' });
+            primitives.push({ type: 'text', x: left + tagWidth + size * 0.4, y: ly, text: description, size, bold: false, align: 'left' });
+            
+            hitAreas.push({ id: callout.id, part: 'anchor', x: ax - size * 0.6, y: ay - size * 0.6, width: size * 1.2, height: size * 1.2 });
+            hitAreas.push({ id: callout.id, part: 'label', x: left, y: top, width: boxWidth, height: boxHeight });
+        });
+        
+        if (this.legend.visible && this.finishes.length > 0) {
+            this.layoutLegend(width, height, size, text, measure, primitives, hitAreas);
+        }
+        
+        return { family: font.family, size, primitives, hitAreas };
+    }
+
+    /**
+     * Finish schedule block: swatch, tag and description per finish
+     */
+    layoutLegend(width, height, size, text, measure, primitives, hitAreas) {
+        const title = text(this.scheme.legendTitle);
+        const rowHeight = size * 1.6;
+        const padding = size * 0.6;
+        const tagColumn = Math.max(...this.finishes.map(finish => measure(text(finish.tag)))) + size;
+        const nameColumn = Math.max(measure(title) - size * 1.6 - tagColumn,
+            ...this.finishes.map(finish => measure(text(finish.name))));
+        const legendWidth = padding * 2 + size * 1.6 + tagColumn + nameColumn;
+        const legendHeight = padding * 2 + rowHeight * (this.finishes.length + 1);
+        
+        const position = this.legend.position || {
+            x: Math.max(0, 1 - legendWidth / width - 0.02),
+            y: Math.max(0, 1 - legendHeight / height - 0.02)
+        };
+        const left = position.x * width;
+        const top = position.y * height;
+        
+        primitives.push({ type: 'rect', x: left, y: top, width: legendWidth, height: legendHeight, fill: '#ffffff', opacity: 0.9, stroke: true });
+        primitives.push({ type: 'text', x: left + padding, y: top + padding + rowHeight / 2, text: title, size, bold: true, align: 'left' });
+        primitives.push({ type: 'line', points: [{ x: left + padding, y: top + padding + rowHeight }, { x: left + legendWidth - padding, y: top + padding + rowHeight }] });
+        
+        this.finishes.forEach((finish, i) => {
+            const y = top + padding + rowHeight * (i + 1.5);
+            primitives.push({ type: 'rect', x: left + padding, y: y - size * 0.5, width: size, height: size, fill: finish.color, opacity: 1, stroke: true });
+            primitives.push({ type: 'text', x: left + padding + size * 1.6, y, text: text(finish.tag), size, bold: true, align: 'left' });
+            primitives.push({ type: 'text', x: left + padding + size * 1.6 + tagColumn, y, text: text(finish.name), size, bold: false, align: 'left' });
+        });
+        
+        hitAreas.push({ id: 'legend', part: 'legend', x: left, y: top, width: legendWidth, height: legendHeight });
+    }
+
+    /**
+     * Draw the callouts and schedule onto a 2D context of an image of the given size
+     * The context's globalAlpha, e.g. a layer's opacity, applies to everything drawn.
+     */
+    draw(ctx, width, height) {
+        const { family, size, primitives } = this.layout(width, height);
+        
+        ctx.save();
+        const alpha = ctx.globalAlpha;
+        ctx.strokeStyle = this.color;
+        ctx.fillStyle = this.color;
+        ctx.lineWidth = Math.max(1, size / 12);
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        ctx.textBaseline = 'middle';
+        
+        primitives.forEach(primitive => {
+            ctx.globalAlpha = alpha * (primitive.opacity !== undefined ? primitive.opacity : 1);
+            
+            switch (primitive.type) {
+                case 'line':
+                    ctx.beginPath();
+                    primitive.points.forEach((point, i) => {
+                        if (i === 0) ctx.moveTo(point.x, point.y);
+                        else ctx.lineTo(point.x, point.y);
+                    });
+                    ctx.stroke();
+                    break;
+                case 'curve':
+                    ctx.beginPath();
+                    ctx.moveTo(primitive.from.x, primitive.from.y);
+                    ctx.quadraticCurveTo(primitive.control.x, primitive.control.y, primitive.to.x, primitive.to.y);
+                    ctx.stroke();
+                    break;
+                case 'circle':
+                    ctx.beginPath();
+                    ctx.arc(primitive.x, primitive.y, primitive.r, 0, Math.PI * 2);
+                    if (primitive.fill) ctx.fill();
+                    else ctx.stroke();
+                    break;
+                case 'rect':
+                    if (primitive.fill) {
+                        ctx.fillStyle = primitive.fill;
+                        ctx.fillRect(primitive.x, primitive.y, primitive.width, primitive.height);
+                        ctx.fillStyle = this.color;
+                    }
+                    if (primitive.stroke) {
+                        ctx.globalAlpha = alpha;
+                        ctx.strokeRect(primitive.x, primitive.y, primitive.width, primitive.height);
+                    }
+                    break;
+                case 'text':
+                    ctx.font = `${primitive.bold ? 'bold ' : ''}${primitive.size}px ${family}`;
+                    ctx.textAlign = primitive.align;
+                    ctx.fillText(primitive.text, primitive.x, primitive.y);
+                    break;
+            }
+        });
+        
+        ctx.restore();
+    }
+
+    /**
+     * Hex color from { r, g, b }
+     */
+    toHex(color) {
+        if (!color) return '#888888';
+        return '#' + [color.r, color.g, color.b].map(value => Math.round(value).toString(16).padStart(2, '0')).join('');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MaterialAnnotations;
+} else {
+    window.MaterialAnnotations = MaterialAnnotations;
+}
\ No newline at end of file
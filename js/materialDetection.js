@@ -4,50 +4,67 @@
  */
 
 class MaterialDetection {
-    constructor() {
+    constructor(options = {}) {
         this.materials = {
             wood: {
                 keywords: ['wood', 'timber', 'oak', 'pine', 'mahogany', 'teak', 'walnut'],
                 colors: [[139, 69, 19], [160, 82, 45], [205, 133, 63], [222, 184, 135]],
                 textures: ['grain', 'plank', 'board'],
+                profile: { lightness: [0.45, 0.2], a: [0.12, 0.08], b: [0.25, 0.12], texture: [0.08, 0.06], contrast: [0.15, 0.1], directionality: [0.5, 0.25], highlights: [0.02, 0.05] },
                 confidence: 0
             },
             fabric: {
                 keywords: ['fabric', 'textile', 'cotton', 'linen', 'velvet', 'silk', 'upholstery'],
                 colors: [[128, 128, 128], [255, 255, 255], [0, 0, 0]],
                 textures: ['soft', 'woven', 'fuzzy'],
+                profile: { lightness: [0.55, 0.25], a: [0, 0.15], b: [0.05, 0.15], texture: [0.04, 0.03], contrast: [0.06, 0.05], directionality: [0.15, 0.15], highlights: [0, 0.03] },
                 confidence: 0
             },
             metal: {
                 keywords: ['metal', 'steel', 'aluminum', 'brass', 'iron', 'chrome', 'copper'],
                 colors: [[192, 192, 192], [255, 215, 0], [184, 115, 51], [128, 128, 128]],
                 textures: ['smooth', 'brushed', 'polished'],
+                profile: { lightness: [0.6, 0.25], a: [0, 0.03], b: [0, 0.05], texture: [0.12, 0.08], contrast: [0.25, 0.12], directionality: [0.3, 0.25], highlights: [0.12, 0.1] },
                 confidence: 0
             },
             glass: {
                 keywords: ['glass', 'window', 'mirror', 'transparent', 'crystal'],
                 colors: [[173, 216, 230], [255, 255, 255], [0, 191, 255]],
                 textures: ['transparent', 'reflective', 'smooth'],
+                profile: { lightness: [0.75, 0.15], a: [-0.05, 0.06], b: [-0.1, 0.08], texture: [0.03, 0.03], contrast: [0.08, 0.08], directionality: [0.2, 0.2], highlights: [0.1, 0.1] },
                 confidence: 0
             },
             stone: {
                 keywords: ['stone', 'marble', 'granite', 'concrete', 'tile', 'ceramic'],
                 colors: [[128, 128, 128], [255, 255, 255], [169, 169, 169], [105, 105, 105]],
                 textures: ['rough', 'smooth', 'veined', 'speckled'],
+                profile: { lightness: [0.6, 0.2], a: [0.02, 0.04], b: [0.05, 0.06], texture: [0.09, 0.06], contrast: [0.12, 0.08], directionality: [0.1, 0.1], highlights: [0.02, 0.04] },
                 confidence: 0
             },
             leather: {
                 keywords: ['leather', 'hide', 'suede'],
                 colors: [[139, 69, 19], [160, 82, 45], [0, 0, 0], [255, 255, 255]],
                 textures: ['smooth', 'textured', 'aged'],
+                profile: { lightness: [0.3, 0.2], a: [0.1, 0.08], b: [0.15, 0.1], texture: [0.03, 0.03], contrast: [0.1, 0.08], directionality: [0.2, 0.2], highlights: [0.05, 0.05] },
                 confidence: 0
             }
         };
         this.detectionThreshold = 0.6;
+        
+        // Superpixels whose best material scores below this stay unclassified
+        this.segmentationThreshold = 0.5;
+        
+        // Outlines of material regions are simplified with Douglas-Peucker
+        this.vectorizer = typeof StrokeVectorizer !== 'undefined' ? new StrokeVectorizer() : null;
+        
+        // The studio's trained materials (MaterialLibrary), tried before the built-in profiles
+        this.library = options.library || null;
     }
 
     /**
      * Analyze image for material presence
+     * Regions and coverage come from segmentMaterials; pass options.segmentation
+     * to reuse one already computed, or options.segmentationOptions to tune it.
      * @param {ImageData} imageData - Canvas image data
      * @param {Object} options - Detection options
      * @returns {Object} Detected materials with confidence scores
@@ -57,6 +74,8 @@ class MaterialDetection {
         const results = {};
         
         try {
+            const segmentation = options.segmentation || this.segmentMaterials(imageData, options.segmentationOptions);
+            
             // Reset confidence scores
             Object.keys(this.materials).forEach(material => {
                 this.materials[material].confidence = 0;
@@ -92,11 +111,11 @@ class MaterialDetection {
                 if (confidence >= this.detectionThreshold) {
                     results[materialName] = {
                         confidence: Math.round(confidence * 100),
-                        regions: this.findMaterialRegions(data, width, height, materialName),
+                        regions: this.findMaterialRegions(segmentation, materialName),
                         properties: {
                             dominantColors: this.getDominantColors(colorAnalysis, material.colors),
                             textureType: this.getTextureType(textureAnalysis, material.textures),
-                            coverage: this.calculateCoverage(data, width, height, materialName)
+                            coverage: this.calculateCoverage(segmentation, materialName)
                         }
                     };
                 }
@@ -197,6 +216,40 @@ class MaterialDetection {
         return patch;
     }
 
+    /**
+     * Color and texture features of a square patch, as a MaterialLibrary learns them
+     * Texture comes from analyzePatchTexture, color is the patch's mean Lab scaled
+     * like the segmentation features. The patch is moved inside the image if needed.
+     */
+    getPatchFeatures(imageData, x, y, size) {
+        const { data, width, height } = imageData;
+        size = Math.max(2, Math.min(Math.round(size), width, height));
+        x = Math.max(0, Math.min(width - size, Math.round(x)));
+        y = Math.max(0, Math.min(height - size, Math.round(y)));
+        
+        let r = 0;
+        let g = 0;
+        let b = 0;
+        for (let py = y; py < y + size; py++) {
+            for (let px = x; px < x + size; px++) {
+                const idx = (py * width + px) * 4;
+                r += data[idx];
+                g += data[idx + 1];
+                b += data[idx + 2];
+            }
+        }
+        const n = size * size;
+        const lab = this.toLab({ data: [Math.round(r / n), Math.round(g / n), Math.round(b / n), 255], width: 1, height: 1 });
+        const texture = this.analyzePatchTexture(this.extractPatch(data, width, x, y, size));
+        
+        return {
+            lightness: lab[0] / 100,
+            a: lab[1] / 100,
+            b: lab[2] / 100,
+            ...texture
+        };
+    }
+
     /**
      * Analyze texture characteristics of a patch
      */
@@ -332,16 +385,22 @@ class MaterialDetection {
     }
 
     /**
-     * Find regions where material is likely present
+     * Bounding boxes of a material's segmented regions, largest first
+     * Boxes are fractions of the image size; confidence is 0-1.
      */
-    findMaterialRegions(data, width, height, materialName) {
-        // Simplified region detection - returns sample regions
-        // In production, would use segmentation algorithms
-        
-        return [
-            { x: 0.1, y: 0.1, width: 0.3, height: 0.3, confidence: 0.8 },
-            { x: 0.6, y: 0.4, width: 0.2, height: 0.4, confidence: 0.7 }
-        ];
+    findMaterialRegions(segmentation, materialName) {
+        const { width, height } = segmentation;
+        
+        return segmentation.regions
+            .filter(region => region.material === materialName)
+            .sort((a, b) => b.area - a.area)
+            .map(region => ({
+                x: region.bounds.x / width,
+                y: region.bounds.y / height,
+                width: region.bounds.width / width,
+                height: region.bounds.height / height,
+                confidence: region.confidence
+            }));
     }
 
     /**
@@ -367,11 +426,532 @@ class MaterialDetection {
     }
 
     /**
-     * Calculate material coverage percentage
+     * Calculate material coverage percentage from the segmentation
+     */
+    calculateCoverage(segmentation, materialName) {
+        return Math.round((segmentation.coverage[materialName] || 0) * 100);
+    }
+    
+    // ===== SEGMENTATION METHODS =====
+
+    /**
+     * Per-pixel material segmentation
+     * Groups pixels into superpixels (SLIC in Lab color), classifies each from its
+     * color and texture features and joins touching superpixels of one material
+     * into regions. Returns { width, height, materials, labels, materialMap,
+     * regionMap, regions, coverage }: labels is the superpixel id per pixel,
+     * materialMap the index into materials per pixel (255 where unclassified),
+     * regionMap the region id per pixel (-1 where none); each region has its
+     * material, confidence, area, bounds, mean color and an outline polygon.
+     * With a material library (options.library, a MaterialLibrary or its toJSON
+     * data, or this.library) each superpixel is first matched against the
+     * library's samples from a patch at its centre; its materials join the list
+     * and are described in customMaterials.
+     */
+    segmentMaterials(imageData, options = {}) {
+        const {
+            superpixels = 300,
+            compactness = 10,
+            iterations = 5,
+            minConfidence = this.segmentationThreshold,
+            minRegionSize = 0.002,
+            tolerance = 1.5,
+            patchSize = 24
+        } = options;
+        const { width, height } = imageData;
+        const pixelCount = width * height;
+        const library = this.resolveLibrary(options.library);
+        const customMaterials = library ? library.getMaterials()
+            .filter(material => !this.materials[material.name])
+            .map(({ name, baseMaterial, color }) => ({ name, baseMaterial, color })) : [];
+        const materials = Object.keys(this.materials).concat(customMaterials.map(material => material.name));
+        
+        const lab = this.toLab(imageData);
+        const step = Math.sqrt(pixelCount / superpixels);
+        
+        // Clustering a softened copy keeps fine texture (grain, weave) inside one superpixel
+        const smoothed = this.boxBlurLab(lab, width, height, Math.max(1, Math.round(step / 6)));
+        const labels = this.computeSuperpixels(smoothed, width, height, superpixels, compactness, iterations);
+        const count = this.enforceConnectivity(labels, width, height, Math.max(1, Math.floor(step * step / 4)));
+        
+        const { features, colors, centers } = this.extractSuperpixelFeatures(imageData, lab, labels, count);
+        const classes = features.map((feature, label) => {
+            if (library && library.isTrained()) {
+                const center = centers[label];
+                const learned = library.classify(
+                    this.getPatchFeatures(imageData, center.x - patchSize / 2, center.y - patchSize / 2, patchSize));
+                if (learned.material && learned.confidence >= minConfidence) return learned;
+            }
+            return this.classifyFeatures(feature);
+        });
+        
+        const materialMap = new Uint8Array(pixelCount).fill(255);
+        const confidenceByLabel = new Float32Array(count);
+        classes.forEach((result, label) => {
+            confidenceByLabel[label] = result.confidence;
+        });
+        for (let i = 0; i < pixelCount; i++) {
+            const result = classes[labels[i]];
+            if (result.material && result.confidence >= minConfidence) {
+                materialMap[i] = materials.indexOf(result.material);
+            }
+        }
+        
+        const { regionMap, regions } = this.buildMaterialRegions(materialMap, labels, width, height, {
+            materials,
+            colors,
+            confidenceByLabel,
+            minArea: Math.max(1, Math.round(pixelCount * minRegionSize)),
+            tolerance
+        });
+        
+        const coverage = {};
+        materials.forEach(material => {
+            coverage[material] = 0;
+        });
+        for (let i = 0; i < pixelCount; i++) {
+            if (materialMap[i] !== 255) coverage[materials[materialMap[i]]]++;
+        }
+        materials.forEach(material => {
+            coverage[material] /= pixelCount;
+        });
+        
+        return { width, height, materials, customMaterials, labels, materialMap, regionMap, regions, coverage };
+    }
+
+    /**
+     * Material library to segment with: a MaterialLibrary, one rebuilt from its
+     * data (as workers receive it), or this.library
+     */
+    resolveLibrary(library) {
+        if (!library) return this.library;
+        if (typeof library.classify === 'function') return library;
+        if (typeof MaterialLibrary === 'undefined') return this.library;
+        
+        return MaterialLibrary.fromJSON(library);
+    }
+
+    /**
+     * CIE Lab values (D65) of every pixel as [L, a, b, L, a, b, ...]
+     */
+    toLab(imageData) {
+        const { data, width, height } = imageData;
+        const lab = new Float32Array(width * height * 3);
+        
+        const linear = new Float32Array(256);
+        for (let i = 0; i < 256; i++) {
+            const c = i / 255;
+            linear[i] = c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+        }
+        const f = (t) => t > 0.008856 ? Math.cbrt(t) : 7.787 * t + 16 / 116;
+        
+        for (let i = 0, j = 0; i < data.length; i += 4, j += 3) {
+            const r = linear[data[i]];
+            const g = linear[data[i + 1]];
+            const b = linear[data[i + 2]];
+            
+            const fx = f((0.4124 * r + 0.3576 * g + 0.1805 * b) / 0.95047);
+            const fy = f(0.2126 * r + 0.7152 * g + 0.0722 * b);
+            const fz = f((0.0193 * r + 0.1192 * g + 0.9505 * b) / 1.08883);
+            
+            lab[j] = 116 * fy - 16;
+            lab[j + 1] = 500 * (fx - fy);
+            lab[j + 2] = 200 * (fy - fz);
+        }
+        
+        return lab;
+    }
+
+    /**
+     * Box blur of Lab values, horizontal then vertical
+     */
+    boxBlurLab(lab, width, height, radius) {
+        const pass = (source, horizontal) => {
+            const target = new Float32Array(source.length);
+            const length = horizontal ? width : height;
+            const lines = horizontal ? height : width;
+            
+            for (let line = 0; line < lines; line++) {
+                for (let c = 0; c < 3; c++) {
+                    for (let i = 0; i < length; i++) {
+                        let sum = 0;
+                        let n = 0;
+                        for (let k = Math.max(0, i - radius); k <= Math.min(length - 1, i + radius); k++) {
+                            const p = horizontal ? line * width + k : k * width + line;
+                            sum += source[p * 3 + c];
+                            n++;
+                        }
+                        const p = horizontal ? line * width + i : i * width + line;
+                        target[p * 3 + c] = sum / n;
+                    }
+                }
+            }
+            
+            return target;
+        };
+        
+        return pass(pass(lab, true), false);
+    }
+
+    /**
+     * SLIC superpixels: k-means on color and position, each center searching a 2S window
+     * Higher compactness gives rounder superpixels; lower follows color more closely.
      */
-    calculateCoverage(data, width, height, materialName) {
-        // Simplified coverage calculation
-        return Math.floor(Math.random() * 30) + 10; // 10-40% range for demo
+    computeSuperpixels(lab, width, height, count, compactness, iterations) {
+        const pixelCount = width * height;
+        const step = Math.max(2, Math.round(Math.sqrt(pixelCount / count)));
+        
+        const centers = [];
+        for (let y = Math.floor(step / 2); y < height; y += step) {
+            for (let x = Math.floor(step / 2); x < width; x += step) {
+                const i = (y * width + x) * 3;
+                centers.push({ l: lab[i], a: lab[i + 1], b: lab[i + 2], x, y });
+            }
+        }
+        if (centers.length === 0) {
+            centers.push({ l: lab[0], a: lab[1], b: lab[2], x: 0, y: 0 });
+        }
+        
+        const labels = new Int32Array(pixelCount).fill(-1);
+        const distances = new Float32Array(pixelCount);
+        const spatialWeight = (compactness * compactness) / (step * step);
+        
+        for (let iteration = 0; iteration < iterations; iteration++) {
+            distances.fill(Infinity);
+            
+            centers.forEach((center, label) => {
+                const x0 = Math.max(0, Math.floor(center.x - step));
+                const x1 = Math.min(width - 1, Math.ceil(center.x + step));
+                const y0 = Math.max(0, Math.floor(center.y - step));
+                const y1 = Math.min(height - 1, Math.ceil(center.y + step));
+                
+                for (let y = y0; y <= y1; y++) {
+                    for (let x = x0; x <= x1; x++) {
+                        const p = y * width + x;
+                        const i = p * 3;
+                        const dl = lab[i] - center.l;
+                        const da = lab[i + 1] - center.a;
+                        const db = lab[i + 2] - center.b;
+                        const dx = x - center.x;
+                        const dy = y - center.y;
+                        const distance = dl * dl + da * da + db * db + (dx * dx + dy * dy) * spatialWeight;
+                        
+                        if (distance < distances[p]) {
+                            distances[p] = distance;
+                            labels[p] = label;
+                        }
+                    }
+                }
+            });
+            
+            // Move each center to the mean of its pixels
+            const sums = centers.map(() => ({ l: 0, a: 0, b: 0, x: 0, y: 0, n: 0 }));
+            for (let p = 0; p < pixelCount; p++) {
+                if (labels[p] < 0) continue;
+                const sum = sums[labels[p]];
+                const i = p * 3;
+                sum.l += lab[i];
+                sum.a += lab[i + 1];
+                sum.b += lab[i + 2];
+                sum.x += p % width;
+                sum.y += Math.floor(p / width);
+                sum.n++;
+            }
+            sums.forEach((sum, label) => {
+                if (sum.n === 0) return;
+                Object.assign(centers[label], {
+                    l: sum.l / sum.n, a: sum.a / sum.n, b: sum.b / sum.n, x: sum.x / sum.n, y: sum.y / sum.n
+                });
+            });
+        }
+        
+        // Every pixel is within reach of a center; guard anyway
+        for (let p = 0; p < pixelCount; p++) {
+            if (labels[p] < 0) labels[p] = 0;
+        }
+        
+        return labels;
+    }
+
+    /**
+     * Relabel superpixels as 4-connected pieces numbered from 0, merging pieces
+     * smaller than minSize into the neighbour before them. Returns the label count.
+     */
+    enforceConnectivity(labels, width, height, minSize) {
+        const pixelCount = width * height;
+        const result = new Int32Array(pixelCount).fill(-1);
+        const piece = new Int32Array(pixelCount);
+        let next = 0;
+        
+        for (let start = 0; start < pixelCount; start++) {
+            if (result[start] >= 0) continue;
+            
+            const x = start % width;
+            const adjacent = x > 0 ? result[start - 1] : (start >= width ? result[start - width] : -1);
+            const original = labels[start];
+            
+            let size = 0;
+            piece[size++] = start;
+            result[start] = next;
+            for (let head = 0; head < size; head++) {
+                const p = piece[head];
+                const px = p % width;
+                const neighbors = [
+                    px > 0 ? p - 1 : -1,
+                    px < width - 1 ? p + 1 : -1,
+                    p >= width ? p - width : -1,
+                    p < pixelCount - width ? p + width : -1
+                ];
+                neighbors.forEach(q => {
+                    if (q >= 0 && result[q] < 0 && labels[q] === original) {
+                        result[q] = next;
+                        piece[size++] = q;
+                    }
+                });
+            }
+            
+            if (size < minSize && adjacent >= 0) {
+                for (let i = 0; i < size; i++) result[piece[i]] = adjacent;
+            } else {
+                next++;
+            }
+        }
+        
+        labels.set(result);
+        return next;
+    }
+
+    /**
+     * Color and texture features of each superpixel, all roughly 0-1
+     * lightness, a and b are the mean Lab color; texture is the mean lightness
+     * gradient; contrast the lightness spread; directionality how much gradients
+     * share one orientation (wood grain, brushed metal); highlights the share of
+     * bright specular pixels. colors holds the mean RGB of each superpixel and
+     * centers its centroid.
+     */
+    extractSuperpixelFeatures(imageData, lab, labels, count) {
+        const { data, width, height } = imageData;
+        const stats = Array.from({ length: count }, () => ({
+            n: 0, l: 0, l2: 0, a: 0, b: 0, gradient: 0, gxx: 0, gyy: 0, gxy: 0, highlights: 0, r: 0, g: 0, bl: 0, x: 0, y: 0
+        }));
+        
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const p = y * width + x;
+                const stat = stats[labels[p]];
+                const l = lab[p * 3];
+                
+                // Central differences of lightness, one-sided at the border
+                const gx = lab[(y * width + Math.min(width - 1, x + 1)) * 3] - lab[(y * width + Math.max(0, x - 1)) * 3];
+                const gy = lab[(Math.min(height - 1, y + 1) * width + x) * 3] - lab[(Math.max(0, y - 1) * width + x) * 3];
+                
+                stat.n++;
+                stat.l += l;
+                stat.l2 += l * l;
+                stat.a += lab[p * 3 + 1];
+                stat.b += lab[p * 3 + 2];
+                stat.gradient += Math.sqrt(gx * gx + gy * gy);
+                stat.gxx += gx * gx;
+                stat.gyy += gy * gy;
+                stat.gxy += gx * gy;
+                if (l > 85 && Math.abs(lab[p * 3 + 1]) + Math.abs(lab[p * 3 + 2]) < 15) stat.highlights++;
+                stat.r += data[p * 4];
+                stat.g += data[p * 4 + 1];
+                stat.bl += data[p * 4 + 2];
+                stat.x += x;
+                stat.y += y;
+            }
+        }
+        
+        const features = stats.map(stat => {
+            const n = Math.max(1, stat.n);
+            const mean = stat.l / n;
+            const energy = stat.gxx + stat.gyy;
+            
+            return {
+                lightness: mean / 100,
+                a: stat.a / n / 100,
+                b: stat.b / n / 100,
+                texture: stat.gradient / n / 100,
+                contrast: Math.sqrt(Math.max(0, stat.l2 / n - mean * mean)) / 50,
+                directionality: energy > 0 ? Math.sqrt(Math.pow(stat.gxx - stat.gyy, 2) + 4 * stat.gxy * stat.gxy) / energy : 0,
+                highlights: stat.highlights / n
+            };
+        });
+        const colors = stats.map(stat => {
+            const n = Math.max(1, stat.n);
+            return { r: Math.round(stat.r / n), g: Math.round(stat.g / n), b: Math.round(stat.bl / n) };
+        });
+        const centers = stats.map(stat => {
+            const n = Math.max(1, stat.n);
+            return { x: stat.x / n, y: stat.y / n };
+        });
+        
+        return { features, colors, centers };
+    }
+
+    /**
+     * Best material for a feature set, scored against each material's profile
+     * A profile holds [mean, spread] per feature; the fit is a Gaussian of the
+     * mean squared z-score, 1 when every feature sits on the mean. Confidence is
+     * the best fit.
+     */
+    classifyFeatures(features) {
+        const scores = {};
+        let best = null;
+        
+        for (const [materialName, material] of Object.entries(this.materials)) {
+            const entries = Object.entries(material.profile || {});
+            if (entries.length === 0) continue;
+            
+            const meanSquare = entries.reduce((sum, [feature, [mean, spread]]) => {
+                const z = ((features[feature] || 0) - mean) / spread;
+                return sum + z * z;
+            }, 0) / entries.length;
+            
+            scores[materialName] = Math.exp(-0.5 * meanSquare);
+            if (!best || scores[materialName] > scores[best]) best = materialName;
+        }
+        
+        return { material: best, confidence: best ? scores[best] : 0, scores };
+    }
+
+    /**
+     * Join touching pixels of one material into regions and outline each one
+     * Regions smaller than options.minArea stay in the material map but get no entry.
+     */
+    buildMaterialRegions(materialMap, labels, width, height, options) {
+        const { materials, colors, confidenceByLabel, minArea, tolerance } = options;
+        const pixelCount = width * height;
+        const regionMap = new Int32Array(pixelCount).fill(-1);
+        const piece = new Int32Array(pixelCount);
+        const regions = [];
+        let pieceId = 0;
+        
+        for (let start = 0; start < pixelCount; start++) {
+            if (materialMap[start] === 255 || regionMap[start] !== -1) continue;
+            
+            // Pieces too small to keep are marked with ids below -1
+            const id = -2 - pieceId++;
+            const material = materialMap[start];
+            let size = 0;
+            piece[size++] = start;
+            regionMap[start] = id;
+            
+            const bounds = { minX: width, minY: height, maxX: 0, maxY: 0 };
+            let confidence = 0;
+            let r = 0;
+            let g = 0;
+            let b = 0;
+            
+            for (let head = 0; head < size; head++) {
+                const p = piece[head];
+                const px = p % width;
+                const py = Math.floor(p / width);
+                bounds.minX = Math.min(bounds.minX, px);
+                bounds.minY = Math.min(bounds.minY, py);
+                bounds.maxX = Math.max(bounds.maxX, px);
+                bounds.maxY = Math.max(bounds.maxY, py);
+                confidence += confidenceByLabel[labels[p]];
+                r += colors[labels[p]].r;
+                g += colors[labels[p]].g;
+                b += colors[labels[p]].b;
+                
+                const neighbors = [
+                    px > 0 ? p - 1 : -1,
+                    px < width - 1 ? p + 1 : -1,
+                    p >= width ? p - width : -1,
+                    p < pixelCount - width ? p + width : -1
+                ];
+                neighbors.forEach(q => {
+                    if (q >= 0 && regionMap[q] === -1 && materialMap[q] === material) {
+                        regionMap[q] = id;
+                        piece[size++] = q;
+                    }
+                });
+            }
+            
+            if (size < minArea) continue;
+            
+            const regionId = regions.length;
+            for (let i = 0; i < size; i++) regionMap[piece[i]] = regionId;
+            
+            const outline = this.traceOutline(regionMap, width, height, start, regionId);
+            regions.push({
+                id: regionId,
+                material: materials[material],
+                confidence: confidence / size,
+                area: size,
+                coverage: size / pixelCount,
+                bounds: {
+                    x: bounds.minX,
+                    y: bounds.minY,
+                    width: bounds.maxX - bounds.minX + 1,
+                    height: bounds.maxY - bounds.minY + 1
+                },
+                color: { r: Math.round(r / size), g: Math.round(g / size), b: Math.round(b / size) },
+                polygon: this.simplifyOutline(outline, tolerance)
+            });
+        }
+        
+        // Unkept pieces go back to "no region"
+        for (let i = 0; i < pixelCount; i++) {
+            if (regionMap[i] < -1) regionMap[i] = -1;
+        }
+        
+        return { regionMap, regions };
+    }
+
+    /**
+     * Outer outline of a region along pixel edges, as corner points
+     * Starts at the top-left corner of the region's first pixel in scan order and
+     * walks clockwise keeping the region on the right; holes are not traced.
+     */
+    traceOutline(regionMap, width, height, start, regionId) {
+        const inside = (x, y) => x >= 0 && y >= 0 && x < width && y < height && regionMap[y * width + x] === regionId;
+        
+        // East, south, west, north; pixels to the right and left of the edge leaving a corner
+        const moves = [[1, 0], [0, 1], [-1, 0], [0, -1]];
+        const rightPixel = [[0, 0], [-1, 0], [-1, -1], [0, -1]];
+        const leftPixel = [[0, -1], [0, 0], [-1, 0], [-1, -1]];
+        
+        const startX = start % width;
+        const startY = Math.floor(start / width);
+        const points = [];
+        let x = startX;
+        let y = startY;
+        let direction = 0;
+        let previous = -1;
+        const maxSteps = 4 * width * height + 4;
+        
+        for (let steps = 0; steps < maxSteps; steps++) {
+            if (!inside(x + rightPixel[direction][0], y + rightPixel[direction][1])) {
+                direction = (direction + 1) % 4;
+            } else if (inside(x + leftPixel[direction][0], y + leftPixel[direction][1])) {
+                direction = (direction + 3) % 4;
+            }
+            
+            if (direction !== previous) {
+                points.push({ x, y });
+                previous = direction;
+            }
+            
+            x += moves[direction][0];
+            y += moves[direction][1];
+            if (x === startX && y === startY) break;
+        }
+        
+        return points;
+    }
+
+    /**
+     * Simplify a closed outline with Douglas-Peucker, keeping it closed
+     */
+    simplifyOutline(points, tolerance) {
+        if (!this.vectorizer || points.length <= 4) return points;
+        
+        const simplified = this.vectorizer.simplify(points.concat([points[0]]), tolerance);
+        return simplified.slice(0, -1);
     }
 
     /**
@@ -0,0 +1,336 @@
+/**
+ * Material Library Module
+ * A studio's own materials, taught from labeled photo patches. Each sample is
+ * the color and texture features of one patch (MaterialDetection.getPatchFeatures);
+ * new patches are classified by their nearest samples (k-NN). The library lives
+ * in localStorage and travels between machines as JSON.
+ */
+
+class MaterialLibrary {
+    constructor(options = {}) {
+        // null keeps the library in memory only
+        this.storageKey = options.storageKey !== undefined ? options.storageKey : 'interior-design-material-library';
+        this.k = options.k || 5;
+        
+        // Spread floor per feature so a tight sample set doesn't make every new patch look foreign
+        this.minSpread = options.minSpread || 0.05;
+        
+        this.featureNames = ['lightness', 'a', 'b', 'smooth', 'rough', 'patterned', 'directional'];
+        this.materials = new Map();
+        this.samples = [];
+        this.stats = null;
+        
+        // Bumped on every change, so cached segmentations know they are stale
+        this.revision = 0;
+        
+        if (this.storageKey) {
+            this.load();
+        }
+    }
+
+    /**
+     * Library from exported or stored data, kept in memory only
+     * Used by workers, which get the library as plain data.
+     */
+    static fromJSON(data, options = {}) {
+        const library = new MaterialLibrary({ ...options, storageKey: null });
+        library.applyData(data);
+        return library;
+    }
+    
+    // ===== MATERIAL METHODS =====
+
+    /**
+     * Register a material, or update one
+     * baseMaterial names a built-in material (wood, fabric, ...) whose stroke style
+     * the material borrows; color is the swatch shown for it.
+     */
+    addMaterial(name, options = {}) {
+        const key = (name || '').trim();
+        if (!key) {
+            throw new Error('Material name is required');
+        }
+        
+        const existing = this.materials.get(key) || {};
+        this.materials.set(key, {
+            name: key,
+            baseMaterial: options.baseMaterial !== undefined ? options.baseMaterial : (existing.baseMaterial || null),
+            color: options.color || existing.color || '#888888',
+            createdAt: existing.createdAt || new Date().toISOString()
+        });
+        
+        this.changed();
+        return this.materials.get(key);
+    }
+
+    /**
+     * Remove a material and its samples
+     */
+    removeMaterial(name) {
+        if (!this.materials.delete(name)) return false;
+        
+        this.samples = this.samples.filter(sample => sample.material !== name);
+        this.changed();
+        return true;
+    }
+
+    /**
+     * Registered materials with their sample counts
+     */
+    getMaterials() {
+        return Array.from(this.materials.values()).map(material => ({
+            ...material,
+            samples: this.samples.filter(sample => sample.material === material.name).length
+        }));
+    }
+    
+    // ===== TRAINING METHODS =====
+
+    /**
+     * Label a patch's features as a material, registering the material if new
+     */
+    addSample(material, features) {
+        if (!this.materials.has(material)) {
+            this.addMaterial(material);
+        }
+        
+        const vector = this.toVector(features);
+        if (vector.some(value => !isFinite(value))) {
+            throw new Error('Sample features are incomplete');
+        }
+        
+        this.samples.push({ material, features: vector });
+        this.changed();
+        return this.samples.length;
+    }
+
+    /**
+     * Label the patch of an image centred on (x, y)
+     */
+    addSampleFromImage(imageData, x, y, material, options = {}) {
+        const detection = options.materialDetection || new MaterialDetection();
+        const size = options.patchSize || 24;
+        
+        return this.addSample(material, detection.getPatchFeatures(imageData, x - size / 2, y - size / 2, size));
+    }
+
+    /**
+     * Drop every sample of a material, keeping the material
+     */
+    clearSamples(material) {
+        this.samples = this.samples.filter(sample => sample.material !== material);
+        this.changed();
+    }
+
+    /**
+     * Fit the feature scaling to the samples
+     * k-NN needs no other training: this runs after every change.
+     */
+    train() {
+        if (this.samples.length === 0) {
+            this.stats = null;
+            return;
+        }
+        
+        const count = this.samples.length;
+        const means = this.featureNames.map((_, f) =>
+            this.samples.reduce((sum, sample) => sum + sample.features[f], 0) / count);
+        const spreads = this.featureNames.map((_, f) => {
+            const variance = this.samples.reduce((sum, sample) => sum + Math.pow(sample.features[f] - means[f], 2), 0) / count;
+            return Math.max(this.minSpread, Math.sqrt(variance));
+        });
+        
+        this.stats = { means, spreads };
+    }
+
+    /**
+     * Whether there are samples to classify with
+     */
+    isTrained() {
+        return this.stats !== null;
+    }
+
+    /**
+     * Material of a patch from its k nearest samples
+     * Neighbours vote by inverse distance. Confidence is the winner's share of
+     * the vote, lowered the further the patch is from the winner's nearest
+     * sample, so patches unlike anything labeled score low. Returns
+     * { material, confidence, scores } like MaterialDetection.classifyFeatures.
+     */
+    classify(features) {
+        if (!this.isTrained()) {
+            return { material: null, confidence: 0, scores: {} };
+        }
+        
+        const vector = this.scale(this.toVector(features));
+        const neighbours = this.samples
+            .map(sample => ({ material: sample.material, distance: this.distance(vector, this.scale(sample.features)) }))
+            .sort((a, b) => a.distance - b.distance)
+            .slice(0, this.k);
+        
+        const votes = {};
+        let total = 0;
+        neighbours.forEach(({ material, distance }) => {
+            const weight = 1 / (distance + 0.1);
+            votes[material] = (votes[material] || 0) + weight;
+            total += weight;
+        });
+        
+        const scores = {};
+        let best = null;
+        Object.entries(votes).forEach(([material, vote]) => {
+            const nearest = neighbours.find(neighbour => neighbour.material === material).distance;
+            scores[material] = vote / total * Math.exp(-0.5 * nearest * nearest / this.featureNames.length);
+            if (!best || scores[material] > scores[best]) best = material;
+        });
+        
+        return { material: best, confidence: best ? scores[best] : 0, scores };
+    }
+
+    /**
+     * Features as an array in featureNames order
+     */
+    toVector(features) {
+        return Array.isArray(features) ? features.slice() : this.featureNames.map(name => features[name]);
+    }
+
+    /**
+     * Feature vector in spreads from the sample mean
+     */
+    scale(vector) {
+        const { means, spreads } = this.stats;
+        return vector.map((value, f) => (value - means[f]) / spreads[f]);
+    }
+
+    /**
+     * Euclidean distance between two vectors
+     */
+    distance(a, b) {
+        let sum = 0;
+        for (let i = 0; i < a.length; i++) {
+            sum += (a[i] - b[i]) * (a[i] - b[i]);
+        }
+        return Math.sqrt(sum);
+    }
+    
+    // ===== STORAGE METHODS =====
+
+    /**
+     * Plain data of the library, as stored, exported and sent to workers
+     */
+    toJSON() {
+        return {
+            version: '1.0',
+            featureNames: this.featureNames.slice(),
+            materials: Array.from(this.materials.values()),
+            samples: this.samples.map(sample => ({ material: sample.material, features: sample.features.slice() }))
+        };
+    }
+
+    /**
+     * Replace the library with stored or exported data
+     */
+    applyData(data) {
+        if (!data || !Array.isArray(data.materials) || !Array.isArray(data.samples)) {
+            throw new Error('Invalid material library format');
+        }
+        if (data.featureNames && data.featureNames.join() !== this.featureNames.join()) {
+            throw new Error('Material library was trained on different features');
+        }
+        
+        this.materials.clear();
+        data.materials.forEach(material => {
+            if (material && material.name) {
+                this.materials.set(material.name, { ...material });
+            }
+        });
+        this.samples = data.samples
+            .filter(sample => this.materials.has(sample.material) && Array.isArray(sample.features) &&
+                sample.features.length === this.featureNames.length)
+            .map(sample => ({ material: sample.material, features: sample.features.slice() }));
+        
+        this.revision++;
+        this.train();
+    }
+
+    /**
+     * Load the library from localStorage
+     */
+    load() {
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            if (stored) {
+                this.applyData(JSON.parse(stored));
+            }
+        } catch (error) {
+            console.error('Failed to load material library:', error);
+        }
+    }
+
+    /**
+     * Save the library to localStorage
+     */
+    save() {
+        if (!this.storageKey) return;
+        
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.toJSON()));
+        } catch (error) {
+            console.error('Failed to save material library:', error);
+            throw new Error('Failed to save material library: ' + error.message);
+        }
+    }
+
+    /**
+     * JSON file of the library
+     */
+    createExportBlob() {
+        const exportData = {
+            ...this.toJSON(),
+            exportedAt: new Date().toISOString()
+        };
+        
+        return new Blob([JSON.stringify(exportData, null, 2)], { type: 'application/json' });
+    }
+
+    /**
+     * Read an exported library
+     * By default the file's materials and samples join the current ones; with
+     * options.replace they take their place.
+     */
+    importJSON(text, options = {}) {
+        let data = typeof text === 'string' ? JSON.parse(text) : text;
+        
+        if (!options.replace) {
+            const current = this.toJSON();
+            const incoming = MaterialLibrary.fromJSON(data).toJSON();
+            const names = new Set(incoming.materials.map(material => material.name));
+            
+            data = {
+                ...current,
+                materials: current.materials.filter(material => !names.has(material.name)).concat(incoming.materials),
+                samples: current.samples.concat(incoming.samples)
+            };
+        }
+        
+        this.applyData(data);
+        this.save();
+        return this.getMaterials();
+    }
+
+    /**
+     * Retrain and persist after a change
+     */
+    changed() {
+        this.revision++;
+        this.train();
+        this.save();
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MaterialLibrary;
+} else {
+    window.MaterialLibrary = MaterialLibrary;
+}
\ No newline at end of file
@@ -0,0 +1,477 @@
+/**
+ * Paper Texture Module
+ * Procedurally generates drawing surfaces (watercolor papers, kraft, toned
+ * stock, vellum, blueprint, canvas) and composites a drawing onto them so the
+ * grain changes both the background and how each medium deposits
+ */
+
+class PaperTexture {
+    constructor(options = {}) {
+        // Surface definitions: base color, grain octaves (spacing in px, weight),
+        // tooth (how strongly grain breaks up dry media), relief (emboss shading)
+        this.papers = {
+            'cold-press': {
+                name: 'Cold-Press Watercolor',
+                color: '#faf6ee',
+                grain: [{ spacing: 3, weight: 0.5 }, { spacing: 7, weight: 0.35 }, { spacing: 16, weight: 0.15 }],
+                tooth: 0.8,
+                relief: 0.08
+            },
+            'hot-press': {
+                name: 'Hot-Press Smooth',
+                color: '#fcfbf7',
+                grain: [{ spacing: 2, weight: 0.6 }, { spacing: 6, weight: 0.4 }],
+                tooth: 0.2,
+                relief: 0.03
+            },
+            'kraft': {
+                name: 'Kraft Paper',
+                color: '#c4a27a',
+                grain: [{ spacing: 3, weight: 0.5 }, { spacing: 10, weight: 0.5 }],
+                tooth: 0.5,
+                relief: 0.05,
+                fibers: 25,
+                tintStrength: 0.12
+            },
+            'toned-tan': {
+                name: 'Toned Tan',
+                color: '#d8c4a0',
+                grain: [{ spacing: 3, weight: 0.6 }, { spacing: 8, weight: 0.4 }],
+                tooth: 0.55,
+                relief: 0.04
+            },
+            'toned-gray': {
+                name: 'Toned Gray',
+                color: '#b8b8b2',
+                grain: [{ spacing: 3, weight: 0.6 }, { spacing: 8, weight: 0.4 }],
+                tooth: 0.55,
+                relief: 0.04
+            },
+            'vellum': {
+                name: 'Tracing Vellum',
+                color: '#eceee9',
+                grain: [{ spacing: 2, weight: 1 }],
+                tooth: 0.1,
+                relief: 0.015,
+                mottling: 0.05
+            },
+            'blueprint': {
+                name: 'Blueprint',
+                color: '#1d4f91',
+                grain: [{ spacing: 2, weight: 0.5 }, { spacing: 9, weight: 0.5 }],
+                tooth: 0.3,
+                relief: 0.04,
+                mottling: 0.06,
+                inverted: true, // Lines print white on the blue ground
+                inkColor: '#eef4ff'
+            },
+            'canvas': {
+                name: 'Artist Canvas',
+                color: '#f1ece0',
+                grain: [{ spacing: 2, weight: 1 }],
+                tooth: 0.9,
+                relief: 0.1,
+                weave: 6
+            }
+        };
+        
+        // How each drawing style's medium meets the grain: dry media catch on the
+        // peaks and skip the valleys, wet media pool in the valleys
+        this.media = {
+            pencil: { dryness: 0.7, pooling: 0 },
+            charcoal: { dryness: 1, pooling: 0 },
+            pen: { dryness: 0.15, pooling: 0 },
+            technical: { dryness: 0.05, pooling: 0 },
+            marker: { dryness: 0.1, pooling: 0.2 },
+            watercolor: { dryness: 0, pooling: 0.6 }
+        };
+        
+        this.defaultPaper = options.defaultPaper || 'cold-press';
+    }
+
+    /**
+     * Available paper types as [{ id, name }]
+     */
+    getPaperTypes() {
+        return Object.keys(this.papers).map(id => ({ id, name: this.papers[id].name }));
+    }
+
+    /**
+     * Paper definition by id, falling back to the default paper
+     */
+    getPaper(paperId) {
+        return this.papers[paperId] || this.papers[this.defaultPaper];
+    }
+
+    /**
+     * Paper that suits a drawing style when none was chosen
+     */
+    getDefaultPaperFor(style, stylePreset = null) {
+        if (stylePreset === 'technical-documentation') return 'hot-press';
+        
+        switch (style) {
+            case 'pen':
+            case 'technical':
+            case 'marker':
+                return 'hot-press';
+            default:
+                return 'cold-press';
+        }
+    }
+
+    /**
+     * Generate a paper surface
+     * Returns { paperId, width, height, heightMap, colors } where heightMap holds
+     * grain height in [0, 1] and colors the lit paper color as RGB triples.
+     * With a field { x, y, valueAt(...keys) } the surface is the window at (x, y)
+     * of one paper covering the whole image: valueAt must return the same value
+     * in [0, 1) for the same integer keys, so tiles of a render share one grain.
+     */
+    generateSurface(paperId, width, height, random = Math.random, field = null) {
+        const paper = this.getPaper(paperId);
+        const size = width * height;
+        const heightMap = new Float32Array(size);
+        const tint = new Float32Array(size);
+        
+        const grainAt = this.createGrain(paper, width, height, random, field);
+        for (let y = 0, i = 0; y < height; y++) {
+            for (let x = 0; x < width; x++, i++) {
+                heightMap[i] = grainAt(x, y);
+            }
+        }
+        
+        // Windows of one paper are all stretched by the range of the same patch of it
+        this.normalize(heightMap, field ? this.measureGrainRange(paper, field) : null);
+        
+        if (paper.weave) {
+            this.addWeave(heightMap, width, height, paper.weave, field);
+        }
+        
+        if (paper.fibers) {
+            this.addFibers(heightMap, tint, width, height, paper.fibers, random, field);
+        }
+        
+        if (paper.mottling) {
+            const clouds = this.createValueNoise(width, height, 60, random, field, paper.grain.length);
+            for (let y = 0, i = 0; y < height; y++) {
+                for (let x = 0; x < width; x++, i++) {
+                    tint[i] += (clouds(x, y) - 0.5) * 2 * paper.mottling;
+                }
+            }
+        }
+        
+        // Light the grain from the top-left so the tooth reads as relief
+        const base = this.parseColor(paper.color);
+        const tintStrength = paper.tintStrength || 1;
+        const colors = new Uint8ClampedArray(size * 3);
+        
+        for (let y = 0, i = 0; y < height; y++) {
+            for (let x = 0; x < width; x++, i++) {
+                const before = heightMap[Math.max(0, y - 1) * width + Math.max(0, x - 1)];
+                const after = heightMap[Math.min(height - 1, y + 1) * width + Math.min(width - 1, x + 1)];
+                const shade = (1 + paper.relief * (after - before) * 3) * (1 + tint[i] * tintStrength);
+                
+                colors[i * 3] = base[0] * shade;
+                colors[i * 3 + 1] = base[1] * shade;
+                colors[i * 3 + 2] = base[2] * shade;
+            }
+        }
+        
+        return { paperId, width, height, heightMap, colors };
+    }
+
+    /**
+     * Grain height at a point: weighted octaves of value noise
+     */
+    createGrain(paper, width, height, random, field = null) {
+        const octaves = paper.grain.map(({ spacing, weight }, index) => ({
+            noise: this.createValueNoise(width, height, spacing, random, field, index),
+            weight
+        }));
+        const totalWeight = octaves.reduce((sum, octave) => sum + octave.weight, 0);
+        
+        return (x, y) => {
+            let value = 0;
+            octaves.forEach(octave => {
+                value += octave.noise(x, y) * octave.weight;
+            });
+            return value / totalWeight;
+        };
+    }
+
+    /**
+     * Lowest and highest grain over a 256 px patch at the image origin of a field
+     */
+    measureGrainRange(paper, field) {
+        const size = 256;
+        const grainAt = this.createGrain(paper, size, size, null, { ...field, x: 0, y: 0 });
+        let min = Infinity;
+        let max = -Infinity;
+        
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                const value = grainAt(x, y);
+                if (value < min) min = value;
+                if (value > max) max = value;
+            }
+        }
+        
+        return { min, max };
+    }
+
+    /**
+     * Composite a drawing onto a paper surface, in place
+     * The drawing is read as ink over `background`; each channel's ink density is
+     * scaled by how the medium meets the grain and multiplied onto the paper.
+     */
+    applyToImageData(imageData, surface, options = {}) {
+        const { style = 'pencil', background = '#ffffff' } = options;
+        const paper = this.getPaper(surface.paperId);
+        const medium = this.media[style] || this.media.pencil;
+        const ground = this.parseColor(background);
+        const ink = paper.inverted ? this.parseColor(paper.inkColor) : null;
+        const { heightMap, colors } = surface;
+        const data = imageData.data;
+        
+        for (let i = 0, p = 0; i < data.length; i += 4, p++) {
+            const grain = heightMap[p];
+            
+            // Dry media skip the deeper valleys; wet media settle into them
+            const deposit = Math.max(0, Math.min(1.5,
+                1 - paper.tooth * medium.dryness * Math.max(0, 0.75 - grain) * 1.6 +
+                paper.tooth * medium.pooling * (0.5 - grain)
+            ));
+            
+            if (ink) {
+                // Inverted papers show ink density as light lines
+                const density = Math.min(1, (1 - Math.min(1, (data[i] + data[i + 1] + data[i + 2]) /
+                    (ground[0] + ground[1] + ground[2]))) * deposit);
+                for (let c = 0; c < 3; c++) {
+                    const paperValue = colors[p * 3 + c];
+                    data[i + c] = paperValue + (ink[c] - paperValue) * density;
+                }
+            } else {
+                for (let c = 0; c < 3; c++) {
+                    const density = Math.min(1, (1 - Math.min(1, data[i + c] / Math.max(1, ground[c]))) * deposit);
+                    data[i + c] = colors[p * 3 + c] * (1 - density);
+                }
+            }
+        }
+        
+        return imageData;
+    }
+
+    /**
+     * Fill a layer with the paper surface, in place
+     */
+    paintSurface(imageData, surface) {
+        const data = imageData.data;
+        const { colors } = surface;
+        
+        for (let i = 0, p = 0; i < data.length; i += 4, p++) {
+            data[i] = colors[p * 3];
+            data[i + 1] = colors[p * 3 + 1];
+            data[i + 2] = colors[p * 3 + 2];
+            data[i + 3] = 255;
+        }
+        
+        return imageData;
+    }
+
+    /**
+     * Break up a transparent ink layer by the paper grain, in place
+     * The layer is meant to be multiplied onto the surface, which gives the same
+     * result as applyToImageData. On inverted papers it becomes light ink meant
+     * for normal (source-over) compositing instead; see getLayerBlendMode.
+     */
+    applyToLayer(imageData, surface, options = {}) {
+        const { style = 'pencil' } = options;
+        const paper = this.getPaper(surface.paperId);
+        const medium = this.media[style] || this.media.pencil;
+        const ink = paper.inverted ? this.parseColor(paper.inkColor) : null;
+        const { heightMap } = surface;
+        const data = imageData.data;
+        
+        for (let i = 0, p = 0; i < data.length; i += 4, p++) {
+            const alpha = data[i + 3] / 255;
+            if (alpha === 0) continue;
+            
+            const grain = heightMap[p];
+            const deposit = Math.max(0, Math.min(1.5,
+                1 - paper.tooth * medium.dryness * Math.max(0, 0.75 - grain) * 1.6 +
+                paper.tooth * medium.pooling * (0.5 - grain)
+            ));
+            
+            if (ink) {
+                const density = Math.min(1, alpha * (1 - (data[i] + data[i + 1] + data[i + 2]) / 765) * deposit);
+                data[i] = ink[0];
+                data[i + 1] = ink[1];
+                data[i + 2] = ink[2];
+                data[i + 3] = density * 255;
+            } else {
+                // Keep each channel's filter density a * (1 - c) while scaling it by the deposit
+                const newAlpha = Math.min(1, alpha * deposit);
+                if (newAlpha === 0) {
+                    data[i + 3] = 0;
+                    continue;
+                }
+                for (let c = 0; c < 3; c++) {
+                    const density = Math.min(newAlpha, alpha * (1 - data[i + c] / 255) * deposit);
+                    data[i + c] = 255 * (1 - density / newAlpha);
+                }
+                data[i + 3] = newAlpha * 255;
+            }
+        }
+        
+        return imageData;
+    }
+
+    /**
+     * How ink layers composite onto a paper: multiplied, or laid over inverted grounds
+     */
+    getLayerBlendMode(paperId) {
+        return this.getPaper(paperId).inverted ? 'source-over' : 'multiply';
+    }
+
+    /**
+     * Over-under thread pattern for woven canvas
+     */
+    addWeave(heightMap, width, height, period, field = null) {
+        const originX = field ? field.x : 0;
+        const originY = field ? field.y : 0;
+        
+        for (let y = 0, i = 0; y < height; y++) {
+            for (let x = 0; x < width; x++, i++) {
+                const px = x + originX;
+                const py = y + originY;
+                const over = (Math.floor(px / period) + Math.floor(py / period)) % 2 === 0;
+                const phase = over ? (px % period) / period : (py % period) / period;
+                const thread = Math.sin(Math.PI * phase);
+                heightMap[i] = heightMap[i] * 0.35 + thread * thread * 0.65;
+            }
+        }
+    }
+
+    /**
+     * Scatter short raised fibers that also tint the paper lighter or darker
+     * With a field, fibers belong to 100 px cells of the whole image and every
+     * cell whose fibers can reach into the window is visited.
+     */
+    addFibers(heightMap, tint, width, height, density, random, field = null) {
+        if (field) {
+            const cell = 100;
+            const count = Math.round(density * cell * cell / 10000);
+            const reach = 30;
+            
+            for (let cy = Math.floor((field.y - reach) / cell); cy <= Math.floor((field.y + height + reach) / cell); cy++) {
+                for (let cx = Math.floor((field.x - reach) / cell); cx <= Math.floor((field.x + width + reach) / cell); cx++) {
+                    for (let f = 0; f < count; f++) {
+                        let k = 0;
+                        const value = () => field.valueAt(cx, cy, f, k++);
+                        this.drawFiber(heightMap, tint, width, height,
+                            cx * cell + value() * cell - field.x, cy * cell + value() * cell - field.y, value);
+                    }
+                }
+            }
+            return;
+        }
+        
+        const count = Math.round(density * width * height / 10000);
+        for (let f = 0; f < count; f++) {
+            this.drawFiber(heightMap, tint, width, height, random() * width, random() * height, random);
+        }
+    }
+
+    /**
+     * One fiber from (x, y), its angle, length and shade drawn from random
+     */
+    drawFiber(heightMap, tint, width, height, x, y, random) {
+        const angle = random() * Math.PI * 2;
+        const length = 5 + random() * 25;
+        const shade = (random() - 0.5) * 0.6;
+        const dx = Math.cos(angle);
+        const dy = Math.sin(angle);
+        
+        // Fibers may start outside a window and run into it
+        for (let step = 0; step < length; step++, x += dx, y += dy) {
+            const px = Math.floor(x);
+            const py = Math.floor(y);
+            if (px < 0 || py < 0 || px >= width || py >= height) continue;
+            
+            const i = py * width + px;
+            heightMap[i] = Math.min(1, heightMap[i] + 0.2);
+            tint[i] += shade;
+        }
+    }
+
+    /**
+     * Stretch values to span [0, 1], or a given { min, max } to it (clamped)
+     */
+    normalize(values, bounds = null) {
+        let min = Infinity;
+        let max = -Infinity;
+        if (bounds) {
+            ({ min, max } = bounds);
+        } else {
+            for (let i = 0; i < values.length; i++) {
+                if (values[i] < min) min = values[i];
+                if (values[i] > max) max = values[i];
+            }
+        }
+        
+        const range = max - min || 1;
+        for (let i = 0; i < values.length; i++) {
+            values[i] = Math.max(0, Math.min(1, (values[i] - min) / range));
+        }
+    }
+
+    /**
+     * Smooth 2D value noise in [0, 1] with lattice points every `spacing` pixels
+     * With a field the lattice is the image's, its values keyed by salt and lattice position.
+     */
+    createValueNoise(width, height, spacing, random, field = null, salt = 0) {
+        const firstColumn = field ? Math.floor(field.x / spacing) : 0;
+        const firstRow = field ? Math.floor(field.y / spacing) : 0;
+        const shiftX = field ? field.x - firstColumn * spacing : 0;
+        const shiftY = field ? field.y - firstRow * spacing : 0;
+        
+        const columns = Math.ceil(width / spacing) + (field ? 3 : 2);
+        const rows = Math.ceil(height / spacing) + (field ? 3 : 2);
+        const lattice = new Float32Array(columns * rows);
+        for (let i = 0; i < lattice.length; i++) {
+            lattice[i] = field ?
+                field.valueAt(salt, firstColumn + i % columns, firstRow + Math.floor(i / columns)) : random();
+        }
+        
+        const smooth = (t) => t * t * (3 - 2 * t);
+        
+        return (x, y) => {
+            const fx = (x + shiftX) / spacing;
+            const fy = (y + shiftY) / spacing;
+            const ix = Math.floor(fx);
+            const iy = Math.floor(fy);
+            const tx = smooth(fx - ix);
+            const ty = smooth(fy - iy);
+            const i = iy * columns + ix;
+            
+            const top = lattice[i] + (lattice[i + 1] - lattice[i]) * tx;
+            const bottom = lattice[i + columns] + (lattice[i + columns + 1] - lattice[i + columns]) * tx;
+            return top + (bottom - top) * ty;
+        };
+    }
+
+    /**
+     * '#rrggbb' to [r, g, b]
+     */
+    parseColor(hex) {
+        const value = parseInt(String(hex).replace('#', ''), 16);
+        return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PaperTexture;
+} else {
+    window.PaperTexture = PaperTexture;
+}
\ No newline at end of file
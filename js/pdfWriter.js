@@ -0,0 +1,589 @@
+/**
+ * PDF Writer Module
+ * Minimal PDF 1.4 writer with proper cross-reference table, JPEG images via
+ * DCTDecode, lossless images via FlateDecode, and simple text and shapes in
+ * the standard Helvetica fonts, on standard paper sizes
+ */
+
+class PDFWriter {
+    constructor(options = {}) {
+        // Page sizes in PDF points (1/72 inch), portrait
+        this.pageSizes = {
+            a4: { width: 595.28, height: 841.89 },
+            a3: { width: 841.89, height: 1190.55 },
+            letter: { width: 612, height: 792 },
+            tabloid: { width: 792, height: 1224 }
+        };
+        
+        // Standard Type 1 fonts, available in every PDF viewer without embedding
+        this.fonts = {
+            regular: { name: 'F1', baseFont: 'Helvetica' },
+            bold: { name: 'F2', baseFont: 'Helvetica-Bold' }
+        };
+        
+        // Helvetica advance widths (1/1000 em) for ASCII 32-126
+        this.helveticaWidths = [
+            278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+            556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+            1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+            667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+            333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+            556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+        ];
+        
+        // WinAnsiEncoding bytes 0x80-0x9F by Unicode code point: curly quotes, dashes, ellipsis, euro, ...
+        this.winAnsiExtras = {
+            0x20AC: 0x80, 0x201A: 0x82, 0x0192: 0x83, 0x201E: 0x84, 0x2026: 0x85, 0x2020: 0x86, 0x2021: 0x87,
+            0x02C6: 0x88, 0x2030: 0x89, 0x0160: 0x8A, 0x2039: 0x8B, 0x0152: 0x8C, 0x017D: 0x8E,
+            0x2018: 0x91, 0x2019: 0x92, 0x201C: 0x93, 0x201D: 0x94, 0x2022: 0x95, 0x2013: 0x96, 0x2014: 0x97,
+            0x02DC: 0x98, 0x2122: 0x99, 0x0161: 0x9A, 0x203A: 0x9B, 0x0153: 0x9C, 0x017E: 0x9E, 0x0178: 0x9F
+        };
+        
+        this.title = options.title || 'Hand-Drawn Sketch';
+        this.author = options.author || '';
+        // Optional description, e.g. the source photo's camera and capture date
+        this.subject = options.subject || '';
+        this.pages = [];
+        this.images = [];
+    }
+
+    /**
+     * Resolve a page size name and orientation to point dimensions
+     */
+    getPageDimensions(pageSize = 'a4', orientation = 'portrait') {
+        const size = this.pageSizes[String(pageSize).toLowerCase()];
+        if (!size) {
+            throw new Error(`Unsupported page size: ${pageSize}`);
+        }
+        
+        const landscape = orientation === 'landscape';
+        return {
+            width: landscape ? size.height : size.width,
+            height: landscape ? size.width : size.height
+        };
+    }
+
+    /**
+     * Add a page and return it for drawing
+     */
+    addPage(options = {}) {
+        const { pageSize = 'a4', orientation = 'portrait' } = options;
+        const dimensions = this.getPageDimensions(pageSize, orientation);
+        
+        const page = {
+            width: dimensions.width,
+            height: dimensions.height,
+            operations: [],
+            images: new Set(),
+            fonts: new Set()
+        };
+        
+        this.pages.push(page);
+        return page;
+    }
+
+    /**
+     * Register a JPEG image from its encoded bytes
+     */
+    addJPEGImage(bytes, width, height) {
+        const image = {
+            name: `Im${this.images.length + 1}`,
+            width,
+            height,
+            filter: 'DCTDecode',
+            colorSpace: 'DeviceRGB',
+            data: bytes,
+            smask: null
+        };
+        
+        this.images.push(image);
+        return image;
+    }
+
+    /**
+     * Register a lossless image from RGBA pixels; alpha becomes a soft mask if used
+     */
+    async addPixelImage(imageData) {
+        const { width, height, data } = imageData;
+        const rgb = new Uint8Array(width * height * 3);
+        const alpha = new Uint8Array(width * height);
+        let hasAlpha = false;
+        
+        for (let i = 0, p = 0; i < data.length; i += 4, p++) {
+            rgb[p * 3] = data[i];
+            rgb[p * 3 + 1] = data[i + 1];
+            rgb[p * 3 + 2] = data[i + 2];
+            alpha[p] = data[i + 3];
+            if (data[i + 3] !== 255) hasAlpha = true;
+        }
+        
+        const image = {
+            name: `Im${this.images.length + 1}`,
+            width,
+            height,
+            filter: 'FlateDecode',
+            colorSpace: 'DeviceRGB',
+            data: await this.deflate(rgb),
+            smask: null
+        };
+        
+        if (hasAlpha) {
+            image.smask = {
+                width,
+                height,
+                filter: 'FlateDecode',
+                colorSpace: 'DeviceGray',
+                data: await this.deflate(alpha)
+            };
+        }
+        
+        this.images.push(image);
+        return image;
+    }
+
+    /**
+     * Draw a registered image; coordinates are in points from the top-left corner
+     */
+    drawImage(page, image, x, y, width, height) {
+        page.images.add(image);
+        page.operations.push(
+            'q',
+            `${this.num(width)} 0 0 ${this.num(height)} ${this.num(x)} ${this.num(page.height - y - height)} cm`,
+            `/${image.name} Do`,
+            'Q'
+        );
+    }
+
+    /**
+     * Draw a single line of text; (x, y) is the top-left of the text box in points
+     * Options: size, font ('regular' | 'bold'), color, align ('left' | 'center' | 'right')
+     */
+    drawText(page, text, x, y, options = {}) {
+        const { size = 10, font = 'regular', color = '#000000', align = 'left' } = options;
+        const fontKey = this.fonts[font] ? font : 'regular';
+        const content = String(text);
+        
+        let left = x;
+        if (align !== 'left') {
+            const width = this.measureText(content, size, fontKey);
+            left = align === 'center' ? x - width / 2 : x - width;
+        }
+        
+        // Baseline sits roughly 0.8 em below the top of the line box
+        const baseline = page.height - y - size * 0.8;
+        
+        page.fonts.add(fontKey);
+        page.operations.push(
+            'BT',
+            this.colorOperator(color, 'rg'),
+            `/${this.fonts[fontKey].name} ${this.num(size)} Tf`,
+            `${this.num(left)} ${this.num(baseline)} Td`,
+            `${this.pdfString(content)} Tj`,
+            'ET'
+        );
+    }
+
+    /**
+     * Draw word-wrapped text inside a box
+     * Returns the height used in points; lines past maxHeight are dropped and
+     * reported through the returned `overflow` text.
+     */
+    drawTextBlock(page, text, x, y, width, options = {}) {
+        const { size = 10, lineHeight = 1.3, maxHeight = Infinity } = options;
+        const lines = this.wrapText(text, width, size, options.font);
+        const step = size * lineHeight;
+        const fitting = Math.max(0, Math.min(lines.length, Math.floor((maxHeight + 1e-6) / step)));
+        
+        for (let i = 0; i < fitting; i++) {
+            this.drawText(page, lines[i], x, y + i * step, options);
+        }
+        
+        return {
+            height: fitting * step,
+            overflow: lines.slice(fitting).join(' ')
+        };
+    }
+
+    /**
+     * Draw a rectangle; coordinates are in points from the top-left corner
+     * Options: fill, stroke (colors) and lineWidth
+     */
+    drawRect(page, x, y, width, height, options = {}) {
+        const { fill = null, stroke = null, lineWidth = 1 } = options;
+        if (!fill && !stroke) return;
+        
+        const operations = ['q'];
+        if (fill) operations.push(this.colorOperator(fill, 'rg'));
+        if (stroke) operations.push(this.colorOperator(stroke, 'RG'), `${this.num(lineWidth)} w`);
+        operations.push(`${this.num(x)} ${this.num(page.height - y - height)} ${this.num(width)} ${this.num(height)} re`);
+        operations.push(fill && stroke ? 'B' : fill ? 'f' : 'S', 'Q');
+        
+        page.operations.push(...operations);
+    }
+
+    /**
+     * Draw a straight line between two top-left based points
+     */
+    drawLine(page, x1, y1, x2, y2, options = {}) {
+        const { color = '#000000', lineWidth = 1 } = options;
+        
+        page.operations.push(
+            'q',
+            this.colorOperator(color, 'RG'),
+            `${this.num(lineWidth)} w`,
+            `${this.num(x1)} ${this.num(page.height - y1)} m`,
+            `${this.num(x2)} ${this.num(page.height - y2)} l`,
+            'S',
+            'Q'
+        );
+    }
+
+    /**
+     * Approximate width of text in points
+     * Bold is estimated from the regular metrics, which is close enough for layout.
+     */
+    measureText(text, size = 10, font = 'regular') {
+        let units = 0;
+        for (const char of String(text)) {
+            const code = char.charCodeAt(0);
+            units += code >= 32 && code <= 126 ? this.helveticaWidths[code - 32] : 556;
+        }
+        
+        return units / 1000 * size * (font === 'bold' ? 1.06 : 1);
+    }
+
+    /**
+     * Split text into lines no wider than maxWidth; explicit newlines are kept
+     */
+    wrapText(text, maxWidth, size = 10, font = 'regular') {
+        const lines = [];
+        
+        String(text).split('\n').forEach(paragraph => {
+            let line = '';
+            
+            paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+                const candidate = line ? `${line} ${word}` : word;
+                if (line && this.measureText(candidate, size, font) > maxWidth) {
+                    lines.push(line);
+                    line = word;
+                } else {
+                    line = candidate;
+                }
+            });
+            
+            lines.push(line);
+        });
+        
+        return lines;
+    }
+
+    /**
+     * Fill (rg) or stroke (RG) color operator from a CSS hex or rgb() color
+     */
+    colorOperator(color, operator) {
+        let r = 0;
+        let g = 0;
+        let b = 0;
+        
+        const rgb = /^rgba?\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)/i.exec(color);
+        if (rgb) {
+            [r, g, b] = [rgb[1], rgb[2], rgb[3]].map(Number);
+        } else if (/^#[0-9a-f]{3}$/i.test(color)) {
+            [r, g, b] = [1, 2, 3].map(i => parseInt(color[i] + color[i], 16));
+        } else if (/^#[0-9a-f]{6}$/i.test(color)) {
+            [r, g, b] = [1, 3, 5].map(i => parseInt(color.substr(i, 2), 16));
+        }
+        
+        const channel = (value) => this.num(Math.max(0, Math.min(255, value)) / 255);
+        return `${channel(r)} ${channel(g)} ${channel(b)} ${operator}`;
+    }
+
+    /**
+     * Fit an image of the given pixel size onto a page
+     * At the requested DPI the image keeps its physical size; it is scaled down
+     * only if it does not fit inside the margins. Returns { x, y, width, height } in points.
+     */
+    layoutImage(page, pixelWidth, pixelHeight, options = {}) {
+        const { margin = 36, dpi = 150, fit = 'dpi' } = options;
+        
+        const availableWidth = page.width - margin * 2;
+        const availableHeight = page.height - margin * 2;
+        if (availableWidth <= 0 || availableHeight <= 0) {
+            throw new Error('Page margins leave no printable area');
+        }
+        
+        let width = (pixelWidth / dpi) * 72;
+        let height = (pixelHeight / dpi) * 72;
+        
+        const fitScale = Math.min(availableWidth / width, availableHeight / height);
+        if (fit === 'contain' || fitScale < 1) {
+            width *= fitScale;
+            height *= fitScale;
+        }
+        
+        return {
+            x: margin + (availableWidth - width) / 2,
+            y: margin + (availableHeight - height) / 2,
+            width,
+            height
+        };
+    }
+
+    /**
+     * Serialize the document to a Blob
+     */
+    toBlob() {
+        return new Blob([this.build()], { type: 'application/pdf' });
+    }
+
+    /**
+     * Serialize the document to bytes
+     */
+    build() {
+        if (this.pages.length === 0) {
+            throw new Error('PDF has no pages');
+        }
+        
+        const chunks = [];
+        const offsets = [];
+        let length = 0;
+        
+        const write = (content) => {
+            const bytes = typeof content === 'string' ? this.encodeWinAnsi(content) : content;
+            chunks.push(bytes);
+            length += bytes.length;
+        };
+        
+        // Object numbers: 1 catalog, 2 pages, 3 info, then images, then pages and contents
+        let nextId = 4;
+        this.images.forEach(image => {
+            image.id = nextId++;
+            if (image.smask) image.smask.id = nextId++;
+        });
+        this.pages.forEach(page => {
+            page.id = nextId++;
+            page.contentId = nextId++;
+        });
+        
+        const beginObject = (id) => {
+            offsets[id] = length;
+            write(`${id} 0 obj\n`);
+        };
+        
+        const writeStream = (id, dictionary, data) => {
+            beginObject(id);
+            write(`<< ${dictionary} /Length ${data.length} >>\nstream\n`);
+            write(data);
+            write('\nendstream\nendobj\n');
+        };
+        
+        // Header with a binary comment so transfer tools treat the file as binary
+        write('%PDF-1.4\n');
+        write(new Uint8Array([0x25, 0xE2, 0xE3, 0xCF, 0xD3, 0x0A]));
+        
+        beginObject(1);
+        write('<< /Type /Catalog /Pages 2 0 R >>\nendobj\n');
+        
+        beginObject(2);
+        write(`<< /Type /Pages /Kids [${this.pages.map(page => `${page.id} 0 R`).join(' ')}] /Count ${this.pages.length} >>\nendobj\n`);
+        
+        beginObject(3);
+        write(`<< /Title ${this.pdfTextString(this.title)} /Author ${this.pdfTextString(this.author)}${this.subject ? ` /Subject ${this.pdfTextString(this.subject)}` : ''} /Producer ${this.pdfString('AI Interior Design Converter')} /CreationDate ${this.pdfString(this.pdfDate(new Date()))} >>\nendobj\n`);
+        
+        this.images.forEach(image => {
+            let dictionary = `/Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} /ColorSpace /${image.colorSpace} /BitsPerComponent 8 /Filter /${image.filter}`;
+            if (image.smask) {
+                dictionary += ` /SMask ${image.smask.id} 0 R`;
+            }
+            writeStream(image.id, dictionary, image.data);
+            
+            if (image.smask) {
+                const mask = image.smask;
+                writeStream(mask.id, `/Type /XObject /Subtype /Image /Width ${mask.width} /Height ${mask.height} /ColorSpace /${mask.colorSpace} /BitsPerComponent 8 /Filter /${mask.filter}`, mask.data);
+            }
+        });
+        
+        this.pages.forEach(page => {
+            const xObjects = Array.from(page.images).map(image => `/${image.name} ${image.id} 0 R`).join(' ');
+            const fonts = Array.from(page.fonts)
+                .map(font => `/${this.fonts[font].name} << /Type /Font /Subtype /Type1 /BaseFont /${this.fonts[font].baseFont} /Encoding /WinAnsiEncoding >>`)
+                .join(' ');
+            const resources = `<< /XObject << ${xObjects} >> /Font << ${fonts} >> >>`;
+            
+            beginObject(page.id);
+            write(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${this.num(page.width)} ${this.num(page.height)}] /Resources ${resources} /Contents ${page.contentId} 0 R >>\nendobj\n`);
+            
+            writeStream(page.contentId, '', this.encodeWinAnsi(page.operations.join('\n')));
+        });
+        
+        // Cross-reference table: fixed 20-byte entries
+        const xrefOffset = length;
+        const objectCount = nextId;
+        let xref = `xref\n0 ${objectCount}\n0000000000 65535 f \n`;
+        for (let id = 1; id < objectCount; id++) {
+            xref += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+        }
+        write(xref);
+        write(`trailer\n<< /Size ${objectCount} /Root 1 0 R /Info 3 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+        
+        const output = new Uint8Array(length);
+        let position = 0;
+        chunks.forEach(chunk => {
+            output.set(chunk, position);
+            position += chunk.length;
+        });
+        
+        return output;
+    }
+
+    /**
+     * zlib-compress bytes for FlateDecode
+     * Uses CompressionStream when available, otherwise stored (uncompressed) deflate blocks.
+     */
+    async deflate(bytes) {
+        if (typeof CompressionStream !== 'undefined') {
+            try {
+                const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+                return new Uint8Array(await new Response(stream).arrayBuffer());
+            } catch (error) {
+                console.warn('CompressionStream failed, writing stored deflate blocks:', error);
+            }
+        }
+        
+        return this.deflateStored(bytes);
+    }
+
+    /**
+     * Valid zlib stream using stored blocks only
+     */
+    deflateStored(bytes) {
+        const blockSize = 65535;
+        const blockCount = Math.max(1, Math.ceil(bytes.length / blockSize));
+        const output = new Uint8Array(2 + bytes.length + blockCount * 5 + 4);
+        let position = 0;
+        
+        // zlib header: deflate, 32K window, no preset dictionary
+        output[position++] = 0x78;
+        output[position++] = 0x01;
+        
+        for (let block = 0; block < blockCount; block++) {
+            const start = block * blockSize;
+            const end = Math.min(start + blockSize, bytes.length);
+            const size = end - start;
+            
+            output[position++] = block === blockCount - 1 ? 1 : 0;
+            output[position++] = size & 0xFF;
+            output[position++] = (size >> 8) & 0xFF;
+            output[position++] = ~size & 0xFF;
+            output[position++] = (~size >> 8) & 0xFF;
+            output.set(bytes.subarray(start, end), position);
+            position += size;
+        }
+        
+        const checksum = this.adler32(bytes);
+        output[position++] = (checksum >>> 24) & 0xFF;
+        output[position++] = (checksum >>> 16) & 0xFF;
+        output[position++] = (checksum >>> 8) & 0xFF;
+        output[position++] = checksum & 0xFF;
+        
+        return output;
+    }
+
+    /**
+     * Adler-32 checksum required by the zlib trailer
+     */
+    adler32(bytes) {
+        let a = 1;
+        let b = 0;
+        const chunk = 5552;
+        
+        for (let start = 0; start < bytes.length; start += chunk) {
+            const end = Math.min(start + chunk, bytes.length);
+            for (let i = start; i < end; i++) {
+                a += bytes[i];
+                b += a;
+            }
+            a %= 65521;
+            b %= 65521;
+        }
+        
+        return ((b << 16) | a) >>> 0;
+    }
+
+    /**
+     * Decode the base64 payload of a data URL
+     */
+    dataURLToBytes(dataURL) {
+        const binary = atob(dataURL.split(',')[1]);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+    /**
+     * Encode a string in WinAnsiEncoding, the encoding the fonts declare
+     * Latin-1 maps to itself and the typographic characters to 0x80-0x9F;
+     * anything else becomes '?'.
+     */
+    encodeWinAnsi(text) {
+        const bytes = [];
+        for (const char of text) {
+            const code = char.codePointAt(0);
+            if (code < 0x80 || (code >= 0xA0 && code <= 0xFF)) {
+                bytes.push(code);
+            } else {
+                bytes.push(this.winAnsiExtras[code] || 63); // '?'
+            }
+        }
+        return Uint8Array.from(bytes);
+    }
+
+    /**
+     * PDF text string for the document information dictionary
+     * Viewers read these as PDFDocEncoding, not WinAnsi, so anything beyond
+     * printable ASCII is written as UTF-16 with a byte order mark.
+     */
+    pdfTextString(text) {
+        const value = String(text).replace(/[\r\n]+/g, ' ');
+        if (/^[\x20-\x7e]*$/.test(value)) {
+            return this.pdfString(value);
+        }
+        
+        let hex = 'FEFF';
+        for (let i = 0; i < value.length; i++) {
+            hex += value.charCodeAt(i).toString(16).toUpperCase().padStart(4, '0');
+        }
+        return `<${hex}>`;
+    }
+
+    /**
+     * PDF literal string with escaping
+     */
+    pdfString(text) {
+        return `(${String(text).replace(/\\/g, '\\\\').replace(/\(/g, '\\(').replace(/\)/g, '\\)').replace(/[\r\n]+/g, ' ')})`;
+    }
+
+    /**
+     * PDF date string D:YYYYMMDDHHmmSS
+     */
+    pdfDate(date) {
+        const pad = (value) => String(value).padStart(2, '0');
+        return `D:${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+    }
+
+    /**
+     * Compact number formatting for content streams
+     */
+    num(value) {
+        return Number(value.toFixed(3)).toString();
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PDFWriter;
+} else {
+    window.PDFWriter = PDFWriter;
+}
\ No newline at end of file
@@ -0,0 +1,357 @@
+/**
+ * Perspective Analysis Module
+ * Estimates one-, two- and three-point vanishing points from detected line
+ * segments and snaps near-convergent strokes to them
+ */
+
+class PerspectiveAnalysis {
+    constructor(options = {}) {
+        // Segments within this angle (degrees) of a vanishing direction vote for it
+        this.inlierAngle = options.inlierAngle || 2.5;
+        
+        // Only the longest segments are paired to generate candidates
+        this.maxCandidateSegments = options.maxCandidateSegments || 60;
+        
+        // Minimum share of total segment length a vanishing point must explain
+        this.minSupport = options.minSupport || 0.08;
+        
+        // Vanishing points further than this many image diagonals count as infinite
+        this.infinityDistance = options.infinityDistance || 8;
+    }
+
+    /**
+     * Estimate vanishing points for a set of line segments
+     * Returns { type, vanishingPoints, horizonY } where type is
+     * 'none', 'one-point', 'two-point' or 'three-point'.
+     */
+    estimateVanishingPoints(segments, width, height) {
+        const empty = { type: 'none', vanishingPoints: [], horizonY: null, width, height };
+        if (!segments || segments.length < 2) return empty;
+        
+        // Work in normalized coordinates centred on the image for numeric stability
+        const scale = Math.sqrt(width * width + height * height) / 2;
+        const cx = width / 2;
+        const cy = height / 2;
+        
+        let remaining = segments
+            .map(segment => this.normalizeSegment(segment, cx, cy, scale))
+            .filter(segment => segment.length > 0);
+        
+        const totalLength = remaining.reduce((sum, segment) => sum + segment.length, 0);
+        const vanishingPoints = [];
+        
+        for (let i = 0; i < 3 && remaining.length >= 2; i++) {
+            const best = this.findBestVanishingPoint(remaining);
+            if (!best || best.score < totalLength * this.minSupport) break;
+            
+            vanishingPoints.push(this.denormalizePoint(best.point, cx, cy, scale, best.score / totalLength));
+            remaining = remaining.filter(segment => this.segmentAngleToPoint(segment, best.point) > this.inlierAngle);
+        }
+        
+        return this.classifyVanishingPoints(vanishingPoints, width, height);
+    }
+
+    /**
+     * Convert a segment to normalized homogeneous form
+     */
+    normalizeSegment(segment, cx, cy, scale) {
+        const x1 = (segment.x1 - cx) / scale;
+        const y1 = (segment.y1 - cy) / scale;
+        const x2 = (segment.x2 - cx) / scale;
+        const y2 = (segment.y2 - cy) / scale;
+        
+        return {
+            x1, y1, x2, y2,
+            mx: (x1 + x2) / 2,
+            my: (y1 + y2) / 2,
+            line: this.cross([x1, y1, 1], [x2, y2, 1]),
+            length: Math.hypot(x2 - x1, y2 - y1) * (segment.strength !== undefined ? segment.strength : 1)
+        };
+    }
+
+    /**
+     * Pair long segments to generate candidates and keep the best supported one
+     */
+    findBestVanishingPoint(segments) {
+        const candidates = segments
+            .slice()
+            .sort((a, b) => b.length - a.length)
+            .slice(0, this.maxCandidateSegments);
+        
+        let best = null;
+        
+        for (let i = 0; i < candidates.length; i++) {
+            for (let j = i + 1; j < candidates.length; j++) {
+                const point = this.cross(candidates[i].line, candidates[j].line);
+                const norm = Math.hypot(point[0], point[1], point[2]);
+                if (norm < 1e-12) continue;
+                
+                point[0] /= norm;
+                point[1] /= norm;
+                point[2] /= norm;
+                
+                const score = this.scoreVanishingPoint(point, segments);
+                if (!best || score > best.score) {
+                    best = { point, score };
+                }
+            }
+        }
+        
+        return best;
+    }
+
+    /**
+     * Sum of segment lengths consistent with a vanishing point
+     */
+    scoreVanishingPoint(point, segments) {
+        let score = 0;
+        
+        for (const segment of segments) {
+            const angle = this.segmentAngleToPoint(segment, point);
+            if (angle < this.inlierAngle) {
+                score += segment.length * (1 - angle / this.inlierAngle);
+            }
+        }
+        
+        return score;
+    }
+
+    /**
+     * Angle in degrees between a segment and the direction from its midpoint to a point
+     * Homogeneous points with w = 0 are treated as directions at infinity.
+     */
+    segmentAngleToPoint(segment, point) {
+        const [px, py, pw] = point;
+        let dx;
+        let dy;
+        
+        if (Math.abs(pw) < 1e-9) {
+            dx = px;
+            dy = py;
+        } else {
+            dx = px / pw - segment.mx;
+            dy = py / pw - segment.my;
+        }
+        
+        const sx = segment.x2 - segment.x1;
+        const sy = segment.y2 - segment.y1;
+        const denom = Math.hypot(dx, dy) * Math.hypot(sx, sy);
+        if (denom === 0) return 90;
+        
+        // Lines are undirected, so fold the angle into [0, 90]
+        const cos = Math.min(1, Math.abs(dx * sx + dy * sy) / denom);
+        return Math.acos(cos) * 180 / Math.PI;
+    }
+
+    /**
+     * Convert a normalized homogeneous point back to pixel space
+     */
+    denormalizePoint(point, cx, cy, scale, support) {
+        const [px, py, pw] = point;
+        const distance = Math.abs(pw) < 1e-9 ? Infinity : Math.hypot(px / pw, py / pw);
+        
+        if (distance > this.infinityDistance * 2) {
+            // Parallel lines: keep only the direction
+            const length = Math.hypot(px, py) || 1;
+            return {
+                x: null,
+                y: null,
+                infinite: true,
+                direction: { x: px / length, y: py / length },
+                support
+            };
+        }
+        
+        return {
+            x: cx + (px / pw) * scale,
+            y: cy + (py / pw) * scale,
+            infinite: false,
+            direction: null,
+            support
+        };
+    }
+
+    /**
+     * Decide between one-, two- and three-point perspective
+     */
+    classifyVanishingPoints(vanishingPoints, width, height) {
+        const finite = vanishingPoints.filter(vp => !vp.infinite);
+        
+        // Label each vanishing point by the orientation of its lines
+        vanishingPoints.forEach(vp => {
+            if (vp.infinite) {
+                vp.role = Math.abs(vp.direction.y) > Math.abs(vp.direction.x) ? 'vertical' : 'horizontal';
+            } else {
+                const dx = Math.abs(vp.x - width / 2);
+                const dy = Math.abs(vp.y - height / 2);
+                vp.role = dy > dx * 2 && dy > height ? 'vertical' : 'horizon';
+            }
+        });
+        
+        const horizonPoints = finite.filter(vp => vp.role === 'horizon');
+        const verticalPoints = finite.filter(vp => vp.role === 'vertical');
+        
+        let type = 'none';
+        if (horizonPoints.length >= 2 && verticalPoints.length >= 1) {
+            type = 'three-point';
+        } else if (horizonPoints.length >= 2) {
+            type = 'two-point';
+        } else if (horizonPoints.length === 1) {
+            type = 'one-point';
+        }
+        
+        const horizonY = horizonPoints.length > 0 ?
+            horizonPoints.reduce((sum, vp) => sum + vp.y * vp.support, 0) /
+            horizonPoints.reduce((sum, vp) => sum + vp.support, 0) : null;
+        
+        return { type, vanishingPoints, horizonY, width, height };
+    }
+
+    /**
+     * Find the vanishing point a segment converges to, if any
+     * Returns { vanishingPoint, angle } or null when no point is within maxAngle.
+     */
+    findConvergence(segment, perspective, maxAngle = 4) {
+        if (!perspective || perspective.vanishingPoints.length === 0) return null;
+        
+        const mx = (segment.x1 + segment.x2) / 2;
+        const my = (segment.y1 + segment.y2) / 2;
+        const sx = segment.x2 - segment.x1;
+        const sy = segment.y2 - segment.y1;
+        const segmentLength = Math.hypot(sx, sy);
+        if (segmentLength === 0) return null;
+        
+        let best = null;
+        
+        perspective.vanishingPoints.forEach(vp => {
+            const dx = vp.infinite ? vp.direction.x : vp.x - mx;
+            const dy = vp.infinite ? vp.direction.y : vp.y - my;
+            const length = Math.hypot(dx, dy);
+            if (length === 0) return;
+            
+            const cos = Math.min(1, Math.abs(dx * sx + dy * sy) / (length * segmentLength));
+            const angle = Math.acos(cos) * 180 / Math.PI;
+            
+            if (angle <= maxAngle && (!best || angle < best.angle)) {
+                best = { vanishingPoint: vp, angle, direction: { x: dx / length, y: dy / length } };
+            }
+        });
+        
+        return best;
+    }
+
+    /**
+     * Rotate near-convergent segments about their midpoint so they hit the vanishing point
+     */
+    snapSegments(segments, perspective, maxAngle = 4) {
+        if (!segments) return segments;
+        
+        return segments.map(segment => {
+            const convergence = this.findConvergence(segment, perspective, maxAngle);
+            if (!convergence) return segment;
+            
+            const mx = (segment.x1 + segment.x2) / 2;
+            const my = (segment.y1 + segment.y2) / 2;
+            const half = Math.hypot(segment.x2 - segment.x1, segment.y2 - segment.y1) / 2;
+            let { x: ux, y: uy } = convergence.direction;
+            
+            // Keep the original endpoint order
+            if (ux * (segment.x2 - segment.x1) + uy * (segment.y2 - segment.y1) < 0) {
+                ux = -ux;
+                uy = -uy;
+            }
+            
+            return {
+                ...segment,
+                x1: mx - ux * half,
+                y1: my - uy * half,
+                x2: mx + ux * half,
+                y2: my + uy * half,
+                vanishingPoint: convergence.vanishingPoint
+            };
+        });
+    }
+
+    /**
+     * Project the points of nearly straight strokes onto their snapped line
+     * Strokes are point arrays; they are modified in place.
+     */
+    snapStrokes(strokes, perspective, options = {}) {
+        const {
+            maxAngle = 4,
+            minStraightness = 0.95,
+            minLength = 20
+        } = options;
+        
+        strokes.forEach(stroke => {
+            if (stroke.length < 2) return;
+            
+            const first = stroke[0];
+            const last = stroke[stroke.length - 1];
+            const chord = Math.hypot(last.x - first.x, last.y - first.y);
+            if (chord < minLength) return;
+            
+            let pathLength = 0;
+            for (let i = 1; i < stroke.length; i++) {
+                pathLength += Math.hypot(stroke[i].x - stroke[i - 1].x, stroke[i].y - stroke[i - 1].y);
+            }
+            if (pathLength === 0 || chord / pathLength < minStraightness) return;
+            
+            const convergence = this.findConvergence(
+                { x1: first.x, y1: first.y, x2: last.x, y2: last.y },
+                perspective,
+                maxAngle
+            );
+            if (!convergence) return;
+            
+            const mx = (first.x + last.x) / 2;
+            const my = (first.y + last.y) / 2;
+            const { x: ux, y: uy } = convergence.direction;
+            
+            stroke.forEach(point => {
+                const t = (point.x - mx) * ux + (point.y - my) * uy;
+                point.x = mx + ux * t;
+                point.y = my + uy * t;
+            });
+            
+            stroke.vanishingPoint = convergence.vanishingPoint;
+        });
+        
+        return strokes;
+    }
+
+    /**
+     * Depth weight for a position: 1 near the viewer, smaller towards the vanishing point
+     * Returns null when there is no finite vanishing point to measure against.
+     */
+    depthWeight(position, perspective) {
+        if (!perspective) return null;
+        
+        const finite = perspective.vanishingPoints.filter(vp => !vp.infinite && vp.role === 'horizon');
+        if (finite.length === 0) return null;
+        
+        const diagonal = Math.hypot(perspective.width, perspective.height);
+        const nearest = finite.reduce((min, vp) =>
+            Math.min(min, Math.hypot(position.x - vp.x, position.y - vp.y)), Infinity);
+        
+        return Math.max(0.3, Math.min(1, 0.3 + nearest / (diagonal * 0.5)));
+    }
+
+    /**
+     * Homogeneous cross product
+     */
+    cross(a, b) {
+        return [
+            a[1] * b[2] - a[2] * b[1],
+            a[2] * b[0] - a[0] * b[2],
+            a[0] * b[1] - a[1] * b[0]
+        ];
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PerspectiveAnalysis;
+} else {
+    window.PerspectiveAnalysis = PerspectiveAnalysis;
+}
\ No newline at end of file
@@ -0,0 +1,139 @@
+/**
+ * Pipeline Tasks Module
+ * The pixel pipelines of ImageProcessor, EdgeDetection and MaterialDetection
+ * as named tasks over plain payloads, so the same code runs inside a worker
+ * (pipelineWorker.js) or on the main thread when workers are unavailable
+ */
+
+class PipelineTasks {
+    constructor() {
+        this.edgeDetection = typeof EdgeDetection !== 'undefined' ? new EdgeDetection() : null;
+        this.materialDetection = typeof MaterialDetection !== 'undefined' ? new MaterialDetection() : null;
+        this.imageProcessor = null;
+    }
+
+    /**
+     * Run a task by name; progress(fraction, stage) reports completed stages
+     */
+    async run(task, payload = {}, progress = () => {}) {
+        const handlers = {
+            grayscale: () => this.getImageProcessor(payload.imageData).toGrayscale(payload.imageData),
+            gaussianBlur: () => this.getImageProcessor(payload.imageData).gaussianBlur(payload.imageData, payload.radius),
+            convolve: () => this.getImageProcessor(payload.imageData).convolve(payload.imageData, payload.kernel),
+            detectEdges: () => this.requireEdgeDetection().detectEdges(payload.imageData, payload.threshold),
+            morphologicalThinning: () => this.requireEdgeDetection().morphologicalThinning(payload.imageData),
+            edgePipeline: () => this.edgePipeline(payload, progress),
+            detectMaterials: () => this.requireMaterialDetection().detectMaterials(payload.imageData, payload.options),
+            segmentMaterials: () => this.requireMaterialDetection().segmentMaterials(payload.imageData, payload.options)
+        };
+        
+        if (!handlers[task]) {
+            throw new Error(`Unknown pipeline task: ${task}`);
+        }
+        
+        const result = await handlers[task]();
+        progress(1, task);
+        return result;
+    }
+
+    /**
+     * Grayscale, blur and architectural edge detection of a photo
+     * Returns { imageData, lineSegments } since extra properties on ImageData
+     * don't survive the trip back from a worker.
+     */
+    edgePipeline(payload, progress) {
+        const { imageData, blurRadius = 1, settings = {} } = payload;
+        const imageProcessor = this.getImageProcessor(imageData);
+        const edgeDetection = this.requireEdgeDetection();
+        
+        const grayscale = imageProcessor.toGrayscale(imageData);
+        progress(0.1, 'grayscale');
+        
+        const blurred = imageProcessor.gaussianBlur(grayscale, blurRadius);
+        progress(0.25, 'blur');
+        
+        // The stages of detectArchitecturalEdges, run one by one to report progress
+        let edges = edgeDetection.detectArchitecturalEdges(blurred, { ...settings, thinning: false, detectLines: false });
+        progress(0.55, 'edges');
+        
+        if (settings.thinning !== false) {
+            edges = edgeDetection.morphologicalThinning(edges);
+        }
+        progress(0.8, 'thinning');
+        
+        const lineSegments = settings.detectLines ? edgeDetection.detectLineSegments(edges, settings.lineOptions || {}) : null;
+        
+        return { imageData: edges, lineSegments };
+    }
+
+    /**
+     * ImageProcessor sized for an image; its pixel methods read width and height from it
+     */
+    getImageProcessor(imageData) {
+        if (!this.imageProcessor) {
+            this.imageProcessor = new ImageProcessor(this.createCanvas(1, 1), this.createCanvas(1, 1));
+        }
+        
+        this.imageProcessor.width = imageData.width;
+        this.imageProcessor.height = imageData.height;
+        return this.imageProcessor;
+    }
+
+    /**
+     * Canvas that works with or without a DOM
+     */
+    createCanvas(width, height) {
+        if (typeof OffscreenCanvas !== 'undefined') {
+            return new OffscreenCanvas(width, height);
+        }
+        
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    }
+
+    /**
+     * EdgeDetection, or an error naming the missing module
+     */
+    requireEdgeDetection() {
+        if (!this.edgeDetection) {
+            throw new Error('EdgeDetection is not loaded');
+        }
+        return this.edgeDetection;
+    }
+
+    /**
+     * MaterialDetection, or an error naming the missing module
+     */
+    requireMaterialDetection() {
+        if (!this.materialDetection) {
+            throw new Error('MaterialDetection is not loaded');
+        }
+        return this.materialDetection;
+    }
+
+    /**
+     * Pixel buffers in a task result that can be transferred instead of copied
+     */
+    static getTransferables(result) {
+        const buffers = [];
+        const visit = (value) => {
+            if (!value || typeof value !== 'object') return;
+            if (value.data && value.data.buffer instanceof ArrayBuffer && typeof value.width === 'number') {
+                buffers.push(value.data.buffer);
+            } else if (!Array.isArray(value)) {
+                Object.values(value).forEach(visit);
+            }
+        };
+        visit(result);
+        return buffers;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PipelineTasks;
+} else {
+    window.PipelineTasks = PipelineTasks;
+}
\ No newline at end of file
@@ -0,0 +1,31 @@
+/**
+ * Pipeline Worker
+ * Worker entry point for WorkerPool: runs PipelineTasks off the main thread
+ * and transfers pixel buffers back instead of copying them
+ *
+ * Messages in:  { id, task, payload }
+ * Messages out: { id, type: 'progress', progress, stage }
+ *               { id, type: 'result', result }
+ *               { id, type: 'error', message }
+ */
+
+// The modules register themselves on window when there is no module system
+self.window = self;
+
+importScripts('imageProcessor.js', 'edgeDetection.js', 'strokeVectorizer.js', 'materialDetection.js', 'materialLibrary.js', 'pipelineTasks.js');
+
+const pipelineTasks = new PipelineTasks();
+
+self.onmessage = async (e) => {
+    const { id, task, payload } = e.data;
+    const progress = (value, stage) => {
+        self.postMessage({ id, type: 'progress', progress: value, stage });
+    };
+    
+    try {
+        const result = await pipelineTasks.run(task, payload, progress);
+        self.postMessage({ id, type: 'result', result }, PipelineTasks.getTransferables(result));
+    } catch (error) {
+        self.postMessage({ id, type: 'error', message: error.message });
+    }
+};
\ No newline at end of file
@@ -0,0 +1,566 @@
+/**
+ * Presentation Board Module
+ * Lays out the original photo, the sketch, the material legend, room analysis
+ * and design recommendations on client-ready PDF pages with a title block
+ */
+
+class PresentationBoard {
+    constructor(options = {}) {
+        this.materialDetection = options.materialDetection ||
+            (typeof MaterialDetection !== 'undefined' ? new MaterialDetection() : null);
+        this.interiorDesignAI = options.interiorDesignAI ||
+            (typeof InteriorDesignAI !== 'undefined' ? new InteriorDesignAI(options.aiProcessor || null) : null);
+        
+        // Material detection runs in a worker when a pool is given
+        this.workerPool = options.workerPool || null;
+        
+        this.templates = {
+            grid: { name: 'Grid', description: 'Photo and sketch above, analysis columns below' },
+            'before-after': { name: 'Before / After', description: 'Full-page side-by-side comparison with notes sheets' },
+            'mood-board': { name: 'Mood Board', description: 'Large sketch with photo and material swatches' }
+        };
+        
+        this.colors = {
+            ink: '#2d3748',
+            muted: '#718096',
+            rule: '#cbd5e0'
+        };
+        
+        // Page geometry in points
+        this.margin = options.margin || 36;
+        this.gutter = 18;
+        this.titleBlockHeight = 54;
+        
+        // Analysis runs on a downscaled copy; the detectors don't need full resolution
+        this.analysisSize = options.analysisSize || 512;
+    }
+
+    /**
+     * Run material detection and room analysis on an image
+     * Either result is null when its module is unavailable.
+     */
+    async analyze(imageData) {
+        let materials = null;
+        let room = null;
+        
+        if (this.workerPool) {
+            materials = await this.workerPool.run('detectMaterials', { imageData });
+        } else if (this.materialDetection) {
+            materials = await this.materialDetection.detectMaterials(imageData);
+        }
+        
+        if (this.interiorDesignAI) {
+            room = await this.interiorDesignAI.analyzeRoomType(imageData, materials?.materials || {});
+        }
+        
+        return { materials, room };
+    }
+
+    /**
+     * Downscaled image data from a canvas for analysis
+     */
+    getAnalysisImageData(canvas) {
+        const scale = Math.min(1, this.analysisSize / Math.max(canvas.width, canvas.height));
+        const width = Math.max(1, Math.round(canvas.width * scale));
+        const height = Math.max(1, Math.round(canvas.height * scale));
+        
+        if (scale === 1) {
+            return canvas.getContext('2d').getImageData(0, 0, width, height);
+        }
+        
+        const scaled = document.createElement('canvas');
+        scaled.width = width;
+        scaled.height = height;
+        const ctx = scaled.getContext('2d');
+        ctx.drawImage(canvas, 0, 0, width, height);
+        return ctx.getImageData(0, 0, width, height);
+    }
+
+    /**
+     * Build the board PDF
+     * @param {Object} options - originalCanvas, sketchCanvas, template, project
+     *   ({ name, designer, client, date }), pageSize, orientation, analysis, imageQuality
+     * @returns {Blob} PDF document
+     */
+    async createBoard(options = {}) {
+        const {
+            originalCanvas,
+            sketchCanvas,
+            template = 'grid',
+            pageSize = 'a3',
+            orientation = 'landscape',
+            imageQuality = 0.9
+        } = options;
+        
+        if (typeof PDFWriter === 'undefined') {
+            throw new Error('PDF writer not available');
+        }
+        if (!this.templates[template]) {
+            throw new Error(`Unknown presentation template: ${template}`);
+        }
+        if (!originalCanvas || !sketchCanvas) {
+            throw new Error('Presentation board needs both the original and the sketch');
+        }
+        
+        const project = this.normalizeProject(options.project);
+        const analysis = options.analysis || await this.analyze(this.getAnalysisImageData(originalCanvas));
+        
+        const writer = new PDFWriter({ title: project.name, author: project.designer });
+        const images = {
+            original: this.addCanvasImage(writer, originalCanvas, imageQuality),
+            sketch: this.addCanvasImage(writer, sketchCanvas, imageQuality)
+        };
+        
+        const context = { writer, images, analysis, pageSize, orientation };
+        
+        switch (template) {
+            case 'before-after':
+                this.layoutBeforeAfter(context);
+                break;
+            case 'mood-board':
+                this.layoutMoodBoard(context);
+                break;
+            default:
+                this.layoutGrid(context);
+        }
+        
+        // Title blocks go on last so every sheet knows the page count
+        writer.pages.forEach((page, index) => {
+            this.drawTitleBlock(writer, page, project, template, index + 1, writer.pages.length);
+        });
+        
+        return writer.toBlob();
+    }
+
+    /**
+     * Fill in default project fields
+     */
+    normalizeProject(project = {}) {
+        return {
+            name: project.name || 'Untitled Project',
+            designer: project.designer || '',
+            client: project.client || '',
+            date: project.date || new Date().toLocaleDateString()
+        };
+    }
+
+    /**
+     * Embed a canvas as a JPEG image
+     */
+    addCanvasImage(writer, canvas, quality) {
+        const bytes = writer.dataURLToBytes(canvas.toDataURL('image/jpeg', quality));
+        return writer.addJPEGImage(bytes, canvas.width, canvas.height);
+    }
+    
+    // ===== TEMPLATES =====
+
+    /**
+     * Grid: images across the top, analysis columns underneath
+     */
+    layoutGrid(context) {
+        const { writer, images } = context;
+        const page = this.addBoardPage(context);
+        const area = this.getContentArea(page);
+        
+        const imageHeight = area.height * 0.6;
+        const imageWidth = (area.width - this.gutter) / 2;
+        
+        this.placeImage(writer, page, images.original, { x: area.x, y: area.y, width: imageWidth, height: imageHeight }, 'Existing');
+        this.placeImage(writer, page, images.sketch, { x: area.x + imageWidth + this.gutter, y: area.y, width: imageWidth, height: imageHeight }, 'Sketch');
+        
+        const columnsTop = area.y + imageHeight + this.gutter;
+        const columns = this.splitColumns({
+            x: area.x,
+            y: columnsTop,
+            width: area.width,
+            height: area.y + area.height - columnsTop
+        }, 3);
+        
+        const blocks = this.buildContentBlocks(context.analysis);
+        const remaining = this.flowBlocks(writer, page, blocks, columns);
+        this.addNotesPages(context, remaining);
+    }
+
+    /**
+     * Before / after: one full-page comparison, analysis on notes sheets
+     */
+    layoutBeforeAfter(context) {
+        const { writer, images } = context;
+        const page = this.addBoardPage(context);
+        const area = this.getContentArea(page);
+        const imageWidth = (area.width - this.gutter) / 2;
+        
+        this.placeImage(writer, page, images.original, { x: area.x, y: area.y, width: imageWidth, height: area.height }, 'Before');
+        this.placeImage(writer, page, images.sketch, { x: area.x + imageWidth + this.gutter, y: area.y, width: imageWidth, height: area.height }, 'After');
+        
+        this.addNotesPages(context, this.buildContentBlocks(context.analysis));
+    }
+
+    /**
+     * Mood board: large sketch, photo and swatches alongside, recommendations on notes sheets
+     */
+    layoutMoodBoard(context) {
+        const { writer, images, analysis } = context;
+        const page = this.addBoardPage(context);
+        const area = this.getContentArea(page);
+        
+        const sketchWidth = area.width * 0.62;
+        const sideX = area.x + sketchWidth + this.gutter;
+        const sideWidth = area.width - sketchWidth - this.gutter;
+        const photoHeight = area.height * 0.4;
+        
+        this.placeImage(writer, page, images.sketch, { x: area.x, y: area.y, width: sketchWidth, height: area.height }, 'Sketch');
+        this.placeImage(writer, page, images.original, { x: sideX, y: area.y, width: sideWidth, height: photoHeight }, 'Existing');
+        
+        const sideTop = area.y + photoHeight + this.gutter;
+        const sideColumns = this.splitColumns({
+            x: sideX,
+            y: sideTop,
+            width: sideWidth,
+            height: area.y + area.height - sideTop
+        }, 2);
+        
+        const sideBlocks = this.buildMaterialBlocks(analysis.materials, { swatchSize: 22 })
+            .concat(this.buildRoomBlocks(analysis.room));
+        const remaining = this.flowBlocks(writer, page, sideBlocks, sideColumns);
+        
+        this.addNotesPages(context, remaining.concat(this.buildRecommendationBlocks(analysis.room)));
+    }
+    
+    // ===== PAGE STRUCTURE =====
+
+    /**
+     * Add a page in the board's size and orientation
+     */
+    addBoardPage(context) {
+        return context.writer.addPage({ pageSize: context.pageSize, orientation: context.orientation });
+    }
+
+    /**
+     * Printable area above the title block
+     */
+    getContentArea(page) {
+        return {
+            x: this.margin,
+            y: this.margin,
+            width: page.width - this.margin * 2,
+            height: page.height - this.margin * 2 - this.titleBlockHeight - this.gutter
+        };
+    }
+
+    /**
+     * Split a box into equal columns separated by the gutter
+     */
+    splitColumns(box, count) {
+        const width = (box.width - this.gutter * (count - 1)) / count;
+        
+        return Array.from({ length: count }, (_, i) => ({
+            x: box.x + i * (width + this.gutter),
+            y: box.y,
+            width,
+            height: box.height
+        }));
+    }
+
+    /**
+     * Add as many three-column notes pages as the remaining blocks need
+     */
+    addNotesPages(context, blocks) {
+        let remaining = blocks;
+        
+        while (remaining.length > 0) {
+            const page = this.addBoardPage(context);
+            const columns = this.splitColumns(this.getContentArea(page), 3);
+            remaining = this.flowBlocks(context.writer, page, remaining, columns, { forceFirst: true });
+        }
+    }
+
+    /**
+     * Architectural title block along the bottom of a sheet
+     */
+    drawTitleBlock(writer, page, project, template, pageNumber, pageCount) {
+        const x = this.margin;
+        const y = page.height - this.margin - this.titleBlockHeight;
+        const width = page.width - this.margin * 2;
+        const height = this.titleBlockHeight;
+        
+        writer.drawRect(page, x, y, width, height, { stroke: this.colors.ink, lineWidth: 1 });
+        
+        const cells = [
+            { label: 'Project', value: project.name, weight: 3, bold: true },
+            { label: 'Client', value: project.client || '-', weight: 1.5 },
+            { label: 'Designer', value: project.designer || '-', weight: 1.5 },
+            { label: 'Date', value: project.date, weight: 1 },
+            { label: 'Sheet', value: `${pageNumber} of ${pageCount}`, weight: 1 }
+        ];
+        const totalWeight = cells.reduce((sum, cell) => sum + cell.weight, 0);
+        
+        let cellX = x;
+        cells.forEach((cell, index) => {
+            const cellWidth = width * cell.weight / totalWeight;
+            if (index > 0) {
+                writer.drawLine(page, cellX, y, cellX, y + height, { color: this.colors.ink, lineWidth: 0.5 });
+            }
+            
+            writer.drawText(page, cell.label.toUpperCase(), cellX + 8, y + 9, { size: 7, color: this.colors.muted });
+            writer.drawText(page, this.truncateText(writer, cell.value, cellWidth - 16, cell.bold ? 16 : 11, cell.bold ? 'bold' : 'regular'),
+                cellX + 8, y + 22, { size: cell.bold ? 16 : 11, font: cell.bold ? 'bold' : 'regular', color: this.colors.ink });
+            
+            cellX += cellWidth;
+        });
+        
+        writer.drawText(page, `${this.templates[template].name} board`, x + width, y + height + 4,
+            { size: 7, color: this.colors.muted, align: 'right' });
+    }
+
+    /**
+     * Place an image inside a box, keeping its aspect ratio, with a caption underneath
+     */
+    placeImage(writer, page, image, box, caption) {
+        const captionHeight = caption ? 16 : 0;
+        const availableHeight = box.height - captionHeight;
+        const scale = Math.min(box.width / image.width, availableHeight / image.height);
+        const width = image.width * scale;
+        const height = image.height * scale;
+        const x = box.x + (box.width - width) / 2;
+        const y = box.y + (availableHeight - height) / 2;
+        
+        writer.drawImage(page, image, x, y, width, height);
+        writer.drawRect(page, x, y, width, height, { stroke: this.colors.rule, lineWidth: 0.5 });
+        
+        if (caption) {
+            writer.drawText(page, caption.toUpperCase(), x, y + height + 5, { size: 8, font: 'bold', color: this.colors.muted });
+        }
+    }
+
+    /**
+     * Shorten text with an ellipsis so it fits a width
+     */
+    truncateText(writer, text, maxWidth, size, font) {
+        let value = String(text);
+        if (writer.measureText(value, size, font) <= maxWidth) return value;
+        
+        while (value.length > 1 && writer.measureText(`${value}...`, size, font) > maxWidth) {
+            value = value.slice(0, -1);
+        }
+        return `${value.trimEnd()}...`;
+    }
+    
+    // ===== CONTENT BLOCKS =====
+
+    /**
+     * All analysis content in reading order
+     */
+    buildContentBlocks(analysis) {
+        return this.buildMaterialBlocks(analysis.materials)
+            .concat(this.buildRoomBlocks(analysis.room))
+            .concat(this.buildRecommendationBlocks(analysis.room));
+    }
+
+    /**
+     * Material legend from the MaterialDetection result and its summary
+     */
+    buildMaterialBlocks(materials, options = {}) {
+        const { swatchSize = 12 } = options;
+        const blocks = [{ type: 'heading', text: 'Material Legend' }];
+        
+        if (!materials || !materials.success || !materials.summary || materials.summary.totalMaterials === 0) {
+            blocks.push({ type: 'text', text: 'No materials were detected above the confidence threshold.', muted: true });
+            return blocks;
+        }
+        
+        const summary = materials.summary;
+        blocks.push({
+            type: 'text',
+            text: `Primary material: ${this.formatLabel(summary.primaryMaterial)}. ${summary.totalMaterials} detected, average confidence ${summary.averageConfidence}%.`,
+            muted: true
+        });
+        
+        summary.detectedMaterials
+            .slice()
+            .sort((a, b) => materials.materials[b].confidence - materials.materials[a].confidence)
+            .forEach(name => {
+                const material = materials.materials[name];
+                const texture = material.properties?.textureType;
+                
+                blocks.push({
+                    type: 'swatch',
+                    color: this.getMaterialColor(name, material),
+                    size: swatchSize,
+                    label: this.formatLabel(name),
+                    detail: `${material.confidence}% confidence${texture ? `, ${texture} texture` : ''}`
+                });
+            });
+        
+        return blocks;
+    }
+
+    /**
+     * Room type and design style from the InteriorDesignAI result
+     */
+    buildRoomBlocks(room) {
+        const blocks = [{ type: 'heading', text: 'Room Analysis' }];
+        
+        if (!room || !room.success) {
+            blocks.push({ type: 'text', text: 'Room analysis is not available for this image.', muted: true });
+            return blocks;
+        }
+        
+        blocks.push({ type: 'text', text: `Room type: ${this.formatLabel(room.roomType)} (${room.confidence}% confidence)` });
+        
+        if (room.alternativeTypes && room.alternativeTypes.length > 0) {
+            const alternatives = room.alternativeTypes
+                .map(alternative => this.formatLabel(alternative.type || alternative))
+                .join(', ');
+            blocks.push({ type: 'text', text: `Also consistent with: ${alternatives}`, muted: true });
+        }
+        
+        if (room.styleAnalysis) {
+            blocks.push({ type: 'text', text: `Design style: ${this.formatLabel(room.styleAnalysis.primaryStyle)} (${room.styleAnalysis.confidence}% confidence)` });
+            
+            const styleElements = (room.styleAnalysis.styleElements || [])
+                .filter(element => element.present)
+                .map(element => element.element);
+            if (styleElements.length > 0) {
+                blocks.push({ type: 'text', text: `Style elements: ${styleElements.join(', ')}`, muted: true });
+            }
+        }
+        
+        if (room.detectedElements && room.detectedElements.length > 0) {
+            blocks.push({ type: 'text', text: `Detected elements: ${room.detectedElements.map(element => this.formatLabel(element.type || element)).join(', ')}` });
+        }
+        
+        return blocks;
+    }
+
+    /**
+     * Recommendation groups from the InteriorDesignAI result
+     */
+    buildRecommendationBlocks(room) {
+        if (!room || !room.success || !room.recommendations || room.recommendations.length === 0) {
+            return [];
+        }
+        
+        const blocks = [{ type: 'heading', text: 'Recommendations' }];
+        
+        room.recommendations.forEach(group => {
+            blocks.push({ type: 'subheading', text: group.title });
+            group.suggestions.forEach(suggestion => {
+                blocks.push({ type: 'bullet', text: `${this.formatLabel(suggestion.item)}: ${suggestion.reason}` });
+            });
+        });
+        
+        return blocks;
+    }
+
+    /**
+     * Swatch color: the material's reference color from MaterialDetection
+     * Dominant colors are measured over the whole image, so they only serve as a fallback.
+     */
+    getMaterialColor(name, material) {
+        const dominant = material.properties?.dominantColors?.[0];
+        const reference = this.materialDetection?.materials?.[name]?.colors?.[0];
+        const [r, g, b] = reference || (dominant ? [dominant.r, dominant.g, dominant.b] : [160, 160, 160]);
+        
+        return `rgb(${r}, ${g}, ${b})`;
+    }
+
+    /**
+     * "living_room" -> "Living room"
+     */
+    formatLabel(value) {
+        const text = String(value || 'unknown').replace(/_/g, ' ');
+        return text.charAt(0).toUpperCase() + text.slice(1);
+    }
+    
+    // ===== BLOCK LAYOUT =====
+
+    /**
+     * Flow blocks down a chain of columns
+     * Returns the blocks that did not fit. With forceFirst, a block too tall for an
+     * empty column is drawn clipped rather than carried over forever.
+     */
+    flowBlocks(writer, page, blocks, columns, options = {}) {
+        const { forceFirst = false } = options;
+        let index = 0;
+        
+        for (const column of columns) {
+            let y = column.y;
+            
+            while (index < blocks.length) {
+                const block = blocks[index];
+                const atTop = y === column.y;
+                
+                // Don't leave a heading stranded at the bottom of a column
+                const keepWithNext = (block.type === 'heading' || block.type === 'subheading') && blocks[index + 1] ?
+                    this.measureBlock(writer, blocks[index + 1], column.width) : 0;
+                const height = this.measureBlock(writer, block, column.width);
+                
+                if (y + height + keepWithNext > column.y + column.height && !(atTop && forceFirst)) break;
+                
+                this.drawBlock(writer, page, block, column.x, y, column.width, column.y + column.height - y);
+                y += height;
+                index++;
+            }
+        }
+        
+        return blocks.slice(index);
+    }
+
+    /**
+     * Height of a block in points, including its spacing
+     */
+    measureBlock(writer, block, width) {
+        switch (block.type) {
+            case 'heading':
+                return 22;
+            case 'subheading':
+                return 16;
+            case 'swatch': {
+                const lines = writer.wrapText(block.detail, width - block.size - 8, 8).length;
+                return Math.max(block.size, 12 + lines * 10) + 6;
+            }
+            case 'bullet':
+                return writer.wrapText(block.text, width - 10, 9).length * 9 * 1.3 + 3;
+            default:
+                return writer.wrapText(block.text, width, 9).length * 9 * 1.3 + 4;
+        }
+    }
+
+    /**
+     * Draw a block at (x, y) in a column of the given width
+     */
+    drawBlock(writer, page, block, x, y, width, maxHeight) {
+        const ink = this.colors.ink;
+        
+        switch (block.type) {
+            case 'heading':
+                writer.drawText(page, block.text.toUpperCase(), x, y, { size: 10, font: 'bold', color: ink });
+                writer.drawLine(page, x, y + 14, x + width, y + 14, { color: this.colors.rule, lineWidth: 0.5 });
+                break;
+            case 'subheading':
+                writer.drawText(page, block.text, x, y + 2, { size: 9, font: 'bold', color: ink });
+                break;
+            case 'swatch':
+                writer.drawRect(page, x, y, block.size, block.size, { fill: block.color, stroke: this.colors.rule, lineWidth: 0.5 });
+                writer.drawText(page, block.label, x + block.size + 8, y, { size: 9, font: 'bold', color: ink });
+                writer.drawTextBlock(page, block.detail, x + block.size + 8, y + 12, width - block.size - 8,
+                    { size: 8, lineHeight: 1.25, color: this.colors.muted, maxHeight: maxHeight - 12 });
+                break;
+            case 'bullet':
+                writer.drawRect(page, x + 1, y + 3.5, 3, 3, { fill: ink });
+                writer.drawTextBlock(page, block.text, x + 10, y, width - 10, { size: 9, color: ink, maxHeight });
+                break;
+            default:
+                writer.drawTextBlock(page, block.text, x, y, width,
+                    { size: 9, color: block.muted ? this.colors.muted : ink, maxHeight });
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PresentationBoard;
+} else {
+    window.PresentationBoard = PresentationBoard;
+}
\ No newline at end of file
@@ -261,8 +261,8 @@ class PresetManager {
         
         // Get all form controls
         const controls = [
-            'stylePreset', 'edgeThreshold', 'lineVariation', 'lineThickness',
-            'processingMode', 'aiProvider', 'enableMaterialDetection',
+            'stylePreset', 'edgeThreshold', 'lineVariation', 'lineThickness', 'sketchSeed', 'washColorSource', 'shadingMode', 'constructionLines', 'paperType',
+            'processingMode', 'aiProvider', 'enableMaterialDetection', 'enableCallouts', 'tagScheme', 'tagFormat', 'annotationFont',
             'enableFurnitureDetection', 'enableRoomAnalysis',
             'primaryColor', 'secondaryColor', 'accentColor', 'neutralColor'
         ];
@@ -0,0 +1,413 @@
+/**
+ * Processing History Module
+ * Undo/redo stack of processing runs: the settings, a thumbnail and the full
+ * result of each run. Only the runs nearest the current one keep their pixels
+ * in memory; the others are compressed to PNG and kept in IndexedDB when the
+ * browser allows it, or as in-memory blobs otherwise. Every tab shares the
+ * database, so stored results are keyed by a per-session id and a session only
+ * removes its own results and ones left behind by sessions long gone.
+ */
+
+class ProcessingHistory {
+    constructor(options = {}) {
+        this.maxEntries = options.maxEntries || 20;
+        
+        // Full ImageData is kept for this many runs around the current one
+        this.maxInMemory = options.maxInMemory || 3;
+        
+        this.thumbnailSize = options.thumbnailSize || 96;
+        this.dbName = options.dbName || 'interiorDesign_history';
+        this.storeName = 'results';
+        this.sessionId = options.sessionId || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+        
+        // Results of other sessions untouched for this long are taken as abandoned
+        this.staleAfter = options.staleAfter || 2 * 24 * 60 * 60 * 1000;
+        this.useIndexedDB = options.useIndexedDB !== undefined ? options.useIndexedDB : typeof indexedDB !== 'undefined';
+        
+        this.entries = [];
+        this.index = -1;
+        this.nextId = 1;
+        this.dbPromise = null;
+        
+        // Compression runs one pass at a time so entries aren't encoded twice
+        this.compaction = Promise.resolve();
+    }
+
+    /**
+     * Record a processing run and make it the current entry
+     * Runs that were undone are discarded, as in any editor.
+     * extras may carry vectorData and sketchDocument; the document is
+     * released once the entry is compressed.
+     */
+    push(imageData, settings = {}, extras = {}) {
+        if (!imageData || !imageData.data) {
+            throw new Error('History entries need ImageData');
+        }
+        
+        this.removeEntries(this.entries.splice(this.index + 1));
+        
+        const entry = {
+            id: this.nextId++,
+            timestamp: Date.now(),
+            settings: { ...settings },
+            seed: extras.seed !== undefined ? extras.seed : null,
+            width: imageData.width,
+            height: imageData.height,
+            thumbnail: this.createThumbnail(imageData),
+            imageData,
+            vectorData: extras.vectorData || null,
+            sketchDocument: extras.sketchDocument || null,
+            blob: null,
+            stored: false
+        };
+        
+        this.entries.push(entry);
+        if (this.entries.length > this.maxEntries) {
+            this.removeEntries(this.entries.splice(0, this.entries.length - this.maxEntries));
+        }
+        this.index = this.entries.length - 1;
+        
+        this.scheduleCompaction();
+        return entry;
+    }
+
+    /**
+     * Whether there is an earlier run to go back to
+     */
+    canUndo() {
+        return this.index > 0;
+    }
+
+    /**
+     * Whether there is an undone run to go forward to
+     */
+    canRedo() {
+        return this.index < this.entries.length - 1;
+    }
+
+    /**
+     * Step back one run; resolves to { entry, imageData } or null
+     */
+    async undo() {
+        return this.canUndo() ? this.goTo(this.index - 1) : null;
+    }
+
+    /**
+     * Step forward one run; resolves to { entry, imageData } or null
+     */
+    async redo() {
+        return this.canRedo() ? this.goTo(this.index + 1) : null;
+    }
+
+    /**
+     * Make the run at a position current, loading its result if it was compressed
+     */
+    async goTo(index) {
+        const entry = this.entries[index];
+        if (!entry) {
+            throw new Error(`No history entry at ${index}`);
+        }
+        
+        const imageData = await this.getImageData(entry);
+        this.index = index;
+        this.scheduleCompaction();
+        
+        return { entry, imageData };
+    }
+
+    /**
+     * Current entry, or null when nothing has been processed
+     */
+    getCurrent() {
+        return this.entries[this.index] || null;
+    }
+
+    /**
+     * Entry before the current one, used by the compare view
+     */
+    getPrevious() {
+        return this.index > 0 ? this.entries[this.index - 1] : null;
+    }
+
+    /**
+     * Entry summaries for the history list, oldest first
+     */
+    getEntries() {
+        return this.entries.map((entry, index) => ({
+            id: entry.id,
+            index,
+            timestamp: entry.timestamp,
+            settings: entry.settings,
+            seed: entry.seed,
+            thumbnail: entry.thumbnail,
+            current: index === this.index,
+            compressed: !entry.imageData
+        }));
+    }
+
+    /**
+     * Full-size result of an entry, decompressing it when needed
+     */
+    async getImageData(entry) {
+        if (entry.imageData) {
+            return entry.imageData;
+        }
+        
+        const blob = entry.blob || (entry.stored ? await this.readBlob(entry.id) : null);
+        if (!blob) {
+            throw new Error('History result is no longer available');
+        }
+        
+        entry.imageData = await this.decodeImage(blob, entry.width, entry.height);
+        return entry.imageData;
+    }
+
+    /**
+     * Forget every entry
+     */
+    async clear() {
+        const removed = this.entries;
+        this.entries = [];
+        this.index = -1;
+        
+        await this.compaction;
+        removed.forEach(entry => this.releaseEntry(entry));
+        
+        if (this.useIndexedDB) {
+            await this.storeRequest('readwrite', store => store.delete(this.sessionRange())).catch(error => {
+                console.warn('Failed to clear stored history:', error);
+            });
+        }
+    }
+    
+    // ===== MEMORY METHODS =====
+
+    /**
+     * Queue a pass that compresses entries away from the current one
+     */
+    scheduleCompaction() {
+        this.compaction = this.compaction.then(() => this.compact()).catch(error => {
+            console.warn('History compression failed:', error);
+        });
+        return this.compaction;
+    }
+
+    /**
+     * Compress every in-memory entry outside the window around the current run
+     */
+    async compact() {
+        for (const entry of this.entries.slice()) {
+            if (!entry.imageData || this.isKeptInMemory(entry)) continue;
+            
+            if (!entry.blob && !entry.stored) {
+                const blob = await this.encodeImage(entry.imageData);
+                if (!this.entries.includes(entry)) continue;
+                await this.saveBlob(entry, blob);
+            }
+            
+            // The user may have navigated back to it while it was being encoded
+            if (this.entries.includes(entry) && !this.isKeptInMemory(entry)) {
+                entry.imageData = null;
+                entry.sketchDocument = null;
+            }
+        }
+    }
+
+    /**
+     * Whether an entry is among the maxInMemory entries nearest the current one
+     * Ties go to the earlier entry so the compare view's previous run stays loaded.
+     */
+    isKeptInMemory(entry) {
+        const position = this.entries.indexOf(entry);
+        if (position < 0) return false;
+        
+        const nearest = this.entries
+            .map((candidate, index) => ({ index, distance: Math.abs(index - this.index) + (index > this.index ? 0.5 : 0) }))
+            .sort((a, b) => a.distance - b.distance)
+            .slice(0, this.maxInMemory);
+        
+        return nearest.some(item => item.index === position);
+    }
+
+    /**
+     * Drop removed entries and their stored results
+     */
+    removeEntries(entries) {
+        entries.forEach(entry => {
+            this.releaseEntry(entry);
+            if (entry.stored) {
+                this.storeRequest('readwrite', store => store.delete(this.storageKey(entry.id))).catch(error => {
+                    console.warn('Failed to delete stored history entry:', error);
+                });
+            }
+        });
+    }
+
+    /**
+     * Let go of an entry's pixels and document
+     */
+    releaseEntry(entry) {
+        entry.imageData = null;
+        entry.sketchDocument = null;
+        entry.blob = null;
+    }
+
+    /**
+     * Small JPEG data URL for the history list
+     */
+    createThumbnail(imageData) {
+        const scale = Math.min(1, this.thumbnailSize / Math.max(imageData.width, imageData.height));
+        
+        const source = document.createElement('canvas');
+        source.width = imageData.width;
+        source.height = imageData.height;
+        source.getContext('2d').putImageData(imageData, 0, 0);
+        
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(imageData.width * scale));
+        canvas.height = Math.max(1, Math.round(imageData.height * scale));
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+        
+        return canvas.toDataURL('image/jpeg', 0.7);
+    }
+
+    /**
+     * Compress ImageData to a lossless PNG blob
+     */
+    encodeImage(imageData) {
+        const canvas = document.createElement('canvas');
+        canvas.width = imageData.width;
+        canvas.height = imageData.height;
+        canvas.getContext('2d').putImageData(imageData, 0, 0);
+        
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Failed to encode history result')), 'image/png');
+        });
+    }
+
+    /**
+     * Decode a PNG blob back to ImageData
+     */
+    async decodeImage(blob, width, height) {
+        const bitmap = await createImageBitmap(blob);
+        
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(bitmap, 0, 0);
+        if (bitmap.close) bitmap.close();
+        
+        return ctx.getImageData(0, 0, width, height);
+    }
+    
+    // ===== STORAGE METHODS =====
+
+    /**
+     * Keep a compressed result in IndexedDB, or in memory if that fails
+     */
+    async saveBlob(entry, blob) {
+        if (this.useIndexedDB) {
+            try {
+                const record = { sessionId: this.sessionId, timestamp: Date.now(), blob };
+                await this.storeRequest('readwrite', store => store.put(record, this.storageKey(entry.id)));
+                entry.stored = true;
+                return;
+            } catch (error) {
+                console.warn('Failed to store history result, keeping results in memory:', error);
+                this.useIndexedDB = false;
+            }
+        }
+        
+        entry.blob = blob;
+    }
+
+    /**
+     * Compressed result of an entry from IndexedDB
+     */
+    async readBlob(id) {
+        const record = await this.storeRequest('readonly', store => store.get(this.storageKey(id)));
+        return record ? record.blob : null;
+    }
+
+    /**
+     * Key of an entry's stored result, unique across tabs
+     */
+    storageKey(id) {
+        return `${this.sessionId}:${id}`;
+    }
+
+    /**
+     * Key range covering every stored result of this session
+     */
+    sessionRange() {
+        return IDBKeyRange.bound(`${this.sessionId}:`, `${this.sessionId}:\uffff`);
+    }
+
+    /**
+     * Open the history database, removing results abandoned by earlier sessions
+     */
+    openDatabase() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            }).then(db => this.removeStaleResults(db).then(() => db));
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Delete other sessions' results that haven't been written for staleAfter
+     * Records without a session id predate per-session keys and go as well.
+     */
+    removeStaleResults(db) {
+        const cutoff = Date.now() - this.staleAfter;
+        
+        return new Promise(resolve => {
+            const request = db.transaction(this.storeName, 'readwrite').objectStore(this.storeName).openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) {
+                    resolve();
+                    return;
+                }
+                
+                const record = cursor.value;
+                if (!record || !record.sessionId || (record.sessionId !== this.sessionId && record.timestamp < cutoff)) {
+                    cursor.delete();
+                }
+                cursor.continue();
+            };
+            request.onerror = () => {
+                console.warn('Failed to remove stale history results:', request.error);
+                resolve();
+            };
+        });
+    }
+
+    /**
+     * Run one request against the result store
+     */
+    async storeRequest(mode, createRequest) {
+        const db = await this.openDatabase();
+        
+        return new Promise((resolve, reject) => {
+            const request = createRequest(db.transaction(this.storeName, mode).objectStore(this.storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProcessingHistory;
+} else {
+    window.ProcessingHistory = ProcessingHistory;
+}
\ No newline at end of file
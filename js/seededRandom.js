@@ -0,0 +1,104 @@
+/**
+ * Seeded Random Module
+ * Small deterministic PRNG (mulberry32) so hand-drawn effects can be reproduced
+ * exactly from an image, its settings and a seed
+ */
+
+class SeededRandom {
+    constructor(seed = SeededRandom.generateSeed()) {
+        this.setSeed(seed);
+    }
+
+    /**
+     * Restart the sequence from a seed
+     * Accepts integers, fractional numbers and strings.
+     */
+    setSeed(seed) {
+        this.seed = SeededRandom.normalizeSeed(seed);
+        this.state = this.seed;
+    }
+
+    /**
+     * Next value in [0, 1), a drop-in replacement for Math.random()
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Value in [min, max)
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * Symmetric offset in [-amount / 2, amount / 2)
+     */
+    jitter(amount) {
+        return (this.next() - 0.5) * amount;
+    }
+
+    /**
+     * Fresh non-deterministic seed for runs that did not ask for one
+     */
+    static generateSeed() {
+        return Math.floor(Math.random() * 4294967296) >>> 0;
+    }
+
+    /**
+     * Seed derived from a seed and integer keys such as a pixel position
+     * Neighbouring keys give unrelated seeds, so values drawn from it depend only
+     * on the keys and not on what was drawn before.
+     */
+    static hash(seed, ...keys) {
+        let hash = SeededRandom.normalizeSeed(seed) ^ 0x9E3779B9;
+        keys.forEach(key => {
+            hash = Math.imul(hash ^ (key | 0), 0x85EBCA6B);
+            hash ^= hash >>> 13;
+            hash = Math.imul(hash, 0xC2B2AE35);
+            hash ^= hash >>> 16;
+        });
+        return hash >>> 0;
+    }
+
+    /**
+     * Coerce a seed to an unsigned 32-bit integer
+     * Strings are hashed (FNV-1a); fractions such as Math.random() output are scaled.
+     */
+    static normalizeSeed(seed) {
+        if (typeof seed === 'string') {
+            const trimmed = seed.trim();
+            if (/^\d+$/.test(trimmed)) {
+                return Number(trimmed) >>> 0;
+            }
+            
+            let hash = 0x811C9DC5;
+            for (let i = 0; i < trimmed.length; i++) {
+                hash ^= trimmed.charCodeAt(i);
+                hash = Math.imul(hash, 0x01000193);
+            }
+            return hash >>> 0;
+        }
+        
+        const value = Number(seed);
+        if (!Number.isFinite(value)) {
+            return 0;
+        }
+        if (value > 0 && value < 1) {
+            return Math.floor(value * 4294967296) >>> 0;
+        }
+        return Math.floor(Math.abs(value)) >>> 0;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SeededRandom;
+} else {
+    window.SeededRandom = SeededRandom;
+}
\ No newline at end of file
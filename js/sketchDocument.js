@@ -0,0 +1,186 @@
+/**
+ * Sketch Document Module
+ * Layered model of a rendered sketch: paper, color, shading, line work,
+ * material overlays and annotations each live on their own canvas and are
+ * composited with per-layer visibility, opacity and blend mode
+ */
+
+class SketchDocument {
+    constructor(width, height, options = {}) {
+        this.width = width;
+        this.height = height;
+        
+        // Bottom to top. Ink layers multiply onto the paper like transparent media,
+        // so their order among themselves doesn't change the result.
+        this.layerDefinitions = options.layers || [
+            { id: 'background', name: 'Paper', blendMode: 'source-over' },
+            { id: 'color', name: 'Color', blendMode: 'multiply' },
+            { id: 'shading', name: 'Shading', blendMode: 'multiply' },
+            { id: 'linework', name: 'Line Work', blendMode: 'multiply' },
+            { id: 'materials', name: 'Material Overlays', blendMode: 'multiply' },
+            { id: 'annotations', name: 'Annotations', blendMode: 'source-over' }
+        ];
+        
+        this.blendModes = ['source-over', 'multiply', 'screen', 'overlay', 'darken', 'lighten'];
+        
+        this.layers = this.layerDefinitions.map(definition => {
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            
+            return {
+                ...definition,
+                defaultBlendMode: definition.blendMode,
+                visible: true,
+                opacity: 1,
+                overlay: null,
+                canvas,
+                ctx: canvas.getContext('2d')
+            };
+        });
+    }
+
+    /**
+     * Layer by id
+     */
+    getLayer(id) {
+        const layer = this.layers.find(candidate => candidate.id === id);
+        if (!layer) {
+            throw new Error(`Unknown sketch layer: ${id}`);
+        }
+        return layer;
+    }
+
+    /**
+     * 2D context to draw into a layer
+     */
+    getContext(id) {
+        return this.getLayer(id).ctx;
+    }
+
+    /**
+     * Layer settings without their canvases, bottom to top
+     */
+    getLayers() {
+        return this.layers.map(({ id, name, visible, opacity, blendMode }) => ({ id, name, visible, opacity, blendMode }));
+    }
+
+    /**
+     * Update visible, opacity and/or blendMode of a layer
+     */
+    setLayerProperties(id, properties = {}) {
+        const layer = this.getLayer(id);
+        
+        if (properties.visible !== undefined) {
+            layer.visible = !!properties.visible;
+        }
+        if (properties.opacity !== undefined) {
+            layer.opacity = Math.max(0, Math.min(1, Number(properties.opacity)));
+        }
+        if (properties.blendMode !== undefined) {
+            if (!this.blendModes.includes(properties.blendMode)) {
+                throw new Error(`Unsupported blend mode: ${properties.blendMode}`);
+            }
+            layer.blendMode = properties.blendMode;
+        }
+        
+        return layer;
+    }
+
+    /**
+     * Show or hide a layer
+     */
+    setLayerVisibility(id, visible) {
+        return this.setLayerProperties(id, { visible });
+    }
+
+    /**
+     * Layer opacity in [0, 1]
+     */
+    setLayerOpacity(id, opacity) {
+        return this.setLayerProperties(id, { opacity });
+    }
+
+    /**
+     * Canvas composite operation used for a layer, one of this.blendModes
+     */
+    setLayerBlendMode(id, blendMode) {
+        return this.setLayerProperties(id, { blendMode });
+    }
+
+    /**
+     * Vector drawing composited over a layer's pixels, e.g. editable callouts
+     * draw(ctx, width, height) runs in document coordinates on every composite,
+     * so it can change without redrawing the layer; null removes it.
+     */
+    setLayerOverlay(id, draw) {
+        this.getLayer(id).overlay = draw || null;
+    }
+
+    /**
+     * Erase one layer, or every layer when no id is given
+     */
+    clear(id = null) {
+        (id ? [this.getLayer(id)] : this.layers).forEach(layer => {
+            layer.ctx.clearRect(0, 0, this.width, this.height);
+        });
+    }
+
+    /**
+     * Draw the layers onto a canvas
+     * options.layers lists the layer ids to include (for exports); otherwise
+     * the visible layers are used. The target is cleared first.
+     */
+    composite(targetCanvas, options = {}) {
+        const { layers = null } = options;
+        const ctx = targetCanvas.getContext('2d');
+        const scaleX = targetCanvas.width / this.width;
+        const scaleY = targetCanvas.height / this.height;
+        
+        ctx.save();
+        ctx.clearRect(0, 0, targetCanvas.width, targetCanvas.height);
+        
+        this.layers.forEach(layer => {
+            const included = layers ? layers.includes(layer.id) : layer.visible;
+            if (!included || layer.opacity <= 0) return;
+            
+            ctx.globalAlpha = layer.opacity;
+            ctx.globalCompositeOperation = layer.blendMode;
+            ctx.drawImage(layer.canvas, 0, 0, this.width * scaleX, this.height * scaleY);
+            
+            if (layer.overlay) {
+                ctx.save();
+                ctx.scale(scaleX, scaleY);
+                layer.overlay(ctx, this.width, this.height);
+                ctx.restore();
+            }
+        });
+        
+        ctx.restore();
+        return targetCanvas;
+    }
+
+    /**
+     * Composite onto a new canvas of the document's size
+     */
+    toCanvas(options = {}) {
+        const canvas = document.createElement('canvas');
+        canvas.width = this.width;
+        canvas.height = this.height;
+        return this.composite(canvas, options);
+    }
+
+    /**
+     * Composite to ImageData
+     */
+    toImageData(options = {}) {
+        return this.toCanvas(options).getContext('2d').getImageData(0, 0, this.width, this.height);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SketchDocument;
+} else {
+    window.SketchDocument = SketchDocument;
+}
\ No newline at end of file
@@ -0,0 +1,438 @@
+/**
+ * Stroke Replay Module
+ * Animates the vector strokes of a sketch onto a canvas in a natural drawing
+ * order and records the animation as WebM (MediaRecorder) or animated GIF
+ */
+
+class StrokeReplay {
+    constructor(options = {}) {
+        // Phases in the order an artist works: light construction first, detail last
+        this.phaseOrder = options.phaseOrder || ['construction', 'structure', 'furniture', 'detail', 'shading', 'materials'];
+        this.contextPhases = {
+            construction: 'construction',
+            structure: 'structure',
+            ceiling: 'structure',
+            floor: 'structure',
+            furniture: 'furniture',
+            shading: 'shading',
+            materials: 'materials',
+            general: 'detail'
+        };
+        
+        // Pixels of line drawn per second at speed 1
+        this.baseSpeed = options.baseSpeed || 600;
+        
+        // Pause between strokes while the pen moves, in seconds
+        this.penLift = options.penLift !== undefined ? options.penLift : 0.06;
+        
+        // Cross-fade from the replayed lines to the finished rendering, in seconds
+        this.revealDuration = options.revealDuration !== undefined ? options.revealDuration : 0.8;
+        
+        this.animationFrame = null;
+        this.finishPlayback = null;
+    }
+
+    /**
+     * Check whether WebM recording is available in this browser
+     */
+    static supportsWebM() {
+        return typeof MediaRecorder !== 'undefined' &&
+            typeof HTMLCanvasElement !== 'undefined' &&
+            typeof HTMLCanvasElement.prototype.captureStream === 'function';
+    }
+
+    /**
+     * Sort strokes into drawing phases, longest strokes first within a phase and
+     * then chained to whichever remaining stroke starts nearest the pen
+     * Strokes may be reversed so the pen continues from the nearer end.
+     */
+    orderStrokes(strokes) {
+        const phases = new Map(this.phaseOrder.map(phase => [phase, []]));
+        
+        strokes.forEach(stroke => {
+            const points = this.getStrokePoints(stroke);
+            if (points.length < 2) return;
+            
+            const phase = this.contextPhases[stroke.context] || 'detail';
+            phases.get(phases.has(phase) ? phase : this.phaseOrder[this.phaseOrder.length - 1])
+                .push({ stroke, points, length: this.pathLength(points) });
+        });
+        
+        const ordered = [];
+        let pen = null;
+        
+        phases.forEach(items => {
+            const remaining = items.slice().sort((a, b) => b.length - a.length);
+            
+            while (remaining.length > 0) {
+                let index = 0;
+                let reverse = false;
+                
+                if (pen) {
+                    let best = Infinity;
+                    remaining.forEach((item, i) => {
+                        const first = item.points[0];
+                        const last = item.points[item.points.length - 1];
+                        // Favour long strokes so the big shapes still come early
+                        const bias = 1 / Math.sqrt(1 + item.length);
+                        const toStart = Math.hypot(first.x - pen.x, first.y - pen.y) * bias;
+                        const toEnd = Math.hypot(last.x - pen.x, last.y - pen.y) * bias;
+                        
+                        if (toStart < best) {
+                            best = toStart;
+                            index = i;
+                            reverse = false;
+                        }
+                        if (toEnd < best) {
+                            best = toEnd;
+                            index = i;
+                            reverse = true;
+                        }
+                    });
+                }
+                
+                const item = remaining.splice(index, 1)[0];
+                const points = reverse ? item.points.slice().reverse() : item.points;
+                ordered.push({ stroke: item.stroke, points, length: item.length });
+                pen = points[points.length - 1];
+            }
+        });
+        
+        return ordered;
+    }
+
+    /**
+     * Timeline of stroke start and end times
+     * `speed` multiplies the base drawing speed; a positive `duration` (seconds)
+     * overrides it and stretches the replay to that total length.
+     */
+    buildTimeline(vectorData, options = {}) {
+        const { speed = 1, duration = 0 } = options;
+        const ordered = this.orderStrokes(vectorData.strokes || []);
+        
+        const drawSpeed = this.baseSpeed * Math.max(0.05, speed);
+        const totalLength = ordered.reduce((sum, item) => sum + item.length, 0);
+        let drawDuration = totalLength / drawSpeed + this.penLift * ordered.length;
+        let scale = 1;
+        
+        if (duration > 0) {
+            const target = Math.max(0.1, duration - this.revealDuration);
+            scale = drawDuration > 0 ? target / drawDuration : 1;
+            drawDuration = target;
+        }
+        
+        let time = 0;
+        const entries = ordered.map(item => {
+            const cumulative = [0];
+            for (let i = 1; i < item.points.length; i++) {
+                const a = item.points[i - 1];
+                const b = item.points[i];
+                cumulative.push(cumulative[i - 1] + Math.hypot(b.x - a.x, b.y - a.y));
+            }
+            
+            const start = time;
+            const end = start + (item.length / drawSpeed) * scale;
+            time = end + this.penLift * scale;
+            
+            return { ...item, cumulative, start, end };
+        });
+        
+        return {
+            entries,
+            drawDuration,
+            duration: drawDuration + this.revealDuration,
+            width: vectorData.width,
+            height: vectorData.height,
+            background: vectorData.background || '#ffffff'
+        };
+    }
+
+    /**
+     * Frame renderer for a timeline on `canvas`
+     * Returns render(time); finished strokes are cached on an ink layer so each
+     * frame only draws the stroke in progress. `finalImage` (a canvas) is faded
+     * in over the reveal at the end.
+     */
+    createRenderer(canvas, timeline, options = {}) {
+        const { finalImage = null } = options;
+        const ctx = canvas.getContext('2d');
+        const scaleX = canvas.width / timeline.width;
+        const scaleY = canvas.height / timeline.height;
+        
+        const ink = document.createElement('canvas');
+        ink.width = canvas.width;
+        ink.height = canvas.height;
+        const inkCtx = ink.getContext('2d');
+        inkCtx.scale(scaleX, scaleY);
+        inkCtx.lineCap = 'round';
+        inkCtx.lineJoin = 'round';
+        
+        let finished = 0;
+        
+        return (time) => {
+            // Rewinding starts the ink layer over
+            if (finished > 0 && time < timeline.entries[finished - 1].end) {
+                inkCtx.clearRect(0, 0, timeline.width, timeline.height);
+                finished = 0;
+            }
+            
+            while (finished < timeline.entries.length && timeline.entries[finished].end <= time) {
+                this.drawPartialStroke(inkCtx, timeline.entries[finished], Infinity);
+                finished++;
+            }
+            
+            ctx.globalAlpha = 1;
+            ctx.fillStyle = timeline.background;
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+            ctx.drawImage(ink, 0, 0);
+            
+            const current = timeline.entries[finished];
+            if (current && time > current.start) {
+                const progress = (time - current.start) / Math.max(1e-6, current.end - current.start);
+                ctx.save();
+                ctx.scale(scaleX, scaleY);
+                ctx.lineCap = 'round';
+                ctx.lineJoin = 'round';
+                this.drawPartialStroke(ctx, current, current.length * progress);
+                ctx.restore();
+            }
+            
+            if (finalImage && time > timeline.drawDuration) {
+                ctx.globalAlpha = Math.min(1, (time - timeline.drawDuration) / Math.max(1e-6, this.revealDuration));
+                ctx.drawImage(finalImage, 0, 0, canvas.width, canvas.height);
+                ctx.globalAlpha = 1;
+            }
+        };
+    }
+
+    /**
+     * Draw a stroke up to `distance` pixels along its path
+     */
+    drawPartialStroke(ctx, entry, distance) {
+        const { stroke, points, cumulative } = entry;
+        
+        ctx.beginPath();
+        ctx.strokeStyle = stroke.color || '#333333';
+        ctx.lineWidth = stroke.width || 1;
+        ctx.globalAlpha = stroke.opacity !== undefined ? stroke.opacity : 1;
+        ctx.moveTo(points[0].x, points[0].y);
+        
+        for (let i = 1; i < points.length; i++) {
+            if (cumulative[i] <= distance) {
+                ctx.lineTo(points[i].x, points[i].y);
+                continue;
+            }
+            
+            // Interpolate the pen position inside this segment
+            const span = cumulative[i] - cumulative[i - 1];
+            const t = span > 0 ? (distance - cumulative[i - 1]) / span : 0;
+            ctx.lineTo(
+                points[i - 1].x + (points[i].x - points[i - 1].x) * t,
+                points[i - 1].y + (points[i].y - points[i - 1].y) * t
+            );
+            break;
+        }
+        
+        ctx.stroke();
+        ctx.globalAlpha = 1;
+    }
+
+    /**
+     * Play the replay on a canvas in real time
+     * Resolves when the animation ends or stop() is called; the canvas is left
+     * showing `finalImage` either way.
+     */
+    play(canvas, vectorData, options = {}) {
+        const { finalImage = null, onProgress = null } = options;
+        const timeline = this.buildTimeline(vectorData, options);
+        const render = this.createRenderer(canvas, timeline, { finalImage });
+        
+        this.stop();
+        
+        return new Promise(resolve => {
+            const startTime = performance.now();
+            
+            const finish = (completed) => {
+                this.animationFrame = null;
+                this.finishPlayback = null;
+                render(timeline.duration);
+                if (onProgress) onProgress(1);
+                resolve(completed);
+            };
+            
+            const step = (now) => {
+                const time = (now - startTime) / 1000;
+                
+                if (time >= timeline.duration) {
+                    finish(true);
+                    return;
+                }
+                
+                render(time);
+                if (onProgress) onProgress(time / timeline.duration);
+                this.animationFrame = requestAnimationFrame(step);
+            };
+            
+            this.finishPlayback = finish;
+            this.animationFrame = requestAnimationFrame(step);
+        });
+    }
+
+    /**
+     * Stop a running replay, jumping to the finished drawing
+     */
+    stop() {
+        if (this.animationFrame !== null) {
+            cancelAnimationFrame(this.animationFrame);
+        }
+        if (this.finishPlayback) {
+            this.finishPlayback(false);
+        }
+    }
+
+    /**
+     * Record the replay as a WebM video
+     * MediaRecorder captures in real time, so this takes as long as the replay.
+     */
+    async recordWebM(vectorData, options = {}) {
+        if (!StrokeReplay.supportsWebM()) {
+            throw new Error('WebM recording is not supported in this browser');
+        }
+        
+        const { fps = 30, finalImage = null, maxWidth = 1280, onProgress = null } = options;
+        const timeline = this.buildTimeline(vectorData, options);
+        const canvas = this.createOutputCanvas(timeline, maxWidth);
+        const render = this.createRenderer(canvas, timeline, { finalImage });
+        
+        const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+            .find(type => MediaRecorder.isTypeSupported(type));
+        const stream = canvas.captureStream(fps);
+        const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+        const chunks = [];
+        
+        recorder.ondataavailable = (event) => {
+            if (event.data && event.data.size > 0) chunks.push(event.data);
+        };
+        
+        const stopped = new Promise((resolve, reject) => {
+            recorder.onstop = resolve;
+            recorder.onerror = (event) => reject(event.error || new Error('Recording failed'));
+        });
+        
+        render(0);
+        recorder.start(250);
+        
+        await new Promise(resolve => {
+            const startTime = performance.now();
+            const tick = () => {
+                const time = (performance.now() - startTime) / 1000;
+                render(Math.min(time, timeline.duration));
+                if (onProgress) onProgress(Math.min(1, time / timeline.duration));
+                
+                if (time >= timeline.duration + 0.25) {
+                    resolve();
+                } else {
+                    setTimeout(tick, 1000 / fps);
+                }
+            };
+            tick();
+        });
+        
+        recorder.stop();
+        await stopped;
+        stream.getTracks().forEach(track => track.stop());
+        
+        return new Blob(chunks, { type: 'video/webm' });
+    }
+
+    /**
+     * Encode the replay as an animated GIF
+     * Frames are rendered off-screen as fast as they encode, not in real time.
+     */
+    async exportGIF(vectorData, options = {}) {
+        if (typeof GIFEncoder === 'undefined') {
+            throw new Error('GIFEncoder is not loaded');
+        }
+        
+        const { fps = 12, finalImage = null, maxWidth = 640, holdFinal = 2, onProgress = null } = options;
+        const timeline = this.buildTimeline(vectorData, options);
+        const canvas = this.createOutputCanvas(timeline, maxWidth);
+        const ctx = canvas.getContext('2d');
+        const render = this.createRenderer(canvas, timeline, { finalImage });
+        const encoder = new GIFEncoder(canvas.width, canvas.height);
+        
+        const frameCount = Math.max(2, Math.ceil(timeline.duration * fps) + 1);
+        const delay = 1000 / fps;
+        
+        for (let frame = 0; frame < frameCount; frame++) {
+            const time = Math.min(timeline.duration, frame / fps);
+            render(time);
+            
+            // Hold the finished drawing before the loop restarts
+            const frameDelay = frame === frameCount - 1 ? delay + holdFinal * 1000 : delay;
+            encoder.addFrame(ctx.getImageData(0, 0, canvas.width, canvas.height), frameDelay);
+            
+            if (onProgress) onProgress((frame + 1) / frameCount);
+            
+            // Let the page breathe between frames
+            if (frame % 5 === 4) {
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+        }
+        
+        return encoder.toBlob();
+    }
+
+    /**
+     * Off-screen canvas for recording, scaled down to maxWidth
+     */
+    createOutputCanvas(timeline, maxWidth) {
+        const scale = Math.min(1, maxWidth / timeline.width);
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(timeline.width * scale));
+        canvas.height = Math.max(1, Math.round(timeline.height * scale));
+        return canvas;
+    }
+
+    /**
+     * Polyline for a vector stroke, flattening its Bézier curves
+     */
+    getStrokePoints(stroke) {
+        const curves = stroke.beziers;
+        if (!curves || curves.length === 0) {
+            return (stroke.points || []).map(point => ({ x: point.x, y: point.y }));
+        }
+        
+        const points = [{ x: curves[0].x0, y: curves[0].y0 }];
+        curves.forEach(curve => {
+            const steps = Math.max(1, Math.min(8, Math.ceil(Math.hypot(curve.x - curve.x0, curve.y - curve.y0) / 6)));
+            for (let i = 1; i <= steps; i++) {
+                const t = i / steps;
+                const u = 1 - t;
+                points.push({
+                    x: u * u * u * curve.x0 + 3 * u * u * t * curve.cp1x + 3 * u * t * t * curve.cp2x + t * t * t * curve.x,
+                    y: u * u * u * curve.y0 + 3 * u * u * t * curve.cp1y + 3 * u * t * t * curve.cp2y + t * t * t * curve.y
+                });
+            }
+        });
+        return points;
+    }
+
+    /**
+     * Total length of a polyline
+     */
+    pathLength(points) {
+        let length = 0;
+        for (let i = 1; i < points.length; i++) {
+            length += Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y);
+        }
+        return length;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StrokeReplay;
+} else {
+    window.StrokeReplay = StrokeReplay;
+}
\ No newline at end of file
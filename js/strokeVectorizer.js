@@ -0,0 +1,309 @@
+/**
+ * Stroke Vectorizer Module
+ * Converts a thinned edge mask into ordered polylines, simplifies them with
+ * Douglas-Peucker and fits cubic Bézier curves for smooth drawing and vector export
+ */
+
+class StrokeVectorizer {
+    constructor(options = {}) {
+        // Douglas-Peucker tolerance in pixels
+        this.tolerance = options.tolerance !== undefined ? options.tolerance : 1.0;
+        
+        // Chains with fewer pixels than this are treated as noise
+        this.minPixels = options.minPixels || 3;
+        
+        // Turns sharper than this (degrees) keep a hard corner instead of a smooth curve
+        this.cornerAngle = options.cornerAngle || 60;
+        
+        // 4-connected neighbours first so diagonal shortcuts don't strand pixels
+        this.neighborOffsets = [
+            [0, -1], [1, 0], [0, 1], [-1, 0],
+            [1, -1], [1, 1], [-1, 1], [-1, -1]
+        ];
+    }
+
+    /**
+     * Full pipeline: trace, simplify and fit curves
+     * Returns strokes as point arrays with `beziers` and `closed` attached.
+     */
+    vectorize(edgeData, options = {}) {
+        const tolerance = options.tolerance !== undefined ? options.tolerance : this.tolerance;
+        
+        return this.traceSkeleton(edgeData).map(chain => {
+            const points = this.simplify(chain.points, tolerance);
+            const stroke = points.length >= 2 ? points : chain.points;
+            
+            stroke.closed = chain.closed;
+            stroke.beziers = this.fitBeziers(stroke);
+            return stroke;
+        });
+    }
+
+    /**
+     * Trace a thinned black-on-white mask into ordered pixel chains
+     * Chains start and end at endpoints or junctions; closed loops are traced last.
+     */
+    traceSkeleton(edgeData) {
+        const width = edgeData.width;
+        const height = edgeData.height;
+        const src = edgeData.data;
+        const mask = new Uint8Array(width * height);
+        
+        for (let i = 0, p = 0; i < src.length; i += 4, p++) {
+            if (src[i] < 128) mask[p] = 1;
+        }
+        
+        // Crossing number: 2 for pixels in the middle of a line (including staircase
+        // steps), 1 at endpoints and 3+ at junctions
+        const crossings = new Uint8Array(width * height);
+        for (let p = 0; p < mask.length; p++) {
+            if (mask[p]) {
+                crossings[p] = this.countCrossings(mask, p, width, height);
+            }
+        }
+        
+        const isNode = (p) => crossings[p] !== 2;
+        const visited = new Uint8Array(width * height);
+        const linkedNodes = new Set();
+        const chains = [];
+        
+        // Open chains between endpoints and junctions
+        for (let p = 0; p < mask.length; p++) {
+            if (!mask[p] || !isNode(p)) continue;
+            
+            for (const next of this.getMaskNeighbors(mask, p, width, height)) {
+                if (isNode(next)) {
+                    // Direct node-to-node link; record once
+                    const key = p < next ? `${p}-${next}` : `${next}-${p}`;
+                    if (linkedNodes.has(key)) continue;
+                    linkedNodes.add(key);
+                    chains.push({ pixels: [p, next], closed: false });
+                    continue;
+                }
+                
+                if (visited[next]) continue;
+                
+                const pixels = this.walkChain(mask, visited, isNode, p, next, width, height);
+                chains.push({ pixels, closed: false });
+            }
+            
+            visited[p] = 1;
+        }
+        
+        // Anything left is a closed loop of line pixels
+        for (let p = 0; p < mask.length; p++) {
+            if (!mask[p] || visited[p]) continue;
+            
+            const neighbors = this.getMaskNeighbors(mask, p, width, height);
+            const pixels = this.walkChain(mask, visited, isNode, p, neighbors[0], width, height);
+            visited[p] = 1;
+            chains.push({ pixels, closed: pixels[pixels.length - 1] === p });
+        }
+        
+        return chains
+            .filter(chain => chain.pixels.length >= this.minPixels)
+            .map(chain => ({
+                closed: chain.closed,
+                points: chain.pixels.map(p => ({ x: p % width, y: Math.floor(p / width) }))
+            }));
+    }
+
+    /**
+     * Follow line pixels from start through next until a node or dead end
+     */
+    walkChain(mask, visited, isNode, start, next, width, height) {
+        const pixels = [start];
+        let previous = start;
+        let current = next;
+        
+        while (current !== -1) {
+            pixels.push(current);
+            
+            if (isNode(current)) break;
+            visited[current] = 1;
+            
+            let following = -1;
+            for (const candidate of this.getMaskNeighbors(mask, current, width, height)) {
+                if (candidate === previous || candidate === start && pixels.length < 3) continue;
+                if (isNode(candidate) || !visited[candidate]) {
+                    following = candidate;
+                    break;
+                }
+            }
+            
+            previous = current;
+            current = following;
+        }
+        
+        return pixels;
+    }
+
+    /**
+     * Count background-to-line transitions around the 8-neighbourhood of p
+     */
+    countCrossings(mask, p, width, height) {
+        const x = p % width;
+        const y = (p - x) / width;
+        const ring = [[0, -1], [1, -1], [1, 0], [1, 1], [0, 1], [-1, 1], [-1, 0], [-1, -1]];
+        const values = ring.map(([dx, dy]) => {
+            const nx = x + dx;
+            const ny = y + dy;
+            return nx >= 0 && nx < width && ny >= 0 && ny < height ? mask[ny * width + nx] : 0;
+        });
+        
+        let crossings = 0;
+        for (let i = 0; i < 8; i++) {
+            if (!values[i] && values[(i + 1) % 8]) crossings++;
+        }
+        
+        return crossings;
+    }
+
+    /**
+     * Indices of set mask pixels around p, 4-connected first
+     */
+    getMaskNeighbors(mask, p, width, height) {
+        const x = p % width;
+        const y = (p - x) / width;
+        const neighbors = [];
+        
+        for (const [dx, dy] of this.neighborOffsets) {
+            const nx = x + dx;
+            const ny = y + dy;
+            if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
+            
+            const n = ny * width + nx;
+            if (mask[n]) neighbors.push(n);
+        }
+        
+        return neighbors;
+    }
+
+    /**
+     * Douglas-Peucker polyline simplification
+     */
+    simplify(points, tolerance = this.tolerance) {
+        if (points.length <= 2 || tolerance <= 0) return points.slice();
+        
+        const keep = new Uint8Array(points.length);
+        keep[0] = 1;
+        keep[points.length - 1] = 1;
+        
+        const stack = [[0, points.length - 1]];
+        const toleranceSq = tolerance * tolerance;
+        
+        while (stack.length > 0) {
+            const [first, last] = stack.pop();
+            let maxDistance = 0;
+            let index = -1;
+            
+            for (let i = first + 1; i < last; i++) {
+                const distance = this.pointSegmentDistanceSq(points[i], points[first], points[last]);
+                if (distance > maxDistance) {
+                    maxDistance = distance;
+                    index = i;
+                }
+            }
+            
+            if (index !== -1 && maxDistance > toleranceSq) {
+                keep[index] = 1;
+                stack.push([first, index], [index, last]);
+            }
+        }
+        
+        return points.filter((point, i) => keep[i]);
+    }
+
+    /**
+     * Squared distance from a point to a line segment
+     */
+    pointSegmentDistanceSq(point, a, b) {
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const lengthSq = dx * dx + dy * dy;
+        
+        let t = lengthSq === 0 ? 0 : ((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSq;
+        t = Math.max(0, Math.min(1, t));
+        
+        const px = a.x + t * dx - point.x;
+        const py = a.y + t * dy - point.y;
+        return px * px + py * py;
+    }
+
+    /**
+     * Fit cubic Béziers through polyline vertices (Catmull-Rom tangents)
+     * Sharp corners get zero-length tangents so walls and cabinet edges stay crisp.
+     * Returns [{x0, y0, cp1x, cp1y, cp2x, cp2y, x, y}].
+     */
+    fitBeziers(points, tension = 1) {
+        const count = points.length;
+        if (count < 2) return [];
+        
+        const closed = points.closed && count > 3;
+        const at = (i) => {
+            if (closed) return points[(i + count - 1) % (count - 1)];
+            return points[Math.max(0, Math.min(count - 1, i))];
+        };
+        
+        const isCorner = (i) => {
+            if (!closed && (i <= 0 || i >= count - 1)) return false;
+            const prev = at(i - 1);
+            const curr = at(i);
+            const next = at(i + 1);
+            const a1 = Math.atan2(curr.y - prev.y, curr.x - prev.x);
+            const a2 = Math.atan2(next.y - curr.y, next.x - curr.x);
+            let turn = Math.abs(a2 - a1) * 180 / Math.PI;
+            if (turn > 180) turn = 360 - turn;
+            return turn > this.cornerAngle;
+        };
+        
+        const curves = [];
+        
+        for (let i = 0; i < count - 1; i++) {
+            const p0 = at(i - 1);
+            const p1 = points[i];
+            const p2 = points[i + 1];
+            const p3 = at(i + 2);
+            
+            const t1 = isCorner(i) ? 0 : tension / 6;
+            const t2 = isCorner(i + 1) ? 0 : tension / 6;
+            
+            curves.push({
+                x0: p1.x,
+                y0: p1.y,
+                cp1x: p1.x + (p2.x - p0.x) * t1,
+                cp1y: p1.y + (p2.y - p0.y) * t1,
+                cp2x: p2.x - (p3.x - p1.x) * t2,
+                cp2y: p2.y - (p3.y - p1.y) * t2,
+                x: p2.x,
+                y: p2.y
+            });
+        }
+        
+        return curves;
+    }
+
+    /**
+     * SVG path data for a stroke's Bézier curves
+     */
+    toPathData(stroke, precision = 2) {
+        const curves = stroke.beziers || this.fitBeziers(stroke);
+        if (curves.length === 0) return '';
+        
+        const f = (value) => Number(value.toFixed(precision));
+        let d = `M${f(curves[0].x0)} ${f(curves[0].y0)}`;
+        
+        curves.forEach(curve => {
+            d += ` C${f(curve.cp1x)} ${f(curve.cp1y)} ${f(curve.cp2x)} ${f(curve.cp2y)} ${f(curve.x)} ${f(curve.y)}`;
+        });
+        
+        return stroke.closed ? `${d} Z` : d;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StrokeVectorizer;
+} else {
+    window.StrokeVectorizer = StrokeVectorizer;
+}
\ No newline at end of file
@@ -204,6 +204,24 @@ class StyleManager {
                     denoisingStrength: 0.65,
                     cfg: 7.0
                 }
+            },
+            'marker-rendering': {
+                name: 'Marker Rendering',
+                description: 'Layered alcohol-marker rendering for client presentations',
+                category: 'presentation',
+                aiStyle: null, // No AI counterpart; always rendered traditionally
+                fallbackStyle: 'marker',
+                palette: 'warm',
+                lineWeight: 1.5,
+                materialAwareness: false,
+                settings: {
+                    edgeThreshold: 30,
+                    lineVariation: 25,
+                    contrast: 0.8,
+                    texture: false,
+                    preserveDetails: true
+                },
+                aiParameters: {}
             }
         };
         
@@ -302,9 +320,13 @@ class StyleManager {
             if (this.handDrawnEffects) {
                 const fallbackSettings = {
                     style: preset.fallbackStyle,
+                    // The AI style names the matching HandDrawnEffects preset (construction lines, annotations)
+                    stylePreset: preset.aiStyle || null,
+                    useAI: false,
                     lineVariation: preset.settings.lineVariation,
                     lineThickness: preset.lineWeight,
                     texture: preset.settings.texture,
+                    palette: this.getColorPalette(preset.palette),
                     ...options
                 };
 
@@ -318,9 +340,15 @@ class StyleManager {
             }
         }
 
-        // Apply color palette if specified
+        // Apply color palette if specified; traditional renders take it on their color layer
         if (preset.palette && options.applyPalette !== false) {
-            result = this.applyColorPalette(result, preset.palette, preset.materialAwareness);
+            const sketchDocument = method === 'fallback' && this.handDrawnEffects.getDocument ?
+                this.handDrawnEffects.getDocument() : null;
+            result = this.applyColorPalette(result, preset.palette, preset.materialAwareness, sketchDocument);
+            
+            if (sketchDocument) {
+                this.handDrawnEffects.compositeDocument();
+            }
         }
 
         // Record style application in history
@@ -342,8 +370,10 @@ class StyleManager {
 
     /**
      * Apply color palette to processed image
+     * With a SketchDocument the tint is drawn into its color layer and the
+     * composited document is returned.
      */
-    applyColorPalette(imageData, paletteName, materialAware = false) {
+    applyColorPalette(imageData, paletteName, materialAware = false, sketchDocument = null) {
         const palette = this.getColorPalette(paletteName);
         if (!palette) {
             console.warn(`Color palette '${paletteName}' not found`);
@@ -374,6 +404,17 @@ class StyleManager {
         overlayCtx.fillStyle = gradient;
         overlayCtx.fillRect(0, 0, imageData.width, imageData.height);
         
+        if (sketchDocument) {
+            const colorCtx = sketchDocument.getContext('color');
+            colorCtx.save();
+            colorCtx.globalCompositeOperation = 'multiply';
+            colorCtx.globalAlpha = 0.3;
+            colorCtx.drawImage(overlayCanvas, 0, 0);
+            colorCtx.restore();
+            
+            return sketchDocument.toImageData();
+        }
+        
         // Blend overlay with original using multiply mode
         ctx.globalCompositeOperation = 'multiply';
         ctx.globalAlpha = 0.3;
@@ -0,0 +1,210 @@
+/**
+ * SVG Exporter Module
+ * Writes vectorized sketch strokes as editable SVG paths, grouped by stroke
+ * context so the drawing opens with sensible layers in vector tools
+ */
+
+class SVGExporter {
+    constructor(options = {}) {
+        this.precision = options.precision !== undefined ? options.precision : 2;
+        
+        // Stroke contexts from HandDrawnEffects.classifyStrokesByContext mapped to export groups
+        this.contextGroups = {
+            furniture: 'furniture',
+            ceiling: 'structure',
+            floor: 'structure',
+            structure: 'structure',
+            shading: 'shading',
+            materials: 'materials',
+            general: 'detail'
+        };
+        
+        // Drawing order from back to front
+        this.groupOrder = ['shading', 'structure', 'furniture', 'detail', 'materials'];
+    }
+
+    /**
+     * Group name for a stroke context
+     */
+    getGroupForContext(context) {
+        return this.contextGroups[context] || 'detail';
+    }
+
+    /**
+     * Build an SVG document from vector data
+     * vectorData: { width, height, background, strokes: [{ beziers | points, closed,
+     * context, color, width, opacity }] } as produced by HandDrawnEffects.getVectorData.
+     * vectorData.annotations, a MaterialAnnotations layout, is written on top as text.
+     */
+    createSVG(vectorData, options = {}) {
+        const {
+            includeBackground = true,
+            groups = null
+        } = options;
+        
+        const { width, height, background = '#ffffff', strokes = [] } = vectorData;
+        const grouped = {};
+        
+        strokes.forEach(stroke => {
+            const group = stroke.group || this.getGroupForContext(stroke.context);
+            if (groups && !groups.includes(group)) return;
+            
+            const path = this.createPathElement(stroke);
+            if (!path) return;
+            
+            if (!grouped[group]) grouped[group] = [];
+            grouped[group].push(path);
+        });
+        
+        const order = this.groupOrder.concat(Object.keys(grouped).filter(group => !this.groupOrder.includes(group)));
+        const body = order
+            .filter(group => grouped[group])
+            .map(group => `  <g id="${this.escapeAttribute(group)}" fill="none" stroke-linecap="round" stroke-linejoin="round">\n${grouped[group].join('\n')}\n  </g>`)
+            .join('\n');
+        
+        const backgroundRect = includeBackground ?
+            `  <rect id="background" x="0" y="0" width="${width}" height="${height}" fill="${this.parseColor(background).hex}"/>\n` : '';
+        const annotations = vectorData.annotations ? `\n${this.createAnnotationGroup(vectorData.annotations)}` : '';
+        
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" version="1.1" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+${backgroundRect}${body}${annotations}
+</svg>`;
+    }
+
+    /**
+     * Callouts and finish schedule as an annotations group of lines, shapes and real text
+     * layout: { family, size, primitives } from MaterialAnnotations.layout
+     */
+    createAnnotationGroup(layout, color = '#1a1a1a') {
+        const { family, size, primitives } = layout;
+        const point = (p) => `${this.round(p.x)} ${this.round(p.y)}`;
+        
+        const elements = primitives.map(primitive => {
+            const opacity = primitive.opacity !== undefined && primitive.opacity < 1 ? ` fill-opacity="${this.round(primitive.opacity)}"` : '';
+            
+            switch (primitive.type) {
+                case 'line':
+                    return `    <path d="${primitive.points.map((p, i) => `${i === 0 ? 'M' : 'L'}${point(p)}`).join(' ')}" fill="none"/>`;
+                case 'curve':
+                    return `    <path d="M${point(primitive.from)} Q${point(primitive.control)} ${point(primitive.to)}" fill="none"/>`;
+                case 'circle':
+                    return `    <circle cx="${this.round(primitive.x)}" cy="${this.round(primitive.y)}" r="${this.round(primitive.r)}" fill="${primitive.fill ? color : 'none'}"/>`;
+                case 'rect':
+                    return `    <rect x="${this.round(primitive.x)}" y="${this.round(primitive.y)}" width="${this.round(primitive.width)}" height="${this.round(primitive.height)}" ` +
+                        `fill="${primitive.fill ? this.parseColor(primitive.fill).hex : 'none'}"${opacity}${primitive.stroke ? '' : ' stroke="none"'}/>`;
+                case 'text':
+                    return `    <text x="${this.round(primitive.x)}" y="${this.round(primitive.y)}" font-size="${primitive.size}" ` +
+                        `text-anchor="${primitive.align === 'center' ? 'middle' : 'start'}" dominant-baseline="middle"${primitive.bold ? ' font-weight="bold"' : ''} fill="${color}" stroke="none">${this.escapeAttribute(primitive.text)}</text>`;
+                default:
+                    return null;
+            }
+        }).filter(Boolean);
+        
+        return `  <g id="annotations" stroke="${color}" stroke-width="${this.round(Math.max(1, size / 12))}" stroke-linecap="round" stroke-linejoin="round" ` +
+            `font-family="${this.escapeAttribute(family)}">\n${elements.join('\n')}\n  </g>`;
+    }
+
+    /**
+     * Create an SVG Blob from vector data
+     */
+    createBlob(vectorData, options = {}) {
+        return new Blob([this.createSVG(vectorData, options)], { type: 'image/svg+xml' });
+    }
+
+    /**
+     * A single <path> element for a stroke
+     */
+    createPathElement(stroke) {
+        const d = this.createPathData(stroke);
+        if (!d) return null;
+        
+        const color = this.parseColor(stroke.color || '#000000');
+        const opacity = Math.max(0, Math.min(1, (stroke.opacity !== undefined ? stroke.opacity : 1) * color.alpha));
+        const strokeWidth = this.round(stroke.width || 1);
+        
+        let attributes = `d="${d}" stroke="${color.hex}" stroke-width="${strokeWidth}"`;
+        if (opacity < 1) {
+            attributes += ` stroke-opacity="${this.round(opacity)}"`;
+        }
+        if (stroke.material && stroke.material !== 'unknown') {
+            attributes += ` data-material="${this.escapeAttribute(stroke.material)}"`;
+        }
+        
+        return `    <path ${attributes}/>`;
+    }
+
+    /**
+     * Path data from Bézier curves, falling back to a polyline
+     */
+    createPathData(stroke) {
+        if (stroke.beziers && stroke.beziers.length > 0) {
+            const curves = stroke.beziers;
+            let d = `M${this.round(curves[0].x0)} ${this.round(curves[0].y0)}`;
+            
+            curves.forEach(curve => {
+                d += ` C${this.round(curve.cp1x)} ${this.round(curve.cp1y)} ${this.round(curve.cp2x)} ${this.round(curve.cp2y)} ${this.round(curve.x)} ${this.round(curve.y)}`;
+            });
+            
+            return stroke.closed ? `${d} Z` : d;
+        }
+        
+        const points = stroke.points || [];
+        if (points.length < 2) return null;
+        
+        const d = points
+            .map((point, i) => `${i === 0 ? 'M' : 'L'}${this.round(point.x)} ${this.round(point.y)}`)
+            .join(' ');
+        
+        return stroke.closed ? `${d} Z` : d;
+    }
+
+    /**
+     * Parse a CSS hex or rgb()/rgba() color into hex plus alpha
+     */
+    parseColor(color) {
+        const rgba = /^rgba?\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*(?:,\s*([\d.]+)\s*)?\)$/i.exec(color);
+        if (rgba) {
+            const toHex = (value) => Math.round(Math.max(0, Math.min(255, parseFloat(value)))).toString(16).padStart(2, '0');
+            return {
+                hex: `#${toHex(rgba[1])}${toHex(rgba[2])}${toHex(rgba[3])}`,
+                alpha: rgba[4] !== undefined ? parseFloat(rgba[4]) : 1
+            };
+        }
+        
+        if (/^#[0-9a-f]{3}$/i.test(color)) {
+            return { hex: `#${color[1]}${color[1]}${color[2]}${color[2]}${color[3]}${color[3]}`.toLowerCase(), alpha: 1 };
+        }
+        
+        if (/^#[0-9a-f]{6}$/i.test(color)) {
+            return { hex: color.toLowerCase(), alpha: 1 };
+        }
+        
+        return { hex: '#000000', alpha: 1 };
+    }
+
+    /**
+     * Round to the configured precision
+     */
+    round(value) {
+        return Number(value.toFixed(this.precision));
+    }
+
+    /**
+     * Escape a value for use inside an XML attribute
+     */
+    escapeAttribute(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/"/g, '&quot;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SVGExporter;
+} else {
+    window.SVGExporter = SVGExporter;
+}
\ No newline at end of file
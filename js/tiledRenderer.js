@@ -0,0 +1,359 @@
+/**
+ * Tiled Renderer Module
+ * Renders the final sketch at full photo resolution. Edges are detected on
+ * overlapping tiles in the worker pool and stitched from the tile cores;
+ * strokes, shading and paper are drawn tile by tile with one seed and
+ * cross-faded across the overlaps, so no full-size layer stack is ever held.
+ * Stroke wobble and paper grain are keyed to image positions, so both tiles
+ * of an overlap draw them alike.
+ */
+
+class TiledRenderer {
+    constructor(options = {}) {
+        this.tileSize = options.tileSize || 1024;
+        
+        // Context each tile sees past its core; wider than the smoothing, hysteresis and thinning reach
+        this.overlap = options.overlap !== undefined ? options.overlap : 64;
+        
+        this.workerPool = options.workerPool || null;
+        this.pipelineTasks = options.pipelineTasks || (typeof PipelineTasks !== 'undefined' ? new PipelineTasks() : null);
+        this.edgeDetection = options.edgeDetection || (typeof EdgeDetection !== 'undefined' ? new EdgeDetection() : null);
+        this.toneShading = options.toneShading || (typeof ToneShading !== 'undefined' ? new ToneShading() : null);
+        
+        // Builds the HandDrawnEffects that draws one tile
+        this.createEffects = options.createEffects ||
+            (canvas => new HandDrawnEffects(canvas, { useAI: false, interiorMode: true }));
+    }
+
+    /**
+     * Render a photo to a full-size sketch canvas
+     * options.scale is the final size over the preview size: edge smoothing and
+     * thresholds, stroke widths and shading grids follow it so the final reads
+     * like the preview.
+     * options.edgeSettings go to detectArchitecturalEdges, options.sketchSettings to
+     * applyHandDrawnEffect; options.layerSettings are layer panel overrides by layer id.
+     */
+    async render(imageData, options = {}) {
+        const {
+            scale = 1,
+            blurRadius = 1,
+            edgeSettings = {},
+            sketchSettings = {},
+            layerSettings = null,
+            signal = null,
+            onProgress = () => {}
+        } = options;
+        
+        const { imageData: edges, lineSegments } = await this.detectEdges(imageData, {
+            blurRadius,
+            settings: {
+                ...edgeSettings,
+                sigma: (edgeSettings.sigma || 1.4) * scale,
+                threshold: (edgeSettings.threshold || 30) / scale
+            },
+            signal,
+            onProgress: (progress, stage) => onProgress(progress * 0.5, stage)
+        });
+        
+        return this.renderSketch(edges, {
+            settings: {
+                ...sketchSettings,
+                lineThickness: (sketchSettings.lineThickness || 2) * scale,
+                scale,
+                sourceImageData: imageData,
+                lineSegments
+            },
+            layerSettings,
+            signal,
+            onProgress: (progress, stage) => onProgress(0.5 + progress * 0.5, stage)
+        });
+    }
+
+    /**
+     * Split an image into tiles
+     * Cores cover the image without overlapping; each tile is its core grown by
+     * the overlap on every side, clipped to the image.
+     */
+    planTiles(width, height) {
+        const tiles = [];
+        
+        for (let y = 0, row = 0; y < height; y += this.tileSize, row++) {
+            for (let x = 0, column = 0; x < width; x += this.tileSize, column++) {
+                const core = {
+                    x,
+                    y,
+                    width: Math.min(this.tileSize, width - x),
+                    height: Math.min(this.tileSize, height - y)
+                };
+                const left = Math.max(0, x - this.overlap);
+                const top = Math.max(0, y - this.overlap);
+                const right = Math.min(width, x + core.width + this.overlap);
+                const bottom = Math.min(height, y + core.height + this.overlap);
+                
+                tiles.push({ x: left, y: top, width: right - left, height: bottom - top, core, row, column });
+            }
+        }
+        
+        return tiles;
+    }
+    
+    // ===== EDGE METHODS =====
+
+    /**
+     * Grayscale, blur and edge detection per tile, in parallel when workers are available
+     * Returns { imageData, lineSegments } like the edgePipeline task.
+     */
+    async detectEdges(imageData, options = {}) {
+        const { blurRadius = 1, settings = {}, signal = null, onProgress = () => {} } = options;
+        const tiles = this.planTiles(imageData.width, imageData.height);
+        const edges = new ImageData(imageData.width, imageData.height);
+        const tileSegments = [];
+        let done = 0;
+        
+        const lanes = this.workerPool && this.workerPool.useWorkers ? this.workerPool.size : 1;
+        await this.forEachTile(tiles, lanes, signal, async (tile, index) => {
+            const result = await this.runTask('edgePipeline', {
+                imageData: this.cropImageData(imageData, tile),
+                blurRadius,
+                settings
+            }, signal);
+            
+            // Only the core is kept: its pixels saw the full neighbourhood
+            this.pasteCore(edges, result.imageData, tile);
+            tileSegments[index] = this.offsetSegments(result.lineSegments || [], tile.x, tile.y);
+            onProgress(++done / tiles.length, 'edges');
+        });
+        
+        const lineSegments = settings.detectLines ?
+            this.mergeSegments([].concat(...tileSegments), settings.lineOptions || {}) : null;
+        
+        return { imageData: edges, lineSegments };
+    }
+
+    /**
+     * Run a pipeline task in the worker pool, or here when there is none
+     */
+    async runTask(task, payload, signal) {
+        if (this.workerPool) {
+            return this.workerPool.run(task, payload, { signal });
+        }
+        if (!this.pipelineTasks) {
+            throw new Error('PipelineTasks is not loaded');
+        }
+        
+        return this.pipelineTasks.run(task, payload);
+    }
+
+    /**
+     * Join the pieces of lines found in neighbouring tiles
+     */
+    mergeSegments(segments, lineOptions = {}) {
+        if (!this.edgeDetection) return segments;
+        
+        return this.edgeDetection.mergeCollinearSegments(segments, {
+            angleTolerance: lineOptions.angleTolerance,
+            distanceTolerance: lineOptions.distanceTolerance,
+            maxGap: lineOptions.mergeGap
+        });
+    }
+
+    /**
+     * Copy of segments moved by (dx, dy)
+     */
+    offsetSegments(segments, dx, dy) {
+        return segments.map(segment => ({
+            ...segment,
+            x1: segment.x1 + dx,
+            y1: segment.y1 + dy,
+            x2: segment.x2 + dx,
+            y2: segment.y2 + dy
+        }));
+    }
+    
+    // ===== SKETCH METHODS =====
+
+    /**
+     * Draw the sketch tile by tile onto a full-size canvas
+     * Every tile uses the same seed, edges and line segments in its own coordinates
+     * and is told its offset in the image. HandDrawnEffects keys each point's wobble
+     * and the paper grain to image positions, so a stroke crossing a seam follows
+     * the same path on both sides; per-stroke tone comes from where each tile's
+     * piece of the stroke starts and may differ, which the cross-fade evens out.
+     * Tone shading is stretched by the range of the whole photo and grids are
+     * sized from the whole image, so no tile normalises to its own crop.
+     */
+    async renderSketch(edges, options = {}) {
+        const { settings = {}, layerSettings = null, signal = null, onProgress = () => {} } = options;
+        const { width, height } = edges;
+        
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        
+        const seed = settings.seed !== undefined && settings.seed !== null && settings.seed !== '' ? settings.seed :
+            (typeof SeededRandom !== 'undefined' ? SeededRandom.generateSeed() : Math.floor(Math.random() * 4294967296));
+        const source = settings.sourceImageData || null;
+        const segments = settings.lineSegments || edges.lineSegments || null;
+        const shading = settings.shading && settings.shading !== 'none';
+        const toneRange = settings.toneRange || (shading && source && this.toneShading ?
+            this.toneShading.measureToneRange(source, width, height, settings.scale || 1) : null);
+        
+        const tiles = this.planTiles(width, height);
+        for (let i = 0; i < tiles.length; i++) {
+            if (signal && signal.aborted) {
+                throw this.createAbortError();
+            }
+            
+            const tile = tiles[i];
+            const tileImage = await this.renderTile(tile, edges, {
+                ...settings,
+                seed,
+                offsetX: tile.x,
+                offsetY: tile.y,
+                imageWidth: width,
+                imageHeight: height,
+                toneRange,
+                sourceImageData: source ? this.cropImageData(source, tile) : null,
+                lineSegments: segments ? this.offsetSegments(segments, -tile.x, -tile.y) : null,
+                materialData: settings.materialData ? {
+                    ...settings.materialData,
+                    offsetX: tile.x,
+                    offsetY: tile.y,
+                    scale: settings.materialData.width / width
+                } : null
+            }, layerSettings);
+            
+            this.blendTile(ctx, tileImage, tile);
+            onProgress((i + 1) / tiles.length, 'drawing');
+            
+            // Drawing runs on the page's thread: let it repaint between tiles
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+        
+        return canvas;
+    }
+
+    /**
+     * Draw one tile with HandDrawnEffects, applying layer panel overrides
+     */
+    async renderTile(tile, edges, settings, layerSettings = null) {
+        const canvas = document.createElement('canvas');
+        canvas.width = tile.width;
+        canvas.height = tile.height;
+        
+        const effects = this.createEffects(canvas);
+        const imageData = await effects.applyHandDrawnEffect(this.cropImageData(edges, tile), settings);
+        
+        const sketchDocument = effects.getDocument();
+        const overrides = layerSettings ? Object.entries(layerSettings) : [];
+        if (!sketchDocument || overrides.length === 0) {
+            return imageData;
+        }
+        
+        overrides.forEach(([id, properties]) => sketchDocument.setLayerProperties(id, properties));
+        effects.compositeDocument();
+        return canvas.getContext('2d').getImageData(0, 0, tile.width, tile.height);
+    }
+
+    /**
+     * Draw a rendered tile, cross-fading it into the tiles above and to the left
+     * The fade spans the band both tiles drew, centred on the core boundary.
+     */
+    blendTile(ctx, tileImage, tile) {
+        const target = ctx.getImageData(tile.x, tile.y, tile.width, tile.height);
+        const dst = target.data;
+        const src = tileImage.data;
+        const leftBand = (tile.core.x - tile.x) * 2;
+        const topBand = (tile.core.y - tile.y) * 2;
+        
+        for (let y = 0; y < tile.height; y++) {
+            const weightY = topBand > 0 ? Math.min(1, (y + 0.5) / topBand) : 1;
+            
+            for (let x = 0; x < tile.width; x++) {
+                const weight = Math.min(weightY, leftBand > 0 ? Math.min(1, (x + 0.5) / leftBand) : 1);
+                const i = (y * tile.width + x) * 4;
+                
+                for (let c = 0; c < 4; c++) {
+                    dst[i + c] = weight === 1 ? src[i + c] : dst[i + c] + (src[i + c] - dst[i + c]) * weight;
+                }
+            }
+        }
+        
+        ctx.putImageData(target, tile.x, tile.y);
+    }
+    
+    // ===== PIXEL METHODS =====
+
+    /**
+     * Copy of a rectangle of an image
+     */
+    cropImageData(imageData, rect) {
+        const result = new ImageData(rect.width, rect.height);
+        const rowLength = rect.width * 4;
+        
+        for (let row = 0; row < rect.height; row++) {
+            const start = ((rect.y + row) * imageData.width + rect.x) * 4;
+            result.data.set(imageData.data.subarray(start, start + rowLength), row * rowLength);
+        }
+        
+        return result;
+    }
+
+    /**
+     * Copy a tile's core from the tile image into the full image
+     */
+    pasteCore(target, tileImage, tile) {
+        const { core } = tile;
+        const rowLength = core.width * 4;
+        
+        for (let row = 0; row < core.height; row++) {
+            const from = ((core.y - tile.y + row) * tileImage.width + (core.x - tile.x)) * 4;
+            const to = ((core.y + row) * target.width + core.x) * 4;
+            target.data.set(tileImage.data.subarray(from, from + rowLength), to);
+        }
+    }
+
+    /**
+     * Run a task per tile on up to `lanes` tiles at once, in tile order
+     */
+    async forEachTile(tiles, lanes, signal, task) {
+        let next = 0;
+        
+        const runLane = async () => {
+            while (next < tiles.length) {
+                if (signal && signal.aborted) {
+                    throw this.createAbortError();
+                }
+                
+                const index = next++;
+                try {
+                    await task(tiles[index], index);
+                } catch (error) {
+                    // Stop the other lanes picking up more tiles
+                    next = tiles.length;
+                    throw error;
+                }
+            }
+        };
+        
+        const count = Math.max(1, Math.min(lanes, tiles.length));
+        await Promise.all(Array.from({ length: count }, runLane));
+    }
+
+    /**
+     * Error used when a render is cancelled, named like a DOM AbortError
+     */
+    createAbortError() {
+        const error = new Error('Rendering cancelled');
+        error.name = 'AbortError';
+        return error;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TiledRenderer;
+} else {
+    window.TiledRenderer = TiledRenderer;
+}
\ No newline at end of file
@@ -0,0 +1,398 @@
+/**
+ * Tone Shading Module
+ * Turns the luminance of the source photo into hatching, cross-hatching or
+ * stippling marks whose density tracks tone, with hatch direction following
+ * nearby detected line segments
+ */
+
+class ToneShading {
+    constructor(options = {}) {
+        // Tone is averaged over cells of this many pixels
+        this.cellSize = options.cellSize || 6;
+        
+        // Hatch strokes are laid in square patches of this many cells
+        this.patchCells = options.patchCells || 4;
+        
+        // Darkness (0-1) below which the paper is left blank
+        this.paperThreshold = options.paperThreshold !== undefined ? options.paperThreshold : 0.2;
+        
+        // Hatch spacing in pixels for the lightest and darkest tones
+        this.maxSpacing = options.maxSpacing || 9;
+        this.minSpacing = options.minSpacing || 2.5;
+        
+        // Darkness at which each extra cross-hatch layer starts
+        this.crossHatchThresholds = options.crossHatchThresholds || [0.45, 0.7];
+        
+        // Segments further than this many pixels stop steering the hatch direction
+        this.orientationRadius = options.orientationRadius || 60;
+        
+        // Hatch angle (radians) where no line segment is close enough
+        this.defaultAngle = options.defaultAngle !== undefined ? options.defaultAngle : Math.PI / 4;
+    }
+
+    /**
+     * Generate shading marks for a drawing of width x height
+     * mode is 'hatching', 'crosshatch' or 'stipple'. scale multiplies the cell
+     * size, hatch spacing and orientation radius for drawings larger than the
+     * preview; toneRange ({ low, high } from measureToneRange) replaces the
+     * stretch measured on this photo. Returns
+     * { lines: [{ x1, y1, x2, y2, layer }], dots: [{ x, y, r }] }.
+     */
+    generate(imageData, width, height, options = {}) {
+        const {
+            mode = 'hatching',
+            segments = null,
+            random = Math.random,
+            contrast = 1,
+            scale = 1,
+            toneRange = null
+        } = options;
+        
+        const toneMap = this.computeToneMap(imageData, width, height, { contrast, scale, toneRange });
+        
+        if (mode === 'stipple') {
+            return { lines: [], dots: this.generateStipple(toneMap, random) };
+        }
+        
+        const orientation = this.computeOrientationField(segments, toneMap);
+        const layers = mode === 'crosshatch' ? 1 + this.crossHatchThresholds.length : 1;
+        
+        return { lines: this.generateHatching(toneMap, orientation, layers, random), dots: [] };
+    }
+
+    /**
+     * Average darkness per cell, stretched so low-contrast photos still shade
+     * The stretch runs between the 5th and 95th percentiles of the cells unless
+     * options.toneRange gives it. Returns { tone, gridWidth, gridHeight, cellSize, scale }
+     * with tone in [0, 1], 1 = black.
+     */
+    computeToneMap(imageData, width, height, options = {}) {
+        const { contrast = 1, scale = 1, toneRange = null } = options;
+        const { tone, gridWidth, gridHeight, cellSize } = this.averageTone(imageData, width, height, scale);
+        const { low, high } = toneRange || this.percentileRange(tone);
+        const range = Math.max(0.05, high - low);
+        
+        for (let i = 0; i < tone.length; i++) {
+            const stretched = Math.max(0, Math.min(1, (tone[i] - low) / range));
+            tone[i] = Math.max(0, Math.min(1, 0.5 + (stretched - 0.5) * contrast));
+        }
+        
+        return { tone, gridWidth, gridHeight, cellSize, scale };
+    }
+
+    /**
+     * Tone stretch of a whole photo, for drawings made in pieces
+     * Tiles of a large render each see part of the photo; stretching every tile
+     * by this one range keeps their shading consistent. Returns { low, high }.
+     */
+    measureToneRange(imageData, width, height, scale = 1) {
+        return this.percentileRange(this.averageTone(imageData, width, height, scale).tone);
+    }
+
+    /**
+     * Average darkness (0-1) per cell of a width x height drawing
+     */
+    averageTone(imageData, width, height, scale = 1) {
+        const cellSize = this.cellSize * scale;
+        const gridWidth = Math.ceil(width / cellSize);
+        const gridHeight = Math.ceil(height / cellSize);
+        const tone = new Float32Array(gridWidth * gridHeight);
+        const counts = new Uint16Array(gridWidth * gridHeight);
+        
+        // The photo may be a different size from the drawing
+        const scaleX = width / imageData.width;
+        const scaleY = height / imageData.height;
+        const data = imageData.data;
+        
+        for (let y = 0; y < imageData.height; y++) {
+            const gy = Math.min(gridHeight - 1, Math.floor(y * scaleY / cellSize));
+            for (let x = 0; x < imageData.width; x++) {
+                const gx = Math.min(gridWidth - 1, Math.floor(x * scaleX / cellSize));
+                const idx = (y * imageData.width + x) * 4;
+                const luminance = 0.299 * data[idx] + 0.587 * data[idx + 1] + 0.114 * data[idx + 2];
+                tone[gy * gridWidth + gx] += 1 - luminance / 255;
+                counts[gy * gridWidth + gx]++;
+            }
+        }
+        
+        for (let i = 0; i < tone.length; i++) {
+            tone[i] = counts[i] > 0 ? tone[i] / counts[i] : 0;
+        }
+        
+        return { tone, gridWidth, gridHeight, cellSize };
+    }
+
+    /**
+     * 5th and 95th percentiles of cell tones
+     */
+    percentileRange(tone) {
+        const sorted = Float32Array.from(tone).sort();
+        return {
+            low: sorted[Math.floor(sorted.length * 0.05)],
+            high: sorted[Math.floor(sorted.length * 0.95)]
+        };
+    }
+
+    /**
+     * Hatch angle per patch from nearby line segments
+     * Segment directions are averaged as doubled angles so opposite directions
+     * agree, weighted by length and falling off with distance.
+     */
+    computeOrientationField(segments, toneMap) {
+        const { gridWidth, gridHeight, cellSize } = toneMap;
+        const patchSize = cellSize * this.patchCells;
+        const patchColumns = Math.ceil(gridWidth / this.patchCells);
+        const patchRows = Math.ceil(gridHeight / this.patchCells);
+        const angles = new Float32Array(patchColumns * patchRows).fill(this.defaultAngle);
+        
+        if (!segments || segments.length === 0) {
+            return { angles, patchColumns, patchRows, patchSize };
+        }
+        
+        const radius = this.orientationRadius * toneMap.scale;
+        const radiusSq = radius * radius;
+        const usable = segments.map(segment => {
+            const dx = segment.x2 - segment.x1;
+            const dy = segment.y2 - segment.y1;
+            return { segment, length: Math.hypot(dx, dy), angle: Math.atan2(dy, dx) };
+        }).filter(item => item.length > 0);
+        
+        for (let py = 0; py < patchRows; py++) {
+            for (let px = 0; px < patchColumns; px++) {
+                const center = { x: (px + 0.5) * patchSize, y: (py + 0.5) * patchSize };
+                let sumX = 0;
+                let sumY = 0;
+                
+                usable.forEach(({ segment, length, angle }) => {
+                    const distanceSq = this.pointSegmentDistanceSq(center, segment);
+                    if (distanceSq > radiusSq) return;
+                    
+                    const weight = length / (1 + distanceSq / (patchSize * patchSize));
+                    sumX += Math.cos(2 * angle) * weight;
+                    sumY += Math.sin(2 * angle) * weight;
+                });
+                
+                if (sumX !== 0 || sumY !== 0) {
+                    angles[py * patchColumns + px] = Math.atan2(sumY, sumX) / 2;
+                }
+            }
+        }
+        
+        return { angles, patchColumns, patchRows, patchSize };
+    }
+
+    /**
+     * Parallel strokes per patch; spacing tightens with tone and extra layers
+     * at alternate angles build cross-hatching in the darker areas
+     */
+    generateHatching(toneMap, orientation, layers, random) {
+        const { tone, gridWidth, gridHeight, cellSize, scale } = toneMap;
+        const { angles, patchColumns, patchRows, patchSize } = orientation;
+        const maxSpacing = this.maxSpacing * scale;
+        const minSpacing = this.minSpacing * scale;
+        const layerAngles = [0, Math.PI / 2, Math.PI / 4];
+        const layerThresholds = [this.paperThreshold, ...this.crossHatchThresholds];
+        const lines = [];
+        
+        const toneAt = (x, y) => {
+            const gx = Math.min(gridWidth - 1, Math.max(0, Math.floor(x / cellSize)));
+            const gy = Math.min(gridHeight - 1, Math.max(0, Math.floor(y / cellSize)));
+            return tone[gy * gridWidth + gx];
+        };
+        
+        for (let py = 0; py < patchRows; py++) {
+            for (let px = 0; px < patchColumns; px++) {
+                const left = px * patchSize;
+                const top = py * patchSize;
+                
+                // Mean tone of the patch sets its spacing
+                let sum = 0;
+                let count = 0;
+                for (let gy = py * this.patchCells; gy < Math.min(gridHeight, (py + 1) * this.patchCells); gy++) {
+                    for (let gx = px * this.patchCells; gx < Math.min(gridWidth, (px + 1) * this.patchCells); gx++) {
+                        sum += tone[gy * gridWidth + gx];
+                        count++;
+                    }
+                }
+                const meanTone = count > 0 ? sum / count : 0;
+                
+                for (let layer = 0; layer < layers; layer++) {
+                    const threshold = layerThresholds[layer];
+                    if (meanTone < threshold) continue;
+                    
+                    // Spacing from the tone above this layer's threshold
+                    const strength = Math.min(1, (meanTone - threshold) / (1 - threshold) * 1.5);
+                    const spacing = maxSpacing - (maxSpacing - minSpacing) * strength;
+                    const angle = angles[py * patchColumns + px] + layerAngles[layer % layerAngles.length];
+                    
+                    this.hatchPatch(left, top, patchSize, angle, spacing, random).forEach(line => {
+                        // Keep only the parts of the line over tone dark enough for this layer
+                        this.splitByTone(line, toneAt, threshold, cellSize).forEach(part => {
+                            part.layer = layer;
+                            lines.push(part);
+                        });
+                    });
+                }
+            }
+        }
+        
+        return lines;
+    }
+
+    /**
+     * Parallel lines at `angle` covering a square patch, with ragged ends
+     * Lines sit on a grid shared by the whole drawing, so neighbouring patches
+     * with similar angle and spacing continue each other's strokes.
+     */
+    hatchPatch(left, top, size, angle, spacing, random) {
+        const dx = Math.cos(angle);
+        const dy = Math.sin(angle);
+        const cx = left + size / 2;
+        const cy = top + size / 2;
+        const half = size / 2;
+        
+        // Lines are laid across the patch diagonal and clipped to the patch
+        const reach = half * Math.SQRT2;
+        const centerOffset = -cx * dy + cy * dx;
+        const firstOffset = Math.ceil((centerOffset - reach) / spacing) * spacing - centerOffset;
+        const lines = [];
+        
+        for (let offset = firstOffset; offset < reach; offset += spacing) {
+            const ox = cx - dy * offset;
+            const oy = cy + dx * offset;
+            const clipped = this.clipLineToSquare(ox, oy, dx, dy, cx, cy, half);
+            if (!clipped) continue;
+            
+            // Hand-drawn hatches stop short or run over the patch edge a little
+            const start = clipped.t0 + (random() - 0.5) * spacing * 0.6;
+            const end = clipped.t1 + (random() - 0.5) * spacing * 0.6;
+            if (end - start < spacing) continue;
+            
+            lines.push({
+                x1: ox + dx * start,
+                y1: oy + dy * start,
+                x2: ox + dx * end,
+                y2: oy + dy * end
+            });
+        }
+        
+        return lines;
+    }
+
+    /**
+     * Parameter range where the line (ox, oy) + t (dx, dy) lies inside a square
+     */
+    clipLineToSquare(ox, oy, dx, dy, cx, cy, half) {
+        let t0 = -Infinity;
+        let t1 = Infinity;
+        
+        const clipAxis = (origin, direction, min, max) => {
+            if (Math.abs(direction) < 1e-9) {
+                return origin >= min && origin <= max;
+            }
+            let a = (min - origin) / direction;
+            let b = (max - origin) / direction;
+            if (a > b) [a, b] = [b, a];
+            t0 = Math.max(t0, a);
+            t1 = Math.min(t1, b);
+            return t0 < t1;
+        };
+        
+        if (!clipAxis(ox, dx, cx - half, cx + half) || !clipAxis(oy, dy, cy - half, cy + half)) {
+            return null;
+        }
+        
+        return { t0, t1 };
+    }
+
+    /**
+     * Split a line into the runs lying over tone at or above threshold
+     */
+    splitByTone(line, toneAt, threshold, step) {
+        const length = Math.hypot(line.x2 - line.x1, line.y2 - line.y1);
+        const samples = Math.max(1, Math.ceil(length / (step / 2)));
+        const parts = [];
+        let runStart = null;
+        
+        for (let i = 0; i <= samples; i++) {
+            const t = i / samples;
+            const x = line.x1 + (line.x2 - line.x1) * t;
+            const y = line.y1 + (line.y2 - line.y1) * t;
+            const dark = toneAt(x, y) >= threshold;
+            
+            if (dark && runStart === null) {
+                runStart = t;
+            }
+            if ((!dark || i === samples) && runStart !== null) {
+                const runEnd = dark ? t : (i - 1) / samples;
+                if ((runEnd - runStart) * length >= step / 2) {
+                    parts.push({
+                        x1: line.x1 + (line.x2 - line.x1) * runStart,
+                        y1: line.y1 + (line.y2 - line.y1) * runStart,
+                        x2: line.x1 + (line.x2 - line.x1) * runEnd,
+                        y2: line.y1 + (line.y2 - line.y1) * runEnd
+                    });
+                }
+                runStart = null;
+            }
+        }
+        
+        return parts;
+    }
+
+    /**
+     * Stipple dots on a jittered grid, kept with probability rising with tone
+     * Jittering one candidate per sub-cell avoids the clumping of purely random dots.
+     */
+    generateStipple(toneMap, random) {
+        const { tone, gridWidth, gridHeight, cellSize } = toneMap;
+        const subdivisions = 3;
+        const step = cellSize / subdivisions;
+        const dots = [];
+        
+        for (let gy = 0; gy < gridHeight; gy++) {
+            for (let gx = 0; gx < gridWidth; gx++) {
+                const value = tone[gy * gridWidth + gx];
+                if (value < this.paperThreshold) continue;
+                
+                const probability = Math.pow((value - this.paperThreshold) / (1 - this.paperThreshold), 1.2);
+                
+                for (let sy = 0; sy < subdivisions; sy++) {
+                    for (let sx = 0; sx < subdivisions; sx++) {
+                        if (random() >= probability) continue;
+                        
+                        dots.push({
+                            x: gx * cellSize + (sx + random()) * step,
+                            y: gy * cellSize + (sy + random()) * step,
+                            r: 0.5 + value * 0.5
+                        });
+                    }
+                }
+            }
+        }
+        
+        return dots;
+    }
+
+    /**
+     * Squared distance from a point to a segment given as { x1, y1, x2, y2 }
+     */
+    pointSegmentDistanceSq(point, segment) {
+        const dx = segment.x2 - segment.x1;
+        const dy = segment.y2 - segment.y1;
+        const lengthSq = dx * dx + dy * dy;
+        let t = lengthSq > 0 ? ((point.x - segment.x1) * dx + (point.y - segment.y1) * dy) / lengthSq : 0;
+        t = Math.max(0, Math.min(1, t));
+        
+        const px = segment.x1 + t * dx - point.x;
+        const py = segment.y1 + t * dy - point.y;
+        return px * px + py * py;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ToneShading;
+} else {
+    window.ToneShading = ToneShading;
+}
\ No newline at end of file
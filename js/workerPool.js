@@ -0,0 +1,262 @@
+/**
+ * Worker Pool Module
+ * Runs PipelineTasks on a pool of web workers with progress events and
+ * cancellation. Falls back to the main thread when workers can't be started
+ * (old browsers, or pages opened from file://).
+ */
+
+class WorkerPool {
+    constructor(options = {}) {
+        this.scriptUrl = options.scriptUrl || 'js/pipelineWorker.js';
+        
+        // Leave a core for the UI thread
+        const cores = typeof navigator !== 'undefined' && navigator.hardwareConcurrency ? navigator.hardwareConcurrency : 2;
+        this.size = options.size || Math.max(1, Math.min(4, cores - 1));
+        
+        this.createWorker = options.createWorker || (() => new Worker(this.scriptUrl));
+        
+        // Main-thread runner used when workers are unavailable
+        this.fallback = options.fallback || (typeof PipelineTasks !== 'undefined' ? new PipelineTasks() : null);
+        this.useWorkers = options.useWorkers !== undefined ? options.useWorkers : WorkerPool.isSupported();
+        
+        this.slots = [];
+        this.queue = [];
+        this.nextId = 1;
+    }
+
+    /**
+     * Check whether this browser can run the pipeline in workers
+     */
+    static isSupported() {
+        return typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined';
+    }
+
+    /**
+     * Run a task, resolving to its result
+     * options.onProgress(fraction, stage) reports progress; options.signal (an
+     * AbortSignal) cancels; options.transfer lists buffers to hand over to the
+     * worker instead of copying (the caller can't use them afterwards).
+     */
+    run(task, payload = {}, options = {}) {
+        const { onProgress = null, signal = null, transfer = [] } = options;
+        
+        if (signal && signal.aborted) {
+            return Promise.reject(this.createAbortError());
+        }
+        
+        if (!this.useWorkers) {
+            return this.runOnMainThread(task, payload, onProgress, signal);
+        }
+        
+        return new Promise((resolve, reject) => {
+            const job = { id: this.nextId++, task, payload, transfer, onProgress, signal, resolve, reject };
+            
+            if (signal) {
+                signal.addEventListener('abort', () => this.cancel(job), { once: true });
+            }
+            
+            this.queue.push(job);
+            this.dispatch();
+        });
+    }
+
+    /**
+     * Number of jobs waiting or running
+     */
+    getPendingCount() {
+        return this.queue.length + this.slots.filter(slot => slot.job).length;
+    }
+
+    /**
+     * Stop every worker and reject all outstanding jobs
+     */
+    terminate() {
+        const error = this.createAbortError();
+        
+        this.queue.splice(0).forEach(job => job.reject(error));
+        this.slots.forEach(slot => {
+            slot.worker.terminate();
+            if (slot.job) slot.job.reject(error);
+        });
+        this.slots = [];
+    }
+    
+    // ===== SCHEDULING METHODS =====
+
+    /**
+     * Hand queued jobs to idle workers, starting workers up to the pool size
+     */
+    dispatch() {
+        while (this.queue.length > 0) {
+            const slot = this.slots.find(candidate => !candidate.job) || this.startWorker();
+            if (!slot) return;
+            
+            const job = this.queue.shift();
+            slot.job = job;
+            
+            try {
+                slot.worker.postMessage({ id: job.id, task: job.task, payload: job.payload }, job.transfer);
+            } catch (error) {
+                slot.job = null;
+                job.reject(error);
+            }
+        }
+    }
+
+    /**
+     * Start a worker if the pool has room, or switch to the main thread if workers fail
+     */
+    startWorker() {
+        if (this.slots.length >= this.size) return null;
+        
+        let worker;
+        try {
+            worker = this.createWorker();
+        } catch (error) {
+            this.fallBackToMainThread(error.message);
+            return null;
+        }
+        
+        const slot = { worker, job: null, started: false };
+        worker.onmessage = (e) => this.handleMessage(slot, e.data);
+        worker.onerror = (e) => this.handleWorkerError(slot, e);
+        this.slots.push(slot);
+        return slot;
+    }
+
+    /**
+     * Route a worker message to its job
+     */
+    handleMessage(slot, message) {
+        slot.started = true;
+        const job = slot.job;
+        if (!job || job.id !== message.id) return;
+        
+        if (message.type === 'progress') {
+            if (job.onProgress) job.onProgress(message.progress, message.stage);
+            return;
+        }
+        
+        slot.job = null;
+        if (message.type === 'result') {
+            job.resolve(message.result);
+        } else {
+            job.reject(new Error(message.message || 'Pipeline task failed'));
+        }
+        this.dispatch();
+    }
+
+    /**
+     * A worker crashed or its script failed to load: fail its job and replace it
+     */
+    handleWorkerError(slot, e) {
+        if (e && e.preventDefault) e.preventDefault();
+        
+        const message = e && e.message ? e.message : 'Pipeline worker failed';
+        const job = slot.job;
+        this.removeSlot(slot);
+        
+        // A worker that never answered most likely couldn't load its script.
+        // Its job is retried on the main thread unless its buffers were transferred away.
+        if (!slot.started) {
+            if (job && job.transfer.length === 0) {
+                this.queue.unshift(job);
+            } else if (job) {
+                job.reject(new Error(message));
+            }
+            this.fallBackToMainThread(message);
+            return;
+        }
+        
+        if (job) job.reject(new Error(message));
+        this.dispatch();
+    }
+
+    /**
+     * Cancel a job; a running job's worker is stopped since pixel loops can't be interrupted
+     */
+    cancel(job) {
+        const queued = this.queue.indexOf(job);
+        if (queued >= 0) {
+            this.queue.splice(queued, 1);
+            job.reject(this.createAbortError());
+            return;
+        }
+        
+        const slot = this.slots.find(candidate => candidate.job === job);
+        if (!slot) return;
+        
+        slot.worker.terminate();
+        this.removeSlot(slot);
+        job.reject(this.createAbortError());
+        this.dispatch();
+    }
+
+    /**
+     * Forget a worker slot
+     */
+    removeSlot(slot) {
+        this.slots = this.slots.filter(candidate => candidate !== slot);
+    }
+
+    /**
+     * Stop using workers and run queued jobs on the main thread
+     * Jobs keep their signals, so cancelling still stops them there.
+     */
+    fallBackToMainThread(reason) {
+        console.warn('Pipeline workers unavailable, processing on the main thread:', reason);
+        this.useWorkers = false;
+        
+        this.slots.forEach(slot => slot.worker.terminate());
+        this.slots.filter(slot => slot.job).forEach(slot => {
+            if (slot.job.transfer.length === 0) {
+                this.queue.unshift(slot.job);
+            } else {
+                slot.job.reject(new Error(reason));
+            }
+        });
+        this.slots = [];
+        
+        this.queue.splice(0).forEach(job => {
+            this.runOnMainThread(job.task, job.payload, job.onProgress, job.signal).then(job.resolve, job.reject);
+        });
+    }
+
+    /**
+     * Run a task on the main thread, yielding first so the UI can paint
+     * A task cancelled while it runs can't be interrupted, but rejects when it ends.
+     */
+    async runOnMainThread(task, payload, onProgress, signal) {
+        if (!this.fallback) {
+            throw new Error('PipelineTasks is not loaded');
+        }
+        
+        await new Promise(resolve => setTimeout(resolve, 0));
+        if (signal && signal.aborted) {
+            throw this.createAbortError();
+        }
+        
+        const result = await this.fallback.run(task, payload, onProgress || (() => {}));
+        if (signal && signal.aborted) {
+            throw this.createAbortError();
+        }
+        
+        return result;
+    }
+
+    /**
+     * Error used for cancelled jobs, named like a DOM AbortError
+     */
+    createAbortError() {
+        const error = new Error('Processing cancelled');
+        error.name = 'AbortError';
+        return error;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WorkerPool;
+} else {
+    window.WorkerPool = WorkerPool;
+}
\ No newline at end of file
@@ -600,6 +600,52 @@ document.addEventListener('DOMContentLoaded', function() {
         timeout: 30000
     });
     
+    tf.test('batch_processing_resume_after_stop', async (ctx) => {
+        ctx.log('Testing that a stopped batch resumes every unfinished file');
+        
+        const processor = new BatchProcessor(null, null, { workerPool: { useWorkers: true, size: 2 } });
+        processor.updateBatchDisplay = () => {};
+        processor.completeBatch = () => {};
+        
+        // A stopped run left the first and third files done and the second one pending
+        processor.queue = ['completed', 'pending', 'completed', 'pending', 'skipped', 'error']
+            .map((status, i) => ({ id: `item_${i}`, status }));
+        processor.isProcessing = true;
+        
+        const processed = [];
+        processor.processQueueItem = async (item) => {
+            processed.push(item.id);
+            await processor.sleep(10);
+            item.status = 'completed';
+        };
+        await processor.processBatch();
+        
+        ctx.assert(processed.sort().join() === 'item_1,item_3,item_5', 'Every unfinished file should be processed on resume');
+        
+        // Main-thread drawing runs one file at a time, and not at all once stopped
+        let drawing = 0;
+        let overlapped = false;
+        const draw = async () => {
+            overlapped = overlapped || drawing > 0;
+            drawing++;
+            await processor.sleep(20);
+            drawing--;
+        };
+        await Promise.all([processor.whenDrawingFree(null, draw), processor.whenDrawingFree(null, draw)]);
+        ctx.assert(!overlapped, 'Drawings should not overlap');
+        
+        const controller = new AbortController();
+        controller.abort();
+        const stopped = await processor.whenDrawingFree(controller.signal, draw).catch(error => error);
+        ctx.assert(stopped && stopped.name === 'AbortError', 'A stopped batch should not start drawing');
+        
+        return { success: true, processed: processed.length };
+    }, {
+        category: 'batch',
+        description: 'Tests BatchProcessor resuming after Stop and serializing main-thread drawing',
+        timeout: 10000
+    });
+    
     // ===== HELPER METHODS =====
     
     /**
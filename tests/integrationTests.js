@@ -214,6 +214,1590 @@ document.addEventListener('DOMContentLoaded', function() {
         timeout: 20000
     });
     
+    // ===== EDGE DETECTION INTEGRATION TESTS =====
+    
+    tf.test('edgeDetection_canny_hysteresis', async (ctx) => {
+        ctx.log('Testing Canny edge detection with hysteresis');
+        
+        const edgeDetection = new EdgeDetection();
+        const testImageData = await createTestImageData(ctx, 256, 256, 'solid');
+        
+        const edges = edgeDetection.detectCannyEdges(testImageData, { sigma: 1.4, low: 20, high: 50 });
+        ctx.assert(edges instanceof ImageData, 'Canny result should be ImageData');
+        ctx.assert(edges.width === 256 && edges.height === 256, 'Canny result should keep dimensions');
+        
+        // The filled square should produce a closed outline and nothing in flat areas
+        let edgePixels = 0;
+        for (let i = 0; i < edges.data.length; i += 4) {
+            if (edges.data[i] === 0) edgePixels++;
+        }
+        const perimeter = 4 * (256 - 100);
+        ctx.assert(edgePixels > perimeter * 0.8, 'Square outline should be detected');
+        ctx.assert(edgePixels < perimeter * 2.5, 'Edges should be thin with no speckle');
+        
+        const centerIdx = (128 * 256 + 128) * 4;
+        ctx.assert(edges.data[centerIdx] === 255, 'Flat interior should have no edges');
+        
+        return { success: true, edgePixels };
+    }, {
+        category: 'integration',
+        description: 'Tests the full Canny pipeline in EdgeDetection',
+        timeout: 10000
+    });
+    
+    tf.test('edgeDetection_line_segments', async (ctx) => {
+        ctx.log('Testing straight line segment extraction');
+        
+        const edgeDetection = new EdgeDetection();
+        const testImageData = await createTestImageData(ctx, 256, 256, 'edges');
+        
+        const edges = edgeDetection.detectArchitecturalEdges(testImageData, {
+            threshold: 30,
+            detectLines: true
+        });
+        const segments = edges.lineSegments;
+        
+        ctx.assert(Array.isArray(segments), 'Line segments should be attached to the edge data');
+        ctx.assert(segments.length >= 4, 'Rectangle outlines should yield at least four segments');
+        
+        segments.forEach(segment => {
+            ['x1', 'y1', 'x2', 'y2', 'strength'].forEach(key => {
+                ctx.assert(typeof segment[key] === 'number', `Segment ${key} should be a number`);
+            });
+        });
+        
+        // A broken line should be bridged into a single segment
+        const merged = edgeDetection.mergeCollinearSegments([
+            { x1: 10, y1: 50, x2: 100, y2: 50, strength: 1 },
+            { x1: 106, y1: 51, x2: 200, y2: 51, strength: 1 }
+        ], { maxGap: 10 });
+        ctx.assert(merged.length === 1, 'Collinear segments across a small gap should merge');
+        ctx.assert(Math.abs(merged[0].x2 - 200) < 1, 'Merged segment should span both pieces');
+        
+        // Overlapping pieces must not add up past full coverage
+        const overlapping = edgeDetection.mergeCollinearSegments([
+            { x1: 10, y1: 50, x2: 150, y2: 50, strength: 0.9 },
+            { x1: 60, y1: 50, x2: 200, y2: 50, strength: 0.9 }
+        ], { maxGap: 10 });
+        ctx.assert(overlapping.length === 1 && overlapping[0].strength <= 1, 'Merged strength should stay within 0-1');
+        
+        return { success: true, segmentCount: segments.length };
+    }, {
+        category: 'integration',
+        description: 'Tests Hough line extraction and collinear merging',
+        timeout: 10000
+    });
+    
+    tf.test('perspectiveAnalysis_vanishing_points', async (ctx) => {
+        ctx.log('Testing vanishing point estimation and snapping');
+        
+        const perspectiveAnalysis = new PerspectiveAnalysis();
+        const vanishingPoint = { x: 300, y: 180 };
+        const segments = [];
+        
+        // Rays converging on a single point, plus vertical wall edges
+        for (let angle = 0; angle < 360; angle += 30) {
+            const rad = angle * Math.PI / 180;
+            segments.push({
+                x1: vanishingPoint.x + Math.cos(rad) * 60,
+                y1: vanishingPoint.y + Math.sin(rad) * 60,
+                x2: vanishingPoint.x + Math.cos(rad) * 250,
+                y2: vanishingPoint.y + Math.sin(rad) * 250,
+                strength: 1
+            });
+        }
+        for (let x = 50; x < 600; x += 100) {
+            segments.push({ x1: x, y1: 20, x2: x, y2: 380, strength: 1 });
+        }
+        
+        const perspective = perspectiveAnalysis.estimateVanishingPoints(segments, 600, 400);
+        ctx.assert(perspective.type === 'one-point', 'Converging rays should give one-point perspective');
+        
+        const finite = perspective.vanishingPoints.find(vp => !vp.infinite);
+        ctx.assert(Math.hypot(finite.x - vanishingPoint.x, finite.y - vanishingPoint.y) < 3, 'Vanishing point should be located');
+        
+        // A slightly-off ray should be rotated onto the vanishing point
+        const [snapped] = perspectiveAnalysis.snapSegments([{ x1: 400, y1: 182, x2: 550, y2: 190 }], perspective);
+        const angleToVp = perspectiveAnalysis.findConvergence(snapped, perspective).angle;
+        ctx.assert(angleToVp < 0.01, 'Snapped segment should point at the vanishing point');
+        
+        return { success: true, type: perspective.type };
+    }, {
+        category: 'integration',
+        description: 'Tests vanishing point estimation in PerspectiveAnalysis',
+        timeout: 10000
+    });
+    
+    tf.test('strokeVectorizer_fit_and_simplify', async (ctx) => {
+        ctx.log('Testing polyline simplification, Bézier fitting and tracing');
+        
+        const vectorizer = new StrokeVectorizer({ tolerance: 1 });
+        
+        // A jittery L: the wobble is under the tolerance, the corner is not
+        const polyline = [];
+        for (let x = 0; x <= 50; x++) polyline.push({ x, y: (x % 2) * 0.4 });
+        for (let y = 1; y <= 30; y++) polyline.push({ x: 50 + (y % 2) * 0.4, y });
+        
+        const simplified = vectorizer.simplify(polyline);
+        ctx.assert(simplified.length === 3, `Expected 3 vertices, got ${simplified.length}`);
+        ctx.assert(simplified[1].x === 50 && simplified[1].y === 0, 'The corner vertex should be kept');
+        
+        // The corner keeps zero-length tangents so the wall stays crisp
+        const curves = vectorizer.fitBeziers(simplified);
+        ctx.assert(curves.length === 2, 'Each span should become one curve');
+        ctx.assert(curves[0].cp2x === 50 && curves[0].cp2y === 0 && curves[1].cp1x === 50 && curves[1].cp1y === 0, 'Corner tangents should be zero-length');
+        ctx.assert(vectorizer.toPathData(simplified) === 'M0 0 C8.33 0 50 0 50 0 C50 0 50 25 50 30', 'Path data should follow the curves');
+        
+        // A gentle arc gets smooth tangents along the curve
+        const arc = [];
+        for (let i = 0; i <= 8; i++) {
+            const angle = i / 8 * Math.PI / 2;
+            arc.push({ x: 40 * Math.cos(angle), y: 40 * Math.sin(angle) });
+        }
+        const [first, second] = vectorizer.fitBeziers(arc);
+        const outgoing = Math.atan2(second.cp1y - second.y0, second.cp1x - second.x0);
+        const incoming = Math.atan2(first.y - first.cp2y, first.x - first.cp2x);
+        ctx.assert(Math.abs(outgoing - incoming) < 1e-9, 'Tangents should be continuous through a smooth vertex');
+        
+        // A traced one-pixel line comes back as a single two-point stroke
+        const edgeData = new ImageData(40, 20);
+        edgeData.data.fill(255);
+        for (let x = 5; x <= 34; x++) {
+            edgeData.data.fill(0, (10 * 40 + x) * 4, (10 * 40 + x) * 4 + 3);
+        }
+        const strokes = vectorizer.vectorize(edgeData);
+        ctx.assert(strokes.length === 1 && strokes[0].length === 2 && !strokes[0].closed, 'A straight line should trace to one open stroke');
+        ctx.assert(strokes[0][0].x === 5 && strokes[0][1].x === 34 && strokes[0].beziers.length === 1, 'The stroke should span the line');
+        
+        return { success: true };
+    }, {
+        category: 'integration',
+        description: 'Tests StrokeVectorizer simplification, curve fitting and tracing on known polylines',
+        timeout: 10000
+    });
+    
+    tf.test('handDrawnEffects_seeded_reproducible', async (ctx) => {
+        ctx.log('Testing seeded reproducibility of hand-drawn effects');
+        
+        const edgeDetection = new EdgeDetection();
+        const testImageData = await createTestImageData(ctx, 160, 120, 'edges');
+        const edges = edgeDetection.detectArchitecturalEdges(testImageData, { threshold: 30, detectLines: true });
+        
+        const render = (seed) => {
+            const canvas = document.createElement('canvas');
+            canvas.width = 160;
+            canvas.height = 120;
+            const effects = new HandDrawnEffects(canvas, { useAI: false, aiProcessor: null });
+            const imageData = effects.applyTraditionalEffect(edges, { style: 'pencil', lineVariation: 80, seed });
+            return { pixels: imageData.data, seed: effects.getSeed() };
+        };
+        const samePixels = (a, b) => a.length === b.length && a.every((value, i) => value === b[i]);
+        
+        const first = render(1234);
+        const second = render(1234);
+        const other = render(5678);
+        
+        ctx.assert(first.seed === 1234, 'Requested seed should be reported');
+        ctx.assert(samePixels(first.pixels, second.pixels), 'Same seed should reproduce identical pixels');
+        ctx.assert(!samePixels(first.pixels, other.pixels), 'A different seed should change the drawing');
+        ctx.assert(Number.isInteger(render().seed), 'Unseeded renders should record the seed they used');
+        
+        return { success: true };
+    }, {
+        category: 'integration',
+        description: 'Tests that a seed reproduces a pixel-identical sketch',
+        timeout: 10000
+    });
+    
+    tf.test('handDrawnEffects_watercolor_washes', async (ctx) => {
+        ctx.log('Testing watercolor washes inside stroke-enclosed regions');
+        
+        const stroke = [{ x: 40, y: 30 }, { x: 120, y: 30 }, { x: 120, y: 90 }, { x: 40, y: 90 }, { x: 40, y: 30 }];
+        const render = (seed) => {
+            const canvas = document.createElement('canvas');
+            canvas.width = 160;
+            canvas.height = 120;
+            const effects = new HandDrawnEffects(canvas, { useAI: false, aiProcessor: null, seed });
+            effects.ctx.fillStyle = effects.getBackgroundColor({ style: 'watercolor' });
+            effects.ctx.fillRect(0, 0, 160, 120);
+            effects.drawWatercolorStrokes([stroke], 50, 2, { palette: ['#c0603a'] });
+            return effects.ctx.getImageData(0, 0, 160, 120).data;
+        };
+        
+        const first = render(99);
+        const second = render(99);
+        const center = (60 * 160 + 80) * 4;
+        
+        ctx.assert(first[center] - first[center + 2] > 20, 'Region interior should carry the palette wash');
+        ctx.assert(first.every((value, i) => value === second[i]), 'Same seed should reproduce the same washes');
+        
+        return { success: true };
+    }, {
+        category: 'integration',
+        description: 'Tests watercolor washes are tinted and reproducible',
+        timeout: 10000
+    });
+    
+    tf.test('handDrawnEffects_marker_layers', async (ctx) => {
+        ctx.log('Testing layered marker fills and the StyleManager marker preset');
+        
+        const styleManager = new StyleManager();
+        const preset = styleManager.getPreset('marker-rendering');
+        ctx.assert(preset && preset.fallbackStyle === 'marker', 'Marker preset should fall back to the marker style');
+        
+        const canvas = document.createElement('canvas');
+        canvas.width = 160;
+        canvas.height = 120;
+        const effects = new HandDrawnEffects(canvas, { useAI: false, aiProcessor: null, seed: 7 });
+        effects.ctx.fillStyle = effects.getBackgroundColor({ style: 'marker' });
+        effects.ctx.fillRect(0, 0, 160, 120);
+        
+        const stroke = [{ x: 40, y: 30 }, { x: 120, y: 30 }, { x: 120, y: 90 }, { x: 40, y: 90 }, { x: 40, y: 30 }];
+        effects.drawMarkerStrokes([stroke], 30, 2, {
+            palette: styleManager.getColorPalette(preset.palette),
+            marker: { angle: 0, highlights: false }
+        });
+        
+        // Horizontal strokes put the shadow passes at the bottom of the region
+        const brightness = (y) => {
+            const row = effects.ctx.getImageData(50, y, 60, 1).data;
+            let sum = 0;
+            for (let i = 0; i < row.length; i += 4) sum += row[i] + row[i + 1] + row[i + 2];
+            return sum / (row.length / 4);
+        };
+        
+        ctx.assert(brightness(40) < 3 * 250, 'Region should be filled with marker color');
+        ctx.assert(brightness(84) < brightness(40), 'Overlapping layers should darken the shadow side');
+        
+        return { success: true };
+    }, {
+        category: 'integration',
+        description: 'Tests marker fills build up darker layers toward the shadow side',
+        timeout: 10000
+    });
+    
+    tf.test('toneShading_density_tracks_tone', async (ctx) => {
+        ctx.log('Testing tone-driven hatching and stippling');
+        
+        // Dark band on the left, mid gray in the middle, white paper on the right
+        const imageData = new ImageData(180, 60);
+        for (let y = 0; y < 60; y++) {
+            for (let x = 0; x < 180; x++) {
+                const value = x < 60 ? 30 : (x < 120 ? 140 : 255);
+                const idx = (y * 180 + x) * 4;
+                imageData.data[idx] = imageData.data[idx + 1] = imageData.data[idx + 2] = value;
+                imageData.data[idx + 3] = 255;
+            }
+        }
+        
+        const shading = new ToneShading();
+        const rng = new SeededRandom(21);
+        const random = () => rng.next();
+        const inkIn = (marks, from, to) => marks.lines
+            .filter(line => (line.x1 + line.x2) / 2 >= from && (line.x1 + line.x2) / 2 < to)
+            .reduce((sum, line) => sum + Math.hypot(line.x2 - line.x1, line.y2 - line.y1), 0);
+        
+        const hatching = shading.generate(imageData, 180, 60, { mode: 'hatching', random });
+        ctx.assert(inkIn(hatching, 0, 54) > inkIn(hatching, 66, 114), 'Dark tones should get denser hatching');
+        ctx.assert(inkIn(hatching, 126, 180) === 0, 'White paper should stay blank');
+        
+        const crossHatching = shading.generate(imageData, 180, 60, { mode: 'crosshatch', random });
+        ctx.assert(crossHatching.lines.some(line => line.layer > 0 && line.x1 < 60), 'Dark tones should be cross-hatched');
+        
+        const stipple = shading.generate(imageData, 180, 60, { mode: 'stipple', random });
+        const dotsIn = (from, to) => stipple.dots.filter(dot => dot.x >= from && dot.x < to).length;
+        ctx.assert(dotsIn(0, 60) > dotsIn(60, 120) && dotsIn(120, 180) === 0, 'Stipple density should track tone');
+        
+        // A horizontal floor line turns nearby hatches horizontal
+        const orientation = shading.computeOrientationField(
+            [{ x1: 0, y1: 30, x2: 180, y2: 30 }],
+            shading.computeToneMap(imageData, 180, 60)
+        );
+        ctx.assert(orientation.angles.every(angle => Math.abs(Math.sin(angle)) < 0.01), 'Hatches should follow line segments');
+        
+        // The drawn marks go into the vector data, so SVG and DXF keep the shading
+        const canvas = document.createElement('canvas');
+        canvas.width = 180;
+        canvas.height = 60;
+        const edges = new ImageData(180, 60);
+        edges.data.fill(255);
+        const effects = new HandDrawnEffects(canvas, { useAI: false, aiProcessor: null });
+        const vectorFor = (mode) => {
+            effects.applyTraditionalEffect(edges, { style: 'pencil', shading: mode, sourceImageData: imageData, seed: 3 });
+            return effects.getVectorData().strokes.filter(stroke => stroke.context === 'shading');
+        };
+        const hatches = vectorFor('hatching');
+        ctx.assert(hatches.length > 0 && hatches.every(stroke => stroke.points.length === 2), 'Hatches should be exported as vector lines');
+        ctx.assert(hatches.every(stroke => (stroke.points[0].x + stroke.points[1].x) / 2 < 126), 'Exported hatches should match the drawn ones');
+        ctx.assert(vectorFor('stipple').some(stroke => stroke.closed), 'Stipple dots should be exported as closed rings');
+        ctx.assert(vectorFor('none').length === 0, 'No shading should export no shading strokes');
+        ctx.assert(new SVGExporter().createSVG({ width: 180, height: 60, strokes: hatches }).includes('<g id="shading"'), 'SVG should group the shading');
+        
+        return { success: true };
+    }, {
+        category: 'integration',
+        description: 'Tests hatching and stipple density follow tone, hatches follow lines and shading reaches the vector data',
+        timeout: 10000
+    });
+    
+    tf.test('paperTexture_grain_and_media', async (ctx) => {
+        ctx.log('Testing procedural paper surfaces and medium deposit');
+        
+        const paperTexture = new PaperTexture();
+        const surfaceFor = (paperId, seed) => {
+            const rng = new SeededRandom(seed);
+            return paperTexture.generateSurface(paperId, 64, 64, () => rng.next());
+        };
+        
+        const coldPress = surfaceFor('cold-press', 3);
+        ctx.assert(coldPress.heightMap.every((value, i) => value === surfaceFor('cold-press', 3).heightMap[i]),
+            'Same seed should generate the same surface');
+        
+        // A solid black drawing on white, laid onto the paper
+        const inked = (paperId, style) => {
+            const imageData = new ImageData(64, 64);
+            for (let i = 0; i < imageData.data.length; i += 4) {
+                imageData.data[i + 3] = 255;
+            }
+            return paperTexture.applyToImageData(imageData, surfaceFor(paperId, 3), { style, background: '#ffffff' });
+        };
+        const meanValue = (imageData) => imageData.data.reduce((sum, value, i) => sum + (i % 4 === 3 ? 0 : value), 0) /
+            (imageData.data.length * 0.75);
+        
+        ctx.assert(meanValue(inked('cold-press', 'charcoal')) > meanValue(inked('cold-press', 'pen')) + 10,
+            'Charcoal should skip the valleys of cold-press grain');
+        ctx.assert(meanValue(inked('hot-press', 'charcoal')) < meanValue(inked('cold-press', 'charcoal')),
+            'Smooth paper should take charcoal more evenly');
+        
+        const blueprint = inked('blueprint', 'pen');
+        ctx.assert(blueprint.data[2] > 200 && blueprint.data[0] > 180, 'Blueprint should print ink as light lines');
+        
+        const kraft = surfaceFor('kraft', 3).colors;
+        ctx.assert(kraft[0] > kraft[2] + 40, 'Kraft paper should be brown');
+        
+        return { success: true };
+    }, {
+        category: 'integration',
+        description: 'Tests paper surfaces are reproducible and change how media deposit',
+        timeout: 10000
+    });
+    
+    tf.test('handDrawnEffects_construction_lines', async (ctx) => {
+        ctx.log('Testing corner overshoot and perspective construction guides');
+        
+        const canvas = document.createElement('canvas');
+        canvas.width = 200;
+        canvas.height = 120;
+        const handDrawnEffects = new HandDrawnEffects(canvas, { seed: 4 });
+        
+        // An L-shaped corner and a stroke that meets nothing
+        const path = (...points) => points.map(([x, y]) => ({ x, y }));
+        const strokes = [path([10, 100], [60, 100]), path([60, 100], [60, 40]), path([120, 20], [180, 20])];
+        handDrawnEffects.applyCornerOvershoot(strokes, { lineThickness: 2 }, 1);
+        
+        const last = (stroke) => stroke[stroke.length - 1];
+        ctx.assert(last(strokes[0]).x > 62, 'Horizontal line should run past the corner');
+        ctx.assert(strokes[1][0].y > 102, 'Vertical line should run past the corner');
+        ctx.assert(strokes[0][0].x === 10 && strokes[1].length === 3, 'Ends away from a junction should not overshoot');
+        ctx.assert(strokes[2].length === 2, 'Isolated strokes should be left alone');
+        
+        const vanishingPoint = { x: 100, y: 50, infinite: false, role: 'horizon', support: 1 };
+        const segments = [
+            { x1: 0, y1: 110, x2: 60, y2: 74 },
+            { x1: 200, y1: 110, x2: 140, y2: 74 },
+            { x1: 0, y1: 0, x2: 60, y2: 30 }
+        ];
+        const guides = handDrawnEffects.buildConstructionGuides(
+            { type: 'one-point', vanishingPoints: [vanishingPoint], horizonY: 50 }, segments, 1
+        );
+        
+        ctx.assert(guides.some(guide => guide.kind === 'horizon' && guide.y1 === 50 && guide.x2 === 200),
+            'A horizon guide should cross the sheet');
+        const rays = guides.filter(guide => guide.kind === 'ray');
+        ctx.assert(rays.length === 3, 'Each convergent line should get a vanishing ray');
+        ctx.assert(rays.every(ray => Math.hypot(ray.x1 - 100, ray.y1 - 50) < 1e-6),
+            'Rays should start at the vanishing point');
+        
+        ctx.assert(handDrawnEffects.resolveConstructionSettings('none') === null, 'Construction should be optional');
+        ctx.assert(handDrawnEffects.stylePresets['designer-presentation'].construction.overshoot > 0,
+            'Designer presentation should overshoot its corners');
+        
+        return { success: true };
+    }, {
+        category: 'integration',
+        description: 'Tests construction guides and corner overshoot in HandDrawnEffects',
+        timeout: 10000
+    });
+    
+    tf.test('sketchDocument_layers_and_compositing', async (ctx) => {
+        ctx.log('Testing the layered sketch document and per-layer compositing');
+        
+        const canvas = document.createElement('canvas');
+        canvas.width = 200;
+        canvas.height = 200;
+        const handDrawnEffects = new HandDrawnEffects(canvas, { seed: 9 });
+        
+        // Thinned edge map: one-pixel black lines on white
+        const edgeCanvas = document.createElement('canvas');
+        edgeCanvas.width = 200;
+        edgeCanvas.height = 200;
+        const edgeCtx = edgeCanvas.getContext('2d');
+        edgeCtx.fillStyle = '#ffffff';
+        edgeCtx.fillRect(0, 0, 200, 200);
+        edgeCtx.fillStyle = '#000000';
+        edgeCtx.fillRect(40, 40, 120, 1);
+        edgeCtx.fillRect(40, 40, 1, 120);
+        edgeCtx.fillRect(40, 160, 120, 1);
+        const edgeData = edgeCtx.getImageData(0, 0, 200, 200);
+        
+        const result = handDrawnEffects.applyTraditionalEffect(edgeData, { style: 'pen', texture: false });
+        const sketchDocument = handDrawnEffects.getDocument();
+        ctx.assert(sketchDocument instanceof SketchDocument, 'A traditional render should produce a layered document');
+        ctx.assert(sketchDocument.getLayers().map(layer => layer.id).join() ===
+            'background,color,shading,linework,materials,annotations', 'Layers should be ordered bottom to top');
+        
+        const brightness = (imageData) => {
+            let sum = 0;
+            for (let i = 0; i < imageData.data.length; i += 4) sum += imageData.data[i];
+            return sum / (imageData.data.length / 4);
+        };
+        const full = sketchDocument.toImageData();
+        ctx.assert(Math.abs(brightness(full) - brightness(result)) < 1, 'The composite should match the returned result');
+        
+        const paperOnly = sketchDocument.toImageData({ layers: ['background'] });
+        ctx.assert(brightness(paperOnly) > brightness(full), 'Leaving out the line work should lighten the sketch');
+        
+        sketchDocument.setLayerVisibility('linework', false);
+        ctx.assert(brightness(sketchDocument.toImageData()) > brightness(full),
+            'Hidden layers should be left out of the composite');
+        sketchDocument.setLayerProperties('linework', { visible: true, opacity: 2 });
+        ctx.assert(sketchDocument.getLayer('linework').opacity === 1, 'Opacity should be clamped to [0, 1]');
+        
+        let rejected = false;
+        try {
+            sketchDocument.setLayerBlendMode('linework', 'dissolve');
+        } catch (error) {
+            rejected = true;
+        }
+        ctx.assert(rejected, 'Unsupported blend modes should be rejected');
+        
+        // Palette tints land on the color layer, leaving the paper untouched
+        const styleManager = new StyleManager(null, handDrawnEffects);
+        const paperBefore = brightness(sketchDocument.toImageData({ layers: ['background'] }));
+        styleManager.applyColorPalette(result, 'warm', false, sketchDocument);
+        const colorLayer = sketchDocument.getContext('color').getImageData(0, 0, 200, 200);
+        ctx.assert(colorLayer.data.some((value, i) => i % 4 === 3 && value > 0), 'The palette should paint the color layer');
+        ctx.assert(brightness(sketchDocument.toImageData({ layers: ['background'] })) === paperBefore,
+            'The palette should not touch the paper layer');
+        
+        // Texture marks of the materials strokes lie on go on the material overlay layer
+        const inked = (id) => handDrawnEffects.getDocument().getContext(id).getImageData(0, 0, 200, 200).data
+            .some((value, i) => i % 4 === 3 && value > 0);
+        handDrawnEffects.applyTraditionalEffect(edgeData, { style: 'pen', texture: false });
+        ctx.assert(!inked('materials'), 'Without materials the overlay layer should stay empty');
+        const materialData = { width: 200, height: 200, materials: ['wood'], materialMap: new Uint8Array(200 * 200) };
+        handDrawnEffects.applyTraditionalEffect(edgeData, { style: 'pen', texture: false, materialEnhancement: true, materialData });
+        ctx.assert(inked('materials'), 'Wood grain should be drawn on the material overlay layer');
+        const grain = handDrawnEffects.getVectorData().strokes.filter(stroke => stroke.context === 'materials');
+        ctx.assert(grain.length > 0 && grain.every(stroke => stroke.material === 'wood'), 'Overlay marks should reach the vector data');
+        
+        return { success: true };
+    }, {
+        category: 'integration',
+        description: 'Tests SketchDocument layers, visibility, opacity, blend modes and the material overlay layer',
+        timeout: 10000
+    });
+    
+    tf.test('processingHistory_undo_redo', async (ctx) => {
+        ctx.log('Testing undo/redo history of processing runs');
+        
+        const history = new ProcessingHistory({ maxEntries: 4, maxInMemory: 2, useIndexedDB: false });
+        const run = (value) => {
+            const imageData = new ImageData(8, 8);
+            for (let i = 0; i < imageData.data.length; i += 4) {
+                imageData.data.fill(value, i, i + 3);
+                imageData.data[i + 3] = 255;
+            }
+            return imageData;
+        };
+        
+        ctx.assert(!history.canUndo() && !history.canRedo(), 'A new history should have nothing to undo');
+        [10, 20, 30].forEach(value => history.push(run(value), { lineVariation: String(value) }));
+        await history.compaction;
+        
+        const entries = history.getEntries();
+        ctx.assert(history.canUndo() && !history.canRedo(), 'The latest run should be current');
+        ctx.assert(entries[0].compressed && !entries[1].compressed && !entries[2].compressed,
+            'Only the runs nearest the current one should stay uncompressed');
+        ctx.assert(entries.every(entry => typeof entry.thumbnail === 'string'), 'Each run should have a thumbnail');
+        
+        let step = await history.undo();
+        ctx.assert(step.entry.settings.lineVariation === '20' && step.imageData.data[0] === 20,
+            'Undo should return the previous settings and result');
+        step = await history.undo();
+        ctx.assert(step.imageData.data[0] === 10, 'Compressed runs should come back with their pixels');
+        ctx.assert(await history.undo() === null, 'Undo should stop at the first run');
+        
+        step = await history.redo();
+        ctx.assert(step.imageData.data[0] === 20, 'Redo should step forward again');
+        
+        history.push(run(40), { lineVariation: '40' });
+        ctx.assert(!history.canRedo() && history.getEntries().length === 3, 'A new run should discard undone runs');
+        ctx.assert(history.getPrevious().settings.lineVariation === '20', 'The compare view should see the run before');
+        
+        [50, 60].forEach(value => history.push(run(value)));
+        await history.compaction;
+        ctx.assert(history.getEntries().length === 4, 'History should keep at most maxEntries runs');
+        ctx.assert(history.entries.filter(entry => entry.imageData).length <= 2, 'Full results in memory should be bounded');
+        
+        await history.clear();
+        ctx.assert(history.getCurrent() === null && !history.canUndo(), 'Clearing should forget every run');
+        
+        // Two tabs share the database without touching each other's results
+        if (typeof indexedDB !== 'undefined') {
+            const dbName = `interiorDesign_history_test_${Date.now()}`;
+            const first = new ProcessingHistory({ dbName, maxInMemory: 1 });
+            [70, 80].forEach(value => first.push(run(value)));
+            await first.compaction;
+            ctx.assert(first.entries[0].stored, 'Compressed runs should be stored in IndexedDB');
+            
+            const second = new ProcessingHistory({ dbName, maxInMemory: 1 });
+            [90, 100].forEach(value => second.push(run(value)));
+            await second.compaction;
+            await second.clear();
+            
+            step = await first.undo();
+            ctx.assert(step.imageData.data[0] === 70, "Another session's runs should survive this one opening and clearing");
+            
+            const third = new ProcessingHistory({ dbName, staleAfter: 1 });
+            await new Promise(resolve => setTimeout(resolve, 5));
+            await third.openDatabase();
+            const left = await third.storeRequest('readonly', store => store.count());
+            ctx.assert(left === 0, 'Results of long-gone sessions should be removed');
+            
+            (await third.openDatabase()).close();
+            (await first.openDatabase()).close();
+            (await second.openDatabase()).close();
+            indexedDB.deleteDatabase(dbName);
+        }
+        
+        return { success: true };
+    }, {
+        category: 'integration',
+        description: 'Tests ProcessingHistory undo, redo, truncation and compression',
+        timeout: 10000
+    });
+    
+    tf.test('comparisonView_modes_and_zoom', async (ctx) => {
+        ctx.log('Testing comparison modes and synchronized zoom and pan');
+        
+        const canvas = () => ({ width: 200, height: 100, style: {} });
+        const originalCanvas = canvas();
+        const resultCanvas = canvas();
+        const states = [];
+        const view = new ComparisonView({ originalCanvas, resultCanvas, onChange: state => states.push(state) });
+        
+        view.setMode('wipe');
+        view.setSplit(0.25);
+        ctx.assert(view.getWipeClip() === 'inset(0 0 0 25.00%)', 'The wipe should reveal the photo left of the divider');
+        view.setSplit(3);
+        ctx.assert(view.split === 1, 'The wipe position should be clamped');
+        
+        let rejected = false;
+        try {
+            view.setMode('difference');
+        } catch (error) {
+            rejected = true;
+        }
+        ctx.assert(rejected && view.mode === 'wipe', 'Unknown modes should be rejected');
+        
+        // The point under the cursor stays put while zooming
+        view.zoomAt(2, 50, 40);
+        ctx.assert(view.zoom === 2 && view.panX === -50 && view.panY === -40, 'Zoom should keep the cursor point fixed');
+        ctx.assert(originalCanvas.style.transform === resultCanvas.style.transform &&
+            resultCanvas.style.transform === 'translate(-50px, -40px) scale(2)', 'Both canvases should share the view');
+        
+        view.panBy(-500, 500);
+        ctx.assert(view.panX === -200 && view.panY === 0, 'Panning should stop at the edges of the picture');
+        view.zoomAt(100, 0, 0);
+        ctx.assert(view.zoom === view.maxZoom, 'Zoom should be limited');
+        
+        view.resetView();
+        ctx.assert(resultCanvas.style.transform === '' && states[states.length - 1].zoom === 1,
+            'Reset should show the whole picture and report it');
+        
+        // At 1x a plain wheel scrolls the page; Ctrl/Cmd zooms, and once zoomed the wheel keeps zooming
+        const wheel = (deltaY, keys = {}) => {
+            const event = {
+                deltaY,
+                clientX: 50,
+                clientY: 40,
+                currentTarget: { parentElement: { getBoundingClientRect: () => ({ left: 0, top: 0 }) } },
+                prevented: false,
+                preventDefault() { this.prevented = true; },
+                ...keys
+            };
+            view.handleWheel(event);
+            return event;
+        };
+        const plain = wheel(-100);
+        ctx.assert(!plain.prevented && view.zoom === 1, 'A plain wheel at 1x should scroll the page');
+        const zoomIn = wheel(-100, { ctrlKey: true });
+        const zoomed = view.zoom;
+        ctx.assert(zoomIn.prevented && zoomed > 1, 'Ctrl + wheel should zoom in');
+        const zoomOut = wheel(50);
+        ctx.assert(zoomOut.prevented && view.zoom < zoomed, 'While zoomed in the wheel should zoom');
+        const command = wheel(-100, { metaKey: true });
+        ctx.assert(command.prevented, 'Cmd + wheel should zoom');
+        view.resetView();
+        
+        return { success: true };
+    }, {
+        category: 'integration',
+        description: 'Tests ComparisonView wipe, mode validation and synchronized zoom/pan',
+        timeout: 10000
+    });
+    
+    tf.test('workerPool_tasks_and_cancellation', async (ctx) => {
+        ctx.log('Testing pipeline tasks, worker scheduling, progress and cancellation');
+        
+        // Main-thread runner: the same tasks the workers run
+        const local = new WorkerPool({ useWorkers: false });
+        const canvas = document.createElement('canvas');
+        canvas.width = 80;
+        canvas.height = 80;
+        const drawCtx = canvas.getContext('2d');
+        drawCtx.fillStyle = '#ffffff';
+        drawCtx.fillRect(0, 0, 80, 80);
+        drawCtx.fillStyle = '#000000';
+        drawCtx.fillRect(20, 20, 40, 40);
+        const photo = drawCtx.getImageData(0, 0, 80, 80);
+        
+        const stages = [];
+        const { imageData, lineSegments } = await local.run('edgePipeline', {
+            imageData: photo,
+            blurRadius: 1,
+            settings: { threshold: 30, thinning: true, detectLines: true }
+        }, { onProgress: (progress, stage) => stages.push({ progress, stage }) });
+        
+        ctx.assert(imageData.width === 80 && imageData.height === 80, 'Edges should keep the photo size');
+        ctx.assert(Array.isArray(lineSegments), 'Line segments should be returned beside the edges');
+        ctx.assert(stages.length >= 4 && stages.every((item, i) => i === 0 || item.progress >= stages[i - 1].progress),
+            'Progress should be reported for each stage in order');
+        
+        let unknown = null;
+        await local.run('sharpen', { imageData: photo }).catch(error => { unknown = error; });
+        ctx.assert(unknown && /Unknown pipeline task/.test(unknown.message), 'Unknown tasks should be rejected');
+        
+        // Fake workers: record messages and answer when told to
+        const workers = [];
+        const pool = new WorkerPool({
+            useWorkers: true,
+            size: 2,
+            createWorker: () => {
+                const worker = {
+                    messages: [],
+                    terminated: false,
+                    postMessage(message) { this.messages.push(message); },
+                    terminate() { this.terminated = true; },
+                    reply(type, extra = {}) {
+                        const { id } = this.messages[this.messages.length - 1];
+                        this.onmessage({ data: { id, type, ...extra } });
+                    }
+                };
+                workers.push(worker);
+                return worker;
+            }
+        });
+        
+        const progress = [];
+        const first = pool.run('detectEdges', { threshold: 1 }, { onProgress: value => progress.push(value) });
+        const controller = new AbortController();
+        const second = pool.run('detectEdges', { threshold: 2 }, { signal: controller.signal });
+        const third = pool.run('detectEdges', { threshold: 3 });
+        
+        ctx.assert(workers.length === 2 && pool.getPendingCount() === 3, 'Jobs beyond the pool size should wait');
+        
+        workers[0].reply('progress', { progress: 0.5, stage: 'edges' });
+        workers[0].reply('result', { result: 'first' });
+        ctx.assert(await first === 'first' && progress[0] === 0.5, 'Results and progress should reach the caller');
+        ctx.assert(workers[0].messages[1].payload.threshold === 3, 'A free worker should take the next queued job');
+        
+        controller.abort();
+        let aborted = null;
+        await second.catch(error => { aborted = error; });
+        ctx.assert(aborted && aborted.name === 'AbortError' && workers[1].terminated,
+            'Cancelling a running job should stop its worker');
+        
+        workers[0].reply('error', { message: 'out of memory' });
+        let failed = null;
+        await third.catch(error => { failed = error; });
+        ctx.assert(failed && failed.message === 'out of memory', 'Worker errors should reject the job');
+        ctx.assert(pool.getPendingCount() === 0, 'No jobs should be left');
+        
+        // Workers whose script fails hand their jobs to the main thread, still cancellable
+        const failing = [];
+        const fallbackPool = new WorkerPool({
+            useWorkers: true,
+            size: 1,
+            fallback: { run: async (task, payload) => `main ${payload.threshold}` },
+            createWorker: () => {
+                const worker = { postMessage() {}, terminate() {} };
+                failing.push(worker);
+                return worker;
+            }
+        });
+        const stopper = new AbortController();
+        const cancelled = fallbackPool.run('detectEdges', { threshold: 4 }, { signal: stopper.signal });
+        const kept = fallbackPool.run('detectEdges', { threshold: 5 });
+        failing[0].onerror({ message: 'script failed' });
+        stopper.abort();
+        
+        let stopped = null;
+        const outcome = await cancelled.catch(error => { stopped = error; });
+        ctx.assert(stopped && stopped.name === 'AbortError', `Cancel should stop a job moved to the main thread, got ${stopped ? stopped.name : outcome}`);
+        ctx.assert(await kept === 'main 5' && !fallbackPool.useWorkers, 'Other jobs should finish on the main thread');
+        
+        pool.terminate();
+        return { success: true };
+    }, {
+        category: 'integration',
+        description: 'Tests WorkerPool tasks, queueing, progress, errors and cancellation',
+        timeout: 10000
+    });
+    
+    tf.test('tiledRenderer_stitching', async (ctx) => {
+        ctx.log('Testing tiled edge detection and feathered sketch stitching');
+        
+        const renderer = new TiledRenderer({ tileSize: 48, overlap: 24, workerPool: new WorkerPool({ useWorkers: false }) });
+        
+        const tiles = renderer.planTiles(130, 100);
+        const coreArea = tiles.reduce((sum, tile) => sum + tile.core.width * tile.core.height, 0);
+        ctx.assert(tiles.length === 9 && coreArea === 130 * 100, 'Tile cores should cover the image exactly once');
+        ctx.assert(tiles[4].x === 24 && tiles[4].width === 96, 'Inner tiles should reach past their core by the overlap');
+        
+        // A room-like photo: a dark box and a long wall line across several tiles
+        const canvas = document.createElement('canvas');
+        canvas.width = 130;
+        canvas.height = 100;
+        const drawCtx = canvas.getContext('2d');
+        drawCtx.fillStyle = '#ffffff';
+        drawCtx.fillRect(0, 0, 130, 100);
+        drawCtx.fillStyle = '#202020';
+        drawCtx.fillRect(30, 20, 50, 40);
+        drawCtx.fillRect(0, 80, 130, 6);
+        const photo = drawCtx.getImageData(0, 0, 130, 100);
+        
+        const settings = { threshold: 30, thinning: true, detectLines: true };
+        const whole = await new PipelineTasks().run('edgePipeline', { imageData: photo, blurRadius: 1, settings });
+        const tiled = await renderer.detectEdges(photo, { blurRadius: 1, settings });
+        
+        let differences = 0;
+        for (let i = 0; i < whole.imageData.data.length; i += 4) {
+            if (whole.imageData.data[i] !== tiled.imageData.data[i]) differences++;
+        }
+        ctx.assert(differences === 0, `Tiled edges should match the untiled edges (${differences} pixels differ)`);
+        
+        const wall = tiled.lineSegments.filter(segment => Math.abs(segment.y1 - segment.y2) < 2 && segment.y1 > 70);
+        ctx.assert(wall.length > 0 && wall.every(segment => Math.abs(segment.x2 - segment.x1) > 100),
+            'Lines cut by tile borders should be joined again');
+        
+        // Sketch tiles: each fake tile is one flat shade so the cross-fade can be read back
+        const calls = [];
+        const sketchRenderer = new TiledRenderer({
+            tileSize: 40,
+            overlap: 10,
+            createEffects: (tileCanvas) => ({
+                applyHandDrawnEffect: async (edges, tileSettings) => {
+                    calls.push({ width: edges.width, seed: tileSettings.seed, segment: tileSettings.lineSegments[0] });
+                    const shade = calls.length === 1 ? 0 : 200;
+                    const image = new ImageData(tileCanvas.width, tileCanvas.height);
+                    for (let i = 0; i < image.data.length; i += 4) {
+                        image.data.set([shade, shade, shade, 255], i);
+                    }
+                    return image;
+                },
+                getDocument: () => null
+            })
+        });
+        
+        const edges = new ImageData(80, 40);
+        const result = await sketchRenderer.renderSketch(edges, {
+            settings: { seed: 7, lineSegments: [{ x1: 50, y1: 5, x2: 70, y2: 5 }] }
+        });
+        const pixels = result.getContext('2d').getImageData(0, 0, 80, 40).data;
+        const shadeAt = (x) => pixels[(20 * 80 + x) * 4];
+        
+        ctx.assert(calls.length === 2 && calls.every(call => call.seed === 7), 'Every tile should draw with the same seed');
+        ctx.assert(calls[1].segment.x1 === 20, 'Line segments should be moved into tile coordinates');
+        ctx.assert(shadeAt(5) === 0 && shadeAt(75) === 200, 'Tile cores should keep their own pixels');
+        ctx.assert(shadeAt(35) > 0 && shadeAt(35) < shadeAt(45) && shadeAt(45) < 200, 'The overlap should fade from one tile to the next');
+        
+        // Two tiles drawing the same stroke draw it alike, whatever else each draws first
+        const drawTile = (width, offsetX, strokes) => {
+            const tileCanvas = document.createElement('canvas');
+            tileCanvas.width = width;
+            tileCanvas.height = 40;
+            const effects = new HandDrawnEffects(tileCanvas, { useAI: false, aiProcessor: null, layered: false });
+            effects.applyTraditionalEffect(new ImageData(width, 40), { style: 'pencil', seed: 11, offsetX, texture: false });
+            effects.drawPencilStrokes(strokes.map(stroke => stroke.map(([x, y]) => ({ x: x - offsetX, y }))), 80, 2);
+            return effects.ctx.getImageData(0, 0, width, 40).data;
+        };
+        const zigzag = [[25, 10], [40, 28], [55, 8], [70, 26]];
+        const left = drawTile(80, 0, [zigzag]);
+        const right = drawTile(60, 20, [[[22, 37], [75, 37]], zigzag]);
+        let strokeDifferences = 0;
+        for (let y = 0; y < 32; y++) {
+            for (let x = 20; x < 80; x++) {
+                if (left[(y * 80 + x) * 4] !== right[(y * 60 + x - 20) * 4]) strokeDifferences++;
+            }
+        }
+        ctx.assert(strokeDifferences === 0, `Strokes should be drawn alike in overlapping tiles (${strokeDifferences} pixels differ)`);
+        
+        // Paper grain is one surface over the whole image
+        const paperTexture = new PaperTexture();
+        const field = (x) => ({ x, y: 0, valueAt: (...keys) => SeededRandom.hash(5, ...keys) / 4294967296 });
+        const wide = paperTexture.generateSurface('kraft', 96, 32, null, field(0));
+        const part = paperTexture.generateSurface('kraft', 48, 32, null, field(40));
+        let grainDifferences = 0;
+        for (let y = 0; y < 32; y++) {
+            for (let x = 0; x < 48; x++) {
+                if (Math.abs(wide.heightMap[y * 96 + x + 40] - part.heightMap[y * 48 + x]) > 1e-6) grainDifferences++;
+            }
+        }
+        ctx.assert(grainDifferences === 0, `Paper grain should line up across tiles (${grainDifferences} pixels differ)`);
+        
+        // Shading is stretched by the whole photo: a near-white wall beside a dark room stays blank in every tile
+        const roomCanvas = document.createElement('canvas');
+        roomCanvas.width = 120;
+        roomCanvas.height = 48;
+        const roomCtx = roomCanvas.getContext('2d');
+        for (let x = 0; x < 120; x++) {
+            const value = x < 40 ? 40 : Math.round(240 - (x - 40) / 80 * 25);
+            roomCtx.fillStyle = `rgb(${value}, ${value}, ${value})`;
+            roomCtx.fillRect(x, 0, 1, 48);
+        }
+        const room = roomCtx.getImageData(0, 0, 120, 48);
+        const shadingSettings = { style: 'pen', shading: 'hatching', seed: 3, texture: false, sourceImageData: room };
+        const wallInk = (data) => {
+            let ink = 0;
+            for (let y = 0; y < 48; y++) {
+                for (let x = 48; x < 120; x++) {
+                    if (data[(y * 120 + x) * 4] < 200) ink++;
+                }
+            }
+            return ink;
+        };
+        
+        const singleCanvas = document.createElement('canvas');
+        singleCanvas.width = 120;
+        singleCanvas.height = 48;
+        const single = new HandDrawnEffects(singleCanvas, { useAI: false, layered: false });
+        single.applyTraditionalEffect(new ImageData(120, 48), shadingSettings);
+        const shadedRenderer = new TiledRenderer({
+            tileSize: 40,
+            overlap: 8,
+            createEffects: (tileCanvas) => new HandDrawnEffects(tileCanvas, { useAI: false, layered: false })
+        });
+        const shadedTiles = await shadedRenderer.renderSketch(new ImageData(120, 48), { settings: shadingSettings });
+        const singleInk = wallInk(single.ctx.getImageData(0, 0, 120, 48).data);
+        const tiledInk = wallInk(shadedTiles.getContext('2d').getImageData(0, 0, 120, 48).data);
+        ctx.assert(singleInk === 0 && tiledInk === 0, `The wall should stay unshaded (${singleInk} pixels inked whole, ${tiledInk} tiled)`);
+        
+        // Shading grids follow the render scale: three times the size, the same number of hatches
+        const shading = new ToneShading();
+        const seeded = (seed) => {
+            const rng = new SeededRandom(seed);
+            return () => rng.next();
+        };
+        const preview = shading.generate(room, 120, 48, { random: seeded(2) });
+        const final = shading.generate(room, 360, 144, { scale: 3, random: seeded(2) });
+        const ratio = final.lines.length / preview.lines.length;
+        ctx.assert(preview.lines.length > 0 && ratio > 0.7 && ratio < 1.4, `Hatch count should not grow with scale (${preview.lines.length} vs ${final.lines.length})`);
+        
+        return { success: true };
+    }, {
+        category: 'integration',
+        description: 'Tests TiledRenderer tile planning, seamless edge stitching, line joining and sketch blending',
+        timeout: 20000
+    });
+    
+    tf.test('exifMetadata_orientation_and_privacy', async (ctx) => {
+        ctx.log('Testing EXIF parsing, orientation transforms and GPS stripping on export');
+        
+        const exif = new ExifMetadata();
+        const photo = {
+            orientation: 6,
+            make: 'Canon',
+            model: 'Canon EOS R5',
+            dateTaken: '2024-05-12T14:03:27',
+            lens: 'RF24-70mm F2.8 L IS USM',
+            exposure: { exposureTime: 1 / 250, fNumber: 2.8, iso: 400, focalLength: 35 },
+            gps: { latitude: -33.8568, longitude: 151.2153, altitude: 12 }
+        };
+        
+        // Smallest JPEG header the parser walks: JFIF, a 3x2 frame, end of image
+        const jpeg = new Uint8Array([
+            0xFF, 0xD8,
+            0xFF, 0xE0, 0x00, 0x10, 0x4A, 0x46, 0x49, 0x46, 0x00, 0x01, 0x01, 0x00, 0x00, 0x01, 0x00, 0x01, 0x00, 0x00,
+            0xFF, 0xC0, 0x00, 0x0B, 0x08, 0x00, 0x02, 0x00, 0x03, 0x01, 0x01, 0x11, 0x00,
+            0xFF, 0xD9
+        ]);
+        const tagged = exif.insertJPEGExif(jpeg, exif.createTiff(photo));
+        const parsed = exif.parse(tagged.buffer);
+        
+        ctx.assert(tagged[2] === 0xFF && tagged[3] === 0xE0, 'The JFIF header should stay first');
+        ctx.assert(parsed.format === 'jpeg' && parsed.width === 3 && parsed.height === 2, 'Frame size should be read from SOF');
+        ctx.assert(parsed.orientation === 6 && parsed.make === 'Canon' && parsed.model === 'Canon EOS R5', 'Orientation and camera should round-trip');
+        ctx.assert(parsed.dateTaken === '2024-05-12T14:03:27' && parsed.lens === photo.lens, 'Capture date and lens should round-trip');
+        ctx.assert(Math.abs(parsed.exposure.exposureTime - 0.004) < 1e-6 && parsed.exposure.iso === 400, 'Exposure should round-trip');
+        ctx.assert(Math.abs(parsed.gps.latitude + 33.8568) < 1e-5 && Math.abs(parsed.gps.longitude - 151.2153) < 1e-5, 'Southern and eastern coordinates should round-trip');
+        ctx.assert(exif.describe(parsed) === 'Canon EOS R5 · 2024-05-12 14:03 · has location', 'The summary should not repeat the make');
+        
+        // Privacy mode: exports keep the camera but lose the location, and are upright
+        const exported = await exif.embed(new Blob([tagged], { type: 'image/jpeg' }), exif.forExport(parsed));
+        const exportedBytes = new Uint8Array(await exported.arrayBuffer());
+        const reparsed = exif.parse(exportedBytes.buffer);
+        const exifSegments = Array.from(exportedBytes).filter((byte, i) => byte === 0xFF && exportedBytes[i + 1] === 0xE1).length;
+        
+        ctx.assert(reparsed.gps === null && reparsed.make === 'Canon', 'Privacy mode should strip GPS and keep the camera');
+        ctx.assert(reparsed.orientation === 1 && reparsed.colorSpace === 'sRGB', 'Exports should be tagged upright and sRGB');
+        ctx.assert(exifSegments === 1, 'Existing Exif should be replaced, not duplicated');
+        ctx.assert(exif.forExport(parsed, { stripGPS: false }).gps !== null, 'GPS should be kept with privacy mode off');
+        
+        // Little-endian Exif in a PNG eXIf chunk
+        ctx.assert(exif.crc32(new Uint8Array([0x49, 0x45, 0x4E, 0x44])) === 0xAE426082, 'PNG chunk CRCs should match the standard');
+        const ihdr = new Uint8Array(13);
+        new DataView(ihdr.buffer).setUint32(0, 40);
+        new DataView(ihdr.buffer).setUint32(4, 30);
+        const png = exif.concatBytes([
+            new Uint8Array([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+            exif.createPNGChunk('IHDR', ihdr),
+            exif.createPNGChunk('IDAT', new Uint8Array(0)),
+            exif.createPNGChunk('IEND', new Uint8Array(0))
+        ]);
+        const littleEndian = new Uint8Array([0x49, 0x49, 0x2A, 0x00, 0x08, 0x00, 0x00, 0x00, 0x01, 0x00, 0x12, 0x01, 0x03, 0x00, 0x01, 0x00, 0x00, 0x00, 0x08, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00]);
+        const pngParsed = exif.parse(exif.insertPNGExif(png, littleEndian).buffer);
+        ctx.assert(pngParsed.format === 'png' && pngParsed.width === 40 && pngParsed.orientation === 8, 'Little-endian eXIf should be read from PNG');
+        
+        // Orientation 6 is a quarter turn clockwise: the top-left corner lands top-right
+        const apply = ({ matrix: [a, b, c, d, e, f] }, x, y) => [a * x + c * y + e, b * x + d * y + f];
+        const rotated = exif.getOrientationTransform(6, 4, 2);
+        ctx.assert(rotated.width === 2 && rotated.height === 4, 'Quarter turns should swap width and height');
+        ctx.assert(apply(rotated, 0, 0).join() === '2,0' && apply(rotated, 4, 0).join() === '2,4', 'Orientation 6 should rotate clockwise');
+        ctx.assert(apply(exif.getOrientationTransform(8, 4, 2), 0, 0).join() === '0,4', 'Orientation 8 should rotate counter-clockwise');
+        ctx.assert(apply(exif.getOrientationTransform(3, 4, 2), 0, 0).join() === '4,2', 'Orientation 3 should turn half way');
+        
+        return { success: true };
+    }, {
+        category: 'integration',
+        description: 'Tests ExifMetadata parsing of JPEG and PNG, orientation transforms and privacy-mode export',
+        timeout: 10000
+    });
+    
+    tf.test('materialDetection_segmentation', async (ctx) => {
+        ctx.log('Testing per-pixel material segmentation, region outlines and material-aware strokes');
+        
+        // Wood grain, a smooth pale blue pane and speckled warm-gray stone side by side
+        const width = 120;
+        const height = 90;
+        const imageData = new ImageData(width, height);
+        const rng = new SeededRandom(5);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                let color;
+                if (x < 40) {
+                    color = y % 4 < 2 ? [150, 95, 50] : [115, 68, 32];
+                } else if (x < 80) {
+                    const noise = rng.next() * 6;
+                    color = [185 + noise, 212 + noise, 235 + noise];
+                } else {
+                    const noise = (rng.next() - 0.5) * 50;
+                    color = [168 + noise, 160 + noise, 140 + noise];
+                }
+                imageData.data.set([...color, 255], (y * width + x) * 4);
+            }
+        }
+        
+        const detection = new MaterialDetection();
+        const segmentation = detection.segmentMaterials(imageData);
+        const majority = (x0, x1) => {
+            const votes = {};
+            for (let y = 0; y < height; y++) {
+                for (let x = x0; x < x1; x++) {
+                    const index = segmentation.materialMap[y * width + x];
+                    const name = index === 255 ? 'none' : segmentation.materials[index];
+                    votes[name] = (votes[name] || 0) + 1;
+                }
+            }
+            return Object.entries(votes).sort((a, b) => b[1] - a[1])[0][0];
+        };
+        
+        ctx.assert(segmentation.labels.length === width * height && segmentation.materialMap.length === width * height, 'Maps should be at image resolution');
+        ctx.assert(majority(0, 40) === 'wood', 'Directional brown grain should be wood');
+        ctx.assert(majority(40, 80) === 'glass', 'Smooth pale blue should be glass');
+        ctx.assert(majority(80, 120) === 'stone', 'Speckled warm gray should be stone');
+        
+        const wood = segmentation.regions.find(region => region.material === 'wood');
+        const inBounds = wood && wood.polygon.every(point =>
+            point.x >= wood.bounds.x && point.x <= wood.bounds.x + wood.bounds.width &&
+            point.y >= wood.bounds.y && point.y <= wood.bounds.y + wood.bounds.height);
+        ctx.assert(wood && wood.polygon.length >= 4 && inBounds, 'Regions should have outlines around their pixels');
+        ctx.assert(segmentation.regionMap[45 * width + 10] === wood.id, 'The region map should point at the region under each pixel');
+        
+        // Outlines follow pixel edges: an L of three pixels has six corners and area 3
+        const regionMap = new Int32Array(9).fill(-1);
+        [0, 3, 4].forEach(p => { regionMap[p] = 0; });
+        const outline = detection.traceOutline(regionMap, 3, 3, 0, 0);
+        const area = Math.abs(outline.reduce((sum, point, i) => {
+            const next = outline[(i + 1) % outline.length];
+            return sum + point.x * next.y - next.x * point.y;
+        }, 0)) / 2;
+        ctx.assert(outline.length === 6 && area === 3, 'Outlines should trace the region exactly');
+        
+        // detectMaterials reports the segmented regions and coverage
+        const detected = await detection.detectMaterials(imageData, { segmentation });
+        const woodCoverage = detection.calculateCoverage(segmentation, 'wood');
+        ctx.assert(woodCoverage === Math.round(segmentation.coverage.wood * 100) && woodCoverage >= 25, 'Coverage should come from the material map');
+        ctx.assert(!detected.materials.wood || detected.materials.wood.regions[0].x < 0.05, 'Regions should be the segmented ones');
+        
+        // Strokes take the material they lie on, also from a tile of a larger image
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const effects = new HandDrawnEffects(canvas, { useAI: false, aiProcessor: null, seed: 3 });
+        const woodStroke = [{ x: 10, y: 20 }, { x: 12, y: 60 }, { x: 14, y: 80 }];
+        const glassStroke = [{ x: 50, y: 20 }, { x: 60, y: 40 }];
+        effects.enhanceStrokesWithMaterials([woodStroke, glassStroke], segmentation);
+        
+        ctx.assert(woodStroke.material === 'wood' && woodStroke.enhanced.pattern === 'grain', 'Strokes on wood should be styled as wood');
+        ctx.assert(glassStroke.material === 'glass', 'Strokes on glass should be styled as glass');
+        ctx.assert(effects.sampleStrokeMaterial([{ x: 20, y: 20 }, { x: 30, y: 40 }], { ...segmentation, offsetX: 30, offsetY: 0, scale: 1 }) === 'glass', 'Tile offsets should be applied');
+        
+        // Region outlines are drawn on the overlay layer and reach the vector data
+        const outlines = effects.materialRegionOutlines(segmentation, 2);
+        const woodOutline = outlines.find(outline => outline.material === 'wood');
+        ctx.assert(outlines.length === segmentation.regions.length && woodOutline && woodOutline.closed, 'Every region should get a closed outline');
+        ctx.assert(effects.materialRegionOutlines({ ...segmentation, offsetX: width * 2, scale: 1 }, 2).length === 0, 'Regions off the canvas should be left out');
+        effects.applyTraditionalEffect(new ImageData(width, height),
+            { style: 'pencil', texture: false, materialEnhancement: true, materialData: segmentation });
+        const regionStrokes = effects.getVectorData().strokes.filter(stroke => stroke.context === 'materials' && stroke.closed);
+        ctx.assert(regionStrokes.length === segmentation.regions.length, 'Region outlines should be in the vector output');
+        
+        return { success: true };
+    }, {
+        category: 'integration',
+        description: 'Tests MaterialDetection.segmentMaterials label maps, region outlines and HandDrawnEffects material sampling',
+        timeout: 20000
+    });
+    
+    tf.test('materialLibrary_training', async (ctx) => {
+        ctx.log('Testing studio materials trained from labeled patches');
+        
+        // Gray-brown smoked oak grain, which the built-in profiles don't know, beside pale blue glass
+        const width = 120;
+        const height = 90;
+        const imageData = new ImageData(width, height);
+        const rng = new SeededRandom(9);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const noise = rng.next() * 6;
+                const color = x < 60 ?
+                    (y % 4 < 2 ? [92 + noise, 84 + noise, 76 + noise] : [62 + noise, 56 + noise, 50 + noise]) :
+                    [185 + noise, 212 + noise, 235 + noise];
+                imageData.data.set([...color, 255], (y * width + x) * 4);
+            }
+        }
+        
+        const detection = new MaterialDetection();
+        const library = new MaterialLibrary({ storageKey: null });
+        library.addMaterial('Smoked oak', { baseMaterial: 'wood', color: '#5c5046' });
+        [[15, 20], [40, 45], [20, 70], [45, 15]].forEach(([x, y]) => {
+            library.addSampleFromImage(imageData, x, y, 'Smoked oak', { materialDetection: detection, patchSize: 12 });
+        });
+        [[80, 30], [100, 60]].forEach(([x, y]) => {
+            library.addSampleFromImage(imageData, x, y, 'glass', { materialDetection: detection, patchSize: 12 });
+        });
+        
+        ctx.assert(library.isTrained() && library.getMaterials().find(m => m.name === 'Smoked oak').samples === 4, 'Samples should be counted per material');
+        
+        const oak = library.classify(detection.getPatchFeatures(imageData, 24, 30, 12));
+        const glass = library.classify(detection.getPatchFeatures(imageData, 90, 40, 12));
+        ctx.assert(oak.material === 'Smoked oak' && oak.confidence > 0.5, 'Unlabeled oak patches should be recognized');
+        ctx.assert(glass.material === 'glass', 'Built-in materials can be trained too');
+        
+        // Segmentation takes the library, or its plain data as workers get it
+        const segmentation = detection.segmentMaterials(imageData, { library: library.toJSON(), patchSize: 12 });
+        const majority = (x0, x1) => {
+            const votes = {};
+            for (let y = 0; y < height; y++) {
+                for (let x = x0; x < x1; x++) {
+                    const index = segmentation.materialMap[y * width + x];
+                    const name = index === 255 ? 'none' : segmentation.materials[index];
+                    votes[name] = (votes[name] || 0) + 1;
+                }
+            }
+            return Object.entries(votes).sort((a, b) => b[1] - a[1])[0][0];
+        };
+        
+        ctx.assert(segmentation.materials.includes('Smoked oak') && segmentation.materials.indexOf('glass') === Object.keys(detection.materials).indexOf('glass'), 'Studio materials should join the built-in list');
+        ctx.assert(majority(0, 60) === 'Smoked oak', 'The oak should be segmented as the studio material');
+        ctx.assert(majority(60, 120) === 'glass', 'The glass should stay glass');
+        ctx.assert(segmentation.customMaterials.length === 1 && segmentation.customMaterials[0].baseMaterial === 'wood', 'Studio materials should be described');
+        
+        // Strokes on a studio material are drawn like its base material
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const effects = new HandDrawnEffects(canvas, { useAI: false, aiProcessor: null, seed: 3 });
+        const oakStroke = [{ x: 10, y: 20 }, { x: 12, y: 60 }, { x: 14, y: 80 }];
+        effects.enhanceStrokesWithMaterials([oakStroke], segmentation);
+        ctx.assert(oakStroke.material === 'Smoked oak' && oakStroke.enhanced.pattern === 'grain', 'Studio materials should borrow their base style');
+        
+        // Export and import round trip, merging into another library
+        const exported = JSON.stringify(library.toJSON());
+        const other = new MaterialLibrary({ storageKey: null });
+        other.addMaterial('Terrazzo', { baseMaterial: 'stone' });
+        const imported = other.importJSON(exported);
+        ctx.assert(imported.length === 3 && other.samples.length === 6, 'Imports should merge with the existing library');
+        ctx.assert(other.classify(detection.getPatchFeatures(imageData, 24, 30, 12)).material === 'Smoked oak', 'Imported samples should classify alike');
+        
+        let rejected = false;
+        try {
+            other.importJSON('{"version":"1.0","samples":[]}');
+        } catch (error) {
+            rejected = true;
+        }
+        ctx.assert(rejected && other.getMaterials().length === 3, 'Invalid files should be rejected without changing the library');
+        
+        // The library persists under its storage key
+        const storageKey = 'material-library-test';
+        const stored = new MaterialLibrary({ storageKey });
+        stored.applyData(library.toJSON());
+        stored.save();
+        const reloaded = new MaterialLibrary({ storageKey });
+        localStorage.removeItem(storageKey);
+        ctx.assert(reloaded.samples.length === 6 && reloaded.isTrained(), 'The library should reload from storage');
+        
+        return { success: true };
+    }, {
+        category: 'integration',
+        description: 'Tests MaterialLibrary k-NN training, segmentation with studio materials and JSON export/import',
+        timeout: 20000
+    });
+    
+    tf.test('materialAnnotations_callouts', async (ctx) => {
+        ctx.log('Testing finish callouts, tag schemes and the finish schedule');
+        
+        // Wood grain, pale blue glass and speckled stone side by side
+        const width = 120;
+        const height = 90;
+        const imageData = new ImageData(width, height);
+        const rng = new SeededRandom(5);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                let color;
+                if (x < 40) {
+                    color = y % 4 < 2 ? [150, 95, 50] : [115, 68, 32];
+                } else if (x < 80) {
+                    const noise = rng.next() * 6;
+                    color = [185 + noise, 212 + noise, 235 + noise];
+                } else {
+                    const noise = (rng.next() - 0.5) * 50;
+                    color = [168 + noise, 160 + noise, 140 + noise];
+                }
+                imageData.data.set([...color, 255], (y * width + x) * 4);
+            }
+        }
+        const segmentation = new MaterialDetection().segmentMaterials(imageData);
+        
+        // The table sits on the wood; the sofa guess lands on wood too, so it is dropped
+        const annotations = new MaterialAnnotations();
+        annotations.generate(segmentation, {
+            annotations: [
+                { item: 'dining_table', material: 'wood', position: { x: 0.15, y: 0.5 }, confidence: 0.9 },
+                { item: 'sofa', material: 'fabric', position: { x: 0.3, y: 0.6 }, confidence: 0.9 }
+            ]
+        });
+        const wood = annotations.finishes.find(finish => finish.material === 'wood');
+        const woodCallout = annotations.callouts.find(callout => callout.finishId === wood.id);
+        
+        ctx.assert(['wood', 'glass', 'stone'].every(material => annotations.finishes.some(finish => finish.material === material)), 'Each segmented material should become a finish');
+        ctx.assert(wood.tag === 'WD-1' && annotations.finishes.find(finish => finish.material === 'glass').tag === 'GL-1', 'Finishes should be tagged by the default scheme');
+        ctx.assert(annotations.callouts.length === annotations.finishes.length && woodCallout.note === 'dining table', 'Items on a finish should join its callout');
+        
+        const anchorX = Math.floor(woodCallout.anchor.x * width);
+        const anchorY = Math.floor(woodCallout.anchor.y * height);
+        ctx.assert(segmentation.regionMap[anchorY * width + anchorX] === woodCallout.regionId, 'Leaders should point into their region');
+        ctx.assert(woodCallout.label.x < woodCallout.anchor.x && annotations.getCalloutText(woodCallout) === 'WD-1 Wood · dining table', 'Labels should sit in the margin on their side');
+        
+        // Project tag schemes renumber the finishes
+        annotations.setScheme({ prefixes: 'wood=W, glass=G', format: '{prefix}-{n:2}', font: 'technical' });
+        ctx.assert(wood.tag === 'W-01' && annotations.finishes.find(finish => finish.material === 'stone').tag === 'ST-01', 'Scheme prefixes and padding should apply');
+        
+        // Edits go to the finish, so the schedule follows
+        annotations.editCallout(woodCallout.id, 'W-07 White oak · dining table');
+        ctx.assert(wood.tag === 'W-07' && wood.name === 'White oak', 'Editing a callout should rename its finish');
+        let duplicate = false;
+        try {
+            annotations.editCallout(woodCallout.id, 'G-01 Oak');
+        } catch (error) {
+            duplicate = true;
+        }
+        ctx.assert(duplicate && wood.tag === 'W-07', 'Tags should stay unique');
+        
+        // Hand-typed tags survive font changes and re-tagging
+        const glass = annotations.finishes.find(finish => finish.material === 'glass');
+        annotations.setScheme({ prefixes: 'wood=W, glass=G', format: '{prefix}-{n:2}', font: 'hand' });
+        ctx.assert(wood.tag === 'W-07' && glass.tag === 'G-01', 'Switching the font should leave the tags alone');
+        annotations.setScheme({ prefixes: 'wood=W, glass=GZ', font: 'technical' });
+        ctx.assert(wood.tag === 'W-07' && glass.tag === 'GZ-01', 'New prefixes should re-tag all but hand-typed tags');
+        annotations.editCallout(annotations.callouts.find(callout => callout.finishId === glass.id).id, 'GZ-02 Glass');
+        annotations.setScheme({ format: '{prefix}{n}' });
+        ctx.assert(glass.tag === 'GZ-02' && annotations.finishes.find(finish => finish.material === 'stone').tag === 'ST1', 'A new format should keep hand-typed tags');
+        
+        // Dragging moves labels, leader ends and the schedule
+        const layout = annotations.layout(width * 10, height * 10);
+        const label = layout.hitAreas.find(area => area.id === woodCallout.id && area.part === 'label');
+        const hit = annotations.hitTest(label.x + 2, label.y + 2, width * 10, height * 10);
+        ctx.assert(hit && hit.id === woodCallout.id && hit.part === 'label', 'Labels should be hit-tested');
+        annotations.move(woodCallout.id, 'label', 0.6, 0.1);
+        annotations.move('legend', 'legend', 0.05, 0.7);
+        ctx.assert(woodCallout.label.x === 0.6 && woodCallout.align === 'left' && annotations.getPosition('legend', 'legend').y === 0.7, 'Moves should be kept in image coordinates');
+        ctx.assert(layout.primitives.some(primitive => primitive.type === 'text' && primitive.text === 'FINISH SCHEDULE'), 'The schedule should be lettered in the technical font');
+        
+        // Callouts draw over the annotations layer and export as SVG text
+        const sketchDocument = new SketchDocument(width, height);
+        const plain = sketchDocument.toImageData();
+        sketchDocument.setLayerOverlay('annotations', (overlayCtx, w, h) => annotations.draw(overlayCtx, w, h));
+        const annotated = sketchDocument.toImageData();
+        let changed = 0;
+        for (let i = 3; i < plain.data.length; i += 4) {
+            if (annotated.data[i] !== plain.data[i]) changed++;
+        }
+        ctx.assert(changed > 50, 'The overlay should draw callouts on composite');
+        
+        const svg = new SVGExporter().createSVG({ width, height, strokes: [], annotations: annotations.layout(width, height) });
+        ctx.assert(svg.includes('<g id="annotations"') && svg.includes('>W-07</text>') && svg.includes('WHITE OAK'), 'SVG exports should carry the callouts as text');
+        
+        return { success: true };
+    }, {
+        category: 'integration',
+        description: 'Tests MaterialAnnotations callouts from segmentation regions, tag schemes, edits, dragging and SVG output',
+        timeout: 20000
+    });
+    
+    tf.test('interiorDesignAI_color_harmony', async (ctx) => {
+        ctx.log('Testing palette extraction, temperature, harmony schemes and 60-30-10 balance');
+        
+        // Vertical bands of colors covering the given shares, with a little noise
+        const makeImage = (bands) => {
+            const width = 200;
+            const height = 60;
+            const imageData = new ImageData(width, height);
+            const rng = new SeededRandom(11);
+            let start = 0;
+            bands.forEach(([color, share]) => {
+                const end = start + Math.round(share * width);
+                for (let y = 0; y < height; y++) {
+                    for (let x = start; x < end; x++) {
+                        const noise = (rng.next() - 0.5) * 8;
+                        imageData.data.set([color[0] + noise, color[1] + noise, color[2] + noise, 255], (y * width + x) * 4);
+                    }
+                }
+                start = end;
+            });
+            return imageData;
+        };
+        const interiorDesignAI = new InteriorDesignAI(null);
+        
+        // Off-white walls, a blue sofa and orange cushions: complementary, close to 60-30-10
+        const room = interiorDesignAI.analyzeColorHarmony(makeImage([
+            [[236, 230, 218], 0.6], [[47, 93, 155], 0.3], [[217, 130, 43], 0.1]
+        ]));
+        ctx.assert(room.dominantColors.length === 3, `Expected 3 colors, got ${room.dominantColors.length}`);
+        ctx.assert(room.dominantColors[0].percentage === 60 && room.dominantColors[0].temperature === 'neutral', 'The walls should lead as a neutral');
+        ctx.assert(room.scheme === 'complementary', `Blue and orange should be complementary, got ${room.scheme}`);
+        ctx.assert(room.balance.dominant === 60 && room.balance.secondary === 30 && room.balance.accent === 10, 'The split should measure 60/30/10');
+        ctx.assert(room.balance.score > 0.9 && room.harmony === 'good', 'A 60-30-10 complementary room should rate good');
+        ctx.assert(room.suggestions.some(text => text.includes('60/30/10')), 'Suggestions should quote the measured split');
+        
+        // The analysis follows the photo: greens and teals are analogous and cool
+        const greens = interiorDesignAI.analyzeColorHarmony(makeImage([
+            [[236, 230, 218], 0.6], [[95, 143, 74], 0.2], [[63, 143, 128], 0.2]
+        ]));
+        ctx.assert(greens.scheme === 'analogous' && greens.colorTemperature === 'cool', `Expected analogous and cool, got ${greens.scheme} and ${greens.colorTemperature}`);
+        
+        // Textbook pairs measured on the design wheel, not by raw Lab angle
+        const violet = interiorDesignAI.analyzeColorHarmony(makeImage([
+            [[236, 230, 218], 0.6], [[128, 50, 160], 0.3], [[230, 200, 40], 0.1]
+        ]));
+        ctx.assert(violet.scheme === 'complementary' && violet.harmony === 'good', `Yellow and violet should be complementary, got ${violet.scheme} (${violet.harmony})`);
+        const cobalt = interiorDesignAI.analyzeColorHarmony(makeImage([
+            [[236, 230, 218], 0.6], [[40, 80, 200], 0.3], [[230, 130, 30], 0.1]
+        ]));
+        ctx.assert(cobalt.scheme === 'complementary', `Cobalt and orange should be complementary, got ${cobalt.scheme}`);
+        ctx.assert(interiorDesignAI.hueDistance(cobalt.hues[0].hue, cobalt.hues[1].hue) > 160, 'Cobalt and orange should sit nearly opposite on the wheel');
+        
+        // The painter's primaries form a triad; screen red, green and blue still read as a scheme
+        const primaries = interiorDesignAI.analyzeColorHarmony(makeImage([
+            [[236, 230, 218], 0.55], [[200, 40, 40], 0.15], [[230, 200, 40], 0.15], [[40, 80, 200], 0.15]
+        ]));
+        ctx.assert(primaries.scheme === 'triadic', `Red, yellow and blue should be triadic, got ${primaries.scheme}`);
+        const screen = interiorDesignAI.analyzeColorHarmony(makeImage([
+            [[236, 230, 218], 0.55], [[200, 40, 40], 0.15], [[40, 160, 60], 0.15], [[40, 60, 200], 0.15]
+        ]));
+        ctx.assert(screen.scheme !== 'mixed', `Red, green and blue should not read as mixed, got ${screen.scheme}`);
+        
+        // Wood tones only: warm, one hue family, and a cool accent suggested
+        const wood = interiorDesignAI.analyzeColorHarmony(makeImage([
+            [[139, 90, 43], 0.5], [[200, 100, 59], 0.3], [[224, 192, 128], 0.2]
+        ]), { wood: { confidence: 80 } });
+        ctx.assert(wood.colorTemperature === 'warm' && wood.temperatureScore > 0.4, 'Wood tones should read strongly warm');
+        ctx.assert(wood.scheme === 'monochromatic', `Wood tones should be one hue family, got ${wood.scheme}`);
+        ctx.assert(interiorDesignAI.classifyTemperature(interiorDesignAI.labToLch(interiorDesignAI.rgbToLab(
+            ...wood.suggestedAccent.color.match(/\w\w/g).map(hex => parseInt(hex, 16))))) === 'cool', 'The suggested accent should be cool');
+        
+        // A bare white room has no scheme and too little accent
+        const bare = interiorDesignAI.analyzeColorHarmony(makeImage([[[236, 230, 218], 1]]));
+        ctx.assert(bare.scheme === 'neutral' && bare.balance.score === 0, 'A single neutral should have no scheme or balance');
+        ctx.assert(bare.suggestions.some(text => text.includes(bare.suggestedAccent.color)), 'Suggestions should name an accent color');
+        
+        // One call turns the analysis into a custom palette
+        const paletteData = interiorDesignAI.createPaletteData(room, 'Living room');
+        ctx.assert(paletteData.colors.primary === room.balance.colors.dominant && paletteData.colors.accent === room.balance.colors.accent, 'Palette roles should follow the balance');
+        const styleManager = new StyleManager();
+        const paletteId = styleManager.createCustomPalette(paletteData);
+        const saved = styleManager.userPalettes[paletteId];
+        ctx.assert(saved && saved.colors.secondary === room.balance.colors.secondary, 'StyleManager should store the photo palette');
+        ctx.assert(Object.values(saved.colors).every(color => /^#[0-9a-f]{6}$/.test(color)), 'Palette colors should be hex colors');
+        
+        return { success: true };
+    }, {
+        category: 'integration',
+        description: 'Tests InteriorDesignAI color harmony analysis on synthetic rooms and the palette handoff to StyleManager',
+        timeout: 20000
+    });
+    
+    tf.test('strokeReplay_order_and_gif', async (ctx) => {
+        ctx.log('Testing stroke replay ordering, timing and GIF export');
+        
+        const replay = new StrokeReplay();
+        const line = (x1, y1, x2, y2, context) => ({
+            points: [{ x: x1, y: y1 }, { x: x2, y: y2 }], context, color: '#000000', width: 2, opacity: 1
+        });
+        const vectorData = {
+            width: 60,
+            height: 40,
+            background: '#ffffff',
+            strokes: [
+                line(5, 30, 15, 30, 'general'),
+                line(10, 10, 50, 10, 'furniture'),
+                line(0, 35, 60, 35, 'structure'),
+                line(50, 20, 10, 20, 'furniture'),
+                line(0, 5, 60, 5, 'construction')
+            ]
+        };
+        
+        const ordered = replay.orderStrokes(vectorData.strokes);
+        ctx.assert(ordered.map(item => item.stroke.context).join() === 'construction,structure,furniture,furniture,general',
+            'Strokes should replay construction, structure, furniture, then detail');
+        ctx.assert(ordered[3].points[0].x === 50, 'The next stroke should start at the end nearest the pen');
+        
+        const natural = replay.buildTimeline(vectorData, { speed: 1 });
+        const fast = replay.buildTimeline(vectorData, { speed: 2 });
+        ctx.assert(fast.drawDuration < natural.drawDuration, 'A higher speed should replay faster');
+        
+        const fixed = replay.buildTimeline(vectorData, { duration: 3 });
+        ctx.assert(Math.abs(fixed.duration - 3) < 1e-6, 'A set duration should override the speed');
+        ctx.assert(fixed.entries.every((entry, i) => i === 0 || entry.start >= fixed.entries[i - 1].end),
+            'Strokes should be drawn one after another');
+        
+        const blob = await replay.exportGIF(vectorData, { duration: 1, fps: 5 });
+        const bytes = new Uint8Array(await blob.arrayBuffer());
+        ctx.assert(blob.type === 'image/gif' && String.fromCharCode(...bytes.slice(0, 6)) === 'GIF89a',
+            'Time-lapse should export as an animated GIF');
+        ctx.assert(bytes[bytes.length - 1] === 0x3B, 'GIF should end with a trailer');
+        
+        return { success: true };
+    }, {
+        category: 'integration',
+        description: 'Tests StrokeReplay ordering, timeline and GIF export',
+        timeout: 10000
+    });
+    
+    tf.test('svgExporter_paths_and_groups', async (ctx) => {
+        ctx.log('Testing SVG export of vector strokes');
+        
+        const exporter = new SVGExporter();
+        const vectorData = {
+            width: 200,
+            height: 100,
+            background: '#fafafa',
+            strokes: [
+                { beziers: [{ x0: 0, y0: 0, cp1x: 10.123, cp1y: 0, cp2x: 40, cp2y: 5, x: 50, y: 5 }], context: 'structure', width: 2 },
+                { points: [{ x: 10, y: 10 }, { x: 40, y: 10 }, { x: 40, y: 40 }], closed: true, context: 'furniture', color: 'rgba(255, 0, 0, 0.5)' },
+                { points: [{ x: 5, y: 5 }], context: 'general' }
+            ]
+        };
+        
+        const svg = exporter.createSVG(vectorData);
+        ctx.assert(svg.includes('width="200" height="100" viewBox="0 0 200 100"'), 'The viewBox should match the sketch size');
+        ctx.assert((svg.match(/<path /g) || []).length === 2, 'Single-point strokes should be dropped');
+        ctx.assert((svg.match(/<g id="/g) || []).length === 2, 'There should be one group per stroke context');
+        ctx.assert(svg.indexOf('<g id="structure"') < svg.indexOf('<g id="furniture"'), 'Structure should be drawn behind furniture');
+        ctx.assert(svg.includes('<rect id="background" x="0" y="0" width="200" height="100" fill="#fafafa"/>'), 'The background should fill the sketch');
+        
+        ctx.assert(svg.includes('d="M0 0 C10.12 0 40 5 50 5" stroke="#000000" stroke-width="2"'), 'Curves should become rounded cubic path data');
+        ctx.assert(svg.includes('d="M10 10 L40 10 L40 40 Z" stroke="#ff0000" stroke-width="1" stroke-opacity="0.5"'), 'Closed polylines should close the path and keep their alpha');
+        
+        const linesOnly = exporter.createSVG(vectorData, { includeBackground: false, groups: ['furniture'] });
+        ctx.assert(!linesOnly.includes('<rect') && (linesOnly.match(/<path /g) || []).length === 1, 'Groups and background should be optional');
+        
+        return { success: true };
+    }, {
+        category: 'integration',
+        description: 'Tests SVG element count, viewBox and path data in SVGExporter',
+        timeout: 10000
+    });
+    
+    tf.test('pdfWriter_structure_and_xref', async (ctx) => {
+        ctx.log('Testing PDF header, cross-reference table and page sizes');
+        
+        const writer = new PDFWriter({ title: 'Sketch (test)' });
+        const letter = writer.addPage({ pageSize: 'letter', orientation: 'landscape' });
+        const image = writer.addJPEGImage(new Uint8Array([0xff, 0xd8, 0xff, 0xd9]), 300, 200);
+        const box = writer.layoutImage(letter, 300, 200, { dpi: 150 });
+        writer.drawImage(letter, image, box.x, box.y, box.width, box.height);
+        writer.drawText(letter, 'Living room', 36, 36, { size: 14, font: 'bold' });
+        writer.drawRect(letter, 36, 60, 200, 100, { stroke: '#333333' });
+        const a4 = writer.addPage({ pageSize: 'a4' });
+        writer.drawImage(a4, image, 36, 36, 144, 96);
+        writer.drawLine(a4, 0, 0, 100, 100);
+        
+        const bytes = writer.build();
+        let pdf = '';
+        bytes.forEach(byte => { pdf += String.fromCharCode(byte); });
+        
+        ctx.assert(pdf.startsWith('%PDF-1.4\n'), 'The file should start with a PDF 1.4 header');
+        ctx.assert(pdf.endsWith('%%EOF\n'), 'The file should end with %%EOF');
+        
+        // startxref points at the table, and every entry at its object
+        const xrefOffset = parseInt(/startxref\n(\d+)\n%%EOF\n$/.exec(pdf)[1], 10);
+        ctx.assert(pdf.startsWith('xref\n', xrefOffset), 'startxref should point at the xref table');
+        const [, first, count] = /^xref\n(\d+) (\d+)\n/.exec(pdf.slice(xrefOffset));
+        ctx.assert(first === '0' && pdf.includes(`/Size ${count} `), 'The trailer size should match the table');
+        
+        const entries = pdf.slice(xrefOffset).split('\n').slice(2, 2 + Number(count));
+        ctx.assert(entries[0] === '0000000000 65535 f ', 'Object 0 should head the free list');
+        entries.slice(1).forEach((entry, i) => {
+            ctx.assert(/^\d{10} 00000 n $/.test(entry), `Entry ${i + 1} should be 20 bytes`);
+            ctx.assert(pdf.startsWith(`${i + 1} 0 obj\n`, parseInt(entry, 10)), `Object ${i + 1} should sit at its xref offset`);
+        });
+        
+        ctx.assert(pdf.includes('/MediaBox [0 0 792 612]'), 'Landscape letter should be 792 x 612 points');
+        ctx.assert(pdf.includes('/MediaBox [0 0 595.28 841.89]'), 'A4 should be 595.28 x 841.89 points');
+        ctx.assert(pdf.includes('/Count 2') && pdf.includes('/Title (Sketch \\(test\\))'), 'Pages and title should be recorded');
+        ctx.assert(box.width === 144 && box.height === 96, 'At 150 dpi a 300 x 200 px image should keep its physical size');
+        ctx.assert(pdf.split('/Filter /DCTDecode').length === 2 && pdf.split('/Im1 Do').length === 3, 'The JPEG should be embedded once and drawn on both pages');
+        
+        // Typed punctuation maps to its WinAnsi byte; the document title is written as UTF-16
+        const typed = new PDFWriter({ title: 'Smith’s Residence' });
+        typed.drawText(typed.addPage(), 'Smith’s “Loft” – 2 € … ✓', 36, 36);
+        let typedPdf = '';
+        typed.build().forEach(byte => { typedPdf += String.fromCharCode(byte); });
+        ctx.assert(typedPdf.includes('(Smith\x92s \x93Loft\x94 \x96 2 \x80 \x85 ?) Tj'), 'Quotes, dashes, euro and ellipsis should use their WinAnsi bytes');
+        ctx.assert(typedPdf.includes('/Title <FEFF0053006D0069007400682019'), 'A title beyond ASCII should be a UTF-16 string');
+        
+        return { success: true };
+    }, {
+        category: 'integration',
+        description: 'Tests PDFWriter header, xref offsets and page sizes',
+        timeout: 10000
+    });
+    
+    tf.test('dxfExporter_layers_and_scale', async (ctx) => {
+        ctx.log('Testing DXF export of vector strokes');
+        
+        const exporter = new DXFExporter();
+        const vectorData = {
+            width: 200,
+            height: 100,
+            strokes: [
+                { points: [{ x: 0, y: 0 }, { x: 100, y: 0 }], context: 'structure' },
+                { points: [{ x: 10, y: 10 }, { x: 40, y: 10 }, { x: 40, y: 40 }], closed: true, context: 'furniture' }
+            ]
+        };
+        
+        const dxf = exporter.createDXF(vectorData, { scale: 0.01, units: 'm' });
+        const pairs = dxf.trim().split('\r\n');
+        
+        ctx.assert(pairs.length % 2 === 0, 'DXF should consist of group code / value pairs');
+        ctx.assert(dxf.includes('AC1015') && dxf.includes('LWPOLYLINE'), 'R2000 output should use LWPOLYLINE');
+        ctx.assert(dxf.includes('\r\nSTRUCTURE\r\n') && dxf.includes('\r\nFURNITURE\r\n'), 'Layers should be named per stroke context');
+        
+        // (100, 0) in pixels is (1, 1) in metres once the y axis is flipped
+        ctx.assert(/LINE\r\n[\s\S]*?\r\n11\r\n1\r\n21\r\n1\r\n/.test(dxf), 'Line end should be scaled and flipped');
+        
+        const legacy = exporter.createDXF(vectorData, { version: 'R12' });
+        ctx.assert(legacy.includes('AC1009') && legacy.includes('SEQEND') && !legacy.includes('LWPOLYLINE'), 'R12 output should use POLYLINE');
+        
+        return { success: true };
+    }, {
+        category: 'integration',
+        description: 'Tests DXF layers, scaling and version output in DXFExporter',
+        timeout: 10000
+    });
+    
+    tf.test('presentationBoard_multi_page_layout', async (ctx) => {
+        ctx.log('Testing presentation board layout and page overflow');
+        
+        const board = new PresentationBoard();
+        const [originalCanvas, sketchCanvas] = await Promise.all(['varied', 'edges'].map(async (type) => {
+            const canvas = document.createElement('canvas');
+            canvas.width = 160;
+            canvas.height = 120;
+            canvas.getContext('2d').putImageData(await createTestImageData(ctx, 160, 120, type), 0, 0);
+            return canvas;
+        }));
+        
+        // Enough recommendations to spill past the first sheet
+        const suggestions = Array.from({ length: 40 }, (_, i) => ({
+            item: `item ${i}`,
+            priority: 'medium',
+            reason: 'Adds storage and balances the composition of the room'
+        }));
+        const analysis = {
+            materials: {
+                success: true,
+                materials: { wood: { confidence: 82, properties: { textureType: 'grain' } } },
+                summary: { totalMaterials: 1, primaryMaterial: 'wood', averageConfidence: 82, detectedMaterials: ['wood'] }
+            },
+            room: {
+                success: true,
+                roomType: 'living_room',
+                confidence: 75,
+                alternativeTypes: [],
+                detectedElements: [],
+                recommendations: [{ category: 'furniture', title: 'Furniture Layout', suggestions }]
+            }
+        };
+        
+        const blob = await board.createBoard({ originalCanvas, sketchCanvas, template: 'grid', pageSize: 'a4', analysis });
+        const text = new TextDecoder('latin1').decode(await blob.arrayBuffer());
+        const pageCount = parseInt(/\/Count (\d+)/.exec(text)[1]);
+        
+        ctx.assert(blob.type === 'application/pdf', 'Board should be a PDF');
+        ctx.assert(pageCount > 1, 'Overflowing recommendations should continue on another sheet');
+        ctx.assert(text.split('(SHEET) Tj').length - 1 === pageCount, 'Every sheet should carry a title block');
+        
+        return { success: true, pageCount };
+    }, {
+        category: 'integration',
+        description: 'Tests multi-page presentation board generation',
+        timeout: 10000
+    });
+    
     // ===== MAIN APPLICATION FLOW TESTS =====
     
     tf.test('main_application_flow', async (ctx) => {